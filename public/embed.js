@@ -0,0 +1,197 @@
+/**
+ * Home Tour Embed Loader
+ *
+ * Drop-in script for listing pages that shows a tour in an iframe and
+ * talks to it over postMessage (the tour's side is src/embed.js):
+ *
+ * <div id="tour" style="height: 480px"></div>
+ * <script src="https://tours.example.com/embed.js"></script>
+ * <script>
+ *     const tour = HomeTourEmbed.create('#tour', {
+ *         src: 'https://tours.example.com/?tour=maple-street',
+ *         hide: ['header', 'nav']
+ *     });
+ *
+ *     await tour.ready;                          // { scene, scenes, view, error }
+ *     tour.on('sceneChanged', ({ scene, title }) => console.log(title));
+ *     await tour.navigateToScene('kitchen');
+ *     await tour.setView({ yaw: 90 }, 1000);
+ *     await tour.startAutoplay();
+ * </script>
+ *
+ * Every method returns a promise that waits for the tour to finish loading.
+ * The host page's origin must be listed in the tour's EMBED_ALLOWED_ORIGINS.
+ */
+
+(function () {
+    'use strict';
+
+    // ========================================================================
+    // CONFIGURATION
+    // ========================================================================
+
+    const TOUR_SOURCE = 'home-tour';
+    const HOST_SOURCE = 'home-tour-host';
+
+    /**
+     * Methods forwarded to the tour as-is.
+     */
+    const METHODS = [
+        'navigateToScene', 'setView', 'getView', 'getCurrentScene', 'getScenes',
+        'startAutoplay', 'stopAutoplay', 'setAnalyticsConsent', 'setLocale', 'getLocale'
+    ];
+
+    /**
+     * How long a call may go unanswered before it's rejected.
+     */
+    const CALL_TIMEOUT = 15000;
+
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Create a tour iframe inside a container.
+     *
+     * @param {string|HTMLElement} container - Element or selector to fill
+     * @param {Object} options
+     * @param {string} options.src - Tour URL (may include ?tour=, ?autoplay, etc.)
+     * @param {string[]} [options.hide] - UI parts to hide: 'header', 'nav', 'controls', 'minimap'
+     * @param {string} [options.title] - Accessible name for the iframe
+     * @returns {Object} Client with the tour methods, on/off, ready and destroy()
+     */
+    function create(container, options) {
+        const host = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!host) {
+            throw new Error(`HomeTourEmbed: container ${container} not found`);
+        }
+
+        const url = new URL(options.src, window.location.href);
+        url.searchParams.set('embed', '');
+        if (options.hide) {
+            url.searchParams.set('hide', options.hide.join(','));
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.src = url.href;
+        iframe.title = options.title || 'Virtual home tour';
+        iframe.allow = 'fullscreen';
+        iframe.allowFullscreen = true;
+        iframe.style.cssText = 'width: 100%; height: 100%; border: 0; display: block;';
+        host.appendChild(iframe);
+
+        return createClient(iframe, url.origin);
+    }
+
+
+    // ========================================================================
+    // CLIENT
+    // ========================================================================
+
+    /**
+     * Promise-based wrapper around the postMessage protocol.
+     *
+     * @param {HTMLIFrameElement} iframe
+     * @param {string} origin - Tour origin; messages go nowhere else
+     * @returns {Object}
+     */
+    function createClient(iframe, origin) {
+        const pending = new Map();
+        const listeners = {};
+        let nextId = 1;
+        let markReady;
+        const ready = new Promise(resolve => {
+            markReady = resolve;
+        });
+
+        function send(method, params) {
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`HomeTourEmbed: ${method} timed out`));
+                }, CALL_TIMEOUT);
+
+                pending.set(id, { resolve, reject, timer });
+                iframe.contentWindow.postMessage({ source: HOST_SOURCE, id, method, params }, origin);
+            });
+        }
+
+        function emit(event, data) {
+            (listeners[event] || []).slice().forEach(listener => listener(data));
+        }
+
+        function handleMessage(event) {
+            const message = event.data;
+            if (event.source !== iframe.contentWindow || event.origin !== origin) return;
+            if (!message || message.source !== TOUR_SOURCE) return;
+
+            if (message.event) {
+                // Connected before the tour finished loading: fetch the snapshot now
+                if (message.event === 'loaded') {
+                    connect();
+                }
+                emit(message.event, message.data);
+                return;
+            }
+
+            const call = pending.get(message.id);
+            if (!call) return;
+
+            pending.delete(message.id);
+            clearTimeout(call.timer);
+            if (message.error) {
+                call.reject(new Error(message.error));
+            } else {
+                call.resolve(message.result);
+            }
+        }
+
+        // (Re)connect whenever the frame loads - the tour also reloads itself after updates
+        function connect() {
+            send('connect').then(result => {
+                if (result.loaded) {
+                    markReady({ scene: result.scene, scenes: result.scenes, view: result.view, error: result.error });
+                }
+            }).catch(error => console.warn(error.message));
+        }
+
+        window.addEventListener('message', handleMessage);
+        iframe.addEventListener('load', connect);
+
+        const client = {
+            iframe,
+            ready,
+
+            on(event, listener) {
+                (listeners[event] = listeners[event] || []).push(listener);
+                return client;
+            },
+
+            off(event, listener) {
+                listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+                return client;
+            },
+
+            destroy() {
+                window.removeEventListener('message', handleMessage);
+                pending.forEach(call => {
+                    clearTimeout(call.timer);
+                    call.reject(new Error('HomeTourEmbed: destroyed'));
+                });
+                pending.clear();
+                iframe.remove();
+            }
+        };
+
+        METHODS.forEach(method => {
+            client[method] = (...params) => ready.then(() => send(method, params));
+        });
+
+        return client;
+    }
+
+
+    window.HomeTourEmbed = { create };
+})();
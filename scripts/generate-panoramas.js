@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Panorama Variant & Tile Generator
+ *
+ * Produces the multi-resolution sources the tour understands (see
+ * src/quality.js) from one source equirectangular image:
+ *
+ * - Resolution variants: the equirectangular image re-encoded at several
+ *   widths, e.g. lounge-1024.jpg, lounge-2048.jpg, lounge-4096.jpg
+ * - Multires tiles (--multires): cube faces cut into a tile pyramid in the
+ *   layout Pannellum's "multires" type expects (same as its generate.py,
+ *   without needing Hugin installed)
+ *
+ * Usage:
+ *   pnpm panoramas <input.jpg> [options]
+ *
+ * Options:
+ *   --out <dir>          Output directory (default: public/panos)
+ *   --widths <list>      Comma-separated variant widths (default: 1024,2048,4096,8192)
+ *   --multires           Also generate multires tiles in <out>/<name>-tiles/
+ *   --tile-size <px>     Multires tile size (default: 512)
+ *   --quality <0-100>    JPEG quality (default: 85)
+ *
+ * The scene config snippet to paste into SCENE_CONFIG or a tour manifest is
+ * printed when done.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULTS = {
+    out: 'public/panos',
+    widths: [1024, 2048, 4096, 8192],
+    multires: false,
+    tileSize: 512,
+    quality: 85
+};
+
+/**
+ * Size of the low-resolution fallback faces used by Pannellum when a tile
+ * hasn't loaded yet.
+ */
+const FALLBACK_FACE_SIZE = 1024;
+
+/**
+ * Cube face order and naming used by Pannellum's multires renderer.
+ * Each maps a face pixel (u, v in -1..1, v pointing down) to a view direction
+ * in Pannellum's coordinates (x right, y up, -z forward).
+ */
+const CUBE_FACES = [
+    { letter: 'f', direction: (u, v) => [u, -v, -1] },
+    { letter: 'b', direction: (u, v) => [-u, -v, 1] },
+    { letter: 'u', direction: (u, v) => [u, 1, v] },
+    { letter: 'd', direction: (u, v) => [u, -1, -v] },
+    { letter: 'l', direction: (u, v) => [-1, -v, -u] },
+    { letter: 'r', direction: (u, v) => [1, -v, u] }
+];
+
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const name = path.basename(options.input, path.extname(options.input));
+
+    const { width, height } = await sharp(options.input).metadata();
+    if (width !== height * 2) {
+        throw new Error(`Expected a 2:1 equirectangular image, got ${width}x${height}`);
+    }
+
+    await fs.mkdir(options.out, { recursive: true });
+    const snippet = {};
+
+    snippet.variants = await generateVariants(options, name, width);
+
+    if (options.multires) {
+        snippet.multiRes = await generateMultires(options, name, width);
+    }
+
+    console.log('\nScene config:');
+    console.log(JSON.stringify(snippet, null, 4));
+}
+
+
+// ============================================================================
+// RESOLUTION VARIANTS
+// ============================================================================
+
+/**
+ * Write one equirectangular JPEG per requested width (never upscaling).
+ *
+ * @returns {Promise<Array>} Variant entries ({ width, image })
+ */
+async function generateVariants(options, name, sourceWidth) {
+    const widths = [...new Set(options.widths.map(w => Math.min(w, sourceWidth)))].sort((a, b) => a - b);
+    const variants = [];
+
+    for (const width of widths) {
+        const file = path.join(options.out, `${name}-${width}.jpg`);
+
+        await sharp(options.input)
+            .resize(width, width / 2)
+            .jpeg({ quality: options.quality, mozjpeg: true })
+            .toFile(file);
+
+        console.log(`variant  ${file}`);
+        variants.push({ width, image: toPublicPath(file) });
+    }
+
+    return variants;
+}
+
+
+// ============================================================================
+// MULTIRES TILES
+// ============================================================================
+
+/**
+ * Project the panorama onto cube faces and cut them into a tile pyramid.
+ *
+ * @returns {Promise<Object>} Pannellum multiRes config
+ */
+async function generateMultires(options, name, sourceWidth) {
+    const outDir = path.join(options.out, `${name}-tiles`);
+
+    // Same sizing rule as Pannellum's generate.py: keep the source's pixel density
+    const cubeSize = 8 * Math.floor(sourceWidth / Math.PI / 8);
+    const tileSize = Math.min(options.tileSize, cubeSize);
+    const levels = Math.ceil(Math.log2(cubeSize / tileSize)) + 1;
+
+    const source = await sharp(options.input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    for (const face of CUBE_FACES) {
+        const pixels = projectFace(source, face.direction, cubeSize);
+        const faceImage = () => sharp(pixels, { raw: { width: cubeSize, height: cubeSize, channels: 3 } });
+
+        let size = cubeSize;
+        for (let level = levels; level >= 1; level--) {
+            const levelDir = path.join(outDir, String(level));
+            await fs.mkdir(levelDir, { recursive: true });
+
+            const scaled = await faceImage().resize(size, size).raw().toBuffer();
+            const tiles = Math.ceil(size / tileSize);
+
+            for (let row = 0; row < tiles; row++) {
+                for (let col = 0; col < tiles; col++) {
+                    const left = col * tileSize;
+                    const top = row * tileSize;
+
+                    await sharp(scaled, { raw: { width: size, height: size, channels: 3 } })
+                        .extract({
+                            left,
+                            top,
+                            width: Math.min(tileSize, size - left),
+                            height: Math.min(tileSize, size - top)
+                        })
+                        .jpeg({ quality: options.quality })
+                        .toFile(path.join(levelDir, `${face.letter}${row}_${col}.jpg`));
+                }
+            }
+
+            size = Math.floor(size / 2);
+        }
+
+        await fs.mkdir(path.join(outDir, 'fallback'), { recursive: true });
+        await faceImage()
+            .resize(Math.min(FALLBACK_FACE_SIZE, cubeSize), Math.min(FALLBACK_FACE_SIZE, cubeSize))
+            .jpeg({ quality: options.quality })
+            .toFile(path.join(outDir, 'fallback', `${face.letter}.jpg`));
+
+        console.log(`tiles    ${outDir} (face ${face.letter})`);
+    }
+
+    return {
+        basePath: toPublicPath(outDir),
+        path: '/%l/%s%y_%x',
+        fallbackPath: '/fallback/%s',
+        extension: 'jpg',
+        tileResolution: tileSize,
+        maxLevel: levels,
+        cubeResolution: cubeSize
+    };
+}
+
+
+/**
+ * Render one cube face from an equirectangular image (bilinear sampling).
+ *
+ * @param {Object} source - { data, info } raw RGB buffer from sharp
+ * @param {Function} direction - Maps face (u, v) to a view direction
+ * @param {number} size - Face size in pixels
+ * @returns {Buffer} Raw RGB face pixels
+ */
+function projectFace(source, direction, size) {
+    const { data, info } = source;
+    const { width, height, channels } = info;
+    const face = Buffer.alloc(size * size * 3);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = (2 * (x + 0.5)) / size - 1;
+            const v = (2 * (y + 0.5)) / size - 1;
+            const [dx, dy, dz] = direction(u, v);
+
+            // Yaw 0 looks down -z; positive yaw turns right (+x)
+            const yaw = Math.atan2(dx, -dz);
+            const pitch = Math.atan2(dy, Math.hypot(dx, dz));
+
+            const sx = (yaw / (2 * Math.PI) + 0.5) * width - 0.5;
+            const sy = (0.5 - pitch / Math.PI) * height - 0.5;
+
+            const out = (y * size + x) * 3;
+            sampleBilinear(data, width, height, channels, sx, sy, face, out);
+        }
+    }
+
+    return face;
+}
+
+
+/**
+ * Bilinear sample with horizontal wrap-around (the panorama's seam).
+ */
+function sampleBilinear(data, width, height, channels, sx, sy, target, offset) {
+    const x0 = Math.floor(sx);
+    const y0 = Math.max(0, Math.min(height - 1, Math.floor(sy)));
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = sx - x0;
+    const fy = Math.max(0, Math.min(1, sy - Math.floor(sy)));
+
+    const wrap = x => ((x % width) + width) % width;
+    const xa = wrap(x0);
+    const xb = wrap(x0 + 1);
+
+    for (let c = 0; c < 3; c++) {
+        const p00 = data[(y0 * width + xa) * channels + c];
+        const p10 = data[(y0 * width + xb) * channels + c];
+        const p01 = data[(y1 * width + xa) * channels + c];
+        const p11 = data[(y1 * width + xb) * channels + c];
+
+        const top = p00 + (p10 - p00) * fx;
+        const bottom = p01 + (p11 - p01) * fx;
+        target[offset + c] = Math.round(top + (bottom - top) * fy);
+    }
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command-line arguments.
+ */
+function parseArgs(args) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        switch (arg) {
+            case '--out':
+                options.out = args[++i];
+                break;
+            case '--widths':
+                options.widths = args[++i].split(',').map(Number).filter(w => w > 0);
+                break;
+            case '--multires':
+                options.multires = true;
+                break;
+            case '--tile-size':
+                options.tileSize = Number(args[++i]);
+                break;
+            case '--quality':
+                options.quality = Number(args[++i]);
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.input = arg;
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: pnpm panoramas <input.jpg> [--out dir] [--widths 1024,2048] [--multires]');
+    }
+
+    return options;
+}
+
+
+/**
+ * Turn an output path under public/ into the page-relative URL it's served
+ * at (the build uses relative URLs so it can be hosted in any folder).
+ */
+function toPublicPath(file) {
+    const relative = path.relative('public', file).split(path.sep).join('/');
+    return relative.startsWith('..') ? file : relative;
+}
+
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
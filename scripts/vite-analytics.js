@@ -0,0 +1,156 @@
+/**
+ * Analytics Dev Endpoint
+ *
+ * A stand-in for the analytics service while running `pnpm dev`, so
+ * recording (src/analytics.js) and the heatmap (src/heatmap.js) can be
+ * tried without an outside server:
+ *
+ * - POST /__analytics          stores a batch in memory and logs a line
+ * - GET  /__analytics?tour=<id> returns that tour's totals:
+ *   { tour, binSize, sessions, scenes: { <sceneId>: { visits, dwell, gaze } } }
+ *
+ * Everything is forgotten when the dev server restarts.
+ */
+
+import { DEV_ANALYTICS_ENDPOINT } from '../src/analytics.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Largest batch accepted, in bytes.
+ */
+const MAX_BODY_SIZE = 256 * 1024;
+
+
+// ============================================================================
+// PLUGIN
+// ============================================================================
+
+export default function analyticsEndpoint() {
+    return {
+        name: 'home-tour:analytics-endpoint',
+        apply: 'serve',
+
+        configureServer(server) {
+            const store = createAnalyticsStore();
+            const logger = server.config.logger;
+
+            server.middlewares.use(DEV_ANALYTICS_ENDPOINT, async (req, res) => {
+                if (req.method === 'GET') {
+                    const tourId = new URL(req.url, 'http://localhost').searchParams.get('tour');
+                    sendJson(res, 200, store.summarize(tourId));
+                    return;
+                }
+
+                if (req.method !== 'POST') {
+                    sendJson(res, 405, { error: 'Use GET or POST' });
+                    return;
+                }
+
+                try {
+                    const batch = JSON.parse(await readBody(req));
+                    store.add(batch);
+                    logger.info(`[analytics] ${batch.tour} session ${String(batch.session).slice(0, 8)} #${batch.seq}: ${batch.records.length} records`, { timestamp: true });
+                    res.statusCode = 204;
+                    res.end();
+                } catch (error) {
+                    sendJson(res, 400, { error: error.message });
+                }
+            });
+        }
+    };
+}
+
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * In-memory totals per tour, built up from batches.
+ *
+ * @returns {{ add: Function, summarize: Function }}
+ */
+export function createAnalyticsStore() {
+    const tours = new Map();
+
+    return {
+        /**
+         * @param {Object} batch - As sent by src/analytics.js
+         */
+        add(batch) {
+            if (typeof batch?.tour !== 'string' || !Array.isArray(batch.records)) {
+                throw new Error('Not an analytics batch');
+            }
+
+            if (!tours.has(batch.tour)) {
+                tours.set(batch.tour, { binSize: batch.binSize, sessions: new Set(), scenes: {} });
+            }
+            const totals = tours.get(batch.tour);
+            totals.sessions.add(batch.session);
+
+            const sceneTotals = sceneId => (totals.scenes[sceneId] ||= { visits: 0, dwell: 0, gaze: {} });
+
+            batch.records
+                .filter(record => record.type === 'enter')
+                .forEach(record => sceneTotals(record.sceneId).visits++);
+
+            Object.entries(batch.dwell || {}).forEach(([sceneId, ms]) => {
+                sceneTotals(sceneId).dwell += ms;
+            });
+
+            // Gaze bins only add up when they're the same size
+            if (batch.binSize !== totals.binSize) return;
+
+            Object.entries(batch.gaze || {}).forEach(([sceneId, bins]) => {
+                const gaze = sceneTotals(sceneId).gaze;
+                Object.entries(bins).forEach(([bin, ms]) => {
+                    gaze[bin] = (gaze[bin] || 0) + ms;
+                });
+            });
+        },
+
+        /**
+         * @param {string} tourId
+         * @returns {Object} Totals, empty when nothing was recorded for the tour
+         */
+        summarize(tourId) {
+            const totals = tours.get(tourId);
+            return {
+                tour: tourId,
+                binSize: totals?.binSize ?? null,
+                sessions: totals?.sessions.size ?? 0,
+                scenes: totals?.scenes ?? {}
+            };
+        }
+    };
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Batch too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+}
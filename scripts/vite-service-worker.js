@@ -0,0 +1,102 @@
+/**
+ * Service Worker Build Plugin
+ *
+ * Turns src/service-worker.js into dist/sw.js with its precache manifest:
+ * every file the build emitted (except legacy .woff fonts), the web app
+ * manifest and icons, and the built-in tour's panoramas and floor plan.
+ *
+ * The version is a hash of those files' contents, so any deploy that
+ * changes one of them produces a new sw.js and the tour prompts open
+ * pages to reload.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SCENE_CONFIG, FLOOR_PLAN } from '../src/config.js';
+import { getTourAssetUrls } from '../src/offline.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SOURCE = 'src/service-worker.js';
+const OUTPUT = 'sw.js';
+
+/**
+ * Files from public/ the installed app needs besides the tour's own assets.
+ */
+const APP_FILES = [
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+/**
+ * Bundle files not worth storing on the device (every browser that runs
+ * service workers uses the .woff2 copies).
+ */
+const SKIPPED_FILES = /\.woff$/;
+
+
+// ============================================================================
+// PLUGIN
+// ============================================================================
+
+export default function serviceWorker() {
+    return {
+        name: 'home-tour:service-worker',
+        apply: 'build',
+
+        async writeBundle(options, bundle) {
+            const outDir = options.dir;
+            const candidates = [
+                ...Object.keys(bundle).filter(file => !SKIPPED_FILES.test(file)),
+                ...APP_FILES,
+                // Only the smallest variant; the page caches the one the device picks
+                ...getTourAssetUrls(SCENE_CONFIG, FLOOR_PLAN, getSmallestImage)
+            ];
+
+            const hash = crypto.createHash('sha256');
+            const urls = [];
+
+            for (const url of [...new Set(candidates)].sort()) {
+                try {
+                    hash.update(url).update(await fs.readFile(path.join(outDir, url)));
+                    urls.push(url);
+                } catch {
+                    this.warn(`${url} is not in the build, so it won't be available offline`);
+                }
+            }
+
+            const manifest = { version: hash.digest('hex').slice(0, 12), urls };
+            const source = await fs.readFile(SOURCE, 'utf8');
+
+            await fs.writeFile(
+                path.join(outDir, OUTPUT),
+                `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n${source}`
+            );
+        }
+    };
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Build-time stand-in for getSceneImages (which needs the device).
+ */
+function getSmallestImage(scene) {
+    if (scene.multiRes || scene.cubeMap) {
+        return null;
+    }
+
+    const [smallest] = [...(scene.variants || [])].sort((a, b) => a.width - b.width);
+    const image = smallest ? smallest.image : scene.image;
+    return { preview: image, full: image };
+}
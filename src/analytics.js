@@ -0,0 +1,309 @@
+/**
+ * Engagement Analytics
+ *
+ * Records how buyers move through a tour and sends it, in batches, to
+ * ANALYTICS.endpoint (config.js) with navigator.sendBeacon:
+ * - time spent in each room (only while the page is visible)
+ * - the path through the tour
+ * - hotspot clicks and fullscreen use
+ * - where people look: every sampleInterval the camera direction is added
+ *   to a binSize x binSize degree bin of the room's panorama
+ *
+ * Privacy: nothing is recorded while the browser sends Do Not Track or
+ * Global Privacy Control, nor - with ANALYTICS.requireConsent - until the
+ * page calls HomeTour.setAnalyticsConsent(true), e.g. from its cookie
+ * banner. The answer is remembered on the device, and a "no" is honoured
+ * even when consent isn't required. Batches carry a random per-visit
+ * session ID and nothing that identifies the visitor.
+ *
+ * Batch (JSON sent as text/plain, so cross-origin endpoints need no preflight):
+ * {
+ *     "session": "<random ID>", "tour": "<tour ID>", "seq": 0, "sentAt": <epoch ms>,
+ *     "binSize": 15,
+ *     "records": [
+ *         { "type": "enter", "sceneId": "lounge", "from": "living-room", "at": <epoch ms> },
+ *         { "type": "hotspot", "sceneId": "lounge", "hotspot": { "type": "info", ... }, "at": <epoch ms> },
+ *         { "type": "fullscreen", "fullscreen": true, "at": <epoch ms> }
+ *     ],
+ *     "dwell": { "<sceneId>": <ms> },
+ *     "gaze": { "<sceneId>": { "<yawBin>,<pitchBin>": <ms> } }
+ * }
+ *
+ * `dwell` and `gaze` only cover the time since the previous batch. Bins count
+ * from yaw -180 and pitch -90, so bin "12,6" with binSize 15 starts at yaw 0,
+ * pitch 0. The dev server answers at DEV_ANALYTICS_ENDPOINT (see
+ * scripts/vite-analytics.js) and heatmap.js draws what it collected.
+ */
+
+import { on } from './events.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Where the dev server's stand-in endpoint listens.
+ */
+export const DEV_ANALYTICS_ENDPOINT = '/__analytics';
+
+/**
+ * localStorage key holding the visitor's answer ('granted' or 'denied').
+ */
+const CONSENT_KEY = 'homeTourAnalyticsConsent';
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const analytics = {
+    options: null,
+    session: null,
+    seq: 0,
+    consent: undefined,       // Read from localStorage on first use
+    active: false,
+    unsubscribe: [],
+    sampleTimer: null,
+    batchTimer: null,
+    lastSample: null,         // performance.now() of the last sample, null while hidden
+    batch: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start recording, if the visitor allows it.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - URL batches are sent to
+ * @param {string} options.tourId - Identifies the tour in every batch
+ * @param {boolean} options.requireConsent - Wait for setAnalyticsConsent(true)
+ * @param {number} options.batchInterval - Milliseconds between batches
+ * @param {number} options.sampleInterval - Milliseconds between camera samples
+ * @param {number} options.binSize - Degrees per gaze bin
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.getView - Returns the camera ({ yaw, pitch }), or null mid-transition
+ * @param {Function} options.describeHotspot - Reduces a hotspot to the fields worth recording
+ */
+export function initAnalytics(options) {
+    analytics.options = options;
+    analytics.session = createSessionId();
+    updateRecording();
+}
+
+
+/**
+ * Record the visitor's answer to the page's consent prompt. Takes effect
+ * immediately: granting starts recording, refusing stops it and drops
+ * anything not yet sent.
+ *
+ * @param {boolean} granted
+ */
+export function setAnalyticsConsent(granted) {
+    try {
+        localStorage.setItem(CONSENT_KEY, granted ? 'granted' : 'denied');
+    } catch {
+        // Storage disabled: the answer still holds for this visit
+    }
+    analytics.consent = Boolean(granted);
+
+    // Before initAnalytics() the answer is simply stored for when it runs
+    if (analytics.options) {
+        updateRecording();
+    }
+}
+
+
+/**
+ * Whether the browser asks not to be tracked.
+ *
+ * @returns {boolean}
+ */
+export function isDoNotTrackEnabled() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+
+/**
+ * Bin a camera direction.
+ *
+ * @param {number} yaw - Degrees (any range)
+ * @param {number} pitch - Degrees (-90 to 90)
+ * @param {number} binSize - Degrees per bin
+ * @returns {string} "<yawBin>,<pitchBin>"
+ */
+export function getGazeBin(yaw, pitch, binSize) {
+    const normalizedYaw = ((yaw + 180) % 360 + 360) % 360;
+    const yawBin = Math.floor(normalizedYaw / binSize);
+    const pitchBin = Math.min(Math.floor((pitch + 90) / binSize), Math.ceil(180 / binSize) - 1);
+    return `${yawBin},${Math.max(pitchBin, 0)}`;
+}
+
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Start or stop recording to match Do Not Track and consent. A refusal
+ * counts even when consent isn't required.
+ */
+function updateRecording() {
+    const consent = getConsent();
+    const allowed = !isDoNotTrackEnabled() && (consent ?? !analytics.options.requireConsent);
+
+    if (allowed && !analytics.active) {
+        start();
+    } else if (!allowed && analytics.active) {
+        stop();
+    }
+}
+
+
+/**
+ * @returns {boolean|null} The visitor's answer, or null if they haven't given one
+ */
+function getConsent() {
+    if (analytics.consent === undefined) {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(CONSENT_KEY);
+        } catch {
+            // Storage disabled: treat as unanswered
+        }
+        analytics.consent = stored === null ? null : stored === 'granted';
+    }
+    return analytics.consent;
+}
+
+
+function start() {
+    const { sampleInterval, batchInterval, getCurrentScene } = analytics.options;
+
+    analytics.active = true;
+    analytics.batch = createBatch();
+    analytics.lastSample = document.hidden ? null : performance.now();
+
+    // Recording can start mid-visit (consent given later): the current room counts as entered now
+    const sceneId = getCurrentScene();
+    if (sceneId) {
+        record({ type: 'enter', sceneId, from: null });
+    }
+
+    analytics.unsubscribe = [
+        on('sceneChange', ({ sceneId, previousScene }) => {
+            sample(previousScene);
+            record({ type: 'enter', sceneId, from: previousScene });
+        }),
+        on('hotspotClick', ({ sceneId, hotspot }) => {
+            record({ type: 'hotspot', sceneId, hotspot: analytics.options.describeHotspot(hotspot) });
+        }),
+        on('fullscreenChange', ({ fullscreen }) => {
+            record({ type: 'fullscreen', fullscreen });
+        })
+    ];
+
+    analytics.sampleTimer = setInterval(() => sample(), sampleInterval);
+    analytics.batchTimer = setInterval(flush, batchInterval);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flush);
+}
+
+
+function stop() {
+    analytics.active = false;
+    analytics.unsubscribe.forEach(unsubscribe => unsubscribe());
+    analytics.unsubscribe = [];
+    clearInterval(analytics.sampleTimer);
+    clearInterval(analytics.batchTimer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', flush);
+    analytics.batch = null;
+}
+
+
+function record(entry) {
+    analytics.batch.records.push({ ...entry, at: Date.now() });
+}
+
+
+/**
+ * Credit the time since the last sample to a room (the current one unless
+ * given) and the direction the camera faces now.
+ *
+ * @param {string} [sceneId] - Room the time was spent in
+ */
+function sample(sceneId = analytics.options.getCurrentScene()) {
+    const now = performance.now();
+    const elapsed = analytics.lastSample === null ? 0 : Math.round(now - analytics.lastSample);
+    analytics.lastSample = document.hidden ? null : now;
+
+    if (!sceneId || elapsed === 0) return;
+
+    const { dwell, gaze } = analytics.batch;
+    dwell[sceneId] = (dwell[sceneId] || 0) + elapsed;
+
+    // Transitions count as time in the room but not as looking anywhere
+    const view = analytics.options.getView();
+    if (!view) return;
+
+    const bin = getGazeBin(view.yaw, view.pitch, analytics.options.binSize);
+    gaze[sceneId] ||= {};
+    gaze[sceneId][bin] = (gaze[sceneId][bin] || 0) + elapsed;
+}
+
+
+/**
+ * Send what's been recorded since the last batch. A batch the browser
+ * refuses to queue is kept and retried with the next one.
+ */
+function flush() {
+    if (!analytics.active) return;
+
+    sample();
+    const { records, dwell, gaze } = analytics.batch;
+    if (records.length === 0 && Object.keys(dwell).length === 0) return;
+
+    const { endpoint, tourId, binSize } = analytics.options;
+    const payload = JSON.stringify({
+        session: analytics.session,
+        tour: tourId,
+        seq: analytics.seq,
+        sentAt: Date.now(),
+        binSize,
+        records,
+        dwell,
+        gaze
+    });
+
+    if (navigator.sendBeacon?.(endpoint, payload)) {
+        analytics.seq++;
+        analytics.batch = createBatch();
+    }
+}
+
+
+function handleVisibilityChange() {
+    if (document.hidden) {
+        // The tab may never come back, so send now
+        flush();
+    } else {
+        analytics.lastSample = performance.now();
+    }
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function createBatch() {
+    return { records: [], dwell: {}, gaze: {} };
+}
+
+function createSessionId() {
+    return crypto.randomUUID?.() ?? Math.random().toString(36).slice(2);
+}
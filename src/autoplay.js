@@ -0,0 +1,405 @@
+/**
+ * Guided Auto-Tour
+ *
+ * Plays the tour unattended - for open-house kiosks and listing videos.
+ * A script is a list of stops; at each stop the tour moves to the scene,
+ * glides the camera through its keyframes, holds for the dwell time and
+ * moves on, looping at the end:
+ *
+ * [
+ *     {
+ *         scene: 'living-room',
+ *         caption: 'Bright, modern living space',
+ *         keyframes: [
+ *             { yaw: 0, pitch: 0, hfov: 110, duration: 1500 },
+ *             { yaw: 60, pitch: -5, hfov: 100, duration: 6000 }
+ *         ],
+ *         dwell: 2000
+ *     }
+ * ]
+ *
+ * Yaw moves take the short way round, so keep consecutive keyframes less
+ * than 180° apart. Any drag, touch, scroll or key press pauses playback.
+ * With prefers-reduced-motion the camera cuts to each keyframe instead of
+ * gliding, and holds it for the keyframe's duration.
+ */
+
+import { motionDuration } from './utils.js';
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * URL query parameter that starts playback on load (kiosk mode).
+ */
+const AUTOPLAY_PARAM = 'autoplay';
+
+/**
+ * Timings (ms) and pan width for scripts derived from the hotspot graph.
+ */
+const DEFAULT_SETTLE_DURATION = 1500;     // Ease into the room's initial view
+const DEFAULT_PAN_DURATION = 7000;        // Slow look around the room
+const DEFAULT_PAN_ANGLE = 70;             // Degrees panned to the right
+const DEFAULT_TURN_DURATION = 2000;       // Turn towards the doorway to the next room
+const DEFAULT_DWELL = 1500;
+
+/**
+ * Events that count as the user taking over.
+ */
+const INTERACTION_EVENTS = ['mousedown', 'touchstart', 'wheel', 'keydown'];
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const playback = {
+    script: [],
+    status: 'stopped',        // 'stopped' | 'playing' | 'paused'
+    stopIndex: 0,
+    keyframeIndex: 0,
+    token: 0,                 // Bumped to cancel whatever step is in flight
+    missed: 0,                // Stops in a row whose room couldn't be shown
+    timer: null,
+    getViewer: null,
+    getCurrentScene: null,
+    navigateToScene: null,
+    onStatusChange: null,
+    elements: {}
+};
+
+
+// ============================================================================
+// SCRIPTS
+// ============================================================================
+
+/**
+ * Derive a sensible tour from the hotspot graph: walk the rooms depth-first
+ * from the default scene, look around each one, then turn towards the
+ * doorway to the next. Rooms no hotspot leads to are visited last.
+ *
+ * @param {Object} scenes - All scenes, keyed by ID
+ * @param {string} startScene - Scene to begin with
+ * @returns {Array} Script stops
+ */
+export function buildDefaultScript(scenes, startScene) {
+    const order = [];
+    const visit = (sceneId) => {
+        if (order.includes(sceneId) || !scenes[sceneId]) return;
+        order.push(sceneId);
+        scenes[sceneId].hotspots
+            .filter(hotspot => hotspot.type !== 'info')
+            .forEach(hotspot => visit(hotspot.targetScene));
+    };
+
+    visit(startScene);
+    Object.keys(scenes).forEach(visit);
+
+    return order.map((sceneId, index) => {
+        const scene = scenes[sceneId];
+        const view = scene.initialView;
+        const nextScene = order[(index + 1) % order.length];
+        const doorway = scene.hotspots.find(hotspot => hotspot.targetScene === nextScene);
+
+        const keyframes = [
+            { ...view, duration: DEFAULT_SETTLE_DURATION },
+            { yaw: normalizeYaw(view.yaw + DEFAULT_PAN_ANGLE), pitch: view.pitch, hfov: view.hfov, duration: DEFAULT_PAN_DURATION }
+        ];
+        if (doorway) {
+            keyframes.push({ yaw: doorway.yaw, pitch: doorway.pitch, hfov: view.hfov, duration: DEFAULT_TURN_DURATION });
+        }
+
+        return {
+            scene: sceneId,
+            caption: scene.description || scene.title,
+            keyframes,
+            dwell: DEFAULT_DWELL
+        };
+    });
+}
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the page asked to start playing straight away.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {boolean}
+ */
+export function isAutoplayRequested(search = window.location.search) {
+    return new URLSearchParams(search).has(AUTOPLAY_PARAM);
+}
+
+
+/**
+ * Set up playback controls and interaction detection.
+ *
+ * @param {Object} options
+ * @param {Array} options.script - Stops to play (see buildDefaultScript)
+ * @param {Function} options.getViewer - Returns the Pannellum viewer
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.navigateToScene - Moves to a scene; resolves once it has loaded
+ * @param {Function} [options.onStatusChange] - Called with 'playing', 'paused' or 'stopped'
+ */
+export function initAutoplay(options) {
+    Object.assign(playback, options);
+
+    playback.elements = {
+        playButton: document.getElementById('btn-play-tour'),
+        bar: document.getElementById('autoplay-bar'),
+        caption: document.getElementById('autoplay-caption'),
+        toggle: document.getElementById('btn-autoplay-toggle'),
+        skip: document.getElementById('btn-autoplay-skip'),
+        stop: document.getElementById('btn-autoplay-stop')
+    };
+
+    const { playButton, toggle, skip, stop } = playback.elements;
+    playButton?.addEventListener('click', startAutoplay);
+    toggle?.addEventListener('click', () => {
+        if (playback.status === 'playing') {
+            pauseAutoplay();
+        } else {
+            resumeAutoplay();
+        }
+    });
+    skip?.addEventListener('click', skipStop);
+    stop?.addEventListener('click', stopAutoplay);
+
+    on('localeChange', () => {
+        if (playback.status !== 'stopped') {
+            showCaption(playback.script[playback.stopIndex].caption);
+        }
+    });
+
+    // Capture phase so we see the interaction before Pannellum or other handlers
+    INTERACTION_EVENTS.forEach(type => {
+        document.addEventListener(type, handleUserInteraction, { capture: true, passive: true });
+    });
+}
+
+
+/**
+ * Start the tour from the first stop.
+ */
+export function startAutoplay() {
+    if (playback.script.length === 0) return;
+
+    playback.missed = 0;
+    setStatus('playing');
+    runFrom(0, 0);
+}
+
+
+/**
+ * Pause at the current position (camera stops where it is).
+ */
+export function pauseAutoplay() {
+    if (playback.status !== 'playing') return;
+
+    cancelStep();
+    playback.getViewer()?.stopMovement();
+    setStatus('paused');
+}
+
+
+/**
+ * Continue from the keyframe that was playing when paused.
+ */
+export function resumeAutoplay() {
+    if (playback.status !== 'paused') return;
+
+    setStatus('playing');
+    runFrom(playback.stopIndex, playback.keyframeIndex);
+}
+
+
+/**
+ * Jump to the next stop.
+ */
+export function skipStop() {
+    if (playback.status === 'stopped') return;
+
+    setStatus('playing');
+    runFrom((playback.stopIndex + 1) % playback.script.length, 0);
+}
+
+
+/**
+ * End playback and hide the controls.
+ */
+export function stopAutoplay() {
+    if (playback.status === 'stopped') return;
+
+    cancelStep();
+    playback.getViewer()?.stopMovement();
+    setStatus('stopped');
+}
+
+
+/**
+ * @returns {string} 'playing', 'paused' or 'stopped'
+ */
+export function getAutoplayStatus() {
+    return playback.status;
+}
+
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Play the script from a given stop and keyframe. A newer call (or a
+ * pause/stop) bumps the token, which makes this one bail out at its next
+ * checkpoint.
+ *
+ * @param {number} stopIndex
+ * @param {number} keyframeIndex
+ */
+async function runFrom(stopIndex, keyframeIndex) {
+    cancelStep();
+    const token = playback.token;
+    const stop = playback.script[stopIndex];
+
+    playback.stopIndex = stopIndex;
+    playback.keyframeIndex = keyframeIndex;
+    showCaption(stop.caption);
+
+    // Arrive already framed on the first keyframe rather than gliding to it
+    if (playback.getCurrentScene() !== stop.scene) {
+        const [first] = stop.keyframes;
+        await playback.navigateToScene(stop.scene, first ? { view: first } : undefined);
+        if (token !== playback.token) return;
+
+        // The room failed to load, or the move was vetoed or ignored
+        if (playback.getCurrentScene() !== stop.scene) {
+            skipMissedStop(stopIndex);
+            return;
+        }
+        if (first && keyframeIndex === 0) keyframeIndex = 1;
+    }
+    playback.missed = 0;
+
+    for (let index = keyframeIndex; index < stop.keyframes.length; index++) {
+        playback.keyframeIndex = index;
+        await animateTo(stop.keyframes[index]);
+        if (token !== playback.token) return;
+    }
+
+    await wait(stop.dwell || 0);
+    if (token !== playback.token) return;
+
+    runFrom((stopIndex + 1) % playback.script.length, 0);
+}
+
+
+/**
+ * Move on from a stop whose room couldn't be shown, or stop playing once
+ * none of them can.
+ *
+ * @param {number} stopIndex
+ */
+function skipMissedStop(stopIndex) {
+    console.warn('Autoplay skipped a room it couldn\'t show:', playback.script[stopIndex].scene);
+
+    if (++playback.missed >= playback.script.length) {
+        stopAutoplay();
+        return;
+    }
+    runFrom((stopIndex + 1) % playback.script.length, 0);
+}
+
+
+/**
+ * Glide the camera to a keyframe.
+ *
+ * @param {Object} keyframe - { yaw, pitch, hfov, duration }
+ * @returns {Promise} Resolves when the move should be finished
+ */
+function animateTo(keyframe) {
+    const duration = keyframe.duration || 0;
+    playback.getViewer().lookAt(keyframe.pitch, keyframe.yaw, keyframe.hfov, motionDuration(duration));
+    return wait(duration);
+}
+
+
+/**
+ * Cancellable delay: cancelStep() clears it and the token check in runFrom
+ * stops the sequence.
+ */
+function wait(ms) {
+    return new Promise(resolve => {
+        playback.timer = setTimeout(resolve, ms);
+    });
+}
+
+
+function cancelStep() {
+    playback.token++;
+    clearTimeout(playback.timer);
+    playback.timer = null;
+}
+
+
+// ============================================================================
+// UI
+// ============================================================================
+
+/**
+ * Pause when the user drags, touches, scrolls or presses a key anywhere
+ * except on the playback controls themselves.
+ *
+ * @param {Event} event
+ */
+function handleUserInteraction(event) {
+    if (playback.status !== 'playing') return;
+
+    const { bar, playButton } = playback.elements;
+    if (bar?.contains(event.target) || playButton?.contains(event.target)) return;
+
+    pauseAutoplay();
+}
+
+
+function setStatus(status) {
+    playback.status = status;
+
+    const { bar, toggle, playButton } = playback.elements;
+    if (bar) bar.hidden = status === 'stopped';
+    if (playButton) playButton.hidden = status !== 'stopped';
+    if (toggle) {
+        // data-i18n keeps the label in step with the locale switcher
+        toggle.dataset.i18n = status === 'paused' ? 'autoplay.resume' : 'autoplay.pause';
+        toggle.textContent = t(toggle.dataset.i18n);
+        toggle.setAttribute('aria-pressed', String(status === 'paused'));
+    }
+
+    playback.onStatusChange?.(status);
+}
+
+
+function showCaption(caption) {
+    const { caption: captionEl } = playback.elements;
+    if (!captionEl) return;
+
+    captionEl.textContent = localize(caption);
+    captionEl.hidden = !captionEl.textContent;
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Wrap a yaw into the -180..180 range.
+ */
+function normalizeYaw(yaw) {
+    return ((yaw + 540) % 360) - 180;
+}
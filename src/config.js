@@ -0,0 +1,431 @@
+/**
+ * Built-in Tour Configuration
+ *
+ * The sample property shown when the page is opened without a manifest
+ * (see manifest.js), and the defaults a manifest can override.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Room names, shared by each scene's title and the hotspots leading to it.
+ */
+const ROOM_TITLES = {
+    livingRoom: { en: 'Living Room', es: 'Salón', fr: 'Salon', ar: 'غرفة المعيشة' },
+    openLivingKitchen: { en: 'Open Living & Kitchen', es: 'Salón y cocina abiertos', fr: 'Séjour et cuisine ouverte', ar: 'المعيشة والمطبخ المفتوح' },
+    lounge: { en: 'Lounge', es: 'Sala de estar', fr: 'Espace détente', ar: 'الصالة' },
+    musicRoom: { en: 'Music Room', es: 'Sala de música', fr: 'Salle de musique', ar: 'غرفة الموسيقى' }
+};
+
+
+/**
+ * Scene configuration for all rooms in the tour.
+ * Each scene contains positioning data, navigation links, and hotspot placements.
+ * 
+ * Hotspot coordinates (yaw/pitch) are based on equirectangular projection:
+ * - Yaw: horizontal angle in degrees (-180 to 180, 0 = front center)
+ * - Pitch: vertical angle in degrees (-90 to 90, 0 = horizon)
+ * 
+ * To add more rooms:
+ * 1. Add a new entry to SCENE_CONFIG with a unique key
+ * 2. Add the panorama image to the public/panos/ directory (or generate resolution
+ *    variants / multires tiles with scripts/generate-panoramas.js and use
+ *    `variants` or `multiRes` instead of `image` - see quality.js)
+ * 3. Define hotspots with yaw/pitch coordinates pointing to other scenes
+ * 4. Update existing scenes' hotspots to link to the new room
+ *
+ * Hotspots come in two kinds, freely mixed within a room:
+ * - Navigation (the default): `targetScene` + `label`, walks to another room
+ * - Info (`type: 'info'`): `title` plus optional `text` (basic HTML),
+ *   `image`, `imageAlt`, `dimensions` and `link: { href, label }`; opens a
+ *   content card about a feature of the room
+ *
+ * Plugins can add more kinds (`type: '<name>'`, see plugins.js).
+ *
+ * To show a room on the floor-plan minimap, give it a `mapPosition` ({ x, y }
+ * as fractions of FLOOR_PLAN's width/height) and, if the panorama's yaw 0
+ * doesn't face the top of the plan, a `northOffset` in degrees.
+ *
+ * Give a room a `cameraHeight` (metres from the floor to the lens) to let
+ * visitors measure floor distances and heights in it (see measure.js).
+ *
+ * A room photographed more than one way - daylight and dusk, empty and
+ * staged - lists the others as `versions`, each { id, label } plus its
+ * own `image` (or `variants`, `multiRes`, `cubeMap`); `versionLabel` names
+ * the room's own panorama. Versions share the room's hotspots and
+ * initial view (see versions.js):
+ *   versionLabel: 'Daylight',
+ *   versions: [{ id: 'dusk', label: 'Dusk', image: '/panos/lounge-dusk.jpg' }]
+ *
+ * Visitor-facing text (titles, descriptions, labels, card content) is
+ * either a string or translations keyed by locale - { en: 'Lounge',
+ * fr: 'Salon' } - shown in the visitor's language (see i18n.js).
+ *
+ * Set `keepYaw: true` on a navigation hotspot to keep the camera's current heading when
+ * walking through it instead of jumping to the target's initialView - this
+ * makes open doorways between adjacent rooms feel continuous.
+ *
+ * This built-in config is only used when no manifest is given. To publish a
+ * tour without rebuilding, add /tours/<slug>/tour.json (see manifest.js) and
+ * open the page with ?tour=<slug>.
+ */
+export const SCENE_CONFIG = {
+    // Living Room - The main entry point and central hub
+    'living-room': {
+        id: 'living-room',
+        title: ROOM_TITLES.livingRoom,
+        description: {
+            en: 'Bright, modern living space with large windows',
+            es: 'Salón luminoso y moderno con grandes ventanales',
+            fr: 'Pièce de vie lumineuse et moderne aux grandes fenêtres',
+            ar: 'مساحة معيشة عصرية ومشرقة بنوافذ كبيرة'
+        },
+        image: 'panos/living-room.jpg',
+
+        // Initial camera position when entering this scene
+        // These values position the view to highlight the main features
+        initialView: {
+            yaw: 0,           // Start facing the main window/TV area
+            pitch: 0,         // Eye level
+            hfov: 110         // Wide field of view for spacious feel
+        },
+
+        // Navigation hotspots linking to other rooms
+        // Positioned based on logical room layout
+        hotspots: [
+            {
+                targetScene: 'open-living-kitchen',
+                yaw: -90,         // To the left - kitchen area
+                pitch: -5,        // Slightly below eye level
+                label: ROOM_TITLES.openLivingKitchen
+            },
+            {
+                targetScene: 'lounge',
+                yaw: 110,          // To the right - lounge area
+                pitch: 0,
+                label: ROOM_TITLES.lounge
+            }
+        ],
+
+        // Position on the floor-plan minimap (fractions of plan width/height)
+        mapPosition: { x: 0.48, y: 0.58 },
+
+        // Lens height above the floor, in metres, for measure mode
+        cameraHeight: 1.6,
+
+        // Accent color for UI elements (matches room aesthetic)
+        accentColor: '#6366f1'
+    },
+
+    // Open Living & Kitchen - Connected open-plan space
+    'open-living-kitchen': {
+        id: 'open-living-kitchen',
+        title: ROOM_TITLES.openLivingKitchen,
+        description: {
+            en: 'Spacious open-plan living and kitchen area',
+            es: 'Amplio espacio diáfano de salón y cocina',
+            fr: 'Vaste espace ouvert de séjour et de cuisine',
+            ar: 'مساحة واسعة مفتوحة للمعيشة والمطبخ'
+        },
+        image: 'panos/open-living-kitchen.jpg',
+
+        initialView: {
+            yaw: 45,          // Angled to show both living and kitchen areas
+            pitch: 0,
+            hfov: 110
+        },
+
+        hotspots: [
+            {
+                targetScene: 'living-room',
+                yaw: -120,        // Back towards living room
+                pitch: 0,
+                label: ROOM_TITLES.livingRoom
+            }
+        ],
+
+        mapPosition: { x: 0.18, y: 0.58 },
+
+        cameraHeight: 1.6,
+        accentColor: '#8b5cf6'
+    },
+
+    // Lounge - Luxury circular sitting area
+    'lounge': {
+        id: 'lounge',
+        title: ROOM_TITLES.lounge,
+        description: {
+            en: 'Luxury circular sitting area with architectural design',
+            es: 'Lujosa zona de estar circular de diseño arquitectónico',
+            fr: 'Luxueux coin salon circulaire au design architectural',
+            ar: 'جلسة دائرية فاخرة بتصميم معماري مميز'
+        },
+        image: 'panos/lounge.jpg',
+
+        initialView: {
+            yaw: 0,           // Face the central seating
+            pitch: -5,        // Slight downward angle for the curved sofa
+            hfov: 105         // Slightly narrower for intimate feel
+        },
+
+        hotspots: [
+            {
+                targetScene: 'living-room',
+                yaw: 160,         // Behind - back to living room
+                pitch: 0,
+                label: ROOM_TITLES.livingRoom
+            },
+            {
+                targetScene: 'music-room',
+                yaw: -60,         // Adjacent - to the music room
+                pitch: 0,
+                label: ROOM_TITLES.musicRoom,
+                keepYaw: true     // Open doorway - keep facing the same way
+            },
+            {
+                type: 'info',
+                yaw: 40,          // Front right - the glazed wall
+                pitch: 10,
+                title: {
+                    en: 'Floor-to-Ceiling Glazing',
+                    es: 'Acristalamiento de suelo a techo',
+                    fr: 'Baies vitrées toute hauteur',
+                    ar: 'واجهة زجاجية من الأرض إلى السقف'
+                },
+                text: {
+                    en: '<p>Timber-framed windows run the full height of the room and open onto the <strong>pool terrace</strong>.</p>',
+                    es: '<p>Los ventanales con marco de madera ocupan toda la altura de la estancia y se abren a la <strong>terraza de la piscina</strong>.</p>',
+                    fr: '<p>Des fenêtres à cadre bois occupent toute la hauteur de la pièce et s\'ouvrent sur la <strong>terrasse de la piscine</strong>.</p>',
+                    ar: '<p>نوافذ بإطارات خشبية تمتد بكامل ارتفاع الغرفة وتُطل على <strong>تراس المسبح</strong>.</p>'
+                },
+                dimensions: { en: '5.2 m × 4.8 m', es: '5,2 m × 4,8 m', fr: '5,2 m × 4,8 m', ar: '5.2 م × 4.8 م' }
+            },
+            {
+                type: 'info',
+                yaw: -70,         // Front left - the curved sofa
+                pitch: -25,
+                title: {
+                    en: 'Curved Sectional Sofa',
+                    es: 'Sofá modular curvo',
+                    fr: 'Canapé d\'angle incurvé',
+                    ar: 'أريكة منحنية متعددة الأجزاء'
+                },
+                text: {
+                    en: '<p>Built-in seating for eight, included in the sale.</p>',
+                    es: '<p>Asientos integrados para ocho personas, incluidos en la venta.</p>',
+                    fr: '<p>Assises intégrées pour huit personnes, incluses dans la vente.</p>',
+                    ar: '<p>جلسة مدمجة تتسع لثمانية أشخاص، مشمولة في البيع.</p>'
+                }
+            }
+        ],
+
+        mapPosition: { x: 0.8, y: 0.62 },
+
+        cameraHeight: 1.6,
+        accentColor: '#d946ef'
+    },
+
+    // Music Room - Cozy study with instruments
+    'music-room': {
+        id: 'music-room',
+        title: ROOM_TITLES.musicRoom,
+        description: {
+            en: 'Cozy music room with piano and guitar, featuring wood ceiling',
+            es: 'Acogedora sala de música con piano, guitarra y techo de madera',
+            fr: 'Salle de musique chaleureuse avec piano, guitare et plafond en bois',
+            ar: 'غرفة موسيقى دافئة مع بيانو وغيتار وسقف خشبي'
+        },
+        image: 'panos/music-room.jpg',
+
+        initialView: {
+            yaw: -30,         // Angled to show piano and fireplace
+            pitch: 5,         // Slightly up to show wood ceiling
+            hfov: 100         // Narrower FOV for cozy feeling
+        },
+
+        hotspots: [
+            {
+                targetScene: 'lounge',
+                yaw: 140,         // Back towards lounge
+                pitch: 0,
+                label: ROOM_TITLES.lounge
+            },
+            {
+                type: 'info',
+                yaw: -55,         // Left of the initial view - the piano
+                pitch: -10,
+                title: {
+                    en: 'Baby Grand Piano',
+                    es: 'Piano de media cola',
+                    fr: 'Piano demi-queue',
+                    ar: 'بيانو ذو ذيل قصير'
+                },
+                text: {
+                    en: '<p>Positioned away from exterior walls for stable tuning. <em>Available by separate negotiation.</em></p>',
+                    es: '<p>Situado lejos de los muros exteriores para que conserve la afinación. <em>Disponible mediante negociación aparte.</em></p>',
+                    fr: '<p>Placé loin des murs extérieurs pour garder un accord stable. <em>Disponible après négociation séparée.</em></p>',
+                    ar: '<p>موضوع بعيدًا عن الجدران الخارجية للحفاظ على ثبات الضبط. <em>متاح بالتفاوض بشكل منفصل.</em></p>'
+                }
+            },
+            {
+                type: 'info',
+                yaw: 10,          // Right of the initial view - the fireplace
+                pitch: 0,
+                title: {
+                    en: 'Wood-Burning Fireplace',
+                    es: 'Chimenea de leña',
+                    fr: 'Cheminée à bois',
+                    ar: 'مدفأة حطب'
+                },
+                text: {
+                    en: '<p>Original brick fireplace with a new flue liner (2023).</p><ul><li>Stone hearth</li><li>Oak mantel</li></ul>',
+                    es: '<p>Chimenea original de ladrillo con conducto de humos renovado (2023).</p><ul><li>Hogar de piedra</li><li>Repisa de roble</li></ul>',
+                    fr: '<p>Cheminée d\'origine en brique avec un tubage neuf (2023).</p><ul><li>Âtre en pierre</li><li>Manteau en chêne</li></ul>',
+                    ar: '<p>مدفأة أصلية من الطوب مع بطانة مدخنة جديدة (2023).</p><ul><li>موقد من الحجر</li><li>رف من خشب البلوط</li></ul>'
+                },
+                dimensions: { en: '1.4 m wide', es: '1,4 m de ancho', fr: '1,4 m de large', ar: 'بعرض 1.4 م' }
+            }
+        ],
+
+        mapPosition: { x: 0.775, y: 0.2 },
+
+        cameraHeight: 1.6,
+        accentColor: '#f59e0b'
+    }
+};
+
+
+/**
+ * Global viewer settings for Pannellum.
+ * These affect performance, usability, and visual quality.
+ */
+export const VIEWER_SETTINGS = {
+    // Pitch limits prevent viewing distorted ceiling/floor areas
+    minPitch: -50,            // Maximum downward angle
+    maxPitch: 50,             // Maximum upward angle
+
+    // Field of view constraints
+    minHfov: 50,              // Maximum zoom in
+    maxHfov: 120,             // Maximum zoom out (wide angle)
+
+    // Interaction settings
+    autoLoad: true,           // Load panorama immediately
+    compass: false,           // Hide compass (clean UI preference)
+    showControls: false,      // Hide default controls (custom UI)
+    mouseZoom: true,          // Enable scroll wheel zoom
+    keyboardZoom: true,       // Enable +/- keys for zoom
+    friction: 0.15,           // Smooth deceleration after mouse drag
+
+    // Performance settings
+    hfov: 110,                // Default horizontal field of view
+
+    // Touch/mobile settings
+    touchPanSpeedCoeffFactor: 0.5,  // Slower pan on touch for precision
+
+    // Animation settings for auto-rotate (disabled by default)
+    autoRotate: 0,            // Degrees per second (0 = disabled)
+    autoRotateInactivityDelay: 5000  // ms before auto-rotate starts
+};
+
+
+/**
+ * Floor plan shown in the minimap overlay (set to null to hide the minimap).
+ * Scenes are pinned on it by their `mapPosition`.
+ */
+export const FLOOR_PLAN = {
+    image: 'images/floor-plan.svg',
+    alt: {
+        en: 'Floor plan of the ground floor',
+        es: 'Plano de la planta baja',
+        fr: 'Plan du rez-de-chaussée',
+        ar: 'مخطط الطابق الأرضي'
+    }
+};
+
+
+/**
+ * Floors (or zones) grouping the rooms, listed from the lowest up - e.g.
+ * [{ id: 'ground', title: 'Ground floor' }, { id: 'upper', title: 'Upper floor' }].
+ * Each scene then names its floor with `floor: '<id>'`, and a floor may have
+ * its own `floorPlan` for the minimap (it defaults to FLOOR_PLAN). The room
+ * selector gets a tab per floor, and navigation hotspots on stairs or in a
+ * lift can say so with `via: 'stairs'` or `via: 'elevator'`.
+ * Leave as null for a single-floor home.
+ */
+export const FLOORS = null;
+
+
+/**
+ * Other tours offered in the header's property switcher, e.g. the units of
+ * a development: [{ title, tour: '<slug>' }] or [{ title, manifest: '<url>' }]
+ * (see manifest.js). Leave as null to hide the switcher.
+ */
+export const PROPERTIES = null;
+
+
+/**
+ * Default starting scene when the tour loads.
+ * Change this to start from a different room.
+ */
+export const DEFAULT_SCENE = 'living-room';
+
+
+/**
+ * Script for the "Play tour" mode - an array of stops, each with a `scene`,
+ * camera `keyframes` ({ yaw, pitch, hfov, duration }), a `dwell` time and an
+ * optional `caption` (see autoplay.js). Leave as null to walk the rooms in
+ * hotspot order, panning around each one.
+ */
+export const GUIDED_TOUR = null;
+
+
+/**
+ * Transition duration in milliseconds for scene changes.
+ * Lower = snappier, Higher = smoother
+ */
+export const TRANSITION_DURATION = 400;
+
+
+/**
+ * Host-page origins allowed to control the tour when it's embedded in an
+ * iframe (?embed, see embed.js), e.g. 'https://listings.example.com'.
+ * The tour's own origin is always allowed; '*' allows any site.
+ */
+export const EMBED_ALLOWED_ORIGINS = [];
+
+
+/**
+ * Origins besides the tour's own that ?manifest=<url> may load tours from
+ * (see manifest.js), e.g. 'https://cdn.example.com'. A manifest's text ends
+ * up on the page, so only list sites you trust.
+ */
+export const MANIFEST_ALLOWED_ORIGINS = [];
+
+
+/**
+ * Snapshots of the current view (see snapshot.js). `watermark` is stamped
+ * in a corner unless the visitor turns it off - text, or translations keyed
+ * by locale; null offers no watermark. `maxSize` caps the longest side, in
+ * pixels, of a high-resolution snapshot.
+ */
+export const SNAPSHOT = {
+    watermark: 'WCFF Samples',
+    maxSize: 4096
+};
+
+
+/**
+ * Engagement analytics (see analytics.js). Batches are sent to `endpoint`
+ * with navigator.sendBeacon; leave it null to record nothing (the dev
+ * server falls back to its own stand-in endpoint). With `requireConsent`
+ * recording waits for HomeTour.setAnalyticsConsent(true).
+ */
+export const ANALYTICS = {
+    endpoint: null,
+    requireConsent: true,
+    batchInterval: 30000,     // ms between batches
+    sampleInterval: 1000,     // ms between camera-direction samples
+    binSize: 15               // Degrees per heatmap bin (should divide 180)
+};
@@ -0,0 +1,218 @@
+/**
+ * Controls
+ *
+ * Zoom and fullscreen buttons, keyboard shortcuts, browser history and
+ * window-level events.
+ *
+ * Shortcuts are single keys that never collide with the panorama's own
+ * keys (arrows, +/-, WASD while it has focus) or with a focused button
+ * or form field. Rooms are numbered in order: "1"-"9" jump straight there,
+ * and in bigger tours a second digit typed quickly picks rooms 10 and up.
+ *
+ * Shortcuts follow the tour's floors (see floors.js): N/P walk the rooms
+ * floor by floor, room numbers count from 1 on the current floor, and
+ * Page Up/Page Down go to the first room of the floor above or below.
+ */
+
+import { tour, state, elements } from './state.js';
+import { navigateToScene, handlePopState } from './viewer.js';
+import { isInfoCardOpen } from './info-card.js';
+import { isKeyboardHelpOpen, openKeyboardHelp } from './keyboard-help.js';
+import { isSnapshotOpen } from './snapshot.js';
+import { getFloors, getFloorOf, getRoomOrder } from './floors.js';
+import { toggleFullscreen, handleFullscreenChange, isFullscreenSupported } from './fullscreen.js';
+import { debounce, motionDuration } from './utils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * How long to wait for another digit when the room number typed so far
+ * could still grow (e.g. "1" in a tour with 12 rooms).
+ */
+const ROOM_NUMBER_DELAY = 700;
+
+/**
+ * Length of the zoom buttons' animation (Pannellum's default).
+ */
+const ZOOM_DURATION = 1000;
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const roomNumber = {
+    digits: '',
+    timer: null
+};
+
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+/**
+ * Set up all event listeners for the application.
+ */
+export function setupEventListeners() {
+    // Zoom controls
+    elements.btnZoomIn?.addEventListener('click', () => {
+        const currentHfov = state.viewer.getHfov();
+        state.viewer.setHfov(Math.max(currentHfov - 10, tour.viewerSettings.minHfov), motionDuration(ZOOM_DURATION));
+    });
+
+    elements.btnZoomOut?.addEventListener('click', () => {
+        const currentHfov = state.viewer.getHfov();
+        state.viewer.setHfov(Math.min(currentHfov + 10, tour.viewerSettings.maxHfov), motionDuration(ZOOM_DURATION));
+    });
+
+    // Fullscreen toggle (hidden where the page can't go fullscreen)
+    if (isFullscreenSupported()) {
+        elements.btnFullscreen?.addEventListener('click', toggleFullscreen);
+    } else if (elements.btnFullscreen) {
+        elements.btnFullscreen.hidden = true;
+    }
+
+    elements.btnKeyboardHelp?.addEventListener('click', openShortcuts);
+
+    // Keyboard navigation
+    document.addEventListener('keydown', handleKeyboardNavigation);
+
+    // Browser Back/Forward between visited rooms
+    window.addEventListener('popstate', handlePopState);
+
+    // Handle window resize
+    window.addEventListener('resize', debounce(handleResize, 250));
+
+    // Fullscreen change events
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+    document.addEventListener('mozfullscreenchange', handleFullscreenChange);
+    document.addEventListener('MSFullscreenChange', handleFullscreenChange);
+}
+
+
+/**
+ * Handle keyboard navigation shortcuts.
+ * 
+ * @param {KeyboardEvent} event
+ */
+export function handleKeyboardNavigation(event) {
+    // Open dialogs handle their own keys
+    if (isInfoCardOpen() || isKeyboardHelpOpen() || isSnapshotOpen()) return;
+
+    // Leave browser and system shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // Don't steal keystrokes from form fields (e.g. the editor panel)
+    if (event.target.isContentEditable || event.target.closest?.('input, textarea, select')) return;
+
+    const sceneIds = getRoomOrder();
+    const currentIndex = sceneIds.indexOf(state.currentScene);
+
+    switch (event.key) {
+        case 'n':
+        case 'N':
+            // Navigate to next room
+            navigateToScene(sceneIds[(currentIndex + 1) % sceneIds.length]);
+            break;
+
+        case 'p':
+        case 'P':
+            // Navigate to previous room
+            navigateToScene(sceneIds[(currentIndex - 1 + sceneIds.length) % sceneIds.length]);
+            break;
+
+        case 'f':
+        case 'F':
+            toggleFullscreen();
+            break;
+
+        case 'PageUp':
+        case 'PageDown':
+            changeFloor(event.key === 'PageUp' ? 1 : -1);
+            break;
+
+        case '?':
+            openShortcuts();
+            break;
+
+        default:
+            if (/^[0-9]$/.test(event.key)) {
+                enterRoomDigit(event.key, getFloorOf(state.currentScene).sceneIds);
+            }
+    }
+}
+
+
+/**
+ * Go to the first room of the floor above (1) or below (-1), if there is one.
+ *
+ * @param {number} step - 1 for up, -1 for down
+ */
+function changeFloor(step) {
+    const floors = getFloors();
+    const floor = floors[floors.findIndex(({ sceneIds }) => sceneIds.includes(state.currentScene)) + step];
+
+    if (floor?.sceneIds.length > 0) {
+        navigateToScene(floor.sceneIds[0]);
+    }
+}
+
+
+/**
+ * Open the shortcuts dialog, numbered for the current floor's rooms.
+ */
+function openShortcuts() {
+    openKeyboardHelp(getFloorOf(state.currentScene).sceneIds.length, getFloors().length);
+}
+
+
+/**
+ * Add a typed digit to the room number and go there as soon as no longer
+ * number could match - otherwise after ROOM_NUMBER_DELAY.
+ *
+ * @param {string} digit - '0' to '9'
+ * @param {string[]} sceneIds - The current floor's rooms in order
+ */
+function enterRoomDigit(digit, sceneIds) {
+    clearTimeout(roomNumber.timer);
+    roomNumber.digits += digit;
+    const number = Number(roomNumber.digits);
+
+    const go = () => {
+        roomNumber.digits = '';
+        if (sceneIds[number - 1]) {
+            navigateToScene(sceneIds[number - 1]);
+        }
+    };
+
+    if (number * 10 > sceneIds.length) {
+        go();
+    } else {
+        roomNumber.timer = setTimeout(go, ROOM_NUMBER_DELAY);
+    }
+}
+
+
+/**
+ * Handle window resize events.
+ * Adjusts the viewer for responsive layouts.
+ */
+function handleResize() {
+    // Pannellum handles resize automatically, but we can adjust settings
+    const isMobile = window.innerWidth < 768;
+
+    // Optionally adjust FOV for mobile
+    if (state.viewer && state.currentScene) {
+        const scene = tour.scenes[state.currentScene];
+        // Mobile might benefit from slightly narrower FOV
+        const targetHfov = isMobile ? Math.min(scene.initialView.hfov, 100) : scene.initialView.hfov;
+        // Only adjust if significantly different to avoid jarring changes
+        if (Math.abs(state.viewer.getHfov() - targetHfov) > 15) {
+            state.viewer.setHfov(targetHfov, motionDuration(ZOOM_DURATION));
+        }
+    }
+}
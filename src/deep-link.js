@@ -0,0 +1,86 @@
+/**
+ * Deep Links
+ *
+ * Encodes the current scene and camera position in the URL hash so a view
+ * can be shared ("look at the fireplace in the Music Room") and restored,
+ * and so the browser's Back/Forward buttons walk through visited rooms.
+ *
+ * Format: #scene=music-room&yaw=-30.0&pitch=5.0&hfov=100.0
+ *
+ * The hash is used rather than the query string so it never collides with
+ * the ?tour= / ?manifest= parameters and changing it never reloads the page.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Decimal places kept for camera angles.
+ * One decimal place is well below what the eye can notice and keeps links short.
+ */
+const ANGLE_PRECISION = 1;
+
+
+// ============================================================================
+// PARSING & BUILDING
+// ============================================================================
+
+/**
+ * Parse a view from a URL hash.
+ *
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {Object|null} { scene, view } where view holds any of yaw/pitch/hfov, or null when no scene is given
+ */
+export function parseViewHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const scene = params.get('scene');
+
+    if (!scene) {
+        return null;
+    }
+
+    const view = {};
+    ['yaw', 'pitch', 'hfov'].forEach(key => {
+        const value = parseFloat(params.get(key));
+        if (Number.isFinite(value)) {
+            view[key] = value;
+        }
+    });
+
+    return { scene, view };
+}
+
+
+/**
+ * Build a URL hash for a scene and optional camera position.
+ *
+ * @param {string} scene - Scene ID
+ * @param {Object} [view] - Camera position ({ yaw, pitch, hfov })
+ * @returns {string} Hash including the leading "#"
+ */
+export function buildViewHash(scene, view = {}) {
+    const params = new URLSearchParams({ scene });
+
+    ['yaw', 'pitch', 'hfov'].forEach(key => {
+        if (Number.isFinite(view[key])) {
+            params.set(key, view[key].toFixed(ANGLE_PRECISION));
+        }
+    });
+
+    return `#${params.toString()}`;
+}
+
+
+/**
+ * Build an absolute, shareable URL for a scene and camera position.
+ * Keeps the current query string so manifest-based tours stay selected.
+ *
+ * @param {string} scene - Scene ID
+ * @param {Object} [view] - Camera position ({ yaw, pitch, hfov })
+ * @returns {string} Absolute URL
+ */
+export function buildShareLink(scene, view) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${buildViewHash(scene, view)}`;
+}
@@ -0,0 +1,482 @@
+/**
+ * Hotspot Authoring Mode
+ *
+ * A visual editor for placing hotspots, enabled by opening the tour with
+ * ?edit in the URL. Instead of guessing yaw/pitch numbers:
+ *
+ * - "Add hotspot" then click in the panorama to drop one at that exact spot
+ * - Drag any hotspot to move it (navigation clicks are disabled while editing)
+ * - Pick the target room, label or info content from the side panel
+ * - "Use current view" stores the camera as the room's initialView
+ * - "Export JSON" downloads the whole tour as a manifest (see manifest.js)
+ *
+ * Every change is written straight into the live tour config and the
+ * viewer's hotspots are rebuilt, so edits preview immediately. Text fields
+ * edit the translation for the language picked in the header (see i18n.js).
+ */
+
+import { localize, setLocalized } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * URL query parameter that turns the editor on.
+ */
+const EDIT_PARAM = 'edit';
+
+/**
+ * Decimal places kept for angles in the exported config.
+ */
+const ANGLE_PRECISION = 1;
+
+/**
+ * Hotspot fields that hold translatable text.
+ */
+const TRANSLATABLE_FIELDS = ['title', 'text', 'dimensions', 'label'];
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const editor = {
+    root: null,
+    tour: null,
+    getViewer: null,
+    getCurrentScene: null,
+    getCurrentView: null,
+    refreshHotspots: null,
+    sceneId: null,
+    selected: null,           // Index of the selected hotspot in the current scene
+    isAdding: false,
+    drag: null,               // { index, moved } while dragging a hotspot
+    dragFrame: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the page was opened in authoring mode.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {boolean}
+ */
+export function isEditorRequested(search = window.location.search) {
+    return new URLSearchParams(search).has(EDIT_PARAM);
+}
+
+
+/**
+ * Build the editor panel and start intercepting panorama clicks.
+ *
+ * @param {Object} options
+ * @param {Object} options.tour - Live tour config (scenes are edited in place)
+ * @param {Function} options.getViewer - Returns the Pannellum viewer
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.getCurrentView - Returns the camera ({ yaw, pitch, hfov })
+ * @param {Function} options.refreshHotspots - Rebuilds the current scene's hotspots from the config
+ */
+export function initEditor(options) {
+    Object.assign(editor, options);
+
+    editor.root = document.createElement('aside');
+    editor.root.id = 'editor-panel';
+    editor.root.className = 'editor-panel fixed right-4 md:right-6 top-24 bottom-44 z-50 w-80 overflow-y-auto bg-tour-card backdrop-blur-xl border border-white/10 rounded-2xl p-4 text-sm';
+    editor.root.setAttribute('aria-label', 'Hotspot editor');
+    document.body.appendChild(editor.root);
+    document.body.classList.add('editing');
+
+    editor.root.addEventListener('click', handlePanelClick);
+    editor.root.addEventListener('input', handlePanelInput);
+    editor.root.addEventListener('change', handlePanelInput);
+
+    // Capture phase: runs before Pannellum's own handlers so we can claim the event
+    const panorama = document.getElementById('panorama');
+    panorama.addEventListener('mousedown', handlePanoramaMouseDown, true);
+    panorama.addEventListener('click', handlePanoramaClick, true);
+    window.addEventListener('mousemove', handleDragMove);
+    window.addEventListener('mouseup', handleDragEnd);
+
+    refreshEditor();
+}
+
+
+/**
+ * Re-render the panel for the current scene. Safe to call when the editor
+ * isn't active.
+ */
+export function refreshEditor() {
+    if (!editor.root) return;
+
+    const sceneId = editor.getCurrentScene();
+    if (sceneId !== editor.sceneId) {
+        editor.sceneId = sceneId;
+        editor.selected = null;
+        setAdding(false);
+    }
+
+    renderPanel();
+}
+
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the panel: scene actions, hotspot list and the selected hotspot's form.
+ */
+function renderPanel() {
+    const scene = editor.tour.scenes[editor.sceneId];
+    const hotspots = scene.hotspots;
+
+    editor.root.innerHTML = `
+        <div class="flex items-center justify-between mb-3">
+            <span class="text-xs uppercase tracking-wider text-gray-400 font-medium">Editing</span>
+            <span class="text-white font-medium truncate">${escapeHtml(localize(scene.title))}</span>
+        </div>
+
+        <div class="grid grid-cols-2 gap-2 mb-4">
+            <button data-action="add" class="editor-btn ${editor.isAdding ? 'active' : ''}">
+                ${editor.isAdding ? 'Click panorama…' : 'Add hotspot'}
+            </button>
+            <button data-action="set-initial-view" class="editor-btn">Use current view</button>
+            <button data-action="export" class="editor-btn col-span-2">Export JSON</button>
+        </div>
+
+        <ul class="space-y-1 mb-4">
+            ${hotspots.map((hotspot, index) => `
+                <li>
+                    <button data-action="select" data-index="${index}"
+                        class="editor-item ${index === editor.selected ? 'active' : ''}">
+                        <span class="text-gray-400">${hotspot.type === 'info' ? 'Info' : 'Go to'}</span>
+                        ${escapeHtml(localize(hotspot.type === 'info' ? hotspot.title : hotspot.label))}
+                    </button>
+                </li>
+            `).join('') || '<li class="text-gray-500">No hotspots in this room yet.</li>'}
+        </ul>
+
+        ${editor.selected !== null ? renderForm(hotspots[editor.selected]) : ''}
+    `;
+}
+
+
+/**
+ * Render the form for one hotspot.
+ *
+ * @param {Object} hotspot - Hotspot definition
+ * @returns {string} HTML
+ */
+function renderForm(hotspot) {
+    const isInfo = hotspot.type === 'info';
+    const sceneOptions = Object.values(editor.tour.scenes)
+        .filter(scene => scene.id !== editor.sceneId)
+        .map(scene => `<option value="${escapeHtml(scene.id)}" ${scene.id === hotspot.targetScene ? 'selected' : ''}>${escapeHtml(localize(scene.title))}</option>`)
+        .join('');
+
+    return `
+        <div class="space-y-3 border-t border-white/10 pt-4">
+            <label class="editor-field">Type
+                <select name="type">
+                    <option value="scene" ${isInfo ? '' : 'selected'}>Navigation</option>
+                    <option value="info" ${isInfo ? 'selected' : ''}>Info</option>
+                </select>
+            </label>
+
+            ${isInfo ? `
+                <label class="editor-field">Title
+                    <input name="title" value="${escapeHtml(localize(hotspot.title))}">
+                </label>
+                <label class="editor-field">Text (basic HTML)
+                    <textarea name="text" rows="4">${escapeHtml(localize(hotspot.text))}</textarea>
+                </label>
+                <label class="editor-field">Dimensions
+                    <input name="dimensions" value="${escapeHtml(localize(hotspot.dimensions))}">
+                </label>
+            ` : `
+                <label class="editor-field">Target room
+                    <select name="targetScene">${sceneOptions}</select>
+                </label>
+                <label class="editor-field">Label
+                    <input name="label" value="${escapeHtml(localize(hotspot.label))}">
+                </label>
+                <label class="flex items-center gap-2 text-gray-300">
+                    <input type="checkbox" name="keepYaw" ${hotspot.keepYaw ? 'checked' : ''}>
+                    Keep heading when entering
+                </label>
+            `}
+
+            <div class="grid grid-cols-2 gap-2">
+                <label class="editor-field">Yaw
+                    <input type="number" name="yaw" step="0.1" value="${hotspot.yaw}">
+                </label>
+                <label class="editor-field">Pitch
+                    <input type="number" name="pitch" step="0.1" value="${hotspot.pitch}">
+                </label>
+            </div>
+
+            <button type="button" data-action="delete" class="editor-btn danger w-full">Delete hotspot</button>
+        </div>
+    `;
+}
+
+
+// ============================================================================
+// PANEL EVENTS
+// ============================================================================
+
+/**
+ * Handle the panel's action buttons.
+ *
+ * @param {MouseEvent} event
+ */
+function handlePanelClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const hotspots = editor.tour.scenes[editor.sceneId].hotspots;
+
+    switch (button.dataset.action) {
+        case 'add':
+            setAdding(!editor.isAdding);
+            break;
+
+        case 'select':
+            editor.selected = Number(button.dataset.index);
+            break;
+
+        case 'delete':
+            hotspots.splice(editor.selected, 1);
+            editor.selected = null;
+            editor.refreshHotspots();
+            break;
+
+        case 'set-initial-view':
+            editor.tour.scenes[editor.sceneId].initialView = roundAngles(editor.getCurrentView());
+            break;
+
+        case 'export':
+            exportConfig();
+            return;
+    }
+
+    renderPanel();
+}
+
+
+/**
+ * Apply form edits to the selected hotspot and preview them.
+ *
+ * @param {Event} event
+ */
+function handlePanelInput(event) {
+    const field = event.target;
+    if (!field.name || editor.selected === null) return;
+
+    const hotspots = editor.tour.scenes[editor.sceneId].hotspots;
+    const hotspot = hotspots[editor.selected];
+
+    if (field.name === 'type') {
+        // Switching kind keeps the position and starts the new kind's fields fresh
+        if (event.type !== 'change') return;
+        hotspots[editor.selected] = field.value === 'info'
+            ? { type: 'info', yaw: hotspot.yaw, pitch: hotspot.pitch, title: 'New feature' }
+            : createNavigationHotspot(hotspot.yaw, hotspot.pitch);
+        editor.refreshHotspots();
+        renderPanel();
+        return;
+    }
+
+    if (field.type === 'checkbox') {
+        hotspot[field.name] = field.checked || undefined;
+    } else if (field.type === 'number') {
+        const value = parseFloat(field.value);
+        if (!Number.isFinite(value)) return;
+        hotspot[field.name] = value;
+    } else if (TRANSLATABLE_FIELDS.includes(field.name)) {
+        hotspot[field.name] = setLocalized(hotspot[field.name], field.value);
+    } else {
+        hotspot[field.name] = field.value;
+    }
+
+    // Label (with all its translations) follows the target until it's edited by hand
+    if (field.name === 'targetScene') {
+        hotspot.label = editor.tour.scenes[field.value].title;
+        editor.root.querySelector('input[name="label"]').value = localize(hotspot.label);
+    }
+
+    editor.refreshHotspots();
+
+    // Update the list entry without re-rendering (which would drop input focus)
+    const item = editor.root.querySelector(`[data-action="select"][data-index="${editor.selected}"]`);
+    if (item && ['label', 'title', 'targetScene'].includes(field.name)) {
+        item.lastChild.textContent = ` ${localize(hotspot.type === 'info' ? hotspot.title : hotspot.label)}`;
+    }
+}
+
+
+// ============================================================================
+// PANORAMA EVENTS
+// ============================================================================
+
+/**
+ * Place a new hotspot (in add mode) or start dragging an existing one.
+ *
+ * @param {MouseEvent} event
+ */
+function handlePanoramaMouseDown(event) {
+    if (event.button !== 0) return;
+
+    const hotspotEl = event.target.closest('[data-hotspot-index]');
+
+    if (editor.isAdding && !hotspotEl) {
+        const [pitch, yaw] = editor.getViewer().mouseEventToCoords(event);
+        const hotspots = editor.tour.scenes[editor.sceneId].hotspots;
+
+        hotspots.push(createNavigationHotspot(yaw, pitch));
+        editor.selected = hotspots.length - 1;
+        setAdding(false);
+        editor.refreshHotspots();
+        renderPanel();
+    } else if (hotspotEl) {
+        editor.drag = { index: Number(hotspotEl.dataset.hotspotIndex), moved: false };
+        editor.selected = editor.drag.index;
+        renderPanel();
+    } else {
+        // Ordinary look-around drag
+        return;
+    }
+
+    // Keep Pannellum from starting a pan
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+
+/**
+ * Swallow hotspot clicks so navigation/info hotspots don't fire while editing.
+ *
+ * @param {MouseEvent} event
+ */
+function handlePanoramaClick(event) {
+    if (event.target.closest('[data-hotspot-index]')) {
+        event.stopPropagation();
+    }
+}
+
+
+/**
+ * Move the dragged hotspot to the pointer, at most once per frame.
+ *
+ * @param {MouseEvent} event
+ */
+function handleDragMove(event) {
+    if (!editor.drag || editor.dragFrame !== null) return;
+
+    editor.dragFrame = requestAnimationFrame(() => {
+        editor.dragFrame = null;
+        if (!editor.drag) return;
+
+        const [pitch, yaw] = editor.getViewer().mouseEventToCoords(event);
+        const hotspot = editor.tour.scenes[editor.sceneId].hotspots[editor.drag.index];
+
+        Object.assign(hotspot, roundAngles({ yaw, pitch }));
+        editor.drag.moved = true;
+        editor.refreshHotspots();
+    });
+}
+
+
+function handleDragEnd() {
+    if (!editor.drag) return;
+
+    const { moved } = editor.drag;
+    editor.drag = null;
+
+    if (moved) {
+        renderPanel();
+    }
+}
+
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Download the edited tour as a manifest and copy it to the clipboard.
+ */
+function exportConfig() {
+    const { tour } = editor;
+    const scenes = {};
+
+    Object.entries(tour.scenes).forEach(([id, scene]) => {
+        const { id: _id, ...rest } = scene;
+        scenes[id] = rest;
+    });
+
+    const manifest = {
+        version: 1,
+        defaultScene: tour.defaultScene,
+        transitionDuration: tour.transitionDuration,
+        viewerSettings: tour.viewerSettings,
+        floorPlan: tour.floorPlan || undefined,
+        floors: tour.floors || undefined,
+        properties: tour.properties || undefined,
+        guidedTour: tour.guidedTour || undefined,
+        scenes
+    };
+    const json = JSON.stringify(manifest, null, 4);
+
+    navigator.clipboard?.writeText(json).catch(() => {});
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'tour.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function setAdding(isAdding) {
+    editor.isAdding = isAdding;
+    document.body.classList.toggle('editor-adding', isAdding);
+}
+
+
+/**
+ * New navigation hotspot pointing at the first other room.
+ */
+function createNavigationHotspot(yaw, pitch) {
+    const target = Object.values(editor.tour.scenes).find(scene => scene.id !== editor.sceneId)
+        || editor.tour.scenes[editor.sceneId];
+
+    return {
+        targetScene: target.id,
+        ...roundAngles({ yaw, pitch }),
+        label: target.title
+    };
+}
+
+
+function roundAngles(view) {
+    const factor = 10 ** ANGLE_PRECISION;
+    const rounded = {};
+
+    Object.entries(view).forEach(([key, value]) => {
+        rounded[key] = Math.round(value * factor) / factor;
+    });
+
+    return rounded;
+}
+
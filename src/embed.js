@@ -0,0 +1,236 @@
+/**
+ * Embed Mode
+ *
+ * Lets a listing page on another site show the tour in an iframe and
+ * drive it with postMessage. The loader script (public/embed.js) sets this
+ * up for host pages; this module is the tour's side.
+ *
+ * URL flags:
+ * - ?embed                      turn embed mode on
+ * - &hide=header,nav,controls,minimap
+ *                               parts of the UI to hide (default: header)
+ *
+ * Protocol - every message is a plain object:
+ *
+ * Host -> tour (call):   { source: 'home-tour-host', id, method, params: [...] }
+ * Tour -> host (reply):  { source: 'home-tour', id, result } or { source: 'home-tour', id, error }
+ * Tour -> host (event):  { source: 'home-tour', event, data }
+ *
+ * Methods:
+ * - connect()                              -> { loaded, scene, scenes, view, error }
+ *   Must come first; the tour only sends events to a host that connected.
+ *   `error` is { scene, kind } while the room on screen failed to load.
+ * - navigateToScene(sceneId, { view })     resolves once the room has loaded
+ * - setView({ yaw, pitch, hfov }, durationMs)
+ * - getView()                              -> { yaw, pitch, hfov }
+ * - getCurrentScene()                      -> scene ID
+ * - getScenes()                            -> [{ id, title }]
+ * - startAutoplay() / stopAutoplay()
+ * - setAnalyticsConsent(granted)         pass on the host page's cookie consent
+ * - setLocale(locale) / getLocale()      e.g. 'fr'; the tour's language (?lang= sets it up front)
+ *
+ * Events:
+ * - loaded                   { scene, error }
+ *                                          first panorama is on screen, or
+ *                                          couldn't be (error as for connect)
+ * - sceneChanged             { scene, title }
+ * - sceneError               { scene, kind }   a room failed to load
+ * - hotspotClicked           { scene, hotspot: { type, yaw, pitch, targetScene | title } }
+ * - autoplayStatusChanged    { status }    'playing', 'paused' or 'stopped'
+ *
+ * Only messages from the parent window at an allowed origin
+ * (EMBED_ALLOWED_ORIGINS in config.js) are answered.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const EMBED_PARAM = 'embed';
+const HIDE_PARAM = 'hide';
+
+/**
+ * Parts of the UI a host page can hide, and what's hidden by default.
+ * The matching CSS lives in index.html.
+ */
+const HIDEABLE_PARTS = ['header', 'nav', 'controls', 'minimap'];
+const DEFAULT_HIDDEN_PARTS = ['header'];
+
+/**
+ * `source` tags that tell our messages apart from anything else posted to
+ * or from the frame.
+ */
+const TOUR_SOURCE = 'home-tour';
+const HOST_SOURCE = 'home-tour-host';
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const embed = {
+    allowedOrigins: [],
+    hostOrigin: null,         // Set once a host has connected
+    loaded: false,            // Set on the first room's load or failure
+    error: null,              // { scene, kind } while the room on screen has failed
+    api: {},
+    getSnapshot: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the page was opened in embed mode.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {boolean}
+ */
+export function isEmbedRequested(search = window.location.search) {
+    return new URLSearchParams(search).has(EMBED_PARAM);
+}
+
+
+/**
+ * Parts of the UI the host page asked to hide.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {string[]} Subset of HIDEABLE_PARTS
+ */
+export function getHiddenParts(search = window.location.search) {
+    const hide = new URLSearchParams(search).get(HIDE_PARAM);
+    if (hide === null) {
+        return DEFAULT_HIDDEN_PARTS;
+    }
+
+    return hide.split(',')
+        .map(part => part.trim())
+        .filter(part => HIDEABLE_PARTS.includes(part));
+}
+
+
+/**
+ * Hide the requested UI and start answering the host page. Call this before
+ * the tour finishes loading so an early connect() isn't missed.
+ *
+ * @param {Object} options
+ * @param {string[]} options.allowedOrigins - Host origins besides our own ('*' for any)
+ * @param {Object} options.api - Methods the host may call, by name; its
+ *   getCurrentScene() also tells which room a failure leaves on screen
+ * @param {Function} options.getSnapshot - Returns { scene, scenes, view } for connect()
+ */
+export function initEmbed({ allowedOrigins, api, getSnapshot }) {
+    embed.allowedOrigins = [window.location.origin, ...allowedOrigins];
+    embed.api = api;
+    embed.getSnapshot = getSnapshot;
+
+    document.body.classList.add('embedded');
+    document.body.dataset.embedHide = getHiddenParts().join(' ');
+
+    window.addEventListener('message', handleMessage);
+}
+
+
+/**
+ * Tell the connected host page about something that happened.
+ *
+ * @param {string} event - Event name (see the protocol above)
+ * @param {Object} [data]
+ */
+export function emitEmbedEvent(event, data = {}) {
+    if (!embed.hostOrigin) return;
+
+    window.parent.postMessage({ source: TOUR_SOURCE, event, data }, embed.hostOrigin);
+}
+
+
+/**
+ * Report a scene that finished loading; the first one means the tour is ready.
+ *
+ * @param {string} scene - Scene ID
+ * @param {string} title - Scene title
+ */
+export function reportSceneLoaded(scene, title) {
+    embed.error = null;
+    markLoaded(scene);
+    emitEmbedEvent('sceneChanged', { scene, title });
+}
+
+
+/**
+ * Report a scene - or the whole tour, with a null scene - that failed to
+ * load. A failed first room still makes the tour ready, so the host isn't
+ * left waiting for a panorama that won't come. A room that failed on the
+ * way from another leaves that one on screen, so only sceneError is sent.
+ *
+ * @param {string|null} scene - Scene ID
+ * @param {string} kind - What went wrong (see scene-error.js)
+ */
+export function reportSceneFailed(scene, kind) {
+    const current = embed.api.getCurrentScene?.() ?? null;
+    if (current === null || current === scene) {
+        embed.error = { scene, kind };
+    }
+    markLoaded(current ?? scene);
+    emitEmbedEvent('sceneError', { scene, kind });
+}
+
+
+function markLoaded(scene) {
+    if (embed.loaded) return;
+
+    embed.loaded = true;
+    emitEmbedEvent('loaded', { scene, error: embed.error });
+}
+
+
+// ============================================================================
+// MESSAGING
+// ============================================================================
+
+/**
+ * Answer a call from the host page.
+ *
+ * @param {MessageEvent} event
+ */
+async function handleMessage(event) {
+    const message = event.data;
+    if (!message || message.source !== HOST_SOURCE) return;
+
+    if (event.source !== window.parent || !isAllowedOrigin(event.origin)) {
+        console.warn(`Ignoring tour command from ${event.origin} (not in EMBED_ALLOWED_ORIGINS)`);
+        return;
+    }
+
+    const { id, method, params = [] } = message;
+    const reply = response => event.source.postMessage({ source: TOUR_SOURCE, id, ...response }, event.origin);
+
+    if (method === 'connect') {
+        embed.hostOrigin = event.origin;
+        reply({ result: { loaded: embed.loaded, ...(embed.loaded ? { ...embed.getSnapshot(), error: embed.error } : {}) } });
+        return;
+    }
+
+    if (!Object.hasOwn(embed.api, method)) {
+        reply({ error: `Unknown method "${method}"` });
+        return;
+    }
+    if (!embed.loaded) {
+        reply({ error: 'The tour is still loading' });
+        return;
+    }
+
+    try {
+        const result = await embed.api[method](...(Array.isArray(params) ? params : [params]));
+        reply({ result: result ?? null });
+    } catch (error) {
+        reply({ error: error.message });
+    }
+}
+
+
+function isAllowedOrigin(origin) {
+    return embed.allowedOrigins.includes('*') || embed.allowedOrigins.includes(origin);
+}
@@ -0,0 +1,143 @@
+/**
+ * Tour Events
+ *
+ * A small event bus the tour's modules publish to, and that plugins,
+ * analytics and host pages subscribe to through window.HomeTour.on/off.
+ *
+ * Events (listeners get one object: { type, ...data }):
+ * - beforeSceneChange  { from, to, view }        call preventDefault() to cancel
+ * - sceneChange        { sceneId, previousScene, title }
+ * - versionChange      { sceneId, version }       version ID, null for the room's own panorama
+ * - viewChange         { sceneId, yaw, pitch, hfov }   at most every 200ms
+ * - hotspotClick       { sceneId, hotspot }
+ * - error              { sceneId, kind, message }  kind as in scene-error.js, or 'manifest'
+ * - fullscreenChange   { fullscreen }
+ * - localeChange       { locale, previousLocale }
+ *
+ * A listener that throws is logged and skipped, so one broken plugin can't
+ * stop the tour from working.
+ */
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Listeners by event type.
+ */
+const listeners = new Map();
+
+/**
+ * Callbacks told when an event type gains its first listener or loses its
+ * last, by event type (see watchListeners).
+ */
+const watchers = new Map();
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Subscribe to an event.
+ *
+ * @param {string} type - Event name
+ * @param {Function} listener - Called with the event object
+ * @returns {Function} Unsubscribes the listener
+ */
+export function on(type, listener) {
+    if (!listeners.has(type)) {
+        listeners.set(type, []);
+    }
+    listeners.get(type).push(listener);
+    if (listeners.get(type).length === 1) {
+        notifyWatchers(type, true);
+    }
+
+    return () => off(type, listener);
+}
+
+
+/**
+ * Unsubscribe a listener added with on().
+ *
+ * @param {string} type - Event name
+ * @param {Function} listener
+ */
+export function off(type, listener) {
+    const list = listeners.get(type);
+    if (!list) return;
+
+    const index = list.indexOf(listener);
+    if (index !== -1) {
+        list.splice(index, 1);
+        if (list.length === 0) {
+            notifyWatchers(type, false);
+        }
+    }
+}
+
+
+/**
+ * Publish an event to its listeners.
+ *
+ * @param {string} type - Event name
+ * @param {Object} [data] - Event fields
+ * @returns {boolean} false when a listener called preventDefault()
+ */
+export function emit(type, data = {}) {
+    const event = {
+        ...data,
+        type,
+        defaultPrevented: false,
+        preventDefault() {
+            event.defaultPrevented = true;
+        }
+    };
+
+    // Copy so listeners can unsubscribe while being called
+    [...(listeners.get(type) || [])].forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error(`Error in "${type}" listener:`, error);
+        }
+    });
+
+    return !event.defaultPrevented;
+}
+
+
+/**
+ * Whether anything is listening for an event (lets costly events be skipped).
+ *
+ * @param {string} type - Event name
+ * @returns {boolean}
+ */
+export function hasListeners(type) {
+    return (listeners.get(type) || []).length > 0;
+}
+
+
+/**
+ * Follow whether anything is listening for an event, so whatever produces
+ * it can run only while it's wanted.
+ *
+ * @param {string} type - Event name
+ * @param {Function} callback - Called with true on the first listener, false after the last leaves
+ */
+export function watchListeners(type, callback) {
+    if (!watchers.has(type)) {
+        watchers.set(type, []);
+    }
+    watchers.get(type).push(callback);
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function notifyWatchers(type, listening) {
+    (watchers.get(type) || []).forEach(callback => callback(listening));
+}
@@ -0,0 +1,80 @@
+/**
+ * Floors
+ *
+ * Groups the active tour's scenes into floors (or zones) for the room
+ * selector, the room counter, the minimap and the keyboard shortcuts.
+ * Rooms are ordered floor by floor, keeping the scenes' own order within
+ * each floor, and numbered from 1 on every floor.
+ *
+ * A tour without `floors` (see FLOORS in config.js) is one unnamed floor
+ * holding every scene, so callers never need a separate single-floor path.
+ */
+
+import { tour } from './state.js';
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the tour is split into named floors.
+ *
+ * @returns {boolean}
+ */
+export function hasFloors() {
+    return Array.isArray(tour.floors) && tour.floors.length > 0;
+}
+
+
+/**
+ * The tour's floors, lowest first, each with the scenes on it.
+ *
+ * @returns {Array<{ id: string|null, title: *, floorPlan: Object|null, sceneIds: string[] }>}
+ */
+export function getFloors() {
+    const sceneIds = Object.keys(tour.scenes);
+
+    if (!hasFloors()) {
+        return [{ id: null, title: null, floorPlan: tour.floorPlan, sceneIds }];
+    }
+
+    return tour.floors.map(floor => ({
+        ...floor,
+        floorPlan: floor.floorPlan || tour.floorPlan,
+        sceneIds: sceneIds.filter(id => tour.scenes[id].floor === floor.id)
+    }));
+}
+
+
+/**
+ * The floor a scene is on.
+ *
+ * @param {string} sceneId - Scene ID
+ * @returns {Object} Floor, as returned by getFloors()
+ */
+export function getFloorOf(sceneId) {
+    const floors = getFloors();
+    return floors.find(floor => floor.sceneIds.includes(sceneId)) || floors[0];
+}
+
+
+/**
+ * Every scene in room order: floor by floor, lowest first.
+ *
+ * @returns {string[]} Scene IDs
+ */
+export function getRoomOrder() {
+    return getFloors().flatMap(floor => floor.sceneIds);
+}
+
+
+/**
+ * Where a room sits on its floor, for the counter and announcements.
+ *
+ * @param {string} sceneId - Scene ID
+ * @returns {{ current: number, count: number, floor: Object }} 1-based room number and the floor's room count
+ */
+export function getRoomPosition(sceneId) {
+    const floor = getFloorOf(sceneId);
+    return { current: floor.sceneIds.indexOf(sceneId) + 1, count: floor.sceneIds.length, floor };
+}
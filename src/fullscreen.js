@@ -0,0 +1,190 @@
+/**
+ * Fullscreen
+ *
+ * Fullscreen toggling, the mobile "go fullscreen" recommendation banner and
+ * landscape orientation lock while fullscreen on phones.
+ *
+ * The same flow runs when the tour is installed as an app (see
+ * offline.js): the Fullscreen API still hides the system bars there, and
+ * unlocking the orientation returns to the app manifest's default. Where
+ * the API is missing (iPhone, including home-screen apps) the fullscreen
+ * controls are hidden instead of doing nothing.
+ */
+
+import { elements } from './state.js';
+import { emit } from './events.js';
+
+// ============================================================================
+// FULLSCREEN
+// ============================================================================
+
+/**
+ * Whether this browser lets the page go fullscreen.
+ *
+ * @returns {boolean}
+ */
+export function isFullscreenSupported() {
+    const docEl = window.document.documentElement;
+    return Boolean(docEl.requestFullscreen || docEl.mozRequestFullScreen || docEl.webkitRequestFullScreen || docEl.msRequestFullscreen);
+}
+
+
+/**
+ * Whether the page is fullscreen right now.
+ *
+ * @returns {boolean}
+ */
+export function isFullscreenActive() {
+    const doc = window.document;
+    return Boolean(doc.fullscreenElement || doc.mozFullScreenElement || doc.webkitFullscreenElement || doc.msFullscreenElement);
+}
+
+
+/**
+ * Toggle fullscreen mode.
+ */
+export function toggleFullscreen() {
+    const doc = window.document;
+    const docEl = doc.documentElement;
+
+    const requestFullScreen = docEl.requestFullscreen || docEl.mozRequestFullScreen || docEl.webkitRequestFullScreen || docEl.msRequestFullscreen;
+    const cancelFullScreen = doc.exitFullscreen || doc.mozCancelFullScreen || doc.webkitExitFullscreen || doc.msExitFullscreen;
+
+    if (!isFullscreenActive()) {
+        if (requestFullScreen) {
+            requestFullScreen.call(docEl);
+        }
+    } else {
+        if (cancelFullScreen) {
+            cancelFullScreen.call(doc);
+        }
+    }
+}
+
+
+/**
+ * Handle fullscreen change events to toggle UI visibility and screen orientation.
+ */
+export function handleFullscreenChange() {
+    const isFullscreen = isFullscreenActive();
+
+    const uiElements = [elements.header, elements.roomNav];
+
+    uiElements.forEach(el => {
+        if (el) {
+            if (isFullscreen) {
+                el.style.display = 'none';
+            } else {
+                el.style.display = '';
+            }
+        }
+    });
+
+    // Handle screen orientation on mobile
+    handleScreenOrientation(isFullscreen);
+
+    emit('fullscreenChange', { fullscreen: Boolean(isFullscreen) });
+
+    // Hide fullscreen recommendation banner when in fullscreen
+    if (elements.fullscreenRecommendation) {
+        if (isFullscreen) {
+            elements.fullscreenRecommendation.classList.remove('show');
+            elements.fullscreenRecommendation.classList.add('hide');
+        }
+    }
+}
+
+
+/**
+ * Handle screen orientation lock/unlock for mobile devices.
+ * Locks to landscape when entering fullscreen, unlocks on exit.
+ * 
+ * @param {boolean} isFullscreen - Whether currently in fullscreen mode
+ */
+async function handleScreenOrientation(isFullscreen) {
+    // Check if Screen Orientation API is available
+    if (!screen.orientation || !screen.orientation.lock) {
+        return;
+    }
+
+    // Only apply on mobile devices
+    const isMobile = window.innerWidth < 768 || 'ontouchstart' in window;
+    if (!isMobile) {
+        return;
+    }
+
+    try {
+        if (isFullscreen) {
+            // Lock to landscape when entering fullscreen
+            await screen.orientation.lock('landscape');
+            console.log('Screen locked to landscape mode');
+        } else {
+            // Unlock orientation when exiting fullscreen
+            screen.orientation.unlock();
+            console.log('Screen orientation unlocked');
+        }
+    } catch (error) {
+        // Orientation lock may fail on some devices or browsers
+        console.log('Screen orientation lock not supported:', error.message);
+    }
+}
+
+
+// ============================================================================
+// FULLSCREEN RECOMMENDATION
+// ============================================================================
+
+/**
+ * Show fullscreen recommendation banner on mobile devices.
+ * Only shown on first load for touch devices.
+ */
+export function showFullscreenRecommendation() {
+    // Only show on mobile/touch devices
+    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    const isMobile = window.innerWidth < 768;
+
+    if (!isTouchDevice || !isMobile) {
+        return;
+    }
+
+    // Nothing to offer without the API, or when launched as a fullscreen app
+    if (!isFullscreenSupported() || window.matchMedia?.('(display-mode: fullscreen)').matches) {
+        return;
+    }
+
+    // Check if user has previously dismissed the recommendation
+    const dismissed = sessionStorage.getItem('fullscreenRecommendationDismissed');
+    if (dismissed === 'true') {
+        return;
+    }
+
+    // Show the recommendation banner after a short delay
+    setTimeout(() => {
+        if (elements.fullscreenRecommendation) {
+            elements.fullscreenRecommendation.classList.add('show');
+        }
+    }, 2500); // Show after mobile hint disappears
+
+    // Set up event listeners for fullscreen recommendation buttons
+    elements.btnEnterFullscreen?.addEventListener('click', () => {
+        hideFullscreenRecommendation();
+        toggleFullscreen();
+    });
+
+    elements.btnDismissFullscreen?.addEventListener('click', () => {
+        hideFullscreenRecommendation();
+        // Remember user's choice for this session
+        sessionStorage.setItem('fullscreenRecommendationDismissed', 'true');
+    });
+}
+
+
+/**
+ * Hide the fullscreen recommendation banner.
+ */
+function hideFullscreenRecommendation() {
+    if (elements.fullscreenRecommendation) {
+        elements.fullscreenRecommendation.classList.remove('show');
+        elements.fullscreenRecommendation.classList.add('hide');
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * Gyroscope Look-Around
+ *
+ * Opt-in mode for phones and tablets: the panorama turns as the device
+ * turns, as if the screen were a window into the room. The motion button
+ * in the controls panel switches it on; on iOS that click is also where
+ * Safari asks for motion access (DeviceOrientationEvent.requestPermission),
+ * which it only allows from a user gesture.
+ *
+ * - The camera follows the direction the back of the device points, so it
+ *   works the same in portrait and landscape
+ * - Sensor readings are smoothed to take out the jitter
+ * - Heading is relative: switching on, or entering a room, keeps the
+ *   current view and steers from there (recalibration)
+ * - Pitch stays within the tour's minPitch/maxPitch
+ * - Dragging the panorama hands control back to touch and switches it off
+ *
+ * The button only appears once the device has shown it has a motion sensor.
+ */
+
+import { on } from './events.js';
+import { t } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Share of the way to the sensor's reading the camera moves on each event
+ * (~60 a second). Lower is smoother but lags behind the phone.
+ */
+const SMOOTHING = 0.2;
+
+/**
+ * How far (px) a finger has to move on the panorama before it counts as a
+ * drag rather than a tap on a hotspot.
+ */
+const DRAG_THRESHOLD = 10;
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const gyro = {
+    active: false,
+    offset: null,             // Device heading minus viewer yaw; null until the next reading recalibrates
+    view: null,               // Smoothed { yaw, pitch } the camera is showing
+    dragStart: null,          // Pointer position while a finger is down on the panorama
+    minPitch: -90,
+    maxPitch: 90,
+    getViewer: null,
+    onStatusChange: null,
+    button: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set up the motion button and drag detection.
+ *
+ * @param {Object} options
+ * @param {Function} options.getViewer - Returns the Pannellum viewer, or null while it can't be steered
+ * @param {number} [options.minPitch] - Lowest pitch (degrees) the camera may look
+ * @param {number} [options.maxPitch] - Highest pitch (degrees) the camera may look
+ * @param {Function} [options.onStatusChange] - Called with true/false when the mode is switched
+ */
+export function initGyroscope(options) {
+    Object.assign(gyro, options);
+
+    gyro.button = document.getElementById('btn-gyroscope');
+    gyro.button?.addEventListener('click', () => {
+        if (gyro.active) {
+            stopGyroscope();
+        } else {
+            startGyroscope();
+        }
+    });
+
+    detectSensor();
+
+    // Each room starts at its own initial view
+    on('sceneChange', recalibrateGyroscope);
+
+    const panorama = document.getElementById('panorama');
+    panorama?.addEventListener('pointerdown', handlePointerDown, { capture: true, passive: true });
+    panorama?.addEventListener('pointermove', handlePointerMove, { capture: true, passive: true });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        panorama?.addEventListener(type, () => { gyro.dragStart = null; }, { capture: true, passive: true });
+    });
+}
+
+
+/**
+ * Switch the mode on, asking for motion access first where the browser
+ * requires it. Call from a click or tap so iOS shows its prompt.
+ *
+ * @returns {Promise<boolean>} Whether the mode is now on
+ */
+export async function startGyroscope() {
+    if (gyro.active) return true;
+
+    if (!(await requestMotionAccess())) {
+        showDenied();
+        return false;
+    }
+
+    gyro.active = true;
+    recalibrateGyroscope();
+    window.addEventListener('deviceorientation', handleOrientation);
+    updateButton();
+    gyro.onStatusChange?.(true);
+    return true;
+}
+
+
+/**
+ * Switch the mode off, leaving the camera where it is.
+ */
+export function stopGyroscope() {
+    if (!gyro.active) return;
+
+    gyro.active = false;
+    gyro.dragStart = null;
+    window.removeEventListener('deviceorientation', handleOrientation);
+    updateButton();
+    gyro.onStatusChange?.(false);
+}
+
+
+/**
+ * Make the way the device is pointing now match the current view, so
+ * steering carries on from here without a jump.
+ */
+export function recalibrateGyroscope() {
+    gyro.offset = null;
+    gyro.view = null;
+}
+
+
+/**
+ * @returns {boolean} Whether the panorama is following the device
+ */
+export function isGyroscopeActive() {
+    return gyro.active;
+}
+
+
+/**
+ * Ask for motion access where the browser requires it (iOS). Call from a
+ * click or tap, the only time Safari shows its prompt.
+ *
+ * @returns {Promise<boolean>} Whether deviceorientation readings will arrive
+ */
+export async function requestMotionAccess() {
+    if (!needsPermission()) return true;
+
+    try {
+        return await DeviceOrientationEvent.requestPermission() === 'granted';
+    } catch (error) {
+        console.warn('Motion access request failed:', error);
+        return false;
+    }
+}
+
+
+/**
+ * Direction the back of the device points, from a deviceorientation event.
+ * Uses the W3C frame: alpha turns about the vertical (counter-clockwise
+ * from north), beta tilts front-to-back, gamma left-to-right.
+ *
+ * @param {{ alpha: number, beta: number, gamma: number }} orientation - Degrees
+ * @returns {{ heading: number, pitch: number }} Compass heading (clockwise, -180..180) and pitch in degrees
+ */
+export function getDeviceDirection({ alpha, beta, gamma }) {
+    const [a, b, g] = [alpha, beta, gamma].map(degrees => (degrees || 0) * Math.PI / 180);
+
+    // The camera's axis (0, 0, -1) rotated by Rz(alpha) Rx(beta) Ry(gamma)
+    const east = -Math.sin(g) * Math.cos(a) - Math.cos(g) * Math.sin(b) * Math.sin(a);
+    const north = -Math.sin(g) * Math.sin(a) + Math.cos(g) * Math.sin(b) * Math.cos(a);
+    const up = -Math.cos(g) * Math.cos(b);
+
+    return {
+        heading: Math.atan2(east, north) * 180 / Math.PI,
+        pitch: Math.asin(Math.max(-1, Math.min(1, up))) * 180 / Math.PI
+    };
+}
+
+
+// ============================================================================
+// SENSOR
+// ============================================================================
+
+/**
+ * Reveal the button once the device proves it has a motion sensor. Desktop
+ * browsers define DeviceOrientationEvent but never send readings; iOS sends
+ * none until permission is granted, so there the permission API is proof.
+ */
+function detectSensor() {
+    if (!gyro.button || typeof DeviceOrientationEvent === 'undefined' || !window.isSecureContext) return;
+
+    if (needsPermission()) {
+        gyro.button.hidden = false;
+        return;
+    }
+
+    const probe = (event) => {
+        if (event.beta === null) return;
+        gyro.button.hidden = false;
+        window.removeEventListener('deviceorientation', probe);
+    };
+    window.addEventListener('deviceorientation', probe);
+}
+
+
+/**
+ * Steer the camera towards the device's direction. The first reading after
+ * a recalibration only records where the device is pointing.
+ *
+ * @param {DeviceOrientationEvent} event
+ */
+function handleOrientation(event) {
+    if (event.alpha === null || event.beta === null) return;
+
+    const viewer = gyro.getViewer();
+    if (!viewer) return;
+
+    const { heading, pitch } = getDeviceDirection(event);
+    if (gyro.offset === null) {
+        gyro.offset = heading - viewer.getYaw();
+        gyro.view = { yaw: viewer.getYaw(), pitch: viewer.getPitch() };
+    }
+
+    const targetYaw = normalizeYaw(heading - gyro.offset);
+    const targetPitch = Math.max(gyro.minPitch, Math.min(gyro.maxPitch, pitch));
+
+    gyro.view = {
+        yaw: normalizeYaw(gyro.view.yaw + normalizeYaw(targetYaw - gyro.view.yaw) * SMOOTHING),
+        pitch: gyro.view.pitch + (targetPitch - gyro.view.pitch) * SMOOTHING
+    };
+
+    viewer.setPitch(gyro.view.pitch, false);
+    viewer.setYaw(gyro.view.yaw, false);
+}
+
+
+// ============================================================================
+// DRAG DETECTION
+// ============================================================================
+
+function handlePointerDown(event) {
+    if (gyro.active) gyro.dragStart = { x: event.clientX, y: event.clientY };
+}
+
+
+function handlePointerMove(event) {
+    if (!gyro.active || !gyro.dragStart) return;
+
+    const distance = Math.hypot(event.clientX - gyro.dragStart.x, event.clientY - gyro.dragStart.y);
+    if (distance > DRAG_THRESHOLD) stopGyroscope();
+}
+
+
+// ============================================================================
+// UI
+// ============================================================================
+
+function updateButton() {
+    if (!gyro.button) return;
+
+    gyro.button.setAttribute('aria-pressed', String(gyro.active));
+    gyro.button.classList.toggle('active', gyro.active);
+}
+
+
+/**
+ * Motion access was refused; iOS won't ask again until the site's data is
+ * cleared, so the button stays disabled and says why.
+ */
+function showDenied() {
+    if (!gyro.button) return;
+
+    gyro.button.disabled = true;
+    gyro.button.dataset.i18nAttr = 'title:controls.gyroscopeDenied aria-label:controls.gyroscopeDenied';
+    gyro.button.title = t('controls.gyroscopeDenied');
+    gyro.button.setAttribute('aria-label', t('controls.gyroscopeDenied'));
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Whether the browser wants the visitor's say-so before sending motion
+ * readings (iOS 13 and later).
+ */
+function needsPermission() {
+    return typeof DeviceOrientationEvent !== 'undefined'
+        && typeof DeviceOrientationEvent.requestPermission === 'function';
+}
+
+
+/**
+ * Wrap an angle into -180..180.
+ */
+function normalizeYaw(yaw) {
+    return ((yaw % 360) + 540) % 360 - 180;
+}
@@ -0,0 +1,217 @@
+/**
+ * Attention Heatmap
+ *
+ * Opening the tour with ?heatmap shows where buyers have looked in the
+ * current room: the recorded gaze bins (see analytics.js) are drawn over
+ * the flat panorama, hotter where more time was spent. Totals come from
+ * the analytics endpoint's GET ?tour=<id> summary - the dev server's
+ * stand-in (scripts/vite-analytics.js) answers it out of the box.
+ */
+
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * URL query parameter that turns the overlay on.
+ */
+const HEATMAP_PARAM = 'heatmap';
+
+/**
+ * Strongest bin opacity; the panorama stays visible under the hottest spot.
+ */
+const MAX_OPACITY = 0.75;
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const heatmap = {
+    root: null,
+    image: null,
+    canvas: null,
+    summary: null,
+    endpoint: null,
+    tourId: null,
+    scenes: {},
+    getCurrentScene: null,
+    getImage: null,
+    totals: null              // Last summary fetched from the endpoint
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether the page was opened with the heatmap overlay.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {boolean}
+ */
+export function isHeatmapRequested(search = window.location.search) {
+    return new URLSearchParams(search).has(HEATMAP_PARAM);
+}
+
+
+/**
+ * Show the overlay and load the tour's totals.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - Analytics endpoint to read the summary from
+ * @param {string} options.tourId - Tour to show
+ * @param {Object} options.scenes - All scenes, keyed by ID
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.getImage - Returns the current flat panorama URL, if there is one
+ * @returns {Promise} Resolves once the first summary has been drawn
+ */
+export function initHeatmap({ endpoint, tourId, scenes, getCurrentScene, getImage }) {
+    heatmap.root = document.getElementById('heatmap');
+    heatmap.image = document.getElementById('heatmap-image');
+    heatmap.canvas = document.getElementById('heatmap-canvas');
+    heatmap.summary = document.getElementById('heatmap-summary');
+    Object.assign(heatmap, { endpoint, tourId, scenes, getCurrentScene, getImage });
+
+    heatmap.root.hidden = false;
+    document.getElementById('btn-heatmap-refresh').addEventListener('click', loadTotals);
+    on('sceneChange', render);
+    on('localeChange', render);
+
+    return loadTotals();
+}
+
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Fetch the latest totals from the endpoint and redraw.
+ */
+async function loadTotals() {
+    showMessage('heatmap.loading');
+
+    try {
+        const url = new URL(heatmap.endpoint, window.location.href);
+        url.searchParams.set('tour', heatmap.tourId);
+
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        heatmap.totals = await response.json();
+    } catch (error) {
+        console.warn('Could not load analytics totals:', error);
+        heatmap.totals = null;
+        showMessage('heatmap.noData');
+        clearCanvas();
+        return;
+    }
+
+    render();
+}
+
+
+/**
+ * Draw the current room's bins and totals.
+ */
+function render() {
+    if (!heatmap.totals) return;
+
+    const sceneId = heatmap.getCurrentScene();
+    const image = heatmap.getImage();
+    heatmap.image.hidden = !image;
+    if (image) {
+        heatmap.image.src = image;
+    }
+
+    const { sessions, binSize } = heatmap.totals;
+    const totals = heatmap.totals.scenes[sceneId];
+    const title = localize(heatmap.scenes[sceneId]?.title) || sceneId;
+
+    if (!totals) {
+        showMessage('heatmap.noVisits', { room: title });
+        clearCanvas();
+        return;
+    }
+
+    showMessage('heatmap.summary', {
+        room: title,
+        visits: t('heatmap.visits', { count: totals.visits }),
+        sessions: t('heatmap.sessions', { count: sessions }),
+        time: formatDuration(totals.dwell)
+    });
+    drawBins(totals.gaze, binSize);
+}
+
+
+/**
+ * Paint each bin on the equirectangular canvas, scaled to the hottest one.
+ *
+ * @param {Object} gaze - Milliseconds by "<yawBin>,<pitchBin>"
+ * @param {number} binSize - Degrees per bin
+ */
+function drawBins(gaze, binSize) {
+    const context = clearCanvas();
+    if (!context) return;
+
+    const { width, height } = heatmap.canvas;
+    const cellWidth = width * binSize / 360;
+    const cellHeight = height * binSize / 180;
+    const hottest = Math.max(0, ...Object.values(gaze));
+    if (hottest === 0) return;
+
+    Object.entries(gaze).forEach(([bin, ms]) => {
+        const [yawBin, pitchBin] = bin.split(',').map(Number);
+        const heat = ms / hottest;
+
+        // Blue for a glance through to red for the most-watched spot; pitch grows upwards
+        context.fillStyle = `hsla(${Math.round(240 * (1 - heat))}, 90%, 50%, ${(0.15 + heat * (MAX_OPACITY - 0.15)).toFixed(2)})`;
+        context.fillRect(yawBin * cellWidth, height - (pitchBin + 1) * cellHeight, cellWidth, cellHeight);
+    });
+}
+
+
+/**
+ * Show a message under the canvas. Messages without placeholders are left
+ * to i18n.js to translate when the locale changes; render() redraws the rest.
+ *
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for its placeholders
+ */
+function showMessage(key, params) {
+    const { summary } = heatmap;
+    if (params) {
+        delete summary.dataset.i18n;
+    } else {
+        summary.dataset.i18n = key;
+    }
+    summary.textContent = t(key, params);
+}
+
+
+/**
+ * @returns {CanvasRenderingContext2D|null} The cleared context (null where canvas isn't supported)
+ */
+function clearCanvas() {
+    const context = heatmap.canvas.getContext?.('2d');
+    context?.clearRect(0, 0, heatmap.canvas.width, heatmap.canvas.height);
+    return context || null;
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60
+        ? t('heatmap.seconds', { seconds })
+        : t('heatmap.minutes', { minutes: Math.floor(seconds / 60), seconds: seconds % 60 });
+}
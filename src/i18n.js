@@ -0,0 +1,294 @@
+/**
+ * Internationalisation
+ *
+ * Translates the tour's UI and picks the visitor's language out of room
+ * content:
+ * - UI text comes from message catalogs in src/locales/ (en.js is the
+ *   source, and the fallback for anything a catalog leaves out). t() fills
+ *   in {placeholders}; a message written as { one, few, other, ... } is
+ *   chosen by Intl.PluralRules from `count`.
+ * - Text in the tour config or a manifest - titles, descriptions, labels,
+ *   captions - is either a plain string or translations keyed by locale,
+ *   e.g. { "en": "Kitchen", "fr": "Cuisine" }. localize() picks one.
+ * - Static markup in index.html names its messages with data-i18n="key"
+ *   (text) and data-i18n-attr="aria-label:key title:key" (attributes).
+ *
+ * The locale comes from ?lang=, the visitor's choice on an earlier visit or
+ * the browser's languages, in that order. Switching it sets <html lang dir>
+ * and publishes 'localeChange' so modules redraw their text. The hotspot
+ * editor (?edit) is an authoring tool and stays in English, apart from the
+ * room content it shows; the heatmap (?heatmap) is translated like the tour.
+ */
+
+import { emit } from './events.js';
+import { en } from './locales/en.js';
+import { es } from './locales/es.js';
+import { fr } from './locales/fr.js';
+import { ar } from './locales/ar.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Locales offered in the switcher, with their own name for themselves and
+ * their writing direction.
+ */
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr', messages: en },
+    es: { name: 'Español', dir: 'ltr', messages: es },
+    fr: { name: 'Français', dir: 'ltr', messages: fr },
+    ar: { name: 'العربية', dir: 'rtl', messages: ar }
+};
+
+/**
+ * Locale used when nothing better matches, and whose catalog fills gaps.
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * URL query parameter that picks the locale, e.g. ?lang=fr.
+ */
+const LANG_PARAM = 'lang';
+
+/**
+ * localStorage key remembering the visitor's choice from the switcher.
+ */
+const STORAGE_KEY = 'homeTourLocale';
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const i18n = {
+    locale: DEFAULT_LOCALE,
+    pluralRules: new Intl.PluralRules(DEFAULT_LOCALE),
+    numberFormat: new Intl.NumberFormat(DEFAULT_LOCALE),
+    switcher: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Pick the visitor's locale, translate the page and wire up the switcher.
+ * Call once on startup, before any other module writes text.
+ */
+export function initI18n() {
+    applyLocale(detectLocale());
+
+    i18n.switcher = document.getElementById('locale-switcher');
+    if (i18n.switcher) {
+        i18n.switcher.innerHTML = '';
+        Object.entries(LOCALES).forEach(([locale, { name }]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = name;
+            i18n.switcher.appendChild(option);
+        });
+        i18n.switcher.value = i18n.locale;
+        i18n.switcher.addEventListener('change', () => setLocale(i18n.switcher.value));
+    }
+}
+
+
+/**
+ * Switch the tour to another locale and remember the choice.
+ *
+ * @param {string} locale - Locale code, e.g. 'fr' (a regional tag like 'fr-CA' picks 'fr')
+ */
+export function setLocale(locale) {
+    const matched = matchLocale(locale);
+    if (!matched) {
+        throw new Error(`Unsupported locale "${locale}"`);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, matched);
+    } catch {
+        // Storage disabled: the choice still holds for this visit
+    }
+
+    if (matched === i18n.locale) return;
+
+    const previousLocale = i18n.locale;
+    applyLocale(matched);
+    if (i18n.switcher) {
+        i18n.switcher.value = matched;
+    }
+    emit('localeChange', { locale: matched, previousLocale });
+}
+
+
+/**
+ * @returns {string} Current locale code
+ */
+export function getLocale() {
+    return i18n.locale;
+}
+
+
+/**
+ * @returns {string[]} Locale codes the tour is translated into
+ */
+export function getLocales() {
+    return Object.keys(LOCALES);
+}
+
+
+/**
+ * Look up a UI message in the current locale.
+ *
+ * @param {string} key - Message key, e.g. 'rooms.counter'
+ * @param {Object} [params] - Values for {placeholders}; numbers are formatted
+ *   for the locale, and `count` picks the plural form
+ * @returns {string} The message, or the key itself if no catalog has it
+ */
+export function t(key, params = {}) {
+    const message = LOCALES[i18n.locale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) {
+        return key;
+    }
+
+    const template = typeof message === 'string'
+        ? message
+        : message[i18n.pluralRules.select(params.count ?? 0)] ?? message.other;
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined) return placeholder;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+
+/**
+ * Pick the current locale's text from a translatable content field.
+ *
+ * @param {string|Object} value - Plain text, or translations keyed by locale
+ * @returns {string} Best match: the locale, its base language, the default
+ *   locale, then whichever translation comes first ('' for no value)
+ */
+export function localize(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'object') return String(value);
+
+    const language = i18n.locale.split('-')[0];
+    return value[i18n.locale] ?? value[language] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0] ?? '';
+}
+
+
+/**
+ * Write text into a translatable content field for the current locale,
+ * keeping the other translations (used by the hotspot editor).
+ *
+ * @param {string|Object|undefined} value - Current field value
+ * @param {string} text - New text in the current locale
+ * @returns {string|Object} Updated field value
+ */
+export function setLocalized(value, text) {
+    if (value !== null && typeof value === 'object') {
+        return { ...value, [i18n.locale]: text };
+    }
+    // A plain string is the default locale's text until someone translates it
+    if (i18n.locale === DEFAULT_LOCALE || !value) {
+        return text;
+    }
+    return { [DEFAULT_LOCALE]: value, [i18n.locale]: text };
+}
+
+
+/**
+ * Format a number the way the current locale writes it.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatNumber(value) {
+    return i18n.numberFormat.format(value);
+}
+
+
+/**
+ * Fill in every data-i18n and data-i18n-attr element below `root`.
+ *
+ * @param {ParentNode} [root] - Subtree to translate (defaults to the whole page)
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.trim().split(/\s+/).forEach(pair => {
+            const [attribute, key] = pair.split(':');
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+
+// ============================================================================
+// LOCALE SELECTION
+// ============================================================================
+
+/**
+ * Choose the starting locale: ?lang=, then the remembered choice, then the
+ * browser's preferred languages.
+ *
+ * @returns {string}
+ */
+function detectLocale() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        // Storage disabled: nothing remembered
+    }
+
+    const candidates = [
+        new URLSearchParams(window.location.search).get(LANG_PARAM),
+        stored,
+        ...(navigator.languages?.length ? navigator.languages : [navigator.language])
+    ];
+
+    return candidates.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+
+/**
+ * Match a language tag to a supported locale, falling back from a regional
+ * tag ('es-MX') to its language ('es').
+ *
+ * @param {string|null} tag
+ * @returns {string|null}
+ */
+function matchLocale(tag) {
+    if (!tag) return null;
+
+    const normalized = tag.toLowerCase();
+    if (LOCALES[normalized]) return normalized;
+
+    const language = normalized.split('-')[0];
+    return LOCALES[language] ? language : null;
+}
+
+
+/**
+ * Make a locale current and retranslate the static markup.
+ *
+ * @param {string} locale - Supported locale code
+ */
+function applyLocale(locale) {
+    i18n.locale = locale;
+    i18n.pluralRules = new Intl.PluralRules(locale);
+    i18n.numberFormat = new Intl.NumberFormat(locale);
+
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+    translatePage();
+}
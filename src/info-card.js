@@ -0,0 +1,217 @@
+/**
+ * Information Cards
+ *
+ * The accessible content card opened by "info" hotspots - points of interest
+ * like the piano, the fireplace or the kitchen island. Each card can show a
+ * title, rich text, a photo, dimensions and an optional link.
+ *
+ * The card is a modal dialog: focus moves into it on open, Tab stays inside,
+ * Escape or the close button dismisses it, and focus returns to the hotspot
+ * that opened it.
+ */
+
+import { trapFocus } from './utils.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Elements (and their allowed attributes) permitted in card text.
+ * Card content can come from an external manifest, so everything else is
+ * stripped before it reaches the DOM.
+ */
+const ALLOWED_TAGS = {
+    P: [],
+    BR: [],
+    STRONG: [],
+    EM: [],
+    B: [],
+    I: [],
+    UL: [],
+    OL: [],
+    LI: [],
+    A: ['href']
+};
+
+/**
+ * Link protocols allowed in card text and the card's link button.
+ */
+const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:|\/|#)/i;
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const card = {
+    root: null,
+    title: null,
+    image: null,
+    body: null,
+    dimensions: null,
+    link: null,
+    closeButton: null,
+    returnFocus: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Wire up the card markup from index.html. Call once on startup.
+ */
+export function initInfoCard() {
+    card.root = document.getElementById('info-card');
+    card.title = document.getElementById('info-card-title');
+    card.image = document.getElementById('info-card-image');
+    card.body = document.getElementById('info-card-body');
+    card.dimensions = document.getElementById('info-card-dimensions');
+    card.link = document.getElementById('info-card-link');
+    card.closeButton = document.getElementById('info-card-close');
+
+    card.closeButton.addEventListener('click', closeInfoCard);
+
+    // Clicking the backdrop (outside the panel) closes the card
+    card.root.addEventListener('click', (event) => {
+        if (event.target === card.root) {
+            closeInfoCard();
+        }
+    });
+
+    card.root.addEventListener('keydown', handleCardKeydown);
+}
+
+
+/**
+ * Open the card for an info hotspot.
+ *
+ * @param {Object} info - Hotspot content ({ title, text, image, imageAlt, dimensions, link })
+ * @param {HTMLElement} [trigger] - Element to refocus when the card closes
+ */
+export function openInfoCard(info, trigger) {
+    card.returnFocus = trigger || document.activeElement;
+
+    card.title.textContent = localize(info.title);
+    card.body.innerHTML = sanitizeRichText(localize(info.text));
+
+    card.image.hidden = !info.image;
+    if (info.image) {
+        card.image.src = info.image;
+        card.image.alt = localize(info.imageAlt);
+    } else {
+        card.image.removeAttribute('src');
+    }
+
+    card.dimensions.hidden = !info.dimensions;
+    card.dimensions.textContent = info.dimensions ? t('infoCard.dimensions', { dimensions: localize(info.dimensions) }) : '';
+
+    const hasLink = Boolean(info.link && SAFE_URL_PATTERN.test(info.link.href));
+    card.link.hidden = !hasLink;
+    if (hasLink) {
+        card.link.href = info.link.href;
+        card.link.textContent = localize(info.link.label) || t('infoCard.learnMore');
+    }
+
+    card.root.hidden = false;
+    // Next frame so the opening transition runs
+    requestAnimationFrame(() => card.root.classList.add('open'));
+    card.closeButton.focus();
+}
+
+
+/**
+ * Close the card and return focus to whatever opened it.
+ */
+export function closeInfoCard() {
+    if (!isInfoCardOpen()) return;
+
+    card.root.classList.remove('open');
+    card.root.hidden = true;
+
+    card.returnFocus?.focus?.();
+    card.returnFocus = null;
+}
+
+
+/**
+ * @returns {boolean} Whether the card is currently shown
+ */
+export function isInfoCardOpen() {
+    return Boolean(card.root) && !card.root.hidden;
+}
+
+
+// ============================================================================
+// KEYBOARD HANDLING
+// ============================================================================
+
+/**
+ * Close on Escape and keep Tab focus inside the card.
+ *
+ * @param {KeyboardEvent} event
+ */
+function handleCardKeydown(event) {
+    if (event.key === 'Escape') {
+        event.stopPropagation();
+        closeInfoCard();
+        return;
+    }
+
+    trapFocus(card.root, event);
+}
+
+
+// ============================================================================
+// RICH TEXT
+// ============================================================================
+
+/**
+ * Reduce card HTML to the ALLOWED_TAGS subset. Disallowed elements are
+ * unwrapped (their text kept), scripts and styles are dropped entirely, and
+ * links always open safely in a new tab.
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeRichText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+
+function sanitizeNode(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE || ['SCRIPT', 'STYLE', 'TEMPLATE'].includes(node.tagName)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeNode(node);
+
+        const allowedAttributes = ALLOWED_TAGS[node.tagName];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        [...node.attributes]
+            .filter(attr => !allowedAttributes.includes(attr.name))
+            .forEach(attr => node.removeAttribute(attr.name));
+
+        if (node.tagName === 'A') {
+            if (!SAFE_URL_PATTERN.test(node.getAttribute('href') || '')) {
+                node.removeAttribute('href');
+            }
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
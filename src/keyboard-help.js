@@ -0,0 +1,101 @@
+/**
+ * Keyboard Shortcuts Dialog
+ *
+ * Lists the tour's keyboard shortcuts, opened with "?" or the controls
+ * panel's keyboard button. Behaves like the info card: a modal dialog that
+ * keeps Tab inside, closes on Escape, the close button or the backdrop,
+ * and hands focus back to whatever opened it.
+ */
+
+import { trapFocus } from './utils.js';
+import { t, formatNumber } from './i18n.js';
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const help = {
+    root: null,
+    closeButton: null,
+    lastRoom: null,
+    rooms: null,
+    floors: null,
+    returnFocus: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Wire up the dialog markup from index.html. Call once on startup.
+ */
+export function initKeyboardHelp() {
+    help.root = document.getElementById('keyboard-help');
+    help.closeButton = document.getElementById('keyboard-help-close');
+    help.lastRoom = document.getElementById('keyboard-help-last-room');
+    help.rooms = document.getElementById('keyboard-help-rooms');
+    help.floors = document.getElementById('keyboard-help-floors');
+
+    help.closeButton.addEventListener('click', closeKeyboardHelp);
+
+    help.root.addEventListener('click', (event) => {
+        if (event.target === help.root) {
+            closeKeyboardHelp();
+        }
+    });
+
+    help.root.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            closeKeyboardHelp();
+            return;
+        }
+        trapFocus(help.root, event);
+    });
+}
+
+
+/**
+ * Open the dialog.
+ *
+ * @param {number} roomCount - Rooms the number keys reach (the tour's, or the current floor's), for the "jump to room" range
+ * @param {number} [floorCount] - Floors in the tour; the floor keys are only listed when there are several
+ */
+export function openKeyboardHelp(roomCount, floorCount = 1) {
+    help.returnFocus = document.activeElement;
+
+    const onFloor = floorCount > 1;
+    help.lastRoom.textContent = formatNumber(roomCount);
+    help.rooms.textContent = t(roomCount > 9
+        ? (onFloor ? 'keyboardHelp.floorRoomsTwoDigits' : 'keyboardHelp.roomsTwoDigits')
+        : (onFloor ? 'keyboardHelp.floorRooms' : 'keyboardHelp.rooms'));
+    help.floors.hidden = !onFloor;
+
+    help.root.hidden = false;
+    requestAnimationFrame(() => help.root.classList.add('open'));
+    help.closeButton.focus();
+}
+
+
+/**
+ * Close the dialog and return focus to whatever opened it.
+ */
+export function closeKeyboardHelp() {
+    if (!isKeyboardHelpOpen()) return;
+
+    help.root.classList.remove('open');
+    help.root.hidden = true;
+
+    help.returnFocus?.focus?.();
+    help.returnFocus = null;
+}
+
+
+/**
+ * @returns {boolean} Whether the dialog is currently shown
+ */
+export function isKeyboardHelpOpen() {
+    return Boolean(help.root) && !help.root.hidden;
+}
@@ -0,0 +1,203 @@
+/**
+ * Arabic Messages (see en.js for every key). Written right to left; i18n.js
+ * sets dir="rtl" on the page for this locale.
+ */
+
+export const ar = {
+    // Page and header
+    'page.title': 'جولة افتراضية في منزل فاخر | تجربة ثلاثية الأبعاد',
+    'header.tagline': 'تجربة الجولة الافتراضية',
+    'header.language': 'اللغة',
+    'header.property': 'العقار',
+
+    // Loading screen
+    'loading.title': 'جارٍ تحميل الجولة الافتراضية التجريبية',
+    'loading.message': 'جارٍ تجهيز تجربتك...',
+    'loading.progress': 'جارٍ تحميل {room}... {percent}٪',
+    'loading.failed': 'تعذّر تحميل هذه الجولة',
+    'loading.preloading': 'جارٍ تجهيز الغرف {loaded}/{total}',
+
+    // Panorama
+    'panorama.roleDescription': 'صورة بانورامية بزاوية 360°',
+    'panorama.label': 'بانوراما {room}',
+    'panorama.instructions': 'استخدم مفاتيح الأسهم للنظر حولك ومفتاحَي الجمع والطرح للتكبير والتصغير. اضغط Tab للوصول إلى النقاط التفاعلية، وعلامة الاستفهام لعرض كل اختصارات لوحة المفاتيح.',
+    'panorama.flatLabel': 'بانوراما مسطّحة - مرّر جانبيًا للنظر حولك',
+    'panorama.flatImage': '{room} (بانوراما مسطّحة)',
+    'panorama.flatNotice': '{reason} تُعرض صورة مسطّحة بدلًا منها.',
+
+    // Room navigation
+    'rooms.heading': 'استكشف الغرف',
+    'rooms.counter': {
+        one: '{current} من غرفة واحدة',
+        two: '{current} من غرفتين',
+        few: '{current} من {count} غرف',
+        many: '{current} من {count} غرفة',
+        other: '{current} من {count} غرفة'
+    },
+    'rooms.announcement': '{room}، الغرفة {current} من {count}',
+    'rooms.announcementFloor': '{room}، {floor}، الغرفة {current} من {count}',
+    'rooms.counterFloor': 'الغرفة {current} من {count} · {floor}',
+    'rooms.floors': 'الطوابق',
+    'rooms.navigate': 'الانتقال إلى {room}',
+    'rooms.navigateUnavailable': 'الانتقال إلى {room} (غير متاحة حاليًا)',
+    'rooms.unavailableTitle': 'تعذّر تحميل {room} - انقر للمحاولة مرة أخرى',
+
+    // Hotspots
+    'hotspot.goTo': 'الانتقال إلى {room}',
+    'hotspot.about': 'حول {title}',
+    'hotspot.plugin': 'نقطة تفاعلية ({type})',
+    'hotspot.stairs': 'اذهب عبر الدرج إلى {room}',
+    'hotspot.elevator': 'خذ المصعد إلى {room}',
+
+    // Controls panel
+    'controls.zoomIn': 'تكبير',
+    'controls.zoomOut': 'تصغير',
+    'controls.fullscreen': 'ملء الشاشة',
+    'controls.keyboardHelp': 'اختصارات لوحة المفاتيح',
+    'controls.keyboardHelpTitle': 'اختصارات لوحة المفاتيح (?)',
+    'controls.gyroscope': 'انظر حولك بتحريك هاتفك',
+    'controls.gyroscopeDenied': 'الوصول إلى مستشعر الحركة محظور - اسمح به في إعدادات المتصفح لتنظر حولك بتحريك هاتفك',
+    'controls.vr': 'العرض بالواقع الافتراضي',
+    'controls.snapshot': 'حفظ لقطة من هذا المنظر أو مشاركتها',
+    'controls.measure': 'قياس المسافات والارتفاعات',
+    'controls.splitView': 'مقارنة جنبًا إلى جنب',
+
+    // VR mode
+    'vr.region': 'عرض الواقع الافتراضي',
+    'vr.exit': 'الخروج من الواقع الافتراضي',
+
+    // Measure mode
+    'measure.region': 'القياس',
+    'measure.start': 'انقر على نقطة في الأرضية لبدء القياس',
+    'measure.next': 'انقر على نقطة ثانية في الأرضية، أو على نقطة فوق الأفق لقياس ارتفاع',
+    'measure.notFloor': 'انقر في موضع أدنى - يجب أن تكون نقاط الأرضية تحت الأفق',
+    'measure.distance': 'المسافة: {length}',
+    'measure.height': 'الارتفاع: {length}',
+    'measure.metres': '{value} م',
+    'measure.feetInches': '{feet} قدم {inches} بوصة',
+    'measure.units': 'الوحدات',
+    'measure.metric': 'م',
+    'measure.imperial': 'قدم',
+    'measure.export': 'تصدير',
+    'measure.clear': 'مسح',
+    'measure.done': 'تم',
+
+    // Snapshots
+    'snapshot.title': 'لقطة',
+    'snapshot.format': 'الصيغة',
+    'snapshot.size': 'الحجم',
+    'snapshot.sizeScreen': 'حجم الشاشة',
+    'snapshot.sizeLarge': 'دقة عالية',
+    'snapshot.roomTitle': 'اسم الغرفة',
+    'snapshot.watermark': 'علامة مائية',
+    'snapshot.share': 'مشاركة',
+    'snapshot.download': 'تنزيل',
+    'snapshot.previewAlt': 'لقطة من {room}',
+
+    // Room versions
+    'versions.title': 'النسخ',
+    'versions.original': 'الأصلية',
+    'versions.compare': 'مقارنة',
+    'versions.compareWith': 'مقارنة مع',
+    'versions.divider': 'فاصل المقارنة',
+    'versions.dividerValue': '{left} {leftShare}%، {right} {rightShare}%',
+
+    // Split view
+    'split.title': 'المقارنة',
+    'split.panorama': 'بانوراما المقارنة',
+    'split.property': 'المنزل المراد مقارنته',
+    'split.thisHome': 'هذا المنزل',
+    'split.room': 'الغرفة المراد مقارنتها',
+    'split.sync': 'ربط الكاميرات',
+    'split.close': 'إغلاق المقارنة',
+    'split.loading': 'جارٍ التحميل…',
+    'split.failed': 'تعذّر تحميل هذا المنزل',
+
+    // Floor-plan minimap
+    'minimap.title': 'المخطط',
+    'minimap.imageAlt': 'مخطط المنزل',
+    'minimap.goTo': 'الانتقال إلى {room}',
+
+    // Guided tour
+    'autoplay.play': 'تشغيل الجولة',
+    'autoplay.playTitle': 'تشغيل الجولة الإرشادية',
+    'autoplay.region': 'تشغيل الجولة الإرشادية',
+    'autoplay.pause': 'إيقاف مؤقت',
+    'autoplay.resume': 'استئناف',
+    'autoplay.skip': 'تخطٍّ',
+    'autoplay.skipTitle': 'المحطة التالية',
+    'autoplay.stop': 'إيقاف',
+    'autoplay.stopTitle': 'إنهاء الجولة الإرشادية',
+
+    // Info card
+    'infoCard.dimensions': 'الأبعاد: {dimensions}',
+    'infoCard.learnMore': 'اعرف المزيد',
+    'dialog.close': 'إغلاق',
+
+    // Keyboard shortcuts dialog
+    'keyboardHelp.title': 'اختصارات لوحة المفاتيح',
+    'keyboardHelp.look': 'النظر حولك (عند تحديد البانوراما)',
+    'keyboardHelp.zoom': 'التكبير والتصغير (عند تحديد البانوراما)',
+    'keyboardHelp.tab': 'التنقل بين النقاط التفاعلية والأزرار',
+    'keyboardHelp.open': 'فتح نقطة تفاعلية',
+    'keyboardHelp.nextPrevious': 'الغرفة التالية والسابقة',
+    'keyboardHelp.floors': 'الطابق الأعلى والأسفل',
+    'keyboardHelp.rooms': 'الانتقال إلى غرفة برقمها',
+    'keyboardHelp.roomsTwoDigits': 'الانتقال إلى غرفة برقمها (اكتب الرقمين بسرعة)',
+    'keyboardHelp.floorRooms': 'الانتقال إلى غرفة في هذا الطابق برقمها',
+    'keyboardHelp.floorRoomsTwoDigits': 'الانتقال إلى غرفة في هذا الطابق برقمها (اكتب الرقمين بسرعة)',
+    'keyboardHelp.fullscreen': 'ملء الشاشة',
+    'keyboardHelp.help': 'عرض هذه الاختصارات',
+    'keyboardHelp.close': 'إغلاق بطاقة أو نافذة حوار',
+
+    // Scene errors
+    'sceneError.title': 'تعذّر تحميل {room}',
+    'sceneError.missing': 'الصورة البانورامية لهذه الغرفة غير موجودة على الخادم.',
+    'sceneError.network': 'تعذّر تنزيل الصورة البانورامية. تحقّق من اتصالك وحاول مرة أخرى.',
+    'sceneError.webgl': 'لا يستطيع متصفحك عرض المشاهد بزاوية 360° لأن WebGL غير متاح.',
+    'sceneError.textureSize': 'هذه الصورة البانورامية أكبر مما تحتمله معالجة الرسوميات في جهازك.',
+    'sceneError.unknown': 'حدث خطأ أثناء عرض هذه الغرفة.',
+    'sceneError.retry': 'حاول مرة أخرى',
+    'sceneError.dismiss': 'إغلاق',
+
+    // Offline and updates
+    'offline.saving': 'جارٍ الحفظ للاستخدام دون اتصال…',
+    'offline.ready': 'متاحة دون اتصال',
+    'offline.incomplete': 'متاحة جزئيًا دون اتصال',
+    'update.available': 'يتوفر إصدار جديد من هذه الجولة.',
+    'update.later': 'لاحقًا',
+    'update.reload': 'إعادة التحميل',
+
+    // Attention heatmap
+    'heatmap.title': 'أين ينظر المشترون',
+    'heatmap.refresh': 'تحديث',
+    'heatmap.canvas': 'الاهتمام حسب اتجاه النظر عبر البانوراما',
+    'heatmap.loading': 'جارٍ التحميل…',
+    'heatmap.noData': 'لا تتوفر بيانات تحليلية.',
+    'heatmap.noVisits': '{room}: لم تُسجَّل أي زيارات بعد.',
+    'heatmap.summary': '{room}: {visits} في {sessions}، {time} إجمالًا.',
+    'heatmap.visits': {
+        one: 'زيارة واحدة',
+        two: 'زيارتان',
+        few: '{count} زيارات',
+        many: '{count} زيارة',
+        other: '{count} زيارة'
+    },
+    'heatmap.sessions': {
+        one: 'جلسة واحدة',
+        two: 'جلستين',
+        few: '{count} جلسات',
+        many: '{count} جلسة',
+        other: '{count} جلسة'
+    },
+    'heatmap.seconds': '{seconds} ث',
+    'heatmap.minutes': '{minutes} د {seconds} ث',
+
+    // Hints
+    'hint.drag': 'اسحب للنظر حولك',
+    'fullscreenBanner.title': 'حسّن تجربتك',
+    'fullscreenBanner.text': 'استخدم وضع ملء الشاشة للحصول على أفضل تجربة مشاهدة. ستدور الشاشة إلى الوضع الأفقي تلقائيًا.',
+    'fullscreenBanner.badge': 'قيود موقع العرض التجريبي',
+    'fullscreenBanner.later': 'لاحقًا',
+    'fullscreenBanner.enter': 'ملء الشاشة'
+};
@@ -0,0 +1,197 @@
+/**
+ * English Messages
+ *
+ * The source catalog: every key the tour uses, and the fallback for keys
+ * another catalog leaves out (see i18n.js). {name} is filled in by t();
+ * an object of plural forms is picked by `count`.
+ */
+
+export const en = {
+    // Page and header
+    'page.title': 'Luxury Home Virtual Tour | 3D Experience',
+    'header.tagline': 'Virtual Tour Experience',
+    'header.language': 'Language',
+    'header.property': 'Property',
+
+    // Loading screen
+    'loading.title': 'Loading Sample Virtual Tour',
+    'loading.message': 'Preparing your experience...',
+    'loading.progress': 'Loading {room}... {percent}%',
+    'loading.failed': 'Unable to load this tour',
+    'loading.preloading': 'Preparing rooms {loaded}/{total}',
+
+    // Panorama
+    'panorama.roleDescription': '360° panorama',
+    'panorama.label': '{room} panorama',
+    'panorama.instructions': 'Use the arrow keys to look around and plus or minus to zoom. Press Tab to reach the hotspots, and question mark for all keyboard shortcuts.',
+    'panorama.flatLabel': 'Flat panorama - scroll sideways to look around',
+    'panorama.flatImage': '{room} (flat panorama)',
+    'panorama.flatNotice': '{reason} Showing a flat image instead.',
+
+    // Room navigation
+    'rooms.heading': 'Explore Rooms',
+    'rooms.counter': {
+        one: '{current} of {count} room',
+        other: '{current} of {count} rooms'
+    },
+    'rooms.announcement': '{room}, room {current} of {count}',
+    'rooms.announcementFloor': '{room}, {floor}, room {current} of {count}',
+    'rooms.counterFloor': 'Room {current} of {count} · {floor}',
+    'rooms.floors': 'Floors',
+    'rooms.navigate': 'Navigate to {room}',
+    'rooms.navigateUnavailable': 'Navigate to {room} (currently unavailable)',
+    'rooms.unavailableTitle': '{room} couldn\'t be loaded - click to try again',
+
+    // Hotspots
+    'hotspot.goTo': 'Go to {room}',
+    'hotspot.about': 'About {title}',
+    'hotspot.plugin': '{type} hotspot',
+    'hotspot.stairs': 'Take the stairs to {room}',
+    'hotspot.elevator': 'Take the elevator to {room}',
+
+    // Controls panel
+    'controls.zoomIn': 'Zoom in',
+    'controls.zoomOut': 'Zoom out',
+    'controls.fullscreen': 'Fullscreen',
+    'controls.keyboardHelp': 'Keyboard shortcuts',
+    'controls.keyboardHelpTitle': 'Keyboard shortcuts (?)',
+    'controls.gyroscope': 'Look around by moving your phone',
+    'controls.gyroscopeDenied': 'Motion access is blocked - allow it in your browser settings to look around by moving your phone',
+    'controls.vr': 'View in VR',
+    'controls.snapshot': 'Save or share a snapshot of this view',
+    'controls.measure': 'Measure distances and heights',
+    'controls.splitView': 'Compare side by side',
+
+    // VR mode
+    'vr.region': 'VR view',
+    'vr.exit': 'Exit VR',
+
+    // Measure mode
+    'measure.region': 'Measure',
+    'measure.start': 'Click a point on the floor to start measuring',
+    'measure.next': 'Click a second floor point, or a point above the horizon to measure a height',
+    'measure.notFloor': 'Click lower - points on the floor must be below the horizon',
+    'measure.distance': 'Distance: {length}',
+    'measure.height': 'Height: {length}',
+    'measure.metres': '{value} m',
+    'measure.feetInches': '{feet} ft {inches} in',
+    'measure.units': 'Units',
+    'measure.metric': 'm',
+    'measure.imperial': 'ft',
+    'measure.export': 'Export',
+    'measure.clear': 'Clear',
+    'measure.done': 'Done',
+
+    // Snapshots
+    'snapshot.title': 'Snapshot',
+    'snapshot.format': 'Format',
+    'snapshot.size': 'Size',
+    'snapshot.sizeScreen': 'Screen size',
+    'snapshot.sizeLarge': 'High resolution',
+    'snapshot.roomTitle': 'Room title',
+    'snapshot.watermark': 'Watermark',
+    'snapshot.share': 'Share',
+    'snapshot.download': 'Download',
+    'snapshot.previewAlt': 'Snapshot of {room}',
+
+    // Room versions
+    'versions.title': 'Versions',
+    'versions.original': 'Original',
+    'versions.compare': 'Compare',
+    'versions.compareWith': 'Compare with',
+    'versions.divider': 'Comparison divider',
+    'versions.dividerValue': '{left} {leftShare}%, {right} {rightShare}%',
+
+    // Split view
+    'split.title': 'Comparison',
+    'split.panorama': 'Comparison panorama',
+    'split.property': 'Home to compare',
+    'split.thisHome': 'This home',
+    'split.room': 'Room to compare',
+    'split.sync': 'Link cameras',
+    'split.close': 'Close comparison',
+    'split.loading': 'Loading…',
+    'split.failed': 'This home couldn\'t be loaded',
+
+    // Floor-plan minimap
+    'minimap.title': 'Floor Plan',
+    'minimap.imageAlt': 'Floor plan',
+    'minimap.goTo': 'Go to {room}',
+
+    // Guided tour
+    'autoplay.play': 'Play tour',
+    'autoplay.playTitle': 'Play guided tour',
+    'autoplay.region': 'Guided tour playback',
+    'autoplay.pause': 'Pause',
+    'autoplay.resume': 'Resume',
+    'autoplay.skip': 'Skip',
+    'autoplay.skipTitle': 'Next stop',
+    'autoplay.stop': 'Stop',
+    'autoplay.stopTitle': 'End guided tour',
+
+    // Info card
+    'infoCard.dimensions': 'Dimensions: {dimensions}',
+    'infoCard.learnMore': 'Learn more',
+    'dialog.close': 'Close',
+
+    // Keyboard shortcuts dialog
+    'keyboardHelp.title': 'Keyboard shortcuts',
+    'keyboardHelp.look': 'Look around (panorama focused)',
+    'keyboardHelp.zoom': 'Zoom in and out (panorama focused)',
+    'keyboardHelp.tab': 'Move between hotspots and buttons',
+    'keyboardHelp.open': 'Open a hotspot',
+    'keyboardHelp.nextPrevious': 'Next and previous room',
+    'keyboardHelp.floors': 'Floor up and down',
+    'keyboardHelp.rooms': 'Go to a room by its number',
+    'keyboardHelp.roomsTwoDigits': 'Go to a room by its number (type both digits quickly)',
+    'keyboardHelp.floorRooms': 'Go to a room on this floor by its number',
+    'keyboardHelp.floorRoomsTwoDigits': 'Go to a room on this floor by its number (type both digits quickly)',
+    'keyboardHelp.fullscreen': 'Fullscreen',
+    'keyboardHelp.help': 'Show these shortcuts',
+    'keyboardHelp.close': 'Close a card or dialog',
+
+    // Scene errors
+    'sceneError.title': 'Couldn\'t load {room}',
+    'sceneError.missing': 'The panorama for this room is missing from the server.',
+    'sceneError.network': 'The panorama couldn\'t be downloaded. Check your connection and try again.',
+    'sceneError.webgl': 'Your browser can\'t display 360° views because WebGL is unavailable.',
+    'sceneError.textureSize': 'This panorama is too large for your device\'s graphics hardware.',
+    'sceneError.unknown': 'Something went wrong while displaying this room.',
+    'sceneError.retry': 'Try again',
+    'sceneError.dismiss': 'Dismiss',
+
+    // Offline and updates
+    'offline.saving': 'Saving for offline…',
+    'offline.ready': 'Available offline',
+    'offline.incomplete': 'Partly available offline',
+    'update.available': 'A new version of this tour is available.',
+    'update.later': 'Later',
+    'update.reload': 'Reload',
+
+    // Attention heatmap
+    'heatmap.title': 'Where buyers look',
+    'heatmap.refresh': 'Refresh',
+    'heatmap.canvas': 'Attention by viewing direction across the panorama',
+    'heatmap.loading': 'Loading…',
+    'heatmap.noData': 'No analytics data available.',
+    'heatmap.noVisits': '{room}: no visits recorded yet.',
+    'heatmap.summary': '{room}: {visits} in {sessions}, {time} in total.',
+    'heatmap.visits': {
+        one: '{count} visit',
+        other: '{count} visits'
+    },
+    'heatmap.sessions': {
+        one: '{count} session',
+        other: '{count} sessions'
+    },
+    'heatmap.seconds': '{seconds}s',
+    'heatmap.minutes': '{minutes}m {seconds}s',
+
+    // Hints
+    'hint.drag': 'Drag to look around',
+    'fullscreenBanner.title': 'Enhance Your Experience',
+    'fullscreenBanner.text': 'Use fullscreen mode for the best viewing experience. Screen will rotate to landscape automatically.',
+    'fullscreenBanner.badge': 'Demo Site Limitations',
+    'fullscreenBanner.later': 'Later',
+    'fullscreenBanner.enter': 'Fullscreen'
+};
@@ -0,0 +1,193 @@
+/**
+ * Spanish Messages (see en.js for every key)
+ */
+
+export const es = {
+    // Page and header
+    'page.title': 'Visita virtual de una vivienda de lujo | Experiencia 3D',
+    'header.tagline': 'Experiencia de visita virtual',
+    'header.language': 'Idioma',
+    'header.property': 'Inmueble',
+
+    // Loading screen
+    'loading.title': 'Cargando la visita virtual de ejemplo',
+    'loading.message': 'Preparando tu experiencia...',
+    'loading.progress': 'Cargando {room}... {percent} %',
+    'loading.failed': 'No se ha podido cargar esta visita',
+    'loading.preloading': 'Preparando estancias {loaded}/{total}',
+
+    // Panorama
+    'panorama.roleDescription': 'panorámica de 360°',
+    'panorama.label': 'Panorámica de {room}',
+    'panorama.instructions': 'Usa las flechas para mirar alrededor y más o menos para acercar o alejar. Pulsa Tab para llegar a los puntos de interés y el signo de interrogación para ver todos los atajos de teclado.',
+    'panorama.flatLabel': 'Panorámica plana: desplázate a los lados para mirar alrededor',
+    'panorama.flatImage': '{room} (panorámica plana)',
+    'panorama.flatNotice': '{reason} Se muestra una imagen plana en su lugar.',
+
+    // Room navigation
+    'rooms.heading': 'Explorar estancias',
+    'rooms.counter': {
+        one: '{current} de {count} estancia',
+        other: '{current} de {count} estancias'
+    },
+    'rooms.announcement': '{room}, estancia {current} de {count}',
+    'rooms.announcementFloor': '{room}, {floor}, estancia {current} de {count}',
+    'rooms.counterFloor': 'Estancia {current} de {count} · {floor}',
+    'rooms.floors': 'Plantas',
+    'rooms.navigate': 'Ir a {room}',
+    'rooms.navigateUnavailable': 'Ir a {room} (no disponible por ahora)',
+    'rooms.unavailableTitle': 'No se ha podido cargar {room}: haz clic para volver a intentarlo',
+
+    // Hotspots
+    'hotspot.goTo': 'Ir a {room}',
+    'hotspot.about': 'Acerca de {title}',
+    'hotspot.plugin': 'Punto de interés {type}',
+    'hotspot.stairs': 'Ir por la escalera a {room}',
+    'hotspot.elevator': 'Ir en ascensor a {room}',
+
+    // Controls panel
+    'controls.zoomIn': 'Acercar',
+    'controls.zoomOut': 'Alejar',
+    'controls.fullscreen': 'Pantalla completa',
+    'controls.keyboardHelp': 'Atajos de teclado',
+    'controls.keyboardHelpTitle': 'Atajos de teclado (?)',
+    'controls.gyroscope': 'Mirar alrededor moviendo el móvil',
+    'controls.gyroscopeDenied': 'El acceso al movimiento está bloqueado: actívalo en los ajustes del navegador para mirar alrededor moviendo el móvil',
+    'controls.vr': 'Ver en realidad virtual',
+    'controls.snapshot': 'Guardar o compartir una captura de esta vista',
+    'controls.measure': 'Medir distancias y alturas',
+    'controls.splitView': 'Comparar en paralelo',
+
+    // VR mode
+    'vr.region': 'Vista de realidad virtual',
+    'vr.exit': 'Salir de la RV',
+
+    // Measure mode
+    'measure.region': 'Medir',
+    'measure.start': 'Haz clic en un punto del suelo para empezar a medir',
+    'measure.next': 'Haz clic en otro punto del suelo, o en un punto por encima del horizonte para medir una altura',
+    'measure.notFloor': 'Haz clic más abajo: los puntos del suelo deben estar por debajo del horizonte',
+    'measure.distance': 'Distancia: {length}',
+    'measure.height': 'Altura: {length}',
+    'measure.metres': '{value} m',
+    'measure.feetInches': '{feet} ft {inches} in',
+    'measure.units': 'Unidades',
+    'measure.metric': 'm',
+    'measure.imperial': 'ft',
+    'measure.export': 'Exportar',
+    'measure.clear': 'Borrar',
+    'measure.done': 'Listo',
+
+    // Snapshots
+    'snapshot.title': 'Captura',
+    'snapshot.format': 'Formato',
+    'snapshot.size': 'Tamaño',
+    'snapshot.sizeScreen': 'Tamaño de pantalla',
+    'snapshot.sizeLarge': 'Alta resolución',
+    'snapshot.roomTitle': 'Nombre de la estancia',
+    'snapshot.watermark': 'Marca de agua',
+    'snapshot.share': 'Compartir',
+    'snapshot.download': 'Descargar',
+    'snapshot.previewAlt': 'Captura de: {room}',
+
+    // Room versions
+    'versions.title': 'Versiones',
+    'versions.original': 'Original',
+    'versions.compare': 'Comparar',
+    'versions.compareWith': 'Comparar con',
+    'versions.divider': 'Divisor de comparación',
+    'versions.dividerValue': '{left} {leftShare} %, {right} {rightShare} %',
+
+    // Split view
+    'split.title': 'Comparación',
+    'split.panorama': 'Panorama de comparación',
+    'split.property': 'Vivienda para comparar',
+    'split.thisHome': 'Esta vivienda',
+    'split.room': 'Estancia para comparar',
+    'split.sync': 'Vincular cámaras',
+    'split.close': 'Cerrar comparación',
+    'split.loading': 'Cargando…',
+    'split.failed': 'No se pudo cargar esta vivienda',
+
+    // Floor-plan minimap
+    'minimap.title': 'Plano',
+    'minimap.imageAlt': 'Plano de la vivienda',
+    'minimap.goTo': 'Ir a {room}',
+
+    // Guided tour
+    'autoplay.play': 'Reproducir visita',
+    'autoplay.playTitle': 'Reproducir la visita guiada',
+    'autoplay.region': 'Reproducción de la visita guiada',
+    'autoplay.pause': 'Pausa',
+    'autoplay.resume': 'Continuar',
+    'autoplay.skip': 'Saltar',
+    'autoplay.skipTitle': 'Siguiente parada',
+    'autoplay.stop': 'Detener',
+    'autoplay.stopTitle': 'Terminar la visita guiada',
+
+    // Info card
+    'infoCard.dimensions': 'Dimensiones: {dimensions}',
+    'infoCard.learnMore': 'Más información',
+    'dialog.close': 'Cerrar',
+
+    // Keyboard shortcuts dialog
+    'keyboardHelp.title': 'Atajos de teclado',
+    'keyboardHelp.look': 'Mirar alrededor (con la panorámica activa)',
+    'keyboardHelp.zoom': 'Acercar y alejar (con la panorámica activa)',
+    'keyboardHelp.tab': 'Pasar de un punto de interés o botón a otro',
+    'keyboardHelp.open': 'Abrir un punto de interés',
+    'keyboardHelp.nextPrevious': 'Estancia siguiente y anterior',
+    'keyboardHelp.floors': 'Subir y bajar de planta',
+    'keyboardHelp.rooms': 'Ir a una estancia por su número',
+    'keyboardHelp.roomsTwoDigits': 'Ir a una estancia por su número (escribe las dos cifras seguidas)',
+    'keyboardHelp.floorRooms': 'Ir a una estancia de esta planta por su número',
+    'keyboardHelp.floorRoomsTwoDigits': 'Ir a una estancia de esta planta por su número (escribe las dos cifras seguidas)',
+    'keyboardHelp.fullscreen': 'Pantalla completa',
+    'keyboardHelp.help': 'Mostrar estos atajos',
+    'keyboardHelp.close': 'Cerrar una ficha o un cuadro de diálogo',
+
+    // Scene errors
+    'sceneError.title': 'No se ha podido cargar {room}',
+    'sceneError.missing': 'La panorámica de esta estancia no está en el servidor.',
+    'sceneError.network': 'No se ha podido descargar la panorámica. Comprueba tu conexión y vuelve a intentarlo.',
+    'sceneError.webgl': 'Tu navegador no puede mostrar vistas de 360° porque WebGL no está disponible.',
+    'sceneError.textureSize': 'Esta panorámica es demasiado grande para la tarjeta gráfica de tu dispositivo.',
+    'sceneError.unknown': 'Se ha producido un error al mostrar esta estancia.',
+    'sceneError.retry': 'Reintentar',
+    'sceneError.dismiss': 'Cerrar',
+
+    // Offline and updates
+    'offline.saving': 'Guardando para usar sin conexión…',
+    'offline.ready': 'Disponible sin conexión',
+    'offline.incomplete': 'Disponible en parte sin conexión',
+    'update.available': 'Hay una nueva versión de esta visita.',
+    'update.later': 'Más tarde',
+    'update.reload': 'Recargar',
+
+    // Attention heatmap
+    'heatmap.title': 'Dónde miran los compradores',
+    'heatmap.refresh': 'Actualizar',
+    'heatmap.canvas': 'Atención según la dirección de la mirada en el panorama',
+    'heatmap.loading': 'Cargando…',
+    'heatmap.noData': 'No hay datos de analítica disponibles.',
+    'heatmap.noVisits': '{room}: aún no hay visitas registradas.',
+    'heatmap.summary': '{room}: {visits} en {sessions}, {time} en total.',
+    'heatmap.visits': {
+        one: '{count} visita',
+        other: '{count} visitas'
+    },
+    'heatmap.sessions': {
+        one: '{count} sesión',
+        other: '{count} sesiones'
+    },
+    'heatmap.seconds': '{seconds} s',
+    'heatmap.minutes': '{minutes} min {seconds} s',
+
+    // Hints
+    'hint.drag': 'Arrastra para mirar alrededor',
+    'fullscreenBanner.title': 'Mejora tu experiencia',
+    'fullscreenBanner.text': 'Usa la pantalla completa para verlo todo mejor. La pantalla girará a horizontal automáticamente.',
+    'fullscreenBanner.badge': 'Limitaciones del sitio de demostración',
+    'fullscreenBanner.later': 'Más tarde',
+    'fullscreenBanner.enter': 'Pantalla completa'
+};
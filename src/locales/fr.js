@@ -0,0 +1,193 @@
+/**
+ * French Messages (see en.js for every key)
+ */
+
+export const fr = {
+    // Page and header
+    'page.title': 'Visite virtuelle d\'une maison de prestige | Expérience 3D',
+    'header.tagline': 'Expérience de visite virtuelle',
+    'header.language': 'Langue',
+    'header.property': 'Bien',
+
+    // Loading screen
+    'loading.title': 'Chargement de la visite virtuelle d\'exemple',
+    'loading.message': 'Préparation de votre visite…',
+    'loading.progress': 'Chargement de {room}… {percent} %',
+    'loading.failed': 'Impossible de charger cette visite',
+    'loading.preloading': 'Préparation des pièces {loaded}/{total}',
+
+    // Panorama
+    'panorama.roleDescription': 'panorama à 360°',
+    'panorama.label': 'Panorama : {room}',
+    'panorama.instructions': 'Utilisez les flèches pour regarder autour de vous, plus ou moins pour zoomer. Appuyez sur Tab pour atteindre les points d\'intérêt, et sur le point d\'interrogation pour voir tous les raccourcis clavier.',
+    'panorama.flatLabel': 'Panorama à plat : faites défiler sur le côté pour regarder autour de vous',
+    'panorama.flatImage': '{room} (panorama à plat)',
+    'panorama.flatNotice': '{reason} Une image à plat est affichée à la place.',
+
+    // Room navigation
+    'rooms.heading': 'Explorer les pièces',
+    'rooms.counter': {
+        one: '{current} sur {count} pièce',
+        other: '{current} sur {count} pièces'
+    },
+    'rooms.announcement': '{room}, pièce {current} sur {count}',
+    'rooms.announcementFloor': '{room}, {floor}, pièce {current} sur {count}',
+    'rooms.counterFloor': 'Pièce {current} sur {count} · {floor}',
+    'rooms.floors': 'Étages',
+    'rooms.navigate': 'Aller à : {room}',
+    'rooms.navigateUnavailable': 'Aller à : {room} (indisponible pour le moment)',
+    'rooms.unavailableTitle': 'Impossible de charger {room} : cliquez pour réessayer',
+
+    // Hotspots
+    'hotspot.goTo': 'Aller à : {room}',
+    'hotspot.about': 'À propos : {title}',
+    'hotspot.plugin': 'Point d\'intérêt {type}',
+    'hotspot.stairs': 'Prendre l\'escalier vers {room}',
+    'hotspot.elevator': 'Prendre l\'ascenseur vers {room}',
+
+    // Controls panel
+    'controls.zoomIn': 'Zoom avant',
+    'controls.zoomOut': 'Zoom arrière',
+    'controls.fullscreen': 'Plein écran',
+    'controls.keyboardHelp': 'Raccourcis clavier',
+    'controls.keyboardHelpTitle': 'Raccourcis clavier (?)',
+    'controls.gyroscope': 'Regarder autour de soi en bougeant le téléphone',
+    'controls.gyroscopeDenied': 'L\'accès aux mouvements est bloqué : autorisez-le dans les réglages du navigateur pour regarder autour de vous en bougeant le téléphone',
+    'controls.vr': 'Voir en réalité virtuelle',
+    'controls.snapshot': 'Enregistrer ou partager une capture de cette vue',
+    'controls.measure': 'Mesurer des distances et des hauteurs',
+    'controls.splitView': 'Comparer côte à côte',
+
+    // VR mode
+    'vr.region': 'Vue en réalité virtuelle',
+    'vr.exit': 'Quitter la RV',
+
+    // Measure mode
+    'measure.region': 'Mesure',
+    'measure.start': 'Cliquez sur un point du sol pour commencer à mesurer',
+    'measure.next': 'Cliquez sur un second point du sol, ou au-dessus de l\'horizon pour mesurer une hauteur',
+    'measure.notFloor': 'Cliquez plus bas : les points au sol doivent être sous l\'horizon',
+    'measure.distance': 'Distance : {length}',
+    'measure.height': 'Hauteur : {length}',
+    'measure.metres': '{value} m',
+    'measure.feetInches': '{feet} pi {inches} po',
+    'measure.units': 'Unités',
+    'measure.metric': 'm',
+    'measure.imperial': 'pi',
+    'measure.export': 'Exporter',
+    'measure.clear': 'Effacer',
+    'measure.done': 'Terminé',
+
+    // Snapshots
+    'snapshot.title': 'Capture',
+    'snapshot.format': 'Format',
+    'snapshot.size': 'Taille',
+    'snapshot.sizeScreen': 'Taille de l\'écran',
+    'snapshot.sizeLarge': 'Haute résolution',
+    'snapshot.roomTitle': 'Nom de la pièce',
+    'snapshot.watermark': 'Filigrane',
+    'snapshot.share': 'Partager',
+    'snapshot.download': 'Télécharger',
+    'snapshot.previewAlt': 'Capture : {room}',
+
+    // Room versions
+    'versions.title': 'Versions',
+    'versions.original': 'Original',
+    'versions.compare': 'Comparer',
+    'versions.compareWith': 'Comparer avec',
+    'versions.divider': 'Séparateur de comparaison',
+    'versions.dividerValue': '{left} {leftShare} %, {right} {rightShare} %',
+
+    // Split view
+    'split.title': 'Comparaison',
+    'split.panorama': 'Panorama de comparaison',
+    'split.property': 'Logement à comparer',
+    'split.thisHome': 'Ce logement',
+    'split.room': 'Pièce à comparer',
+    'split.sync': 'Lier les caméras',
+    'split.close': 'Fermer la comparaison',
+    'split.loading': 'Chargement…',
+    'split.failed': 'Impossible de charger ce logement',
+
+    // Floor-plan minimap
+    'minimap.title': 'Plan',
+    'minimap.imageAlt': 'Plan du logement',
+    'minimap.goTo': 'Aller à : {room}',
+
+    // Guided tour
+    'autoplay.play': 'Lancer la visite',
+    'autoplay.playTitle': 'Lancer la visite guidée',
+    'autoplay.region': 'Lecture de la visite guidée',
+    'autoplay.pause': 'Pause',
+    'autoplay.resume': 'Reprendre',
+    'autoplay.skip': 'Passer',
+    'autoplay.skipTitle': 'Étape suivante',
+    'autoplay.stop': 'Arrêter',
+    'autoplay.stopTitle': 'Terminer la visite guidée',
+
+    // Info card
+    'infoCard.dimensions': 'Dimensions : {dimensions}',
+    'infoCard.learnMore': 'En savoir plus',
+    'dialog.close': 'Fermer',
+
+    // Keyboard shortcuts dialog
+    'keyboardHelp.title': 'Raccourcis clavier',
+    'keyboardHelp.look': 'Regarder autour de soi (panorama sélectionné)',
+    'keyboardHelp.zoom': 'Zoom avant et arrière (panorama sélectionné)',
+    'keyboardHelp.tab': 'Passer d\'un point d\'intérêt ou d\'un bouton à l\'autre',
+    'keyboardHelp.open': 'Ouvrir un point d\'intérêt',
+    'keyboardHelp.nextPrevious': 'Pièce suivante et précédente',
+    'keyboardHelp.floors': 'Étage supérieur et inférieur',
+    'keyboardHelp.rooms': 'Aller à une pièce par son numéro',
+    'keyboardHelp.roomsTwoDigits': 'Aller à une pièce par son numéro (tapez les deux chiffres rapidement)',
+    'keyboardHelp.floorRooms': 'Aller à une pièce de cet étage par son numéro',
+    'keyboardHelp.floorRoomsTwoDigits': 'Aller à une pièce de cet étage par son numéro (tapez les deux chiffres rapidement)',
+    'keyboardHelp.fullscreen': 'Plein écran',
+    'keyboardHelp.help': 'Afficher ces raccourcis',
+    'keyboardHelp.close': 'Fermer une fiche ou une boîte de dialogue',
+
+    // Scene errors
+    'sceneError.title': 'Impossible de charger {room}',
+    'sceneError.missing': 'Le panorama de cette pièce est absent du serveur.',
+    'sceneError.network': 'Le panorama n\'a pas pu être téléchargé. Vérifiez votre connexion et réessayez.',
+    'sceneError.webgl': 'Votre navigateur ne peut pas afficher de vues à 360° car WebGL n\'est pas disponible.',
+    'sceneError.textureSize': 'Ce panorama est trop grand pour la carte graphique de votre appareil.',
+    'sceneError.unknown': 'Un problème est survenu lors de l\'affichage de cette pièce.',
+    'sceneError.retry': 'Réessayer',
+    'sceneError.dismiss': 'Fermer',
+
+    // Offline and updates
+    'offline.saving': 'Enregistrement hors ligne…',
+    'offline.ready': 'Disponible hors ligne',
+    'offline.incomplete': 'Disponible en partie hors ligne',
+    'update.available': 'Une nouvelle version de cette visite est disponible.',
+    'update.later': 'Plus tard',
+    'update.reload': 'Recharger',
+
+    // Attention heatmap
+    'heatmap.title': 'Où regardent les acheteurs',
+    'heatmap.refresh': 'Actualiser',
+    'heatmap.canvas': 'Attention selon la direction du regard dans le panorama',
+    'heatmap.loading': 'Chargement…',
+    'heatmap.noData': 'Aucune donnée d\'analyse disponible.',
+    'heatmap.noVisits': '{room} : aucune visite enregistrée pour l\'instant.',
+    'heatmap.summary': '{room} : {visits} en {sessions}, {time} au total.',
+    'heatmap.visits': {
+        one: '{count} visite',
+        other: '{count} visites'
+    },
+    'heatmap.sessions': {
+        one: '{count} session',
+        other: '{count} sessions'
+    },
+    'heatmap.seconds': '{seconds} s',
+    'heatmap.minutes': '{minutes} min {seconds} s',
+
+    // Hints
+    'hint.drag': 'Faites glisser pour regarder autour de vous',
+    'fullscreenBanner.title': 'Profitez pleinement de la visite',
+    'fullscreenBanner.text': 'Passez en plein écran pour un meilleur confort de visite. L\'écran basculera automatiquement en mode paysage.',
+    'fullscreenBanner.badge': 'Limites du site de démonstration',
+    'fullscreenBanner.later': 'Plus tard',
+    'fullscreenBanner.enter': 'Plein écran'
+};
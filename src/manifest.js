@@ -0,0 +1,764 @@
+/**
+ * Tour Manifest Loader
+ *
+ * Fetches and validates external tour manifests so a single deployed build
+ * can serve many property tours. A manifest is a versioned JSON document,
+ * usually published at /tours/<slug>/tour.json, that mirrors the built-in
+ * SCENE_CONFIG, DEFAULT_SCENE, VIEWER_SETTINGS and TRANSITION_DURATION (config.js).
+ *
+ * Example:
+ * {
+ *     "version": 1,
+ *     "defaultScene": "living-room",
+ *     "transitionDuration": 400,
+ *     "viewerSettings": { "hfov": 105 },
+ *     "floorPlan": { "image": "floor-plan.svg", "alt": "Ground floor" },
+ *     "floors": [
+ *         { "id": "ground", "title": "Ground floor" },
+ *         { "id": "upper", "title": "Upper floor", "floorPlan": { "image": "upper-plan.svg" } }
+ *     ],
+ *     "properties": [
+ *         { "title": "Unit A", "tour": "unit-a" },
+ *         { "title": "Unit B", "manifest": "../unit-b/tour.json" }
+ *     ],
+ *     "guidedTour": [
+ *         { "scene": "living-room", "caption": "Welcome in", "dwell": 2000,
+ *           "keyframes": [{ "yaw": 60, "pitch": 0, "hfov": 100, "duration": 6000 }] }
+ *     ],
+ *     "scenes": {
+ *         "living-room": {
+ *             "title": { "en": "Living Room", "fr": "Salon", "ar": "غرفة المعيشة" },
+ *             "description": "Bright, modern living space",
+ *             "image": "panos/living-room.jpg",
+ *             "floor": "ground",
+ *             "cameraHeight": 1.6,
+ *             "versionLabel": "Daylight",
+ *             "versions": [{ "id": "dusk", "label": "Dusk", "image": "panos/living-room-dusk.jpg" }],
+ *             "initialView": { "yaw": 0, "pitch": 0, "hfov": 110 },
+ *             "hotspots": [
+ *                 { "targetScene": "lounge", "yaw": 110, "pitch": 0, "label": "Lounge" },
+ *                 { "targetScene": "landing", "yaw": -40, "pitch": 10, "label": "Upstairs", "via": "stairs" }
+ *             ],
+ *             "accentColor": "#6366f1"
+ *         }
+ *     }
+ * }
+ *
+ * "floors" groups the scenes (every scene then names its "floor") and
+ * "properties" lists the tours offered in the property switcher, e.g. the
+ * other units of a development; both are optional (see FLOORS and
+ * PROPERTIES in config.js). A scene's "cameraHeight" (metres from the floor
+ * to the lens) lets visitors measure the room (see measure.js), and its
+ * "versions" show the same room another way - at dusk, virtually staged -
+ * each with its own panorama source (see versions.js).
+ *
+ * Any visitor-facing text - titles, descriptions, labels, info card content,
+ * captions, floor names, the floor plan's alt text - can be a plain string or
+ * translations keyed by locale, as "title" above (see i18n.js).
+ */
+
+import { MANIFEST_ALLOWED_ORIGINS } from './config.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Manifest schema versions this build knows how to read.
+ * Bump when the manifest format changes in a non-backwards-compatible way.
+ */
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * URL query parameters that select a manifest.
+ * - ?tour=<slug>      loads tours/<slug>/tour.json (next to index.html)
+ * - ?manifest=<url>   loads an explicit manifest URL, from this site or one
+ *                     of MANIFEST_ALLOWED_ORIGINS (config.js)
+ */
+const TOUR_PARAM = 'tour';
+const MANIFEST_PARAM = 'manifest';
+
+/**
+ * Tour slugs are used to build a same-origin path, so keep them to
+ * URL-safe characters to prevent path traversal.
+ */
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-_]*$/i;
+
+/**
+ * Keys of translated text: a language code with optional region or script,
+ * e.g. "fr", "pt-BR", "zh-Hant".
+ */
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Viewer settings a manifest may override. Anything else is rejected so a
+ * typo doesn't silently do nothing.
+ */
+const VIEWER_SETTING_KEYS = [
+    'minPitch', 'maxPitch', 'minHfov', 'maxHfov', 'autoLoad', 'compass',
+    'showControls', 'mouseZoom', 'keyboardZoom', 'friction', 'hfov',
+    'touchPanSpeedCoeffFactor', 'autoRotate', 'autoRotateInactivityDelay'
+];
+
+/**
+ * Ways a navigation hotspot can lead to another floor, each drawn with its
+ * own icon (see viewer.js).
+ */
+const HOTSPOT_VIA = ['stairs', 'elevator'];
+
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Raised when a manifest can't be fetched or fails validation.
+ * `details` holds one readable message per problem found.
+ */
+export class ManifestError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ManifestError';
+        this.details = details;
+    }
+}
+
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Resolve the manifest URL requested by the page, if any.
+ *
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @param {string[]} [allowedOrigins] - Origins besides the page's own that manifests may come from
+ * @returns {string|null} Manifest URL, or null when no manifest was given
+ * @throws {ManifestError} For a tour name or manifest URL that isn't allowed
+ */
+export function getManifestUrl(search = window.location.search, allowedOrigins = MANIFEST_ALLOWED_ORIGINS) {
+    const params = new URLSearchParams(search);
+
+    const explicitUrl = params.get(MANIFEST_PARAM);
+    if (explicitUrl) {
+        // Anyone can send a link, so only trusted sites get to fill the page
+        const { origin } = new URL(explicitUrl, document.baseURI);
+        if (origin !== window.location.origin && !allowedOrigins.includes(origin)) {
+            throw new ManifestError(`Tours can't be loaded from ${origin}`, [
+                'Add the site to MANIFEST_ALLOWED_ORIGINS in config.js to allow it.'
+            ]);
+        }
+        return explicitUrl;
+    }
+
+    const slug = params.get(TOUR_PARAM);
+    if (slug) {
+        if (!SLUG_PATTERN.test(slug)) {
+            throw new ManifestError(`Invalid tour name "${slug}"`, [
+                'Tour names may only contain letters, numbers, "-" and "_".'
+            ]);
+        }
+        return `tours/${slug}/tour.json`;
+    }
+
+    return null;
+}
+
+
+/**
+ * Manifest URL of a tour in the property switcher.
+ *
+ * @param {Object} property - { tour: <slug> } or { manifest: <url> }
+ * @returns {string}
+ */
+export function getPropertyManifestUrl(property) {
+    return property.manifest || `tours/${property.tour}/tour.json`;
+}
+
+
+/**
+ * Page URL that opens a property's tour. The page's other options (e.g.
+ * ?embed) are kept; the deep link is dropped as it names the old tour's rooms.
+ *
+ * @param {Object} property - { tour: <slug> } or { manifest: <url> }
+ * @param {string} [href] - Page URL to start from (defaults to the current page)
+ * @returns {string}
+ */
+export function getPropertyLink(property, href = window.location.href) {
+    const url = new URL(href);
+
+    url.searchParams.delete(TOUR_PARAM);
+    url.searchParams.delete(MANIFEST_PARAM);
+    if (property.manifest) {
+        url.searchParams.set(MANIFEST_PARAM, property.manifest);
+    } else {
+        url.searchParams.set(TOUR_PARAM, property.tour);
+    }
+    url.hash = '';
+
+    return url.href;
+}
+
+
+/**
+ * Fetch, validate and normalize a tour manifest.
+ *
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} Normalized tour ({ scenes, floorPlan, floors, properties, defaultScene, guidedTour, viewerSettings, transitionDuration })
+ */
+export async function loadManifest(url) {
+    let response;
+    try {
+        response = await fetch(url, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+        throw new ManifestError('Could not reach the tour server', [error.message]);
+    }
+
+    if (!response.ok) {
+        throw new ManifestError(`Tour not found (HTTP ${response.status})`, [url]);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new ManifestError('Tour manifest is not valid JSON', [error.message]);
+    }
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        throw new ManifestError('Tour manifest is invalid', errors);
+    }
+
+    return normalizeManifest(manifest, new URL(url, window.location.href).href);
+}
+
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a manifest against the schema.
+ *
+ * @param {*} manifest - Parsed manifest JSON
+ * @returns {string[]} Readable error messages (empty when valid)
+ */
+export function validateManifest(manifest) {
+    const errors = [];
+
+    if (!isPlainObject(manifest)) {
+        return ['Manifest must be a JSON object'];
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(manifest.version)) {
+        errors.push(`version: expected one of ${SUPPORTED_VERSIONS.join(', ')}, got ${JSON.stringify(manifest.version)}`);
+    }
+
+    if (!isPlainObject(manifest.scenes) || Object.keys(manifest.scenes).length === 0) {
+        errors.push('scenes: must be an object with at least one scene');
+        return errors;
+    }
+
+    const sceneIds = Object.keys(manifest.scenes);
+
+    if (manifest.defaultScene !== undefined && !sceneIds.includes(manifest.defaultScene)) {
+        errors.push(`defaultScene: "${manifest.defaultScene}" is not one of the defined scenes`);
+    }
+
+    if (manifest.transitionDuration !== undefined && !isNonNegativeNumber(manifest.transitionDuration)) {
+        errors.push('transitionDuration: must be a number of milliseconds (0 or more)');
+    }
+
+    if (manifest.floorPlan !== undefined && !isFloorPlan(manifest.floorPlan)) {
+        errors.push('floorPlan: must be { "image": <path>, "alt": <text> }');
+    }
+
+    const floorIds = manifest.floors !== undefined ? validateFloors(manifest.floors, errors) : null;
+
+    if (manifest.properties !== undefined) {
+        validateProperties(manifest.properties, errors);
+    }
+
+    if (manifest.viewerSettings !== undefined) {
+        if (!isPlainObject(manifest.viewerSettings)) {
+            errors.push('viewerSettings: must be an object');
+        } else {
+            Object.keys(manifest.viewerSettings)
+                .filter(key => !VIEWER_SETTING_KEYS.includes(key))
+                .forEach(key => errors.push(`viewerSettings.${key}: unknown setting`));
+        }
+    }
+
+    sceneIds.forEach(id => validateScene(id, manifest.scenes[id], sceneIds, floorIds, errors));
+
+    if (manifest.guidedTour !== undefined) {
+        validateGuidedTour(manifest.guidedTour, sceneIds, errors);
+    }
+
+    return errors;
+}
+
+
+/**
+ * Validate a single scene entry, appending problems to `errors`.
+ *
+ * @param {string} id - Scene key
+ * @param {*} scene - Scene definition
+ * @param {string[]} sceneIds - All scene keys (for hotspot targets)
+ * @param {string[]|null} floorIds - Declared floor IDs, or null when the tour has no floors
+ * @param {string[]} errors - Error accumulator
+ */
+function validateScene(id, scene, sceneIds, floorIds, errors) {
+    const path = `scenes["${id}"]`;
+
+    if (!isPlainObject(scene)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+
+    if (scene.id !== undefined && scene.id !== id) {
+        errors.push(`${path}.id: must match its key ("${id}") or be omitted`);
+    }
+
+    if (!isNonEmptyText(scene.title)) {
+        errors.push(`${path}.title: is required`);
+    }
+
+    validateSceneSource(path, scene, errors);
+
+    if (scene.description !== undefined && !isText(scene.description)) {
+        errors.push(`${path}.description: must be text`);
+    }
+
+    if (floorIds && !floorIds.includes(scene.floor)) {
+        errors.push(`${path}.floor: ${scene.floor === undefined ? 'is required when the tour has floors' : `"${scene.floor}" is not one of the declared floors`}`);
+    } else if (!floorIds && scene.floor !== undefined) {
+        errors.push(`${path}.floor: the tour declares no floors`);
+    }
+
+    if (scene.accentColor !== undefined && !isNonEmptyString(scene.accentColor)) {
+        errors.push(`${path}.accentColor: must be a CSS color`);
+    }
+
+    if (scene.mapPosition !== undefined) {
+        const { x, y } = scene.mapPosition || {};
+        if (!isFraction(x) || !isFraction(y)) {
+            errors.push(`${path}.mapPosition: must be { "x": 0-1, "y": 0-1 }`);
+        }
+    }
+
+    if (scene.northOffset !== undefined && !Number.isFinite(scene.northOffset)) {
+        errors.push(`${path}.northOffset: must be a number of degrees`);
+    }
+
+    if (scene.cameraHeight !== undefined && !(Number.isFinite(scene.cameraHeight) && scene.cameraHeight > 0)) {
+        errors.push(`${path}.cameraHeight: must be a positive number of metres`);
+    }
+
+    validateVersions(path, scene, errors);
+
+    if (scene.initialView !== undefined) {
+        if (!isPlainObject(scene.initialView)) {
+            errors.push(`${path}.initialView: must be an object`);
+        } else {
+            ['yaw', 'pitch', 'hfov']
+                .filter(key => scene.initialView[key] !== undefined && !Number.isFinite(scene.initialView[key]))
+                .forEach(key => errors.push(`${path}.initialView.${key}: must be a number`));
+        }
+    }
+
+    if (scene.hotspots !== undefined && !Array.isArray(scene.hotspots)) {
+        errors.push(`${path}.hotspots: must be a list`);
+        return;
+    }
+
+    (scene.hotspots || []).forEach((hotspot, index) => {
+        const hotspotPath = `${path}.hotspots[${index}]`;
+
+        if (!isPlainObject(hotspot)) {
+            errors.push(`${hotspotPath}: must be an object`);
+            return;
+        }
+        if (!Number.isFinite(hotspot.yaw)) {
+            errors.push(`${hotspotPath}.yaw: must be a number`);
+        }
+        if (!Number.isFinite(hotspot.pitch)) {
+            errors.push(`${hotspotPath}.pitch: must be a number`);
+        }
+
+        if (hotspot.type === 'info') {
+            validateInfoHotspot(hotspotPath, hotspot, errors);
+        } else if (hotspot.type === undefined || hotspot.type === 'scene') {
+            validateNavigationHotspot(hotspotPath, hotspot, sceneIds, errors);
+        } else if (!isNonEmptyString(hotspot.type)) {
+            // Any other name is a plugin hotspot type (see plugins.js), checked when it renders
+            errors.push(`${hotspotPath}.type: must be "scene", "info" or a plugin hotspot type`);
+        }
+    });
+}
+
+
+/**
+ * Validate a scene's other versions: each an ID, a label and its own
+ * panorama source.
+ */
+function validateVersions(path, scene, errors) {
+    if (scene.versionLabel !== undefined && !isNonEmptyText(scene.versionLabel)) {
+        errors.push(`${path}.versionLabel: must be text`);
+    }
+    if (scene.versions === undefined) return;
+
+    if (!Array.isArray(scene.versions) || scene.versions.length === 0) {
+        errors.push(`${path}.versions: must be a non-empty list`);
+        return;
+    }
+
+    const seen = new Set();
+    scene.versions.forEach((version, index) => {
+        const versionPath = `${path}.versions[${index}]`;
+
+        if (!isPlainObject(version)) {
+            errors.push(`${versionPath}: must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(version.id)) {
+            errors.push(`${versionPath}.id: is required`);
+        } else if (seen.has(version.id)) {
+            errors.push(`${versionPath}.id: "${version.id}" is used twice`);
+        }
+        seen.add(version.id);
+
+        if (!isNonEmptyText(version.label)) {
+            errors.push(`${versionPath}.label: is required`);
+        }
+        validateSceneSource(versionPath, version, errors);
+    });
+}
+
+
+/**
+ * Validate a navigation hotspot's fields.
+ */
+function validateNavigationHotspot(path, hotspot, sceneIds, errors) {
+    if (!sceneIds.includes(hotspot.targetScene)) {
+        errors.push(`${path}.targetScene: "${hotspot.targetScene}" is not one of the defined scenes`);
+    }
+    if (!isNonEmptyText(hotspot.label)) {
+        errors.push(`${path}.label: is required`);
+    }
+    if (hotspot.keepYaw !== undefined && typeof hotspot.keepYaw !== 'boolean') {
+        errors.push(`${path}.keepYaw: must be true or false`);
+    }
+    if (hotspot.via !== undefined && !HOTSPOT_VIA.includes(hotspot.via)) {
+        errors.push(`${path}.via: must be one of ${HOTSPOT_VIA.map(via => `"${via}"`).join(', ')}`);
+    }
+}
+
+
+/**
+ * Validate an info hotspot's card content.
+ */
+function validateInfoHotspot(path, hotspot, errors) {
+    if (!isNonEmptyText(hotspot.title)) {
+        errors.push(`${path}.title: is required`);
+    }
+    // The photo is a path; the rest may be translated
+    ['text', 'image', 'imageAlt', 'dimensions']
+        .filter(key => hotspot[key] !== undefined && !(key === 'image' ? typeof hotspot[key] === 'string' : isText(hotspot[key])))
+        .forEach(key => errors.push(`${path}.${key}: must be text`));
+
+    if (hotspot.link !== undefined && (!isPlainObject(hotspot.link) || !isNonEmptyString(hotspot.link.href)
+        || (hotspot.link.label !== undefined && !isText(hotspot.link.label)))) {
+        errors.push(`${path}.link: must be { "href": <url>, "label": <text> }`);
+    }
+}
+
+
+/**
+ * Validate a scene's panorama source: a single image, resolution variants,
+ * or a tiled multires/cubemap source (see quality.js).
+ *
+ * @param {string} path - Scene path for messages
+ * @param {Object} scene - Scene definition
+ * @param {string[]} errors - Error accumulator
+ */
+function validateSceneSource(path, scene, errors) {
+    const sources = ['image', 'variants', 'multiRes', 'cubeMap'].filter(key => scene[key] !== undefined);
+
+    if (sources.length === 0) {
+        errors.push(`${path}: needs one of image, variants, multiRes or cubeMap`);
+        return;
+    }
+    if (scene.multiRes !== undefined && scene.cubeMap !== undefined) {
+        errors.push(`${path}: use either multiRes or cubeMap, not both`);
+    }
+
+    if (scene.image !== undefined && !isNonEmptyString(scene.image)) {
+        errors.push(`${path}.image: must be a path or URL`);
+    }
+
+    if (scene.variants !== undefined) {
+        if (!Array.isArray(scene.variants) || scene.variants.length === 0) {
+            errors.push(`${path}.variants: must be a non-empty list`);
+        } else {
+            scene.variants.forEach((variant, index) => {
+                if (!isPlainObject(variant) || !isNonEmptyString(variant.image) || !Number.isInteger(variant.width) || variant.width <= 0) {
+                    errors.push(`${path}.variants[${index}]: must be { "width": <pixels>, "image": <path> }`);
+                }
+            });
+        }
+    }
+
+    if (scene.multiRes !== undefined) {
+        if (!isPlainObject(scene.multiRes)) {
+            errors.push(`${path}.multiRes: must be an object`);
+        } else {
+            ['path', 'extension']
+                .filter(key => !isNonEmptyString(scene.multiRes[key]))
+                .forEach(key => errors.push(`${path}.multiRes.${key}: is required`));
+            ['tileResolution', 'maxLevel', 'cubeResolution']
+                .filter(key => !Number.isInteger(scene.multiRes[key]) || scene.multiRes[key] <= 0)
+                .forEach(key => errors.push(`${path}.multiRes.${key}: must be a positive whole number`));
+        }
+    }
+
+    if (scene.cubeMap !== undefined) {
+        if (!Array.isArray(scene.cubeMap) || scene.cubeMap.length !== 6 || !scene.cubeMap.every(isNonEmptyString)) {
+            errors.push(`${path}.cubeMap: must list 6 face images (front, right, back, left, up, down)`);
+        }
+    }
+}
+
+
+/**
+ * Validate the floors grouping the scenes, appending problems to `errors`.
+ *
+ * @param {*} floors - Array of { id, title, floorPlan }
+ * @param {string[]} errors - Error accumulator
+ * @returns {string[]} IDs of the floors declared, for the scenes' `floor`
+ */
+function validateFloors(floors, errors) {
+    if (!Array.isArray(floors) || floors.length === 0) {
+        errors.push('floors: must be a list of at least one floor');
+        return [];
+    }
+
+    const ids = [];
+    floors.forEach((floor, index) => {
+        const path = `floors[${index}]`;
+
+        if (!isPlainObject(floor)) {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+
+        if (!isNonEmptyString(floor.id)) {
+            errors.push(`${path}.id: is required`);
+        } else if (ids.includes(floor.id)) {
+            errors.push(`${path}.id: "${floor.id}" is used by another floor`);
+        } else {
+            ids.push(floor.id);
+        }
+
+        if (!isNonEmptyText(floor.title)) {
+            errors.push(`${path}.title: is required`);
+        }
+
+        if (floor.floorPlan !== undefined && !isFloorPlan(floor.floorPlan)) {
+            errors.push(`${path}.floorPlan: must be { "image": <path>, "alt": <text> }`);
+        }
+    });
+
+    return ids;
+}
+
+
+/**
+ * Validate the property switcher's tours, appending problems to `errors`.
+ *
+ * @param {*} properties - Array of { title, tour } or { title, manifest }
+ * @param {string[]} errors - Error accumulator
+ */
+function validateProperties(properties, errors) {
+    if (!Array.isArray(properties) || properties.length === 0) {
+        errors.push('properties: must be a list of at least one tour');
+        return;
+    }
+
+    properties.forEach((property, index) => {
+        const path = `properties[${index}]`;
+
+        if (!isPlainObject(property)) {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+
+        if (!isNonEmptyText(property.title)) {
+            errors.push(`${path}.title: is required`);
+        }
+
+        if ((property.tour === undefined) === (property.manifest === undefined)) {
+            errors.push(`${path}: needs either a "tour" slug or a "manifest" URL`);
+        } else if (property.tour !== undefined && !(typeof property.tour === 'string' && SLUG_PATTERN.test(property.tour))) {
+            errors.push(`${path}.tour: may only contain letters, numbers, "-" and "_"`);
+        } else if (property.manifest !== undefined && !isNonEmptyString(property.manifest)) {
+            errors.push(`${path}.manifest: must be a URL`);
+        }
+    });
+}
+
+
+/**
+ * Validate the "Play tour" script (see autoplay.js), appending problems to `errors`.
+ *
+ * @param {*} guidedTour - Array of stops
+ * @param {string[]} sceneIds - All scene keys
+ * @param {string[]} errors - Error accumulator
+ */
+function validateGuidedTour(guidedTour, sceneIds, errors) {
+    if (!Array.isArray(guidedTour) || guidedTour.length === 0) {
+        errors.push('guidedTour: must be a list of at least one stop');
+        return;
+    }
+
+    guidedTour.forEach((stop, index) => {
+        const path = `guidedTour[${index}]`;
+
+        if (!isPlainObject(stop)) {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+
+        if (!sceneIds.includes(stop.scene)) {
+            errors.push(`${path}.scene: "${stop.scene}" is not one of the defined scenes`);
+        }
+
+        if (stop.caption !== undefined && !isText(stop.caption)) {
+            errors.push(`${path}.caption: must be text`);
+        }
+
+        if (stop.dwell !== undefined && !isNonNegativeNumber(stop.dwell)) {
+            errors.push(`${path}.dwell: must be a number of milliseconds (0 or more)`);
+        }
+
+        if (!Array.isArray(stop.keyframes)) {
+            errors.push(`${path}.keyframes: must be a list of { yaw, pitch, hfov, duration }`);
+            return;
+        }
+
+        stop.keyframes.forEach((keyframe, keyframeIndex) => {
+            const keyframePath = `${path}.keyframes[${keyframeIndex}]`;
+
+            if (!isPlainObject(keyframe) || !['yaw', 'pitch', 'hfov'].every(key => Number.isFinite(keyframe[key]))) {
+                errors.push(`${keyframePath}: yaw, pitch and hfov must be numbers`);
+            } else if (keyframe.duration !== undefined && !isNonNegativeNumber(keyframe.duration)) {
+                errors.push(`${keyframePath}.duration: must be a number of milliseconds (0 or more)`);
+            }
+        });
+    });
+}
+
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Default initial view for scenes that don't declare one.
+ */
+const DEFAULT_INITIAL_VIEW = { yaw: 0, pitch: 0, hfov: 110 };
+
+/**
+ * Convert a validated manifest into the shape state.js holds as the active tour.
+ * Relative image paths are resolved against the manifest URL so a tour's
+ * panoramas can live next to its tour.json.
+ *
+ * @param {Object} manifest - Validated manifest
+ * @param {string} baseUrl - Absolute manifest URL
+ * @returns {Object} Normalized tour
+ */
+function normalizeManifest(manifest, baseUrl) {
+    const scenes = {};
+
+    const resolve = path => new URL(path, baseUrl).href;
+    const resolveSource = source => ({
+        image: source.image && resolve(source.image),
+        variants: source.variants?.map(variant => ({ ...variant, image: resolve(variant.image) })),
+        multiRes: source.multiRes && { ...source.multiRes, basePath: resolve(source.multiRes.basePath || './') },
+        cubeMap: source.cubeMap?.map(resolve)
+    });
+
+    Object.entries(manifest.scenes).forEach(([id, scene]) => {
+        scenes[id] = {
+            ...scene,
+            id,
+            description: scene.description || '',
+            ...resolveSource(scene),
+            versions: scene.versions?.map(version => ({ ...version, ...resolveSource(version) })),
+            initialView: { ...DEFAULT_INITIAL_VIEW, ...scene.initialView },
+            hotspots: (scene.hotspots || []).map(hotspot => hotspot.image
+                ? { ...hotspot, image: resolve(hotspot.image) }
+                : hotspot)
+        };
+    });
+
+    const resolvePlan = plan => plan && { ...plan, image: new URL(plan.image, baseUrl).href };
+
+    // Sibling manifests are usually written relative to this one
+    const properties = manifest.properties?.map(property => property.manifest
+        ? { ...property, manifest: new URL(property.manifest, baseUrl).href }
+        : property);
+
+    return {
+        scenes,
+        floorPlan: resolvePlan(manifest.floorPlan) || null,
+        floors: manifest.floors?.map(floor => ({ ...floor, floorPlan: resolvePlan(floor.floorPlan) })) || null,
+        properties: properties || null,
+        defaultScene: manifest.defaultScene || Object.keys(scenes)[0],
+        guidedTour: manifest.guidedTour || null,
+        viewerSettings: manifest.viewerSettings || {},
+        transitionDuration: manifest.transitionDuration
+    };
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFloorPlan(value) {
+    return isPlainObject(value) && isNonEmptyString(value.image) && (value.alt === undefined || isText(value.alt));
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Text, or translations keyed by locale ({ "en": "...", "fr-CA": "..." }).
+ */
+function isText(value) {
+    return typeof value === 'string' || isTranslations(value);
+}
+
+function isNonEmptyText(value) {
+    return isNonEmptyString(value) || isTranslations(value);
+}
+
+function isTranslations(value) {
+    const entries = isPlainObject(value) ? Object.entries(value) : [];
+    return entries.length > 0 && entries.every(([locale, text]) => LOCALE_PATTERN.test(locale) && isNonEmptyString(text));
+}
+
+function isFraction(value) {
+    return Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function isNonNegativeNumber(value) {
+    return Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,726 @@
+/**
+ * Measure Mode
+ *
+ * Answers "how wide is the living room?" from the panorama itself. Every
+ * panorama is shot from a known height above a flat floor, so a point
+ * clicked on the floor can only be where the line of sight meets it - and
+ * two such points are a real distance apart.
+ *
+ * - Floor distance: click two points on the floor
+ * - Height: click a point on the floor, then one above the horizon; the
+ *   height is measured straight up from the floor point (e.g. to where
+ *   the wall meets the ceiling)
+ *
+ * Scenes opt in with `cameraHeight`: metres from the floor to the lens.
+ * The measure button in the controls panel only shows in those rooms.
+ * With the panorama focused, Enter places a point at the centre of the view.
+ *
+ * Lines are drawn on an SVG overlay over the panorama and re-projected
+ * every frame, so they stay put while the visitor pans and zooms. Results
+ * show in metres or feet and inches, and can be downloaded as JSON with
+ * each point's scene and yaw/pitch.
+ */
+
+import { on } from './events.js';
+import { t, formatNumber } from './i18n.js';
+import { directionFromView, viewFromDirection } from './vr-renderer.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * How far below the horizon (degrees) a floor point must be. Nearer the
+ * horizon a pixel spans metres of floor, so the result would be noise.
+ */
+const MIN_FLOOR_PITCH = -2;
+
+/**
+ * How far (px) the pointer may move between press and release for a
+ * click to count as placing a point rather than panning.
+ */
+const CLICK_TOLERANCE = 6;
+
+/**
+ * Camera-space depth (metres) lines are clipped at, so segments running
+ * behind the viewer are drawn up to the edge of the screen.
+ */
+const NEAR_PLANE = 0.05;
+
+/**
+ * localStorage key remembering the visitor's choice of units.
+ */
+const STORAGE_KEY = 'homeTourUnits';
+
+/**
+ * Regions where lengths are read in feet and inches by default.
+ */
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+const METRES_PER_INCH = 0.0254;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const measure = {
+    active: false,
+    units: 'metric',
+    pending: null,            // First point of the measurement in progress: { yaw, pitch }
+    measurements: [],         // { sceneId, kind, points: [{ yaw, pitch }, { yaw, pitch }], length }
+    shapes: [],               // Overlay elements for the current scene's measurements
+    pointerStart: null,       // Where the pointer went down on the panorama
+    frame: null,
+    lastView: null,
+    scenes: {},
+    getViewer: null,
+    getCurrentScene: null,
+    onStatusChange: null,
+    elements: {}
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set up the measure button, panel and overlay.
+ *
+ * @param {Object} options
+ * @param {Object} options.scenes - All scenes, keyed by ID (`cameraHeight` enables measuring)
+ * @param {Function} options.getViewer - Returns the Pannellum viewer, or null while it's between rooms
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} [options.onStatusChange] - Called with true/false as measure mode starts and stops
+ */
+export function initMeasure({ scenes, getViewer, getCurrentScene, onStatusChange }) {
+    measure.scenes = scenes;
+    measure.getViewer = getViewer;
+    measure.getCurrentScene = getCurrentScene;
+    measure.onStatusChange = onStatusChange || null;
+    measure.units = loadUnits();
+
+    const el = measure.elements = {
+        button: document.getElementById('btn-measure'),
+        panel: document.getElementById('measure-panel'),
+        status: document.getElementById('measure-status'),
+        list: document.getElementById('measure-list'),
+        units: document.getElementById('measure-units'),
+        exportButton: document.getElementById('btn-measure-export'),
+        clearButton: document.getElementById('btn-measure-clear'),
+        doneButton: document.getElementById('btn-measure-done'),
+        overlay: document.getElementById('measure-overlay'),
+        crosshair: document.getElementById('measure-crosshair'),
+        panorama: document.getElementById('panorama')
+    };
+    if (!el.button || !el.panel || !el.overlay) return;
+
+    el.button.addEventListener('click', () => {
+        if (measure.active) {
+            stopMeasure();
+        } else {
+            startMeasure();
+        }
+    });
+    el.doneButton.addEventListener('click', stopMeasure);
+    el.clearButton.addEventListener('click', clearMeasurements);
+    el.exportButton.addEventListener('click', exportMeasurements);
+    el.units.value = measure.units;
+    el.units.addEventListener('change', () => setMeasureUnits(el.units.value));
+
+    el.panorama.addEventListener('pointerdown', handlePointerDown, { capture: true, passive: true });
+    el.panorama.addEventListener('click', handlePanoramaClick, true);
+    el.panorama.addEventListener('keydown', handlePanoramaKey);
+    document.addEventListener('keydown', handleEscape);
+
+    on('sceneChange', ({ sceneId }) => handleSceneChange(sceneId));
+    on('localeChange', () => {
+        renderList();
+        showStatus();
+        renderOverlay();
+    });
+
+    handleSceneChange(getCurrentScene());
+}
+
+
+/**
+ * Switch measure mode on (only in rooms with a camera height).
+ *
+ * @returns {boolean} Whether measure mode is now on
+ */
+export function startMeasure() {
+    if (!getCameraHeight()) return false;
+    if (measure.active) return true;
+
+    measure.active = true;
+    measure.pending = null;
+    measure.elements.panel.hidden = false;
+    document.body.classList.add('measuring');
+    updateButton();
+    showStatus();
+    renderList();
+    renderOverlay();
+    measure.onStatusChange?.(true);
+    return true;
+}
+
+
+/**
+ * Switch measure mode off. Finished measurements stay on screen.
+ */
+export function stopMeasure() {
+    if (!measure.active) return;
+
+    measure.active = false;
+    measure.pending = null;
+    measure.elements.panel.hidden = true;
+    document.body.classList.remove('measuring');
+    updateButton();
+    renderOverlay();
+    measure.onStatusChange?.(false);
+}
+
+
+/**
+ * @returns {boolean} Whether clicks on the panorama place measuring points
+ */
+export function isMeasureActive() {
+    return measure.active;
+}
+
+
+/**
+ * Place a measuring point in the current room: the start of a
+ * measurement, or its end.
+ *
+ * @param {{ yaw: number, pitch: number }} point - Panorama position, degrees
+ * @returns {Object|null} The finished measurement, or null while one is still in progress
+ */
+export function addMeasurePoint(point) {
+    const cameraHeight = getCameraHeight();
+    if (!measure.active || !cameraHeight) return null;
+
+    if (!measure.pending) {
+        if (point.pitch > MIN_FLOOR_PITCH) {
+            showStatus('measure.notFloor');
+            return null;
+        }
+        measure.pending = { yaw: point.yaw, pitch: point.pitch };
+        showStatus();
+        renderOverlay();
+        return null;
+    }
+
+    const result = measureBetween(measure.pending, point, cameraHeight);
+    if (!result) {
+        showStatus('measure.notFloor');
+        return null;
+    }
+
+    const measurement = { sceneId: measure.getCurrentScene(), ...result };
+    measure.measurements.push(measurement);
+    measure.pending = null;
+
+    renderList();
+    renderOverlay();
+    // Say the result out loud, as sighted visitors read it off the overlay
+    measure.elements.status.textContent = describe(measurement);
+    return measurement;
+}
+
+
+/**
+ * Work out a measurement from two clicked points. A second point below
+ * the horizon is on the floor; above it, it marks a height straight
+ * over the first.
+ *
+ * @param {{ yaw: number, pitch: number }} start - Floor point
+ * @param {{ yaw: number, pitch: number }} end - Second floor point, or a point above the horizon
+ * @param {number} cameraHeight - Metres from the floor to the lens
+ * @returns {{ kind: string, points: Object[], length: number }|null} Length in metres; null if `end` is too near the horizon
+ */
+export function measureBetween(start, end, cameraHeight) {
+    const floor = getFloorPosition(start, cameraHeight);
+    if (!floor) return null;
+
+    if (end.pitch > 0) {
+        // Up from the floor point to where the line of sight passes over it
+        const distance = Math.hypot(floor[0], floor[2]);
+        const height = cameraHeight + distance * Math.tan(end.pitch * Math.PI / 180);
+        const top = [floor[0], floor[1] + height, floor[2]];
+        return { kind: 'height', points: [viewFromDirection(floor), viewFromDirection(top)], length: height };
+    }
+
+    const other = getFloorPosition(end, cameraHeight);
+    if (!other) return null;
+
+    const length = Math.hypot(other[0] - floor[0], other[2] - floor[2]);
+    return { kind: 'distance', points: [viewFromDirection(floor), viewFromDirection(other)], length };
+}
+
+
+/**
+ * Where a point clicked on the floor is, relative to the camera.
+ *
+ * @param {{ yaw: number, pitch: number }} point - Panorama position, degrees
+ * @param {number} cameraHeight - Metres from the floor to the lens
+ * @returns {number[]|null} [x, y, z] in metres (y up, yaw 0 along -z), or null above MIN_FLOOR_PITCH
+ */
+export function getFloorPosition({ yaw, pitch }, cameraHeight) {
+    if (pitch > MIN_FLOOR_PITCH) return null;
+
+    const direction = directionFromView(yaw, pitch);
+    const scale = cameraHeight / -direction[1];
+    return direction.map(value => value * scale);
+}
+
+
+/**
+ * Where a point in the room appears on screen.
+ *
+ * @param {number[]} point - [x, y, z] relative to the camera, metres
+ * @param {{ yaw: number, pitch: number, hfov: number }} view - Camera
+ * @param {number} width - Viewport width, px
+ * @param {number} height - Viewport height, px
+ * @returns {{ x: number, y: number }|null} Screen position, or null behind the camera
+ */
+export function projectPoint(point, view, width, height) {
+    const camera = toCameraSpace(point, view);
+    return camera[2] < NEAR_PLANE ? null : toScreen(camera, view, width, height);
+}
+
+
+/**
+ * Show lengths in metres ('metric') or feet and inches ('imperial').
+ *
+ * @param {string} units - 'metric' or 'imperial'
+ */
+export function setMeasureUnits(units) {
+    measure.units = units === 'imperial' ? 'imperial' : 'metric';
+    try {
+        localStorage.setItem(STORAGE_KEY, measure.units);
+    } catch {
+        // Private browsing: the choice lasts until the page closes
+    }
+
+    if (measure.elements.units) measure.elements.units.value = measure.units;
+    renderList();
+    renderOverlay();
+}
+
+
+/**
+ * Format a length for display.
+ *
+ * @param {number} metres - Length in metres
+ * @param {string} [units] - 'metric' or 'imperial' (defaults to the visitor's choice)
+ * @returns {string} e.g. "3.42 m" or "11 ft 3 in"
+ */
+export function formatLength(metres, units = measure.units) {
+    if (units === 'imperial') {
+        const inches = Math.round(metres / METRES_PER_INCH);
+        return t('measure.feetInches', { feet: formatNumber(Math.floor(inches / 12)), inches: formatNumber(inches % 12) });
+    }
+    return t('measure.metres', { value: formatNumber(Math.round(metres * 100) / 100) });
+}
+
+
+/**
+ * @returns {Object[]} Every measurement taken, in every room
+ */
+export function getMeasurements() {
+    return measure.measurements.map(measurement => ({ ...measurement }));
+}
+
+
+/**
+ * Forget every measurement.
+ */
+export function clearMeasurements() {
+    measure.measurements = [];
+    measure.pending = null;
+    renderList();
+    renderOverlay();
+    showStatus();
+}
+
+
+/**
+ * Download the measurements as JSON: for each one its scene, kind,
+ * length in metres (and the chosen units) and the yaw/pitch of its ends.
+ */
+export function exportMeasurements() {
+    const json = JSON.stringify({
+        units: measure.units,
+        measurements: measure.measurements.map(({ sceneId, kind, points, length }) => ({
+            scene: sceneId,
+            kind,
+            length: Math.round(length * 1000) / 1000,
+            display: formatLength(length),
+            points: points.map(({ yaw, pitch }) => ({ yaw: round(yaw), pitch: round(pitch) }))
+        }))
+    }, null, 4);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'measurements.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Each room has its own camera height and measurements; the button only
+ * shows where measuring is possible.
+ */
+function handleSceneChange(sceneId) {
+    measure.pending = null;
+    measure.elements.button.hidden = !measure.scenes[sceneId]?.cameraHeight;
+
+    if (measure.active && !getCameraHeight()) {
+        stopMeasure();
+    }
+
+    if (measure.active) showStatus();
+    renderList();
+    renderOverlay();
+}
+
+
+function handlePointerDown(event) {
+    measure.pointerStart = measure.active ? { x: event.clientX, y: event.clientY } : null;
+}
+
+
+/**
+ * A click on the panorama (not a drag, not a hotspot) places a point.
+ */
+function handlePanoramaClick(event) {
+    if (!measure.active || event.target.closest('[data-hotspot-index]')) return;
+
+    const start = measure.pointerStart;
+    measure.pointerStart = null;
+    if (start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) return;
+
+    const viewer = measure.getViewer();
+    if (!viewer) return;
+
+    const [pitch, yaw] = viewer.mouseEventToCoords(event);
+    addMeasurePoint({ yaw, pitch });
+}
+
+
+/**
+ * Enter places a point at the centre of the view, for keyboard users.
+ */
+function handlePanoramaKey(event) {
+    if (!measure.active || event.key !== 'Enter' || event.target !== measure.elements.panorama) return;
+
+    const viewer = measure.getViewer();
+    if (!viewer) return;
+
+    event.preventDefault();
+    addMeasurePoint({ yaw: viewer.getYaw(), pitch: viewer.getPitch() });
+}
+
+
+/**
+ * Escape drops a half-finished measurement, then leaves measure mode.
+ */
+function handleEscape(event) {
+    if (!measure.active || event.key !== 'Escape') return;
+
+    if (measure.pending) {
+        measure.pending = null;
+        showStatus();
+        renderOverlay();
+    } else {
+        stopMeasure();
+        measure.elements.button.focus();
+    }
+}
+
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+function updateButton() {
+    measure.elements.button.setAttribute('aria-pressed', String(measure.active));
+    measure.elements.button.classList.toggle('active', measure.active);
+}
+
+
+/**
+ * Tell the visitor what to click next, or why a click didn't count.
+ *
+ * @param {string} [key] - Message to show instead of the next step
+ */
+function showStatus(key) {
+    measure.elements.status.textContent = t(key || (measure.pending ? 'measure.next' : 'measure.start'));
+}
+
+
+/**
+ * List the current room's measurements in the panel.
+ */
+function renderList() {
+    const { list, exportButton, clearButton } = measure.elements;
+    const current = currentMeasurements();
+
+    list.innerHTML = '';
+    current.forEach(measurement => {
+        const item = document.createElement('li');
+        item.textContent = describe(measurement);
+        list.appendChild(item);
+    });
+    list.hidden = current.length === 0;
+
+    exportButton.disabled = measure.measurements.length === 0;
+    clearButton.disabled = measure.measurements.length === 0;
+}
+
+
+function describe(measurement) {
+    return t(`measure.${measurement.kind}`, { length: formatLength(measurement.length) });
+}
+
+
+// ============================================================================
+// OVERLAY
+// ============================================================================
+
+/**
+ * Rebuild the overlay for the current room's measurements, then keep it
+ * aligned with the camera.
+ */
+function renderOverlay() {
+    const { overlay, crosshair } = measure.elements;
+    const cameraHeight = getCameraHeight();
+
+    overlay.innerHTML = '';
+    measure.shapes = [];
+
+    if (cameraHeight) {
+        currentMeasurements().forEach(measurement => {
+            measure.shapes.push(createShape(getRoomPoints(measurement, cameraHeight), formatLength(measurement.length)));
+        });
+
+        if (measure.pending) {
+            const point = getFloorPosition(measure.pending, cameraHeight);
+            measure.shapes.push(createShape([point, point], null));
+        }
+    }
+
+    if (crosshair) crosshair.hidden = !measure.active;
+
+    measure.lastView = null;
+    if (measure.shapes.length > 0) {
+        startTracking();
+    } else {
+        stopTracking();
+    }
+}
+
+
+/**
+ * Where a measurement's ends are in the room. The top of a height sits
+ * straight over its floor point.
+ *
+ * @param {Object} measurement
+ * @param {number} cameraHeight - Metres from the floor to the lens
+ * @returns {number[][]} Two [x, y, z] points relative to the camera
+ */
+function getRoomPoints({ kind, points, length }, cameraHeight) {
+    const start = getFloorPosition(points[0], cameraHeight);
+    const end = kind === 'height'
+        ? [start[0], start[1] + length, start[2]]
+        : getFloorPosition(points[1], cameraHeight);
+    return [start, end];
+}
+
+
+/**
+ * Create the line, end dots and label for one measurement.
+ *
+ * @param {number[][]} points - Both ends in the room
+ * @param {string|null} label - Length to show, or null for a lone point
+ */
+function createShape(points, label) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'measure-shape');
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    const dots = [0, 1].map(() => {
+        const dot = document.createElementNS(SVG_NS, 'circle');
+        dot.setAttribute('r', '5');
+        return dot;
+    });
+    group.append(line, ...dots);
+
+    let text = null;
+    if (label) {
+        text = document.createElementNS(SVG_NS, 'text');
+        text.textContent = label;
+        group.appendChild(text);
+    }
+
+    measure.elements.overlay.appendChild(group);
+    return { group, line, dots, text, points };
+}
+
+
+/**
+ * Follow the camera each animation frame (Pannellum has no continuous
+ * view event), only while something is drawn.
+ */
+function startTracking() {
+    if (measure.frame !== null) return;
+
+    const tick = () => {
+        updateOverlay();
+        measure.frame = requestAnimationFrame(tick);
+    };
+    measure.frame = requestAnimationFrame(tick);
+}
+
+
+function stopTracking() {
+    if (measure.frame !== null) {
+        cancelAnimationFrame(measure.frame);
+        measure.frame = null;
+    }
+}
+
+
+/**
+ * Re-project every shape for the current view. Skips DOM writes when the
+ * camera hasn't moved.
+ */
+function updateOverlay() {
+    const { overlay } = measure.elements;
+    const viewer = measure.getViewer();
+    overlay.hidden = !viewer;
+    if (!viewer || document.hidden) return;
+
+    const view = { yaw: viewer.getYaw(), pitch: viewer.getPitch(), hfov: viewer.getHfov() };
+    const width = overlay.clientWidth;
+    const height = overlay.clientHeight;
+    const key = `${view.yaw},${view.pitch},${view.hfov},${width},${height}`;
+    if (key === measure.lastView) return;
+    measure.lastView = key;
+
+    measure.shapes.forEach(shape => drawShape(shape, view, width, height));
+}
+
+
+/**
+ * Position one shape's line, dots and label on screen, clipping the line
+ * where it passes behind the camera.
+ */
+function drawShape(shape, view, width, height) {
+    let a = toCameraSpace(shape.points[0], view);
+    let b = toCameraSpace(shape.points[1], view);
+    const visible = a[2] >= NEAR_PLANE || b[2] >= NEAR_PLANE;
+    shape.group.style.display = visible ? '' : 'none';
+    if (!visible) return;
+
+    shape.points.forEach((point, index) => {
+        const screen = projectPoint(point, view, width, height);
+        shape.dots[index].style.display = screen ? '' : 'none';
+        if (screen) {
+            shape.dots[index].setAttribute('cx', screen.x.toFixed(1));
+            shape.dots[index].setAttribute('cy', screen.y.toFixed(1));
+        }
+    });
+
+    // Cut the part of the line behind the camera
+    if (a[2] < NEAR_PLANE) a = clipToNearPlane(a, b);
+    if (b[2] < NEAR_PLANE) b = clipToNearPlane(b, a);
+    const from = toScreen(a, view, width, height);
+    const to = toScreen(b, view, width, height);
+
+    shape.line.setAttribute('x1', from.x.toFixed(1));
+    shape.line.setAttribute('y1', from.y.toFixed(1));
+    shape.line.setAttribute('x2', to.x.toFixed(1));
+    shape.line.setAttribute('y2', to.y.toFixed(1));
+
+    if (shape.text) {
+        shape.text.setAttribute('x', ((from.x + to.x) / 2).toFixed(1));
+        shape.text.setAttribute('y', ((from.y + to.y) / 2 - 10).toFixed(1));
+    }
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function getCameraHeight() {
+    return measure.scenes[measure.getCurrentScene?.()]?.cameraHeight || null;
+}
+
+
+function currentMeasurements() {
+    const sceneId = measure.getCurrentScene?.();
+    return measure.measurements.filter(measurement => measurement.sceneId === sceneId);
+}
+
+
+function loadUnits() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored === 'metric' || stored === 'imperial') return stored;
+    } catch {
+        // Storage blocked: fall back to the visitor's region
+    }
+
+    try {
+        const region = new Intl.Locale(navigator.language).maximize().region;
+        return IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+    } catch {
+        return 'metric';
+    }
+}
+
+
+/**
+ * A point relative to the camera in the camera's own frame: x right,
+ * y up, z straight ahead.
+ */
+function toCameraSpace(point, { yaw, pitch }) {
+    const axes = [directionFromView(yaw + 90, 0), directionFromView(yaw, pitch + 90), directionFromView(yaw, pitch)];
+    return axes.map(axis => axis[0] * point[0] + axis[1] * point[1] + axis[2] * point[2]);
+}
+
+
+/**
+ * Rectilinear projection, as Pannellum draws the panorama.
+ */
+function toScreen([x, y, z], { hfov }, width, height) {
+    const focal = (width / 2) / Math.tan(hfov * Math.PI / 360);
+    return { x: width / 2 + focal * x / z, y: height / 2 - focal * y / z };
+}
+
+
+/**
+ * Move a camera-space point behind the near plane along the line towards
+ * `other` until it sits on the plane.
+ */
+function clipToNearPlane(point, other) {
+    const share = (NEAR_PLANE - point[2]) / (other[2] - point[2]);
+    return point.map((value, axis) => value + (other[axis] - value) * share);
+}
+
+
+function round(angle) {
+    return Math.round(angle * 10) / 10;
+}
@@ -0,0 +1,238 @@
+/**
+ * Floor-Plan Minimap
+ *
+ * An optional overlay showing the tour's floor plan with a pin per scene.
+ * The current room's pin is highlighted and carries a view cone that turns
+ * with the camera, so buyers keep their bearings as they move around.
+ * Clicking a pin navigates to that room.
+ *
+ * Scenes opt in with `mapPosition: { x, y }` (fractions of the plan's width
+ * and height, 0-1) and an optional `northOffset`: the panorama yaw, in
+ * degrees, that faces the top of the floor plan.
+ *
+ * In a tour with floors (see floors.js) the minimap shows the current
+ * floor's plan and rooms, and hides on floors that have neither.
+ */
+
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Below this viewport width the minimap starts collapsed to a button.
+ */
+const COLLAPSE_BREAKPOINT = 768;
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const minimap = {
+    root: null,
+    toggle: null,
+    body: null,
+    plan: null,
+    image: null,
+    cone: null,
+    floors: [],               // Floors with a plan and at least one pinned room
+    floor: null,              // Floor whose plan is showing
+    scenes: {},
+    onSelectScene: null,
+    currentScene: null,
+    getView: null,
+    lastBearing: null,
+    lastHfov: null,
+    frame: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Render the minimap for a tour. Leaves it hidden when no floor has a
+ * floor plan with a scene pinned on it.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.floors - Floors, each with a `floorPlan` ({ image, alt } or null) and its `sceneIds` (see getFloors)
+ * @param {Object} options.scenes - All scenes, keyed by ID
+ * @param {Function} options.onSelectScene - Called with a scene ID when a pin is clicked
+ * @param {Function} options.getView - Returns the live camera ({ yaw, hfov })
+ */
+export function initMinimap({ floors, scenes, onSelectScene, getView }) {
+    minimap.root = document.getElementById('minimap');
+    minimap.toggle = document.getElementById('minimap-toggle');
+    minimap.body = document.getElementById('minimap-body');
+    minimap.plan = document.getElementById('minimap-plan');
+    minimap.image = document.getElementById('minimap-image');
+    minimap.cone = document.getElementById('minimap-cone');
+    minimap.scenes = scenes;
+    minimap.onSelectScene = onSelectScene;
+    minimap.getView = getView;
+
+    minimap.floors = floors.filter(floor => floor.floorPlan && floor.sceneIds.some(id => scenes[id].mapPosition));
+    if (minimap.floors.length === 0) {
+        minimap.root.hidden = true;
+        return;
+    }
+
+    showFloor(minimap.floors[0]);
+    on('localeChange', labelMinimap);
+
+    minimap.toggle.addEventListener('click', () => setExpanded(minimap.body.hidden));
+    setExpanded(window.innerWidth >= COLLAPSE_BREAKPOINT);
+
+    minimap.root.hidden = false;
+}
+
+
+/**
+ * Highlight the current scene's pin and move the view cone to it.
+ *
+ * @param {string} sceneId - Current scene ID
+ */
+export function setMinimapScene(sceneId) {
+    if (minimap.floors.length === 0) return;
+
+    // Floors without a plan have no minimap
+    const floor = minimap.floors.find(({ sceneIds }) => sceneIds.includes(sceneId));
+    minimap.root.hidden = !floor;
+    if (!floor) return;
+
+    if (floor !== minimap.floor) {
+        showFloor(floor);
+    }
+
+    minimap.currentScene = sceneId;
+    const position = minimap.scenes[sceneId]?.mapPosition;
+
+    minimap.plan.querySelectorAll('.minimap-pin').forEach(pin => {
+        const isActive = pin.dataset.scene === sceneId;
+        pin.classList.toggle('active', isActive);
+        pin.setAttribute('aria-current', isActive ? 'location' : 'false');
+    });
+
+    // Rooms that aren't on the plan simply have no cone
+    minimap.cone.hidden = !position;
+    if (position) {
+        minimap.cone.style.left = `${position.x * 100}%`;
+        minimap.cone.style.top = `${position.y * 100}%`;
+    }
+
+    // Force the next frame to redraw the cone for the new room's north offset
+    minimap.lastBearing = null;
+}
+
+
+// ============================================================================
+// FLOORS & LABELS
+// ============================================================================
+
+/**
+ * Show a floor's plan with a pin for each of its rooms on it.
+ *
+ * @param {Object} floor - One of minimap.floors
+ */
+function showFloor(floor) {
+    minimap.floor = floor;
+    minimap.image.src = floor.floorPlan.image;
+
+    minimap.plan.querySelectorAll('.minimap-pin').forEach(pin => pin.remove());
+    floor.sceneIds
+        .map(id => minimap.scenes[id])
+        .filter(scene => scene.mapPosition)
+        .forEach(scene => {
+            const pin = document.createElement('button');
+            pin.type = 'button';
+            pin.className = 'minimap-pin';
+            pin.dataset.scene = scene.id;
+            pin.style.left = `${scene.mapPosition.x * 100}%`;
+            pin.style.top = `${scene.mapPosition.y * 100}%`;
+            pin.addEventListener('click', () => minimap.onSelectScene(scene.id));
+            minimap.plan.appendChild(pin);
+        });
+
+    labelMinimap();
+}
+
+
+/**
+ * Name the plan and its pins in the current locale.
+ */
+function labelMinimap() {
+    minimap.image.alt = localize(minimap.floor.floorPlan.alt) || t('minimap.imageAlt');
+
+    minimap.plan.querySelectorAll('.minimap-pin').forEach(pin => {
+        const title = localize(minimap.scenes[pin.dataset.scene].title);
+        pin.setAttribute('aria-label', t('minimap.goTo', { room: title }));
+        pin.title = title;
+    });
+}
+
+
+// ============================================================================
+// VIEW CONE
+// ============================================================================
+
+/**
+ * Expand or collapse the minimap; the cone only tracks the camera while visible.
+ *
+ * @param {boolean} expanded
+ */
+function setExpanded(expanded) {
+    minimap.body.hidden = !expanded;
+    minimap.toggle.setAttribute('aria-expanded', String(expanded));
+
+    if (expanded) {
+        startTracking();
+    } else {
+        stopTracking();
+    }
+}
+
+
+/**
+ * Follow the camera each animation frame. Pannellum has no continuous
+ * "view changed" event, and reading yaw/hfov is cheap.
+ */
+function startTracking() {
+    if (minimap.frame !== null) return;
+
+    const tick = () => {
+        updateCone();
+        minimap.frame = requestAnimationFrame(tick);
+    };
+    minimap.frame = requestAnimationFrame(tick);
+}
+
+
+function stopTracking() {
+    if (minimap.frame !== null) {
+        cancelAnimationFrame(minimap.frame);
+        minimap.frame = null;
+    }
+}
+
+
+/**
+ * Point the cone along the camera's bearing on the plan, as wide as the
+ * field of view. Skips DOM writes when nothing moved.
+ */
+function updateCone() {
+    const view = minimap.getView();
+    const scene = minimap.scenes[minimap.currentScene];
+    if (!view || !scene || document.hidden) return;
+
+    const bearing = view.yaw - (scene.northOffset || 0);
+    if (bearing === minimap.lastBearing && view.hfov === minimap.lastHfov) return;
+
+    minimap.lastBearing = bearing;
+    minimap.lastHfov = view.hfov;
+    minimap.cone.style.setProperty('--cone-bearing', `${bearing}deg`);
+    minimap.cone.style.setProperty('--cone-width', `${view.hfov}deg`);
+}
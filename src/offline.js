@@ -0,0 +1,254 @@
+/**
+ * Offline Support
+ *
+ * Registers the service worker (src/service-worker.js, built into sw.js by
+ * scripts/vite-service-worker.js) so the tour keeps working at showings
+ * with no Wi-Fi:
+ * - The app shell and the built-in tour's panoramas are precached when the
+ *   worker installs
+ * - The active tour's panoramas (at the quality this device would pick),
+ *   info-card images and floor plan are then saved on request from the page,
+ *   which also covers tours loaded from a manifest
+ * - The header shows whether the tour is available offline
+ * - When a new version is deployed, the visitor is offered a reload
+ *
+ * Only used in production builds; the dev server has no service worker.
+ */
+
+import { getSceneImages } from './quality.js';
+import { getVersions, applyVersion } from './versions.js';
+import { t } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Service worker script, relative to index.html.
+ */
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Header indicator message (see src/locales/) for each offline state.
+ */
+const STATUS_MESSAGES = {
+    saving: 'offline.saving',
+    ready: 'offline.ready',
+    incomplete: 'offline.incomplete'
+};
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const offline = {
+    registration: null,
+    waitingWorker: null,      // New version waiting for the visitor to reload
+    reloading: false,
+    elements: {}
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * List every file the tour needs to run offline.
+ *
+ * @param {Object} scenes - All scenes, keyed by ID
+ * @param {Object|Object[]|null} floorPlan - Floor plan definition, or one per floor
+ * @param {Function} [getImages] - Picks a scene's equirectangular images (see getSceneImages)
+ * @returns {string[]} URLs, as written in the tour
+ */
+export function getTourAssetUrls(scenes, floorPlan, getImages = getSceneImages) {
+    const urls = new Set();
+
+    Object.values(scenes).forEach(scene => {
+        // Each version of the room has panoramas of its own
+        getVersions(scene).map(version => applyVersion(scene, version.id)).forEach(shown => {
+            const images = getImages(shown);
+            if (images) {
+                urls.add(images.preview);
+                urls.add(images.full);
+            }
+            // Multires tiles are cached as they're viewed rather than up front
+            shown.cubeMap?.forEach(face => urls.add(face));
+        });
+        scene.hotspots.forEach(hotspot => {
+            if (hotspot.image) urls.add(hotspot.image);
+        });
+    });
+
+    [floorPlan].flat().forEach(plan => {
+        if (plan?.image) urls.add(plan.image);
+    });
+
+    return [...urls].filter(Boolean);
+}
+
+
+/**
+ * Register the service worker, save the active tour for offline use and
+ * watch for new versions.
+ *
+ * @param {Object} options
+ * @param {Object} options.scenes - All scenes, keyed by ID
+ * @param {Object|Object[]|null} options.floorPlan - Floor plan definition, or one per floor
+ */
+export async function initOffline({ scenes, floorPlan }) {
+    if (!('serviceWorker' in navigator)) return;
+
+    offline.elements = {
+        status: document.getElementById('offline-status'),
+        statusText: document.getElementById('offline-status-text'),
+        updatePrompt: document.getElementById('update-prompt'),
+        reloadButton: document.getElementById('btn-update-reload'),
+        dismissButton: document.getElementById('btn-update-dismiss')
+    };
+
+    offline.elements.reloadButton?.addEventListener('click', applyUpdate);
+    offline.elements.dismissButton?.addEventListener('click', hideUpdatePrompt);
+
+    try {
+        offline.registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return;
+    }
+
+    watchForUpdates(offline.registration);
+
+    const { active } = await navigator.serviceWorker.ready;
+    const urls = getTourAssetUrls(scenes, floorPlan).map(url => new URL(url, document.baseURI).href);
+
+    setStatus('saving');
+    try {
+        const { failed } = await postToWorker(active, { type: 'cache-urls', urls });
+        if (failed.length > 0) {
+            console.warn('Not available offline:', failed);
+        }
+        setStatus(failed.length > 0 ? 'incomplete' : 'ready');
+    } catch (error) {
+        console.warn('Saving the tour for offline use failed:', error);
+        setStatus(null);
+    }
+}
+
+
+// ============================================================================
+// UPDATES
+// ============================================================================
+
+/**
+ * Offer a reload whenever a new worker finishes installing behind the one
+ * controlling this page. Tablets stay open for days, so also check for a new
+ * version each time the tour comes back to the foreground.
+ *
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+    // The first install has nothing to replace, so only prompt with a controller
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (offline.reloading) {
+            window.location.reload();
+        }
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+        }
+    });
+}
+
+
+function showUpdatePrompt(worker) {
+    offline.waitingWorker = worker;
+    if (offline.elements.updatePrompt) {
+        offline.elements.updatePrompt.hidden = false;
+    }
+}
+
+
+function hideUpdatePrompt() {
+    if (offline.elements.updatePrompt) {
+        offline.elements.updatePrompt.hidden = true;
+    }
+}
+
+
+/**
+ * Activate the waiting worker; the page reloads once it takes control.
+ */
+function applyUpdate() {
+    if (!offline.waitingWorker) return;
+
+    offline.reloading = true;
+    hideUpdatePrompt();
+    offline.waitingWorker.postMessage({ type: 'skip-waiting' });
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Send a message to the worker and wait for its reply.
+ *
+ * @param {ServiceWorker} worker
+ * @param {Object} message
+ * @returns {Promise<Object>} The worker's reply
+ */
+function postToWorker(worker, message) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = ({ data }) => {
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data);
+            }
+        };
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+
+/**
+ * Update the header indicator.
+ *
+ * @param {string|null} status - 'saving', 'ready', 'incomplete', or null to hide it
+ */
+function setStatus(status) {
+    const { status: statusEl, statusText } = offline.elements;
+    if (!statusEl) return;
+
+    statusEl.hidden = !status;
+    statusEl.dataset.state = status || '';
+    if (statusText) {
+        // data-i18n keeps the text in step with the locale switcher
+        if (STATUS_MESSAGES[status]) {
+            statusText.dataset.i18n = STATUS_MESSAGES[status];
+            statusText.textContent = t(STATUS_MESSAGES[status]);
+        } else {
+            delete statusText.dataset.i18n;
+            statusText.textContent = '';
+        }
+    }
+}
@@ -0,0 +1,13 @@
+/**
+ * Pannellum
+ *
+ * Pannellum is published as a classic script that defines `window.pannellum`.
+ * Importing it here bundles it with the app (no CDN request) and gives the
+ * rest of the code a module to depend on instead of the global.
+ */
+
+import 'pannellum/build/pannellum.js';
+
+const { pannellum } = window;
+
+export default pannellum;
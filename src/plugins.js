@@ -0,0 +1,184 @@
+/**
+ * Plugins
+ *
+ * Lets code outside the tour add behaviour without patching it:
+ *
+ * window.HomeTour.registerPlugin({
+ *     name: 'mortgage-calculator',
+ *     setup(tour) {
+ *         tour.on('sceneChange', ({ sceneId }) => { ... });
+ *         tour.registerHotspotType('video', {
+ *             render(element, hotspot) { element.textContent = '▶'; },
+ *             onClick(hotspot, event) { playVideo(hotspot.src); }
+ *         });
+ *         tour.addPanel({ id: 'mortgage', title: 'Mortgage', render(body) { ... } });
+ *     }
+ * });
+ *
+ * `tour` is window.HomeTour (events, navigation, camera) plus the two
+ * extension points. setup() runs as soon as the plugin is registered, which
+ * may be before the first scene has loaded - wait for 'sceneChange' before
+ * touching the camera.
+ *
+ * Scripts that load before the tour can queue plugins instead:
+ * (window.HomeTourPlugins ||= []).push(plugin)
+ *
+ * Scenes use a plugin hotspot type with `type: '<name>'`; hotspots whose
+ * type hasn't been registered are left out until it is.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Hotspot types built into the tour.
+ */
+const BUILT_IN_HOTSPOT_TYPES = ['scene', 'info'];
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const registry = {
+    api: {},
+    plugins: new Set(),       // Names of registered plugins
+    hotspotTypes: new Map(),
+    onHotspotTypesChange: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set the API plugins are given. Call before registering any plugin.
+ *
+ * @param {Object} options
+ * @param {Object} options.api - Public tour API (window.HomeTour)
+ * @param {Function} [options.onHotspotTypesChange] - Called after a hotspot type is added
+ */
+export function initPlugins({ api, onHotspotTypesChange }) {
+    registry.api = api;
+    registry.onHotspotTypesChange = onHotspotTypesChange;
+}
+
+
+/**
+ * Register a plugin and run its setup. A setup() that throws is logged, so
+ * one broken plugin can't stop the tour from working.
+ *
+ * @param {Object|Function} plugin - { name, setup(tour) }, or just the setup function
+ * @throws {Error} When the plugin is malformed or its name is already taken
+ */
+export function registerPlugin(plugin) {
+    const setup = typeof plugin === 'function' ? plugin : plugin?.setup;
+    if (typeof setup !== 'function') {
+        throw new Error('A plugin must be a function or an object with a setup() function');
+    }
+
+    const name = plugin.name;
+    if (name && registry.plugins.has(name)) {
+        throw new Error(`Plugin "${name}" is already registered`);
+    }
+    if (name) {
+        registry.plugins.add(name);
+    }
+
+    try {
+        setup({ ...registry.api, registerHotspotType, addPanel });
+    } catch (error) {
+        console.error(`Plugin "${name || setup.name || 'anonymous'}" failed to set up:`, error);
+    }
+}
+
+
+/**
+ * Register a plugin queued on window.HomeTourPlugins. These run while the
+ * tour itself is starting, so a malformed plugin is logged rather than
+ * thrown.
+ *
+ * @param {Object|Function} plugin - As for registerPlugin
+ */
+export function registerQueuedPlugin(plugin) {
+    try {
+        registerPlugin(plugin);
+    } catch (error) {
+        console.error('Plugin not registered:', error);
+    }
+}
+
+
+/**
+ * Add a hotspot type scenes can use with `type: '<name>'`.
+ *
+ * @param {string} name - Type name
+ * @param {Object} definition
+ * @param {Function} definition.render - Fills the hotspot element: (element, hotspot)
+ * @param {Function} [definition.onClick] - Called with (hotspot, event)
+ */
+export function registerHotspotType(name, definition) {
+    if (BUILT_IN_HOTSPOT_TYPES.includes(name) || registry.hotspotTypes.has(name)) {
+        throw new Error(`Hotspot type "${name}" already exists`);
+    }
+    if (typeof definition?.render !== 'function') {
+        throw new Error(`Hotspot type "${name}" needs a render(element, hotspot) function`);
+    }
+
+    registry.hotspotTypes.set(name, definition);
+    registry.onHotspotTypesChange?.();
+}
+
+
+/**
+ * @param {string} name - Hotspot type name
+ * @returns {Object|undefined} The plugin's definition, if registered
+ */
+export function getHotspotType(name) {
+    return registry.hotspotTypes.get(name);
+}
+
+
+/**
+ * Add a panel to the plugin column at the side of the tour.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Unique ID (the element becomes #plugin-panel-<id>)
+ * @param {string} options.title - Heading shown above the content
+ * @param {Function} options.render - Fills the panel body: (body)
+ * @returns {Object} { element, remove() }
+ */
+export function addPanel({ id, title, render }) {
+    const container = document.getElementById('plugin-panels');
+    if (document.getElementById(`plugin-panel-${id}`)) {
+        throw new Error(`Panel "${id}" already exists`);
+    }
+
+    const panel = document.createElement('section');
+    panel.id = `plugin-panel-${id}`;
+    panel.className = 'plugin-panel bg-tour-card backdrop-blur-xl border border-white/10 rounded-xl p-3 text-sm';
+    panel.setAttribute('aria-label', title);
+
+    const heading = document.createElement('h2');
+    heading.className = 'text-xs uppercase tracking-wider text-gray-400 font-medium mb-2';
+    heading.textContent = title;
+
+    const body = document.createElement('div');
+    body.className = 'plugin-panel-body text-gray-300';
+
+    panel.append(heading, body);
+    container.appendChild(panel);
+    container.hidden = false;
+
+    render(body);
+
+    return {
+        element: panel,
+        remove() {
+            panel.remove();
+            container.hidden = container.children.length === 0;
+        }
+    };
+}
@@ -0,0 +1,378 @@
+/**
+ * Panorama Preloader
+ *
+ * Downloads panoramas ahead of time so moving between rooms doesn't wait on
+ * a multi-megabyte JPEG behind the transition overlay. Once a scene has
+ * loaded, the panoramas its hotspots link to are fetched first, then every
+ * other scene at idle priority.
+ *
+ * Images are kept in two layers:
+ * - In memory, as object URLs handed straight to Pannellum
+ * - In Cache Storage, so a reload (or a later visit) skips the network.
+ *   Cached panoramas are checked against the server in the background
+ *   (connection permitting), so one replaced under the same URL shows
+ *   from the next load on. Once a service worker controls the page this
+ *   layer is skipped: the worker keeps the one cached copy (and keeps it
+ *   fresh), and clears this bucket when it activates.
+ *
+ * Preloading backs off entirely on Save-Data and very slow connections, and
+ * only fetches directly linked rooms on 3G. Dropped connections and server
+ * hiccups are retried with backoff; a missing file (404) fails straight away.
+ */
+
+import { getSceneImages } from './quality.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Cache Storage bucket for panoramas.
+ * Bump the version suffix to drop everything cached by older builds.
+ */
+const CACHE_NAME = 'home-tour-panoramas-v1';
+
+/**
+ * Connection types (Network Information API effectiveType) where preloading
+ * would compete with the panorama the user is actually looking at.
+ */
+const NO_PRELOAD_CONNECTIONS = ['slow-2g', '2g'];
+
+/**
+ * Connection types where only directly linked rooms are preloaded.
+ */
+const ADJACENT_ONLY_CONNECTIONS = ['3g'];
+
+/**
+ * Longest wait (ms) for an idle period before preloading remaining rooms anyway.
+ */
+const IDLE_TIMEOUT = 3000;
+
+/**
+ * Waits (ms) before each retry of a failed download. Only network errors
+ * and transient HTTP statuses are retried.
+ */
+const RETRY_DELAYS = [1000, 2000, 4000];
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limiting and server hiccups.
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * In-memory layer: panorama URL -> Promise resolving to an object URL.
+ * Object URLs are kept for the whole session; a tour's handful of
+ * panoramas is small next to the decoded textures the viewer holds anyway.
+ */
+const panoramas = new Map();
+
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Raised when a panorama can't be downloaded. `status` is the HTTP status
+ * when the server answered, and undefined when the network itself failed.
+ */
+export class PanoramaError extends Error {
+    constructor(message, { url, status } = {}) {
+        super(message);
+        this.name = 'PanoramaError';
+        this.url = url;
+        this.status = status;
+    }
+
+    get retryable() {
+        return this.status === undefined || RETRYABLE_STATUSES.includes(this.status);
+    }
+}
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Decide how much to preload on the current connection.
+ *
+ * @returns {string} 'all', 'adjacent' or 'none'
+ */
+export function getPreloadPolicy() {
+    const connection = navigator.connection;
+
+    if (!connection) {
+        return 'all';
+    }
+    if (connection.saveData || NO_PRELOAD_CONNECTIONS.includes(connection.effectiveType)) {
+        return 'none';
+    }
+    if (ADJACENT_ONLY_CONNECTIONS.includes(connection.effectiveType)) {
+        return 'adjacent';
+    }
+    return 'all';
+}
+
+
+/**
+ * Load a panorama through the cache layers.
+ * Concurrent calls for the same URL share one download.
+ *
+ * @param {string} url - Panorama URL
+ * @param {Function} [onProgress] - Called with { loaded, total } bytes while downloading
+ * @returns {Promise<string>} Object URL for the downloaded image
+ */
+export function loadPanorama(url, onProgress) {
+    if (!panoramas.has(url)) {
+        const promise = fetchPanorama(url, onProgress).catch(error => {
+            // Forget failures so a later attempt can retry
+            panoramas.delete(url);
+            throw error;
+        });
+        panoramas.set(url, promise);
+    }
+
+    return panoramas.get(url);
+}
+
+
+/**
+ * Check whether a panorama is cached in memory or already downloading.
+ *
+ * @param {string} url - Panorama URL
+ * @returns {boolean}
+ */
+export function hasPanorama(url) {
+    return panoramas.has(url);
+}
+
+
+/**
+ * Preload the panoramas around a scene: rooms its hotspots link to first,
+ * then (connection permitting) every other room at idle priority.
+ *
+ * @param {string} sceneId - Scene the user is currently in
+ * @param {Object} scenes - All scenes, keyed by ID
+ * @param {Function} [onProgress] - Called with { loaded, total } scene counts
+ * @param {Function} [onError] - Called with (url, error) for each panorama that failed
+ * @returns {Promise} Resolves when preloading finishes (never rejects)
+ */
+export async function preloadScenes(sceneId, scenes, onProgress, onError) {
+    const policy = getPreloadPolicy();
+    if (policy === 'none') {
+        return;
+    }
+
+    // Preload the resolution each room will settle on; tiled scenes stream themselves
+    const imageOf = scene => scene && getSceneImages(scene)?.full;
+
+    const current = scenes[sceneId];
+    const adjacent = unique(current.hotspots
+        .map(hotspot => imageOf(scenes[hotspot.targetScene]))
+        .filter(Boolean));
+    const others = policy === 'all'
+        ? unique(Object.values(scenes).map(imageOf).filter(Boolean))
+        : [];
+
+    const queue = unique([...adjacent, ...others])
+        .filter(url => !panoramas.has(url));
+    let loaded = 0;
+
+    for (const url of queue) {
+        // Linked rooms go straight away, the rest wait for the browser to be idle
+        if (!adjacent.includes(url)) {
+            await idle();
+        }
+
+        try {
+            await loadPanorama(url);
+        } catch (error) {
+            console.warn('Panorama preload failed:', url, error.message);
+            onError?.(url, error);
+        }
+
+        loaded++;
+        onProgress?.({ loaded, total: queue.length });
+    }
+}
+
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Fetch a panorama from Cache Storage or the network.
+ *
+ * @param {string} url - Panorama URL
+ * @param {Function} [onProgress] - Byte progress callback
+ * @returns {Promise<string>} Object URL
+ */
+async function fetchPanorama(url, onProgress) {
+    const cache = await openCache();
+    let response = cache ? await cache.match(url) : null;
+    let blob;
+
+    if (response) {
+        blob = await readBody(response, onProgress);
+        revalidate(cache, url, response);
+    } else {
+        response = await fetchWithRetry(url);
+
+        // Store a copy while reading the original so progress stays live
+        [, blob] = await Promise.all([
+            cache?.put(url, response.clone()).catch(() => {}),
+            readBody(response, onProgress)
+        ]);
+    }
+
+    return URL.createObjectURL(blob);
+}
+
+
+/**
+ * Refresh a cached panorama if the server has a newer one. `no-cache` makes
+ * the request conditional on the browser's own validators, so an unchanged
+ * image costs a 304; a new ETag or Last-Modified replaces the cached copy.
+ * Failures (e.g. offline) keep the copy we have.
+ *
+ * Skipped where preloading is off (Save-Data, very slow connections).
+ *
+ * @param {Cache} cache
+ * @param {string} url
+ * @param {Response} cached - The cached response
+ */
+async function revalidate(cache, url, cached) {
+    if (getPreloadPolicy() === 'none') return;
+
+    try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (response.ok && !isSameVersion(cached, response)) {
+            await cache.put(url, response);
+        }
+    } catch {
+        // Keep serving the cached copy
+    }
+}
+
+
+/**
+ * Fetch a URL, retrying after each of RETRY_DELAYS on network errors and
+ * transient HTTP statuses.
+ *
+ * @param {string} url
+ * @returns {Promise<Response>} A successful response
+ * @throws {PanoramaError} Once retries are exhausted, or at once for permanent failures
+ */
+async function fetchWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+        let error;
+
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return response;
+            }
+            error = new PanoramaError(`HTTP ${response.status}`, { url, status: response.status });
+        } catch (networkError) {
+            error = new PanoramaError(networkError.message, { url });
+        }
+
+        if (!error.retryable || attempt >= RETRY_DELAYS.length) {
+            throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS[attempt]));
+    }
+}
+
+
+/**
+ * Read a response body, reporting byte progress when the size is known.
+ *
+ * @param {Response} response
+ * @param {Function} [onProgress] - Called with { loaded, total }
+ * @returns {Promise<Blob>}
+ */
+async function readBody(response, onProgress) {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+
+    if (!onProgress || !total || !response.body) {
+        return response.blob();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        loaded += value.length;
+        onProgress({ loaded, total });
+    }
+
+    return new Blob(chunks, { type: response.headers.get('Content-Type') || 'image/jpeg' });
+}
+
+
+/**
+ * Open the panorama cache, if Cache Storage is available (secure contexts
+ * only) and no service worker is caching images already.
+ *
+ * @returns {Promise<Cache|null>}
+ */
+async function openCache() {
+    if (!('caches' in window) || navigator.serviceWorker?.controller) {
+        return null;
+    }
+
+    try {
+        return await caches.open(CACHE_NAME);
+    } catch {
+        return null;
+    }
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Resolve when the browser is idle (or after IDLE_TIMEOUT).
+ *
+ * @returns {Promise}
+ */
+function idle() {
+    return new Promise(resolve => {
+        if ('requestIdleCallback' in window) {
+            requestIdleCallback(() => resolve(), { timeout: IDLE_TIMEOUT });
+        } else {
+            setTimeout(resolve, IDLE_TIMEOUT);
+        }
+    });
+}
+
+/**
+ * Whether two responses carry the same file, going by ETag, then
+ * Last-Modified. Without either there's no telling, so they differ.
+ */
+function isSameVersion(a, b) {
+    const etag = a.headers.get('ETag');
+    if (etag) return etag === b.headers.get('ETag');
+
+    const modified = a.headers.get('Last-Modified');
+    return Boolean(modified) && modified === b.headers.get('Last-Modified');
+}
+
+
+function unique(values) {
+    return [...new Set(values)];
+}
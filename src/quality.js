@@ -0,0 +1,164 @@
+/**
+ * Panorama Quality Selection
+ *
+ * Scenes can provide their panorama in one of three forms:
+ * - `image`:    a single equirectangular JPEG (the original format)
+ * - `variants`: the same equirectangular image at several widths, e.g.
+ *               [{ width: 2048, image: 'panos/lounge-2048.jpg' }, ...]
+ * - `multiRes` / `cubeMap`: a tiled multires or cubemap source, passed
+ *               straight to Pannellum (which streams tiles by zoom level)
+ *
+ * For variants, the tour opens with the smallest one for a fast first
+ * render and then upgrades to the variant that matches the device: enough
+ * pixels to fill the viewport at the device pixel ratio, no wider than the
+ * GPU can hold, and capped on slow or data-saving connections.
+ *
+ * Variants and tiles are produced by scripts/generate-panoramas.js.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Widest panorama (px) to pick on each connection type.
+ * Connections not listed are uncapped.
+ */
+const CONNECTION_WIDTH_CAPS = {
+    'slow-2g': 0,             // Always the smallest variant
+    '2g': 0,
+    '3g': 2048
+};
+
+/**
+ * Texture size assumed when WebGL can't be probed.
+ * 4096 is supported by effectively every WebGL device.
+ */
+const FALLBACK_MAX_TEXTURE_SIZE = 4096;
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * GPU texture limit, probed once on first use.
+ */
+let maxTextureSize = null;
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Get the equirectangular image URLs for a scene.
+ *
+ * @param {Object} scene - Scene definition
+ * @returns {Object|null} { preview, full } URLs (equal when there is only one image), or null for tiled sources
+ */
+export function getSceneImages(scene) {
+    if (scene.multiRes || scene.cubeMap) {
+        return null;
+    }
+
+    if (!scene.variants || scene.variants.length === 0) {
+        return { preview: scene.image, full: scene.image };
+    }
+
+    const variants = [...scene.variants].sort((a, b) => a.width - b.width);
+    const best = selectVariant(variants, scene.initialView.hfov);
+
+    return { preview: variants[0].image, full: best.image };
+}
+
+
+/**
+ * Pick the variant that best matches this device.
+ *
+ * @param {Array} variants - Variants sorted by ascending width
+ * @param {number} hfov - Horizontal field of view the scene opens with
+ * @returns {Object} Chosen variant
+ */
+export function selectVariant(variants, hfov) {
+    const maxWidth = getMaxPanoramaWidth();
+    const usable = variants.filter(variant => variant.width <= maxWidth);
+
+    if (usable.length === 0) {
+        return variants[0];
+    }
+
+    // Smallest variant that shows one image pixel per screen pixel
+    const neededWidth = getNeededWidth(hfov);
+    return usable.find(variant => variant.width >= neededWidth) || usable[usable.length - 1];
+}
+
+
+// ============================================================================
+// DEVICE CAPABILITIES
+// ============================================================================
+
+/**
+ * Panorama width needed for the viewport to show it at native resolution.
+ * Uses the longer screen side since the tour locks to landscape in fullscreen.
+ *
+ * @param {number} hfov - Horizontal field of view in degrees
+ * @returns {number} Width in pixels
+ */
+function getNeededWidth(hfov) {
+    const viewportWidth = Math.max(window.innerWidth, window.innerHeight);
+    const devicePixels = viewportWidth * (window.devicePixelRatio || 1);
+
+    return Math.ceil(devicePixels * (360 / hfov));
+}
+
+
+/**
+ * Widest panorama worth loading given the GPU and the connection.
+ *
+ * @returns {number} Width in pixels
+ */
+function getMaxPanoramaWidth() {
+    // Pannellum splits equirectangular images across two textures
+    let maxWidth = getMaxTextureSize() * 2;
+
+    const connection = navigator.connection;
+    if (connection?.saveData) {
+        return 0;
+    }
+
+    const cap = CONNECTION_WIDTH_CAPS[connection?.effectiveType];
+    if (cap !== undefined) {
+        maxWidth = Math.min(maxWidth, cap);
+    }
+
+    return maxWidth;
+}
+
+
+/**
+ * Probe the GPU's MAX_TEXTURE_SIZE.
+ *
+ * @returns {number} Texture size in pixels
+ */
+function getMaxTextureSize() {
+    if (maxTextureSize !== null) {
+        return maxTextureSize;
+    }
+
+    maxTextureSize = FALLBACK_MAX_TEXTURE_SIZE;
+
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+
+        if (gl) {
+            maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+            gl.getExtension('WEBGL_lose_context')?.loseContext();
+        }
+    } catch {
+        // Keep the fallback
+    }
+
+    return maxTextureSize;
+}
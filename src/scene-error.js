@@ -0,0 +1,230 @@
+/**
+ * Scene Errors & Fallbacks
+ *
+ * What the visitor sees when a room can't be shown, instead of a blank or
+ * stale viewer:
+ * - An error panel naming the room, with a retry button, when its panorama
+ *   is missing or couldn't be downloaded
+ * - A flat, scrollable still of the panorama when the device can't render it
+ *   (no WebGL, or the image is larger than the GPU's texture limit)
+ *
+ * viewer.js decides when a scene has failed; this module classifies the
+ * failure and owns the UI for it.
+ */
+
+import { getSceneImages } from './quality.js';
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Message (see src/locales/) explaining each kind of failure to the visitor.
+ */
+const ERROR_MESSAGES = {
+    missing: 'sceneError.missing',
+    network: 'sceneError.network',
+    webgl: 'sceneError.webgl',
+    'texture-size': 'sceneError.textureSize',
+    unknown: 'sceneError.unknown'
+};
+
+/**
+ * Failures caused by the device rather than the file. Retrying won't help,
+ * so these rooms are shown as a flat image when one is available.
+ */
+const DEVICE_ERRORS = ['webgl', 'texture-size'];
+
+/**
+ * Pannellum reports errors as (English) display strings; match them to a kind.
+ */
+const VIEWER_ERROR_PATTERNS = [
+    { kind: 'webgl', pattern: /WebGL/i },
+    { kind: 'texture-size', pattern: /too big for your device/i },
+    { kind: 'network', pattern: /could not be accessed|wrong with the panorama URL/i }
+];
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const errorView = {
+    panel: null,
+    title: null,
+    message: null,
+    retryButton: null,
+    dismissButton: null,
+    staticView: null,
+    staticImage: null,
+    staticNotice: null,
+    sceneId: null,            // Scene the panel or still is currently about
+    scene: null,
+    kind: null,
+    onRetry: null
+};
+
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify a failed panorama download (see PanoramaError in preloader.js).
+ *
+ * @param {Error} error
+ * @returns {string} 'missing' or 'network'
+ */
+export function classifyLoadError(error) {
+    return [404, 410].includes(error.status) ? 'missing' : 'network';
+}
+
+
+/**
+ * Classify an error message from the viewer's 'error' event.
+ *
+ * @param {string} message
+ * @returns {string} 'webgl', 'texture-size', 'network' or 'unknown'
+ */
+export function classifyViewerError(message) {
+    const match = VIEWER_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message || ''));
+    return match ? match.kind : 'unknown';
+}
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Wire up the error panel and static view markup from index.html.
+ *
+ * @param {Object} options
+ * @param {Function} options.onRetry - Called with the failed scene's ID
+ */
+export function initSceneError({ onRetry }) {
+    errorView.panel = document.getElementById('scene-error');
+    errorView.title = document.getElementById('scene-error-title');
+    errorView.message = document.getElementById('scene-error-message');
+    errorView.retryButton = document.getElementById('btn-scene-retry');
+    errorView.dismissButton = document.getElementById('btn-scene-error-dismiss');
+    errorView.staticView = document.getElementById('static-view');
+    errorView.staticImage = document.getElementById('static-view-image');
+    errorView.staticNotice = document.getElementById('static-view-notice');
+    errorView.onRetry = onRetry;
+
+    errorView.retryButton.addEventListener('click', () => {
+        const sceneId = errorView.sceneId;
+        hideSceneError();
+        errorView.onRetry(sceneId);
+    });
+    errorView.dismissButton.addEventListener('click', hideSceneError);
+
+    on('localeChange', describeFailure);
+}
+
+
+/**
+ * Report a scene that couldn't be shown. Device problems fall back to a
+ * flat still of the panorama; everything else gets the error panel.
+ *
+ * @param {Object} scene - Scene definition
+ * @param {string} kind - Failure kind (see ERROR_MESSAGES)
+ * @returns {boolean} Whether the room is still viewable as a still image
+ */
+export function showSceneError(scene, kind) {
+    const still = DEVICE_ERRORS.includes(kind) ? getSceneImages(scene)?.preview : null;
+
+    errorView.sceneId = scene.id;
+    errorView.scene = scene;
+    errorView.kind = kind;
+    describeFailure();
+
+    if (still) {
+        showStaticView(scene, still);
+        return true;
+    }
+
+    // Retrying can't fix a device limitation
+    errorView.retryButton.hidden = DEVICE_ERRORS.includes(kind);
+    errorView.panel.hidden = false;
+    (errorView.retryButton.hidden ? errorView.dismissButton : errorView.retryButton).focus();
+    return false;
+}
+
+
+/**
+ * Hide the error panel (the static still, if any, stays up).
+ */
+export function hideSceneError() {
+    if (!errorView.panel || errorView.panel.hidden) return;
+
+    errorView.panel.hidden = true;
+    if (errorView.staticView.hidden) {
+        errorView.sceneId = null;
+    }
+}
+
+
+/**
+ * Take down the static still once a panorama renders again.
+ */
+export function hideStaticView() {
+    if (!errorView.staticView || errorView.staticView.hidden) return;
+
+    errorView.staticView.hidden = true;
+    errorView.staticImage.onerror = null;
+    errorView.staticImage.removeAttribute('src');
+    if (errorView.panel.hidden) {
+        errorView.sceneId = null;
+    }
+}
+
+
+/**
+ * @returns {string|null} ID of the scene whose failure is on screen
+ */
+export function getFailedSceneShown() {
+    return errorView.sceneId;
+}
+
+
+// ============================================================================
+// STATIC VIEW
+// ============================================================================
+
+/**
+ * Show a panorama as a flat image the visitor can scroll sideways through.
+ *
+ * @param {Object} scene - Scene definition
+ * @param {string} image - Equirectangular image URL
+ */
+function showStaticView(scene, image) {
+    const { staticView, staticImage } = errorView;
+
+    staticImage.onerror = () => {
+        hideStaticView();
+        showSceneError(scene, 'unknown');
+    };
+    staticImage.src = image;
+    staticView.hidden = false;
+}
+
+
+/**
+ * Write the failure's explanation, for the error panel and the still, in
+ * the current locale.
+ */
+function describeFailure() {
+    if (!errorView.sceneId) return;
+
+    const room = localize(errorView.scene.title);
+    const reason = t(ERROR_MESSAGES[errorView.kind] || ERROR_MESSAGES.unknown);
+
+    errorView.title.textContent = t('sceneError.title', { room });
+    errorView.message.textContent = reason;
+    errorView.staticImage.alt = t('panorama.flatImage', { room });
+    errorView.staticNotice.textContent = t('panorama.flatNotice', { reason });
+}
@@ -0,0 +1,219 @@
+/**
+ * Service Worker
+ *
+ * Built into sw.js by scripts/vite-service-worker.js, which prepends
+ * `self.__PRECACHE_MANIFEST = { version, urls }` listing the app shell and
+ * the built-in tour's panoramas. A new deploy changes the version, so the
+ * browser installs the new worker alongside the old one; it waits until the
+ * page asks it to take over (see offline.js).
+ *
+ * Caching:
+ * - Page loads: network first, falling back to the cached index.html
+ * - Precached files: cache first (they never change under the same version)
+ * - Other images (manifest tours' panoramas, multires tiles): the cached
+ *   copy straight away, refreshed in the background so a replaced image
+ *   shows from the next load
+ * - Anything else from this origin (e.g. tour manifests): network first,
+ *   falling back to the last cached copy
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const { version: VERSION, urls: PRECACHE_URLS } = self.__PRECACHE_MANIFEST;
+
+/**
+ * App shell and built-in panoramas for this version.
+ */
+const PRECACHE = `home-tour-precache-${VERSION}`;
+
+/**
+ * Everything cached at runtime (manifest tours, multires tiles). Cleared
+ * when a new version activates so updated files are fetched again.
+ */
+const RUNTIME = `home-tour-runtime-${VERSION}`;
+
+const IMAGE_PATTERN = /\.(jpe?g|png|webp|avif|gif|svg)$/i;
+
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache());
+});
+
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        // Older versions' caches, and the preloader's: it stops caching once a worker is in charge
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('home-tour-') && name !== PRECACHE && name !== RUNTIME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+
+self.addEventListener('message', event => {
+    const { type, urls } = event.data || {};
+    const [port] = event.ports;
+
+    if (type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (type === 'cache-urls') {
+        event.waitUntil(cacheUrls(urls)
+            .then(result => port?.postMessage(result))
+            .catch(error => port?.postMessage({ error: error.message })));
+    }
+});
+
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, shellUrl()));
+    } else if (isPrecached(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (IMAGE_PATTERN.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+
+/**
+ * Serve from the cache, fetching (and keeping) anything not cached yet.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+
+/**
+ * Serve the cached copy and refresh it in the background. Requests that
+ * ask to skip caches (the preloader checking a panorama with `no-cache`)
+ * wait for the network instead, falling back to the copy offline.
+ *
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cached = await caches.match(request);
+    const refresh = fetch(request).then(async response => {
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached && request.cache !== 'no-cache' && request.cache !== 'reload') {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (error) {
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+
+/**
+ * Fetch from the network, keeping a copy; offline, serve the copy.
+ *
+ * @param {Request} request
+ * @param {string} [fallbackUrl] - Cached URL to serve if this request was never cached
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, fallbackUrl) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && !fallbackUrl) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request)
+            || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+
+// ============================================================================
+// CACHING
+// ============================================================================
+
+/**
+ * Cache this version's files. The shell must all arrive; a missing
+ * panorama only leaves that room unavailable offline.
+ */
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    const urls = PRECACHE_URLS.map(url => new URL(url, self.location).href);
+    const [shell, ...rest] = [shellUrl(), ...urls.filter(url => url !== shellUrl())];
+
+    await cache.add(shell);
+    await Promise.allSettled(rest.map(url => cache.add(url)));
+}
+
+
+/**
+ * Cache files the page needs offline (the active tour's assets).
+ *
+ * @param {string[]} urls - Absolute URLs
+ * @returns {Promise<Object>} { failed: URLs that couldn't be fetched }
+ */
+async function cacheUrls(urls = []) {
+    const cache = await caches.open(RUNTIME);
+    const results = await Promise.allSettled(urls.map(async url => {
+        if (await caches.match(url)) return;
+        await cache.add(url);
+    }));
+
+    return { failed: urls.filter((url, index) => results[index].status === 'rejected') };
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function shellUrl() {
+    return new URL('index.html', self.location).href;
+}
+
+
+function isPrecached(url) {
+    return PRECACHE_URLS.some(path => new URL(path, self.location).href === url.href);
+}
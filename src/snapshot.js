@@ -0,0 +1,494 @@
+/**
+ * Snapshots
+ *
+ * Lets a visitor capture what they're looking at to send to someone else.
+ * The controls panel's camera button opens a dialog that previews the
+ * current view and offers:
+ * - PNG or JPEG, at screen size or twice that
+ * - the room's title in the bottom corner
+ * - a watermark (SNAPSHOT in config.js)
+ * - Download, and Share where the browser can share files (Web Share API)
+ *
+ * The frame is rendered by Pannellum's own renderer at the current
+ * yaw/pitch/hfov, so hotspots and other overlays are left out. Every image
+ * carries the tour's deep link (see deep-link.js) in its metadata - a PNG
+ * "URL" text chunk or a JPEG comment - so it can be reopened in the same view.
+ */
+
+import { SNAPSHOT } from './config.js';
+import { t, localize } from './i18n.js';
+import { trapFocus } from './utils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * JPEG quality, 0-1.
+ */
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Caption and watermark size, as a share of the image height.
+ */
+const TEXT_SCALE = 0.035;
+
+const PNG_SIGNATURE_LENGTH = 8;
+
+/**
+ * Longest text a JPEG comment holds: its 16-bit length counts itself too.
+ */
+const JPEG_COMMENT_MAX_LENGTH = 0xFFFF - 2;
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const snap = {
+    root: null,
+    elements: {},
+    blob: null,
+    previewUrl: null,
+    renderId: 0,              // Ignores renders overtaken by a newer one
+    returnFocus: null,
+    getViewer: null,
+    getCurrentScene: null,
+    getRoomTitle: null,
+    getShareLink: null
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Wire up the snapshot button and dialog from index.html.
+ *
+ * @param {Object} options
+ * @param {Function} options.getViewer - Returns the Pannellum viewer, or null while it's between rooms
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.getRoomTitle - Returns the current room's title, in the visitor's language
+ * @param {Function} options.getShareLink - Returns the deep link to the current view
+ */
+export function initSnapshot({ getViewer, getCurrentScene, getRoomTitle, getShareLink }) {
+    Object.assign(snap, { getViewer, getCurrentScene, getRoomTitle, getShareLink });
+
+    snap.root = document.getElementById('snapshot-dialog');
+    const el = snap.elements = {
+        button: document.getElementById('btn-snapshot'),
+        closeButton: document.getElementById('snapshot-close'),
+        preview: document.getElementById('snapshot-preview'),
+        format: document.getElementById('snapshot-format'),
+        scale: document.getElementById('snapshot-scale'),
+        title: document.getElementById('snapshot-title'),
+        watermark: document.getElementById('snapshot-watermark'),
+        watermarkOption: document.getElementById('snapshot-watermark-option'),
+        downloadButton: document.getElementById('btn-snapshot-download'),
+        shareButton: document.getElementById('btn-snapshot-share')
+    };
+    if (!snap.root || !el.button) return;
+
+    el.watermarkOption.hidden = !SNAPSHOT.watermark;
+    el.shareButton.hidden = !canShareFiles();
+
+    el.button.addEventListener('click', openSnapshot);
+    el.closeButton.addEventListener('click', closeSnapshot);
+    el.downloadButton.addEventListener('click', downloadSnapshot);
+    el.shareButton.addEventListener('click', shareSnapshot);
+    [el.format, el.scale, el.title, el.watermark].forEach(input => {
+        input.addEventListener('change', renderPreview);
+    });
+
+    snap.root.addEventListener('click', (event) => {
+        if (event.target === snap.root) {
+            closeSnapshot();
+        }
+    });
+
+    snap.root.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            closeSnapshot();
+            return;
+        }
+        trapFocus(snap.root, event);
+    });
+}
+
+
+/**
+ * Open the dialog with a preview of the current view.
+ */
+export function openSnapshot() {
+    if (!snap.getViewer() || isSnapshotOpen()) return;
+
+    snap.returnFocus = document.activeElement;
+    snap.root.hidden = false;
+    requestAnimationFrame(() => snap.root.classList.add('open'));
+    snap.elements.closeButton.focus();
+    renderPreview();
+}
+
+
+/**
+ * Close the dialog and return focus to whatever opened it.
+ */
+export function closeSnapshot() {
+    if (!isSnapshotOpen()) return;
+
+    snap.root.classList.remove('open');
+    snap.root.hidden = true;
+    snap.renderId++;
+    setBlob(null);
+
+    snap.returnFocus?.focus?.();
+    snap.returnFocus = null;
+}
+
+
+/**
+ * @returns {boolean} Whether the dialog is currently shown
+ */
+export function isSnapshotOpen() {
+    return Boolean(snap.root) && !snap.root.hidden;
+}
+
+
+/**
+ * Capture the current view as an image.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type='image/png'] - 'image/png' or 'image/jpeg'
+ * @param {number} [options.scale=1] - Size relative to the viewer on screen (capped at SNAPSHOT.maxSize)
+ * @param {boolean} [options.title=true] - Print the room's title in the corner
+ * @param {boolean} [options.watermark=true] - Stamp SNAPSHOT.watermark in the other corner, if one is set
+ * @returns {Promise<Blob|null>} The image with the view's deep link in its metadata; null while between rooms
+ */
+export async function captureSnapshot({ type = 'image/png', scale = 1, title = true, watermark = true } = {}) {
+    const viewer = snap.getViewer();
+    if (!viewer) return null;
+
+    const roomTitle = snap.getRoomTitle();
+    const link = snap.getShareLink();
+    const frame = await loadImage(renderFrame(viewer, scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = frame.width;
+    canvas.height = frame.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(frame, 0, 0);
+
+    const rtl = document.documentElement.dir === 'rtl';
+    if (title && roomTitle) {
+        drawLabel(context, roomTitle, rtl ? 'right' : 'left', 1);
+    }
+    const watermarkText = localize(SNAPSHOT.watermark);
+    if (watermark && watermarkText) {
+        drawLabel(context, watermarkText, rtl ? 'left' : 'right', 0.6);
+    }
+
+    const dataUrl = canvas.toDataURL(type, JPEG_QUALITY);
+    // Browsers without a JPEG encoder hand back a PNG
+    const actualType = dataUrl.slice(5, dataUrl.indexOf(';'));
+    const bytes = addSnapshotMetadata(dataUrlToBytes(dataUrl), actualType, { title: roomTitle, link });
+    return new Blob([bytes], { type: actualType });
+}
+
+
+/**
+ * Embed a view's deep link (and room title) in an image file: iTXt chunks
+ * ("Title", "URL") after a PNG's header, or a comment segment after a
+ * JPEG's APP0 (JFIF) and APP1 (Exif) segments, which must come first.
+ * Other types, and links too long for a JPEG comment, are returned
+ * unchanged.
+ *
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string} type - 'image/png' or 'image/jpeg'
+ * @param {{ title?: string, link: string }} metadata
+ * @returns {Uint8Array} The image with its metadata
+ */
+export function addSnapshotMetadata(bytes, type, { title, link }) {
+    if (type === 'image/png') {
+        // The IHDR chunk must come first; text chunks may follow it anywhere
+        const headerEnd = PNG_SIGNATURE_LENGTH + 12 + readUint32(bytes, PNG_SIGNATURE_LENGTH);
+        const chunks = [
+            title ? pngTextChunk('Title', title) : null,
+            pngTextChunk('URL', link)
+        ].filter(Boolean);
+        return concatBytes(bytes.subarray(0, headerEnd), ...chunks, bytes.subarray(headerEnd));
+    }
+
+    if (type === 'image/jpeg') {
+        const text = new TextEncoder().encode(link);
+        if (text.length > JPEG_COMMENT_MAX_LENGTH) return bytes;
+
+        const segment = new Uint8Array(4 + text.length);
+        segment.set([0xFF, 0xFE, (text.length + 2) >> 8, (text.length + 2) & 0xFF]);
+        segment.set(text, 4);
+        const offset = findJpegCommentOffset(bytes);
+        return concatBytes(bytes.subarray(0, offset), segment, bytes.subarray(offset));
+    }
+
+    return bytes;
+}
+
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * The options chosen in the dialog.
+ */
+function getOptions() {
+    const { format, scale, title, watermark } = snap.elements;
+    return {
+        type: format.value,
+        scale: Number(scale.value),
+        title: title.checked,
+        watermark: watermark.checked
+    };
+}
+
+
+/**
+ * Capture with the current options and show the result.
+ */
+async function renderPreview() {
+    const renderId = ++snap.renderId;
+    setBusy(true);
+
+    let blob = null;
+    try {
+        blob = await captureSnapshot(getOptions());
+    } catch (error) {
+        console.error('Snapshot failed:', error);
+    }
+    if (renderId !== snap.renderId) return;
+
+    setBlob(blob);
+    setBusy(false);
+}
+
+
+function setBlob(blob) {
+    const { preview, downloadButton, shareButton } = snap.elements;
+
+    if (snap.previewUrl) URL.revokeObjectURL(snap.previewUrl);
+    snap.blob = blob;
+    snap.previewUrl = blob ? URL.createObjectURL(blob) : null;
+
+    preview.hidden = !blob;
+    if (blob) preview.src = snap.previewUrl;
+    preview.alt = blob ? t('snapshot.previewAlt', { room: snap.getRoomTitle() }) : '';
+    downloadButton.disabled = !blob;
+    shareButton.disabled = !blob;
+}
+
+
+function setBusy(busy) {
+    snap.root.setAttribute('aria-busy', String(busy));
+    if (busy) {
+        snap.elements.downloadButton.disabled = true;
+        snap.elements.shareButton.disabled = true;
+    }
+}
+
+
+function downloadSnapshot() {
+    if (!snap.blob) return;
+
+    const link = document.createElement('a');
+    link.href = snap.previewUrl;
+    link.download = getFileName(snap.blob.type);
+    link.click();
+}
+
+
+/**
+ * Hand the image and its link to the system share sheet.
+ */
+async function shareSnapshot() {
+    if (!snap.blob) return;
+
+    const file = new File([snap.blob], getFileName(snap.blob.type), { type: snap.blob.type });
+    try {
+        await navigator.share({ files: [file], title: snap.getRoomTitle(), url: snap.getShareLink() });
+    } catch (error) {
+        // AbortError: the visitor closed the share sheet
+        if (error.name !== 'AbortError') {
+            console.error('Sharing the snapshot failed:', error);
+        }
+    }
+}
+
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the viewer's current view with Pannellum's renderer, optionally
+ * on an enlarged drawing buffer, and put the canvas back as it was.
+ *
+ * @param {Object} viewer - Pannellum viewer
+ * @param {number} scale - Size relative to the canvas on screen
+ * @returns {string} PNG data URL
+ */
+function renderFrame(viewer, scale) {
+    const renderer = viewer.getRenderer();
+    const canvas = renderer.getCanvas();
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const render = () => renderer.render(
+        toRadians(viewer.getPitch()), toRadians(viewer.getYaw()), toRadians(viewer.getHfov()), { returnImage: true }
+    );
+
+    const fit = Math.min(scale, SNAPSHOT.maxSize / Math.max(canvas.width, canvas.height));
+    if (fit <= 1) return render();
+
+    // Pannellum sizes the canvas to the screen; draw one frame bigger
+    const gl = canvas.getContext('experimental-webgl') || canvas.getContext('webgl');
+    canvas.width = Math.round(canvas.width * fit);
+    canvas.height = Math.round(canvas.height * fit);
+    gl?.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    try {
+        return render();
+    } finally {
+        viewer.resize();
+    }
+}
+
+
+/**
+ * Print text in a bottom corner over a soft shadow, sized to the image.
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {string} text
+ * @param {string} side - 'left' or 'right'
+ * @param {number} opacity
+ */
+function drawLabel(context, text, side, opacity) {
+    const { width, height } = context.canvas;
+    const size = Math.round(height * TEXT_SCALE);
+    const margin = size;
+
+    context.save();
+    context.font = `600 ${size}px Inter, system-ui, sans-serif`;
+    context.textAlign = side;
+    context.textBaseline = 'bottom';
+    context.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+    context.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    context.shadowBlur = size / 3;
+    context.fillText(text, side === 'left' ? margin : width - margin, height - margin);
+    context.restore();
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Whether the Web Share API can share image files here.
+ */
+function canShareFiles() {
+    if (!navigator.share || !navigator.canShare) return false;
+
+    try {
+        return navigator.canShare({ files: [new File([''], 'snapshot.png', { type: 'image/png' })] });
+    } catch {
+        return false;
+    }
+}
+
+
+function getFileName(type) {
+    return `${snap.getCurrentScene()}-snapshot.${type === 'image/jpeg' ? 'jpg' : 'png'}`;
+}
+
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not decode the rendered frame'));
+        image.src = src;
+    });
+}
+
+
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+
+function concatBytes(...parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+
+/**
+ * Where a comment can go in a JPEG: past the start marker and any APP0 or
+ * APP1 segments that follow it.
+ */
+function findJpegCommentOffset(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF && (bytes[offset + 1] === 0xE0 || bytes[offset + 1] === 0xE1)) {
+        offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return Math.min(offset, bytes.length);
+}
+
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+
+/**
+ * An uncompressed international (UTF-8) text chunk.
+ */
+function pngTextChunk(keyword, text) {
+    const encoder = new TextEncoder();
+    // keyword, null, compression flag and method, empty language tag and translated keyword
+    const data = concatBytes(encoder.encode(keyword), new Uint8Array(5), encoder.encode(text));
+    const body = concatBytes(encoder.encode('iTXt'), data);
+
+    const chunk = new Uint8Array(body.length + 8);
+    new DataView(chunk.buffer).setUint32(0, data.length);
+    chunk.set(body, 4);
+    new DataView(chunk.buffer).setUint32(body.length + 4, crc32(body));
+    return chunk;
+}
+
+
+/**
+ * Lookup table for crc32().
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * The CRC-32 every PNG chunk ends with.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    bytes.forEach(byte => {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
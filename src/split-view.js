@@ -0,0 +1,346 @@
+/**
+ * Split View
+ *
+ * For buyers weighing up a shortlist: a second viewer beside the tour shows
+ * another room of this home, or a room of one of its sibling properties
+ * (see PROPERTIES in config.js), so two kitchens can be compared without
+ * flipping between tabs. The tour keeps the left half - the top half on
+ * portrait phones - and the other half has its own home and room pickers.
+ *
+ * With the cameras linked, dragging or zooming either view turns the other
+ * by the same amount, so both keep the heading they started with.
+ */
+
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+import { getPropertyManifestUrl } from './manifest.js';
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const split = {
+    open: false,
+    source: null,             // Tour shown in the second viewer
+    sourceKey: '',            // '' for the active tour, otherwise its index in tour.properties
+    viewer: null,
+    load: 0,                  // Counts loads, so one overtaken by another is dropped
+    sync: true,
+    frame: null,
+    lastViews: null,          // [tour, second] camera positions at the last frame
+    tour: null,
+    getViewer: null,
+    getCurrentScene: null,
+    loadTour: null,
+    createTourViewer: null,
+    onStatusChange: null,
+    elements: {}
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set up the split view button and the second viewer's controls.
+ *
+ * @param {Object} options
+ * @param {Object} options.tour - Active tour (scenes, properties, id; see state.js)
+ * @param {Function} options.getViewer - Returns the tour's viewer, or null while it's between rooms
+ * @param {Function} options.getCurrentScene - Returns the tour's current scene ID
+ * @param {Function} options.loadTour - Loads another property's tour from its manifest URL
+ * @param {Function} options.createTourViewer - Opens a viewer on a tour (container, tour, sceneId)
+ * @param {Function} [options.onStatusChange] - Called with true/false as the split view opens and closes
+ */
+export function initSplitView({ tour, getViewer, getCurrentScene, loadTour, createTourViewer, onStatusChange }) {
+    Object.assign(split, { tour, getViewer, getCurrentScene, loadTour, createTourViewer, onStatusChange });
+
+    const el = split.elements = {
+        button: document.getElementById('btn-split-view'),
+        pane: document.getElementById('split-pane'),
+        panorama: document.getElementById('split-panorama'),
+        status: document.getElementById('split-status'),
+        property: document.getElementById('split-property'),
+        propertyLabel: document.getElementById('split-property-label'),
+        room: document.getElementById('split-room'),
+        sync: document.getElementById('split-sync'),
+        close: document.getElementById('btn-split-close')
+    };
+    if (!el.button || !el.pane) return;
+
+    el.button.addEventListener('click', () => {
+        if (split.open) {
+            closeSplitView();
+        } else {
+            openSplitView();
+        }
+    });
+    el.close.addEventListener('click', () => {
+        closeSplitView();
+        el.button.focus();
+    });
+    el.property.addEventListener('change', () => showSource(el.property.value));
+    el.room.addEventListener('change', () => split.viewer?.loadScene(el.room.value));
+    el.sync.addEventListener('change', () => {
+        split.sync = el.sync.checked;
+        split.lastViews = null;
+    });
+
+    on('localeChange', () => {
+        renderProperties();
+        renderRooms();
+    });
+}
+
+
+/**
+ * Show the second viewer beside the tour, on the home it last showed.
+ *
+ * @returns {Promise<boolean>} Whether the second viewer is showing a room
+ */
+export async function openSplitView() {
+    if (split.open) return split.viewer !== null;
+
+    const { button, pane } = split.elements;
+    split.open = true;
+    document.body.classList.add('split-view');
+    pane.hidden = false;
+    button.setAttribute('aria-pressed', 'true');
+    button.classList.add('active');
+    resizeViewers();
+    split.onStatusChange?.(true);
+
+    renderProperties();
+    return showSource(split.sourceKey);
+}
+
+
+/**
+ * Close the second viewer and give the tour the whole screen again.
+ */
+export function closeSplitView() {
+    if (!split.open) return;
+
+    const { button, pane } = split.elements;
+    split.open = false;
+    split.load++;
+    closeSecondViewer();
+    document.body.classList.remove('split-view');
+    pane.hidden = true;
+    button.setAttribute('aria-pressed', 'false');
+    button.classList.remove('active');
+    resizeViewers();
+    split.onStatusChange?.(false);
+}
+
+
+/**
+ * @returns {boolean} Whether the split view is open
+ */
+export function isSplitViewOpen() {
+    return split.open;
+}
+
+
+// ============================================================================
+// SECOND VIEWER
+// ============================================================================
+
+/**
+ * Open the second viewer on this tour or one of its properties.
+ *
+ * @param {string} key - '' for the active tour, otherwise the property's index
+ * @returns {Promise<boolean>} Whether it's showing a room
+ */
+async function showSource(key) {
+    const load = ++split.load;
+    closeSecondViewer();
+    setStatus(t('split.loading'));
+
+    let source;
+    let viewer;
+    try {
+        source = key === ''
+            ? split.tour
+            : await split.loadTour(getPropertyManifestUrl(split.tour.properties[key]));
+        if (load !== split.load) return false;
+
+        viewer = await split.createTourViewer(split.elements.panorama, source, getFirstScene(source));
+    } catch (error) {
+        if (load !== split.load) return false;
+        console.error('Split view failed:', error);
+        setStatus(t('split.failed'));
+        return false;
+    }
+
+    // Closed, or switched to another home, while it loaded
+    if (load !== split.load) {
+        viewer.destroy();
+        return false;
+    }
+
+    Object.assign(split, { source, sourceKey: key, viewer, lastViews: null });
+    // Walking through a hotspot changes the room too
+    viewer.on('load', () => {
+        split.lastViews = null;
+        renderRooms();
+    });
+    setStatus(null);
+    renderRooms();
+    startSync();
+    return true;
+}
+
+
+function closeSecondViewer() {
+    if (split.frame !== null) {
+        cancelAnimationFrame(split.frame);
+        split.frame = null;
+    }
+
+    split.viewer?.destroy();
+    split.viewer = null;
+    split.lastViews = null;
+    renderRooms();
+}
+
+
+/**
+ * The room to open a tour on: another room than the one on screen when
+ * comparing rooms of this home, otherwise the tour's first room.
+ */
+function getFirstScene(source) {
+    if (source !== split.tour || source.defaultScene !== split.getCurrentScene()) {
+        return source.defaultScene;
+    }
+    return Object.keys(source.scenes).find(id => id !== source.defaultScene) ?? source.defaultScene;
+}
+
+
+// ============================================================================
+// CAMERA SYNC
+// ============================================================================
+
+/**
+ * Link the cameras each animation frame while the split view is open.
+ */
+function startSync() {
+    if (split.frame !== null) return;
+
+    const tick = () => {
+        split.frame = requestAnimationFrame(tick);
+        if (!document.hidden) syncCameras();
+    };
+    split.frame = requestAnimationFrame(tick);
+}
+
+
+/**
+ * Turn one view by as much as the other moved since the last frame. Moves
+ * are copied rather than positions, so two rooms photographed facing
+ * different ways keep their own headings.
+ */
+function syncCameras() {
+    const viewers = [split.getViewer(), split.viewer];
+
+    // A room change in either view starts afresh from where it lands
+    if (!viewers[0] || !viewers[1]) {
+        split.lastViews = null;
+        return;
+    }
+
+    const views = viewers.map(readView);
+    const last = split.lastViews;
+    split.lastViews = views;
+    if (!split.sync || !last) return;
+
+    const leader = [0, 1].find(index => !isSameView(views[index], last[index]));
+    if (leader === undefined) return;
+
+    const follower = 1 - leader;
+    const moved = views[leader];
+    const was = last[leader];
+    viewers[follower].lookAt(
+        views[follower].pitch + moved.pitch - was.pitch,
+        views[follower].yaw + moved.yaw - was.yaw,
+        views[follower].hfov + moved.hfov - was.hfov,
+        false
+    );
+    // The viewer may have clamped the move
+    split.lastViews[follower] = readView(viewers[follower]);
+}
+
+
+// ============================================================================
+// CONTROLS
+// ============================================================================
+
+/**
+ * Fill the home picker: this home and the other properties. Hidden when
+ * the tour lists none.
+ */
+function renderProperties() {
+    const { property, propertyLabel } = split.elements;
+    const resolve = url => new URL(url, document.baseURI).href;
+    const others = (split.tour.properties || [])
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => resolve(getPropertyManifestUrl(entry)) !== resolve(split.tour.id));
+
+    propertyLabel.hidden = others.length === 0;
+    property.innerHTML = '';
+    property.appendChild(new Option(t('split.thisHome'), '', false, split.sourceKey === ''));
+    others.forEach(({ entry, index }) => {
+        property.appendChild(new Option(localize(entry.title), String(index), false, split.sourceKey === String(index)));
+    });
+}
+
+
+/**
+ * Fill the room picker with the second viewer's rooms, marking the one
+ * on screen.
+ */
+function renderRooms() {
+    const { room } = split.elements;
+    if (!room) return;
+
+    room.innerHTML = '';
+    room.disabled = !split.viewer;
+    if (!split.viewer) return;
+
+    const current = split.viewer.getScene();
+    Object.entries(split.source.scenes).forEach(([id, scene]) => {
+        room.appendChild(new Option(localize(scene.title), id, false, id === current));
+    });
+}
+
+
+function setStatus(message) {
+    const { status } = split.elements;
+    status.textContent = message || '';
+    status.hidden = !message;
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function readView(viewer) {
+    return { pitch: viewer.getPitch(), yaw: viewer.getYaw(), hfov: viewer.getHfov() };
+}
+
+
+function isSameView(a, b) {
+    return a.pitch === b.pitch && a.yaw === b.yaw && a.hfov === b.hfov;
+}
+
+
+/**
+ * Pannellum only sizes its viewers on window resize, which the layout
+ * change doesn't cause, so tell each viewer its container changed.
+ */
+function resizeViewers() {
+    split.getViewer()?.resize();
+    split.viewer?.resize();
+}
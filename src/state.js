@@ -0,0 +1,170 @@
+/**
+ * Application State
+ *
+ * The active tour configuration, runtime state and cached DOM references
+ * shared by the tour's modules.
+ */
+
+import { getManifestUrl, loadManifest } from './manifest.js';
+import {
+    SCENE_CONFIG, VIEWER_SETTINGS, FLOOR_PLAN, FLOORS, PROPERTIES, DEFAULT_SCENE, GUIDED_TOUR, TRANSITION_DURATION
+} from './config.js';
+
+// ============================================================================
+// APPLICATION STATE
+// ============================================================================
+
+/**
+ * Active tour configuration.
+ * Starts out as the built-in config (config.js) and is replaced wholesale when an
+ * external manifest is given (see loadTourConfig).
+ */
+export const tour = {
+    id: 'built-in',           // Names the tour in analytics: 'built-in' or the manifest URL
+    scenes: SCENE_CONFIG,
+    floorPlan: FLOOR_PLAN,
+    floors: FLOORS,           // Floors grouping the scenes, or null for one floor (see floors.js)
+    properties: PROPERTIES,   // Tours offered in the property switcher, or null
+    defaultScene: DEFAULT_SCENE,
+    guidedTour: GUIDED_TOUR,
+    viewerSettings: VIEWER_SETTINGS,
+    transitionDuration: TRANSITION_DURATION
+};
+
+
+/**
+ * Central application state object.
+ * Tracks the current scene, viewer instance, and UI state.
+ */
+export const state = {
+    currentScene: null,
+    viewer: null,
+    currentImage: null,       // Equirectangular image URL on screen (before object-URL caching)
+    version: null,            // Room version the visitor picked, shown wherever a room has it (see versions.js)
+    isTransitioning: false,
+    resolveTransition: null,  // Settles the in-flight navigateToScene() promise
+    unavailableScenes: new Set(),  // Rooms whose panorama failed to load
+    embedded: false,          // Running in a host page's iframe (see embed.js)
+    isFirstLoad: true
+};
+
+
+// ============================================================================
+// DOM REFERENCES
+// ============================================================================
+
+/**
+ * Cached DOM element references for performance.
+ * Queried once on initialization.
+ */
+export const elements = {
+    panorama: null,
+    loadingScreen: null,
+    loadingTitle: null,
+    loadingMessage: null,
+    loadingErrors: null,
+    loadingProgress: null,
+    loadingProgressBar: null,
+    preloadStatus: null,
+    preloadStatusText: null,
+    preloadProgressBar: null,
+    sceneTransition: null,
+    currentRoomName: null,
+    roomButtons: null,
+    floorTabs: null,
+    roomCounter: null,
+    propertySwitcher: null,
+    mobileHint: null,
+    btnZoomIn: null,
+    btnZoomOut: null,
+    btnFullscreen: null,
+    btnKeyboardHelp: null,
+    roomAnnouncer: null,
+    header: null,
+    roomNav: null,
+    controlsPanel: null,
+    // Mobile fullscreen recommendation elements
+    fullscreenRecommendation: null,
+    btnEnterFullscreen: null,
+    btnDismissFullscreen: null
+};
+
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Cache DOM elements for faster access.
+ */
+export function cacheElements() {
+    elements.panorama = document.getElementById('panorama');
+    elements.loadingScreen = document.getElementById('loading-screen');
+    elements.loadingTitle = document.getElementById('loading-title');
+    elements.loadingMessage = document.getElementById('loading-message');
+    elements.loadingErrors = document.getElementById('loading-errors');
+    elements.loadingProgress = document.getElementById('loading-progress');
+    elements.loadingProgressBar = document.getElementById('loading-progress-bar');
+    elements.preloadStatus = document.getElementById('preload-status');
+    elements.preloadStatusText = document.getElementById('preload-status-text');
+    elements.preloadProgressBar = document.getElementById('preload-progress-bar');
+    elements.sceneTransition = document.getElementById('scene-transition');
+    elements.currentRoomName = document.getElementById('current-room-name');
+    elements.roomButtons = document.getElementById('room-buttons');
+    elements.floorTabs = document.getElementById('floor-tabs');
+    elements.roomCounter = document.getElementById('room-counter');
+    elements.propertySwitcher = document.getElementById('property-switcher');
+    elements.mobileHint = document.getElementById('mobile-hint');
+    elements.btnZoomIn = document.getElementById('btn-zoom-in');
+    elements.btnZoomOut = document.getElementById('btn-zoom-out');
+    elements.btnFullscreen = document.getElementById('btn-fullscreen');
+    elements.btnKeyboardHelp = document.getElementById('btn-keyboard-help');
+    elements.roomAnnouncer = document.getElementById('room-announcer');
+    elements.header = document.getElementById('header');
+    elements.roomNav = document.getElementById('room-nav');
+    elements.controlsPanel = document.getElementById('controls-panel');
+    // Mobile fullscreen recommendation elements
+    elements.fullscreenRecommendation = document.getElementById('fullscreen-recommendation');
+    elements.btnEnterFullscreen = document.getElementById('btn-enter-fullscreen');
+    elements.btnDismissFullscreen = document.getElementById('btn-dismiss-fullscreen');
+}
+
+
+/**
+ * Load the tour manifest named in the URL, if any.
+ * Without a manifest the built-in config stays active.
+ */
+export async function loadTourConfig() {
+    const manifestUrl = getManifestUrl();
+    if (!manifestUrl) {
+        return;
+    }
+
+    Object.assign(tour, await loadTour(manifestUrl));
+}
+
+
+/**
+ * Load a tour manifest into the shape of `tour`, with the built-in
+ * defaults filled in - for the active tour, or another one shown beside
+ * it (see split-view.js).
+ *
+ * @param {string} manifestUrl - Manifest URL
+ * @returns {Promise<Object>} Tour configuration
+ * @throws {ManifestError} When the manifest can't be loaded or is invalid
+ */
+export async function loadTour(manifestUrl) {
+    const manifest = await loadManifest(manifestUrl);
+
+    return {
+        id: manifestUrl,
+        scenes: manifest.scenes,
+        floorPlan: manifest.floorPlan,
+        floors: manifest.floors,
+        properties: manifest.properties,
+        defaultScene: manifest.defaultScene,
+        guidedTour: manifest.guidedTour,
+        viewerSettings: { ...VIEWER_SETTINGS, ...manifest.viewerSettings },
+        transitionDuration: manifest.transitionDuration ?? TRANSITION_DURATION
+    };
+}
@@ -3,238 +3,112 @@
  * 
  * A production-quality 3D panoramic home tour built with Pannellum.
  * Features smooth scene transitions, interactive hotspots, and responsive design.
+ *
+ * This entry point wires the modules together:
+ * - config.js      built-in tour (scenes, viewer settings, floor plan)
+ * - state.js       active tour, runtime state and DOM references
+ * - viewer.js      Pannellum viewer, scene transitions, hotspots, deep links
+ * - ui.js          room badge, floor tabs, buttons, counter, property switcher and loading screen
+ * - floors.js      floors grouping the rooms, and room order and numbering
+ * - controls.js    buttons, keyboard shortcuts and window events
+ * - fullscreen.js  fullscreen toggle and mobile recommendation
+ * - offline.js     service worker, offline indicator and update prompt
+ * - embed.js       iframe embed mode and its postMessage API
+ * - events.js      event bus behind HomeTour.on/off
+ * - plugins.js     HomeTour.registerPlugin, plugin hotspot types and panels
+ * - analytics.js   engagement analytics (heatmap.js draws them with ?heatmap)
+ * - i18n.js        locale detection and switcher, UI messages, translated content
+ * - gyroscope.js   look around by moving the phone
+ * - vr.js          WebXR headsets and cardboard viewers (drawn by vr-renderer.js)
+ * - measure.js     floor distances and heights measured on the panorama
+ * - snapshot.js    image of the current view to download or share
+ * - version-switcher.js  room versions (day/dusk, staged; see versions.js) and before/after slider
+ * - split-view.js  another room or home beside the tour, cameras optionally linked
  * 
  * @author Senior Frontend Engineer
  * @version 1.0.0
  */
 
+import '@fontsource/inter/300.css';
+import '@fontsource/inter/400.css';
+import '@fontsource/inter/500.css';
+import '@fontsource/inter/600.css';
+import '@fontsource/inter/700.css';
+import '@fontsource/playfair-display/400.css';
+import '@fontsource/playfair-display/500.css';
+import '@fontsource/playfair-display/600.css';
+import '@fontsource/playfair-display/700.css';
+import 'pannellum/build/pannellum.css';
 import './style.css';
+import { tour, state, cacheElements, loadTourConfig, loadTour } from './state.js';
+import { initializeViewer, navigateToScene, retryScene, refreshHotspots, getCurrentView, setView, getShareLink, showVersion, createVersionViewer, createTourViewer } from './viewer.js';
+import { updateUI, renderRoomButtons, initPropertySwitcher, renderPropertySwitcher, showLoadingError, showMobileHint } from './ui.js';
+import { getFloors } from './floors.js';
+import { showFullscreenRecommendation } from './fullscreen.js';
+import { setupEventListeners } from './controls.js';
+import { initInfoCard } from './info-card.js';
+import { initKeyboardHelp } from './keyboard-help.js';
+import { initSceneError } from './scene-error.js';
+import { initMinimap } from './minimap.js';
+import { isEditorRequested, initEditor } from './editor.js';
+import { buildDefaultScript, isAutoplayRequested, initAutoplay, startAutoplay, stopAutoplay } from './autoplay.js';
+import { initOffline } from './offline.js';
+import { isEmbedRequested, initEmbed, emitEmbedEvent, reportSceneLoaded, reportSceneFailed } from './embed.js';
+import { EMBED_ALLOWED_ORIGINS, ANALYTICS } from './config.js';
+import { on, off, emit } from './events.js';
+import { initPlugins, registerPlugin, registerQueuedPlugin } from './plugins.js';
+import { DEV_ANALYTICS_ENDPOINT, initAnalytics, setAnalyticsConsent } from './analytics.js';
+import { isHeatmapRequested, initHeatmap } from './heatmap.js';
+import { initI18n, setLocale, getLocale, localize } from './i18n.js';
+import { initGyroscope, stopGyroscope } from './gyroscope.js';
+import { initVr } from './vr.js';
+import { initMeasure, stopMeasure } from './measure.js';
+import { initSnapshot } from './snapshot.js';
+import { initVersionSwitcher, stopCompare } from './version-switcher.js';
+import { initSplitView } from './split-view.js';
 
 // ============================================================================
-// CONFIGURATION
+// EMBED API
 // ============================================================================
 
 /**
- * Scene configuration for all rooms in the tour.
- * Each scene contains positioning data, navigation links, and hotspot placements.
- * 
- * Hotspot coordinates (yaw/pitch) are based on equirectangular projection:
- * - Yaw: horizontal angle in degrees (-180 to 180, 0 = front center)
- * - Pitch: vertical angle in degrees (-90 to 90, 0 = horizon)
- * 
- * To add more rooms:
- * 1. Add a new entry to SCENE_CONFIG with a unique key
- * 2. Add the panorama image to /panos/ directory
- * 3. Define hotspots with yaw/pitch coordinates pointing to other scenes
- * 4. Update existing scenes' hotspots to link to the new room
+ * Methods a host page can call on an embedded tour (see embed.js).
  */
-const SCENE_CONFIG = {
-    // Living Room - The main entry point and central hub
-    'living-room': {
-        id: 'living-room',
-        title: 'Living Room',
-        description: 'Bright, modern living space with large windows',
-        image: '/panos/living-room.jpg',
-
-        // Initial camera position when entering this scene
-        // These values position the view to highlight the main features
-        initialView: {
-            yaw: 0,           // Start facing the main window/TV area
-            pitch: 0,         // Eye level
-            hfov: 110         // Wide field of view for spacious feel
-        },
-
-        // Navigation hotspots linking to other rooms
-        // Positioned based on logical room layout
-        hotspots: [
-            {
-                targetScene: 'open-living-kitchen',
-                yaw: -90,         // To the left - kitchen area
-                pitch: -5,        // Slightly below eye level
-                label: 'Open Living & Kitchen'
-            },
-            {
-                targetScene: 'lounge',
-                yaw: 110,          // To the right - lounge area
-                pitch: 0,
-                label: 'Lounge'
-            }
-        ],
-
-        // Accent color for UI elements (matches room aesthetic)
-        accentColor: '#6366f1'
-    },
-
-    // Open Living & Kitchen - Connected open-plan space
-    'open-living-kitchen': {
-        id: 'open-living-kitchen',
-        title: 'Open Living & Kitchen',
-        description: 'Spacious open-plan living and kitchen area',
-        image: '/panos/open-living-kitchen.jpg',
-
-        initialView: {
-            yaw: 45,          // Angled to show both living and kitchen areas
-            pitch: 0,
-            hfov: 110
-        },
-
-        hotspots: [
-            {
-                targetScene: 'living-room',
-                yaw: -120,        // Back towards living room
-                pitch: 0,
-                label: 'Living Room'
-            }
-        ],
-
-        accentColor: '#8b5cf6'
-    },
-
-    // Lounge - Luxury circular sitting area
-    'lounge': {
-        id: 'lounge',
-        title: 'Lounge',
-        description: 'Luxury circular sitting area with architectural design',
-        image: '/panos/lounge.jpg',
-
-        initialView: {
-            yaw: 0,           // Face the central seating
-            pitch: -5,        // Slight downward angle for the curved sofa
-            hfov: 105         // Slightly narrower for intimate feel
-        },
-
-        hotspots: [
-            {
-                targetScene: 'living-room',
-                yaw: 160,         // Behind - back to living room
-                pitch: 0,
-                label: 'Living Room'
-            },
-            {
-                targetScene: 'music-room',
-                yaw: -60,         // Adjacent - to the music room
-                pitch: 0,
-                label: 'Music Room'
-            }
-        ],
-
-        accentColor: '#d946ef'
+const embedApi = {
+    navigateToScene: (sceneId, options) => {
+        if (!tour.scenes[sceneId]) {
+            throw new Error(`Unknown scene "${sceneId}"`);
+        }
+        return navigateToScene(sceneId, options);
     },
-
-    // Music Room - Cozy study with instruments
-    'music-room': {
-        id: 'music-room',
-        title: 'Music Room',
-        description: 'Cozy music room with piano and guitar, featuring wood ceiling',
-        image: '/panos/music-room.jpg',
-
-        initialView: {
-            yaw: -30,         // Angled to show piano and fireplace
-            pitch: 5,         // Slightly up to show wood ceiling
-            hfov: 100         // Narrower FOV for cozy feeling
-        },
-
-        hotspots: [
-            {
-                targetScene: 'lounge',
-                yaw: 140,         // Back towards lounge
-                pitch: 0,
-                label: 'Lounge'
-            }
-        ],
-
-        accentColor: '#f59e0b'
-    }
-};
-
-/**
- * Global viewer settings for Pannellum.
- * These affect performance, usability, and visual quality.
- */
-const VIEWER_SETTINGS = {
-    // Pitch limits prevent viewing distorted ceiling/floor areas
-    minPitch: -50,            // Maximum downward angle
-    maxPitch: 50,             // Maximum upward angle
-
-    // Field of view constraints
-    minHfov: 50,              // Maximum zoom in
-    maxHfov: 120,             // Maximum zoom out (wide angle)
-
-    // Interaction settings
-    autoLoad: true,           // Load panorama immediately
-    compass: false,           // Hide compass (clean UI preference)
-    showControls: false,      // Hide default controls (custom UI)
-    mouseZoom: true,          // Enable scroll wheel zoom
-    keyboardZoom: true,       // Enable +/- keys for zoom
-    friction: 0.15,           // Smooth deceleration after mouse drag
-
-    // Performance settings
-    hfov: 110,                // Default horizontal field of view
-
-    // Touch/mobile settings
-    touchPanSpeedCoeffFactor: 0.5,  // Slower pan on touch for precision
-
-    // Animation settings for auto-rotate (disabled by default)
-    autoRotate: 0,            // Degrees per second (0 = disabled)
-    autoRotateInactivityDelay: 5000  // ms before auto-rotate starts
-};
-
-/**
- * Default starting scene when the tour loads.
- * Change this to start from a different room.
- */
-const DEFAULT_SCENE = 'living-room';
-
-/**
- * Transition duration in milliseconds for scene changes.
- * Lower = snappier, Higher = smoother
- */
-const TRANSITION_DURATION = 400;
-
-
-// ============================================================================
-// APPLICATION STATE
-// ============================================================================
-
-/**
- * Central application state object.
- * Tracks the current scene, viewer instance, and UI state.
- */
-const state = {
-    currentScene: null,
-    viewer: null,
-    isTransitioning: false,
-    isFirstLoad: true
+    setView,
+    getView: getCurrentView,
+    getCurrentScene: () => state.currentScene,
+    getScenes: () => Object.values(tour.scenes).map(scene => ({ id: scene.id, title: localize(scene.title) })),
+    startAutoplay,
+    stopAutoplay,
+    setAnalyticsConsent,
+    setLocale,
+    getLocale
 };
 
 
-// ============================================================================
-// DOM REFERENCES
-// ============================================================================
-
 /**
- * Cached DOM element references for performance.
- * Queried once on initialization.
+ * The parts of a hotspot worth telling a host page about.
+ *
+ * @param {Object} hotspot - Hotspot definition
+ * @returns {Object}
  */
-const elements = {
-    panorama: null,
-    loadingScreen: null,
-    sceneTransition: null,
-    currentRoomName: null,
-    roomButtons: null,
-    roomCounter: null,
-    mobileHint: null,
-    btnZoomIn: null,
-    btnZoomOut: null,
-    btnFullscreen: null,
-    header: null,
-    roomNav: null,
-    controlsPanel: null,
-    // Mobile fullscreen recommendation elements
-    fullscreenRecommendation: null,
-    btnEnterFullscreen: null,
-    btnDismissFullscreen: null
-};
+function describeHotspot(hotspot) {
+    const { yaw, pitch } = hotspot;
+    if (hotspot.type === 'info') {
+        return { type: 'info', yaw, pitch, title: localize(hotspot.title) };
+    }
+    if (hotspot.type === undefined || hotspot.type === 'scene') {
+        return { type: 'navigation', yaw, pitch, targetScene: hotspot.targetScene };
+    }
+    return { type: hotspot.type, yaw, pitch };
+}
 
 
 // ============================================================================
@@ -244,578 +118,188 @@ const elements = {
 /**
  * Initialize the application when DOM is ready.
  */
-function init() {
+async function init() {
+    // First, so everything below writes its text in the visitor's language
+    initI18n();
     cacheElements();
-    initializeViewer();
-    renderRoomButtons();
-    setupEventListeners();
-    showMobileHint();
-    showFullscreenRecommendation();
-}
-
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-} else {
-    init();
-}
-
-
-/**
- * Cache DOM elements for faster access.
- */
-function cacheElements() {
-    elements.panorama = document.getElementById('panorama');
-    elements.loadingScreen = document.getElementById('loading-screen');
-    elements.sceneTransition = document.getElementById('scene-transition');
-    elements.currentRoomName = document.getElementById('current-room-name');
-    elements.roomButtons = document.getElementById('room-buttons');
-    elements.roomCounter = document.getElementById('room-counter');
-    elements.mobileHint = document.getElementById('mobile-hint');
-    elements.btnZoomIn = document.getElementById('btn-zoom-in');
-    elements.btnZoomOut = document.getElementById('btn-zoom-out');
-    elements.btnFullscreen = document.getElementById('btn-fullscreen');
-    elements.header = document.getElementById('header');
-    elements.roomNav = document.getElementById('room-nav');
-    elements.controlsPanel = document.getElementById('controls-panel');
-    // Mobile fullscreen recommendation elements
-    elements.fullscreenRecommendation = document.getElementById('fullscreen-recommendation');
-    elements.btnEnterFullscreen = document.getElementById('btn-enter-fullscreen');
-    elements.btnDismissFullscreen = document.getElementById('btn-dismiss-fullscreen');
-}
-
-
-/**
- * Initialize the Pannellum viewer with the default scene.
- */
-function initializeViewer() {
-    const scene = SCENE_CONFIG[DEFAULT_SCENE];
-    state.currentScene = DEFAULT_SCENE;
-
-    state.viewer = pannellum.viewer('panorama', {
-        type: 'equirectangular',
-        panorama: scene.image,
-
-        // Apply initial view settings
-        yaw: scene.initialView.yaw,
-        pitch: scene.initialView.pitch,
-        hfov: scene.initialView.hfov,
-
-        // Apply global settings
-        ...VIEWER_SETTINGS,
-
-        // Hotspots for this scene
-        hotSpots: createHotspots(scene.hotspots)
-    });
-
-    // Event: Panorama loaded
-    state.viewer.on('load', () => {
-        hideLoadingScreen();
-        updateUI();
-    });
-
-    // Event: Scene rendering error
-    state.viewer.on('error', (error) => {
-        console.error('Pannellum error:', error);
-        // Fallback error handling could show a user-friendly message
-    });
-}
-
-
-// ============================================================================
-// SCENE MANAGEMENT
-// ============================================================================
-
-/**
- * Navigate to a different scene with a smooth transition.
- * 
- * @param {string} sceneId - The ID of the target scene
- */
-async function navigateToScene(sceneId) {
-    // Guard against invalid or redundant navigation
-    if (!SCENE_CONFIG[sceneId] || sceneId === state.currentScene) {
-        return;
+    initInfoCard();
+    initKeyboardHelp();
+    initSceneError({ onRetry: retryScene });
+
+    // Embed mode (?embed) listens for the host page before the tour has loaded
+    state.embedded = isEmbedRequested();
+    if (state.embedded) {
+        initEmbed({
+            allowedOrigins: EMBED_ALLOWED_ORIGINS,
+            api: embedApi,
+            getSnapshot: () => ({
+                scene: state.currentScene,
+                scenes: embedApi.getScenes(),
+                // No viewer if the tour itself failed to load
+                view: state.viewer ? getCurrentView() : null
+            })
+        });
+        on('sceneChange', ({ sceneId, title }) => reportSceneLoaded(sceneId, title));
+        on('error', ({ sceneId, kind }) => reportSceneFailed(sceneId, kind));
+        on('hotspotClick', ({ sceneId, hotspot }) => emitEmbedEvent('hotspotClicked', {
+            scene: sceneId,
+            hotspot: describeHotspot(hotspot)
+        }));
     }
 
-    // Prevent rapid clicking during transitions
-    if (state.isTransitioning) {
+    try {
+        await loadTourConfig();
+    } catch (error) {
+        console.error('Tour manifest error:', error);
+        showLoadingError(error);
+        emit('error', { sceneId: null, kind: 'manifest', message: error.message });
         return;
     }
 
-    state.isTransitioning = true;
-    const scene = SCENE_CONFIG[sceneId];
-
-    // Start fade-out transition
-    elements.sceneTransition.classList.add('active');
-
-    // Wait for fade-out
-    await delay(TRANSITION_DURATION);
-
-    // Load the new scene
-    state.viewer.destroy();
-    state.currentScene = sceneId;
-
-    state.viewer = pannellum.viewer('panorama', {
-        type: 'equirectangular',
-        panorama: scene.image,
-        yaw: scene.initialView.yaw,
-        pitch: scene.initialView.pitch,
-        hfov: scene.initialView.hfov,
-        ...VIEWER_SETTINGS,
-        hotSpots: createHotspots(scene.hotspots)
-    });
+    // Analytics subscribe before the first room loads so it's counted as entered
+    const analyticsEndpoint = ANALYTICS.endpoint ?? (import.meta.env.DEV ? DEV_ANALYTICS_ENDPOINT : null);
+    if (analyticsEndpoint) {
+        initAnalytics({
+            ...ANALYTICS,
+            endpoint: analyticsEndpoint,
+            tourId: tour.id,
+            getCurrentScene: () => state.currentScene,
+            getView: () => state.viewer && !state.isTransitioning ? getCurrentView() : null,
+            describeHotspot
+        });
+
+        if (isHeatmapRequested()) {
+            initHeatmap({
+                endpoint: analyticsEndpoint,
+                tourId: tour.id,
+                scenes: tour.scenes,
+                getCurrentScene: () => state.currentScene,
+                getImage: () => state.currentImage
+            });
+        }
+    }
 
-    // Wait for scene to load
-    state.viewer.on('load', () => {
-        // Fade in
-        elements.sceneTransition.classList.remove('active');
-        state.isTransitioning = false;
+    await initializeViewer();
+    renderRoomButtons(navigateToScene);
+    initPropertySwitcher();
+    on('localeChange', () => {
+        renderRoomButtons(navigateToScene);
+        renderPropertySwitcher();
         updateUI();
+        refreshHotspots();
     });
-
-    state.viewer.on('error', () => {
-        elements.sceneTransition.classList.remove('active');
-        state.isTransitioning = false;
+    initMinimap({
+        floors: getFloors(),
+        scenes: tour.scenes,
+        onSelectScene: navigateToScene,
+        getView: () => state.viewer && !state.isTransitioning ? getCurrentView() : null
     });
-}
 
+    // Hotspot authoring mode (?edit)
+    if (isEditorRequested()) {
+        initEditor({
+            tour,
+            getViewer: () => state.viewer,
+            getCurrentScene: () => state.currentScene,
+            getCurrentView,
+            refreshHotspots
+        });
+    }
 
-/**
- * Create Pannellum hotspot configurations from scene data.
- * 
- * @param {Array} hotspots - Array of hotspot definitions
- * @returns {Array} - Pannellum-formatted hotspot configurations
- */
-function createHotspots(hotspots) {
-    return hotspots.map(hotspot => ({
-        pitch: hotspot.pitch,
-        yaw: hotspot.yaw,
-        type: 'custom',
-        createTooltipFunc: createCustomHotspot,
-        createTooltipArgs: {
-            label: hotspot.label,
-            targetScene: hotspot.targetScene
-        },
-        clickHandlerFunc: (event, args) => {
-            navigateToScene(args.targetScene);
-        },
-        clickHandlerArgs: {
-            targetScene: hotspot.targetScene
+    initAutoplay({
+        script: tour.guidedTour || buildDefaultScript(tour.scenes, tour.defaultScene),
+        getViewer: () => state.viewer,
+        getCurrentScene: () => state.currentScene,
+        navigateToScene,
+        onStatusChange: (status) => {
+            if (status === 'playing') stopGyroscope();
+            emitEmbedEvent('autoplayStatusChanged', { status });
         }
-    }));
-}
-
-
-/**
- * Create a custom hotspot element with styling and tooltip.
- * 
- * @param {HTMLElement} hotSpotDiv - The container element from Pannellum
- * @param {Object} args - Custom arguments (label, targetScene)
- */
-function createCustomHotspot(hotSpotDiv, args) {
-    // Clear default content
-    hotSpotDiv.classList.add('custom-hotspot');
-
-    // Add navigation arrow icon
-    hotSpotDiv.innerHTML = `
-        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" 
-                  d="M9 5l7 7-7 7"></path>
-        </svg>
-        <span class="hotspot-tooltip">${args.label}</span>
-    `;
-}
-
-
-// ============================================================================
-// UI UPDATES
-// ============================================================================
-
-/**
- * Update all UI elements to reflect the current state.
- */
-function updateUI() {
-    const scene = SCENE_CONFIG[state.currentScene];
-    const sceneIds = Object.keys(SCENE_CONFIG);
-    const currentIndex = sceneIds.indexOf(state.currentScene) + 1;
-
-    // Update room name badge
-    elements.currentRoomName.textContent = scene.title;
-
-    // Update room counter
-    elements.roomCounter.textContent = `${currentIndex} of ${sceneIds.length}`;
-
-    // Update room button active states
-    updateRoomButtonStates();
-}
-
-
-/**
- * Render the room navigation buttons.
- */
-function renderRoomButtons() {
-    const scenes = Object.values(SCENE_CONFIG);
-
-    elements.roomButtons.innerHTML = scenes.map((scene, index) => `
-        <button 
-            id="room-btn-${scene.id}"
-            class="room-btn group relative rounded-xl border border-white/10 bg-white/5 px-3 py-3 md:px-4 md:py-3.5 
-                   text-left transition-all duration-200 hover:border-white/20 hover:bg-white/10 
-                   focus:outline-none focus:ring-2 focus:ring-tour-primary/50"
-            data-scene="${scene.id}"
-            aria-label="Navigate to ${scene.title}"
-        >
-            <div class="flex items-center gap-3">
-                <div class="room-dot bg-white/30 flex-shrink-0" data-scene="${scene.id}"></div>
-                <div class="min-w-0">
-                    <span class="block text-sm md:text-base font-medium text-white line-clamp-2 leading-tight">${scene.title}</span>
-                    <span class="block text-xs text-gray-400 truncate hidden sm:block">${scene.description.slice(0, 35)}...</span>
-                </div>
-            </div>
-            <div class="absolute right-3 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 transition-opacity">
-                <svg class="w-4 h-4 text-white/50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
-                </svg>
-            </div>
-        </button>
-    `).join('');
-
-    // Add click listeners to room buttons
-    scenes.forEach(scene => {
-        const btn = document.getElementById(`room-btn-${scene.id}`);
-        btn.addEventListener('click', () => navigateToScene(scene.id));
-    });
-
-    // Set initial active state
-    updateRoomButtonStates();
-}
-
-
-/**
- * Update the active state of room buttons.
- */
-function updateRoomButtonStates() {
-    const buttons = elements.roomButtons.querySelectorAll('.room-btn');
-    const dots = elements.roomButtons.querySelectorAll('.room-dot');
-
-    buttons.forEach(btn => {
-        const isActive = btn.dataset.scene === state.currentScene;
-        btn.classList.toggle('active', isActive);
     });
 
-    dots.forEach(dot => {
-        const isActive = dot.dataset.scene === state.currentScene;
-        dot.classList.toggle('active', isActive);
+    // Phone motion and the guided tour both steer the camera, so one stops the other
+    initGyroscope({
+        getViewer: () => state.viewer && !state.isTransitioning ? state.viewer : null,
+        minPitch: tour.viewerSettings.minPitch,
+        maxPitch: tour.viewerSettings.maxPitch,
+        onStatusChange: (active) => {
+            if (active) stopAutoplay();
+        }
     });
-}
-
-
-/**
- * Hide the loading screen with a fade animation.
- */
-function hideLoadingScreen() {
-    elements.loadingScreen.classList.add('hidden');
-
-    // Remove from DOM after animation
-    setTimeout(() => {
-        elements.loadingScreen.style.display = 'none';
-    }, 500);
-}
-
-
-/**
- * Show mobile interaction hint briefly on first load.
- */
-function showMobileHint() {
-    if (!state.isFirstLoad) return;
-
-    // Only show on touch devices
-    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-
-    if (isTouchDevice && window.innerWidth < 768) {
-        setTimeout(() => {
-            elements.mobileHint.style.opacity = '1';
-
-            setTimeout(() => {
-                elements.mobileHint.style.opacity = '0';
-                state.isFirstLoad = false;
-            }, 3000);
-        }, 1500);
-    }
-}
-
-
-/**
- * Show fullscreen recommendation banner on mobile devices.
- * Only shown on first load for touch devices.
- */
-function showFullscreenRecommendation() {
-    // Only show on mobile/touch devices
-    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-    const isMobile = window.innerWidth < 768;
-
-    if (!isTouchDevice || !isMobile) {
-        return;
-    }
 
-    // Check if user has previously dismissed the recommendation
-    const dismissed = sessionStorage.getItem('fullscreenRecommendationDismissed');
-    if (dismissed === 'true') {
-        return;
-    }
-
-    // Show the recommendation banner after a short delay
-    setTimeout(() => {
-        if (elements.fullscreenRecommendation) {
-            elements.fullscreenRecommendation.classList.add('show');
+    // VR takes over the camera until the user leaves it
+    initVr({
+        scenes: tour.scenes,
+        getCurrentScene: () => state.currentScene,
+        getVersion: () => state.version,
+        getView: getCurrentView,
+        setView,
+        navigateToScene,
+        onStatusChange: (active) => {
+            if (!active) return;
+            stopGyroscope();
+            stopAutoplay();
         }
-    }, 2500); // Show after mobile hint disappears
-
-    // Set up event listeners for fullscreen recommendation buttons
-    elements.btnEnterFullscreen?.addEventListener('click', () => {
-        hideFullscreenRecommendation();
-        toggleFullscreen();
     });
 
-    elements.btnDismissFullscreen?.addEventListener('click', () => {
-        hideFullscreenRecommendation();
-        // Remember user's choice for this session
-        sessionStorage.setItem('fullscreenRecommendationDismissed', 'true');
+    // Measuring needs the camera to stay where the visitor put it
+    initMeasure({
+        scenes: tour.scenes,
+        getViewer: () => state.viewer && !state.isTransitioning ? state.viewer : null,
+        getCurrentScene: () => state.currentScene,
+        onStatusChange: (active) => {
+            if (active) stopAutoplay();
+        }
     });
-}
-
-
-/**
- * Hide the fullscreen recommendation banner.
- */
-function hideFullscreenRecommendation() {
-    if (elements.fullscreenRecommendation) {
-        elements.fullscreenRecommendation.classList.remove('show');
-        elements.fullscreenRecommendation.classList.add('hide');
-    }
-}
-
-
-// ============================================================================
-// EVENT LISTENERS
-// ============================================================================
 
-/**
- * Set up all event listeners for the application.
- */
-function setupEventListeners() {
-    // Zoom controls
-    elements.btnZoomIn?.addEventListener('click', () => {
-        const currentHfov = state.viewer.getHfov();
-        state.viewer.setHfov(Math.max(currentHfov - 10, VIEWER_SETTINGS.minHfov));
+    initSnapshot({
+        getViewer: () => state.viewer && !state.isTransitioning ? state.viewer : null,
+        getCurrentScene: () => state.currentScene,
+        getRoomTitle: () => localize(tour.scenes[state.currentScene].title),
+        getShareLink
     });
 
-    elements.btnZoomOut?.addEventListener('click', () => {
-        const currentHfov = state.viewer.getHfov();
-        state.viewer.setHfov(Math.min(currentHfov + 10, VIEWER_SETTINGS.maxHfov));
+    initVersionSwitcher({
+        scenes: tour.scenes,
+        getCurrentScene: () => state.currentScene,
+        getVersion: () => state.version,
+        getView: () => state.viewer && !state.isTransitioning ? getCurrentView() : null,
+        showVersion,
+        createVersionViewer
     });
 
-    // Fullscreen toggle
-    elements.btnFullscreen?.addEventListener('click', toggleFullscreen);
-
-    // Keyboard navigation
-    document.addEventListener('keydown', handleKeyboardNavigation);
-
-    // Handle window resize
-    window.addEventListener('resize', debounce(handleResize, 250));
-
-    // Fullscreen change events
-    document.addEventListener('fullscreenchange', handleFullscreenChange);
-    document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
-    document.addEventListener('mozfullscreenchange', handleFullscreenChange);
-    document.addEventListener('MSFullscreenChange', handleFullscreenChange);
-}
-
-
-/**
- * Handle keyboard navigation shortcuts.
- * 
- * @param {KeyboardEvent} event
- */
-function handleKeyboardNavigation(event) {
-    const sceneIds = Object.keys(SCENE_CONFIG);
-    const currentIndex = sceneIds.indexOf(state.currentScene);
-
-    switch (event.key) {
-        case 'ArrowRight':
-        case 'n':
-            // Navigate to next room
-            const nextIndex = (currentIndex + 1) % sceneIds.length;
-            navigateToScene(sceneIds[nextIndex]);
-            break;
-
-        case 'ArrowLeft':
-        case 'p':
-            // Navigate to previous room
-            const prevIndex = (currentIndex - 1 + sceneIds.length) % sceneIds.length;
-            navigateToScene(sceneIds[prevIndex]);
-            break;
-
-        case 'f':
-            // Toggle fullscreen
-            toggleFullscreen();
-            break;
-
-        case '1':
-        case '2':
-        case '3':
-        case '4':
-            // Quick jump to room by number
-            const roomIndex = parseInt(event.key) - 1;
-            if (sceneIds[roomIndex]) {
-                navigateToScene(sceneIds[roomIndex]);
-            }
-            break;
-    }
-}
-
-
-/**
- * Handle fullscreen change events to toggle UI visibility and screen orientation.
- */
-function handleFullscreenChange() {
-    const doc = window.document;
-    const isFullscreen = doc.fullscreenElement || doc.mozFullScreenElement || doc.webkitFullscreenElement || doc.msFullscreenElement;
-
-    const uiElements = [elements.header, elements.roomNav];
-
-    uiElements.forEach(el => {
-        if (el) {
-            if (isFullscreen) {
-                el.style.display = 'none';
-            } else {
-                el.style.display = '';
-            }
+    // The measure and version overlays span one viewer, so they close first
+    initSplitView({
+        tour,
+        getViewer: () => state.viewer && !state.isTransitioning ? state.viewer : null,
+        getCurrentScene: () => state.currentScene,
+        loadTour,
+        createTourViewer,
+        onStatusChange: (active) => {
+            if (!active) return;
+            stopAutoplay();
+            stopMeasure();
+            stopCompare();
         }
     });
 
-    // Handle screen orientation on mobile
-    handleScreenOrientation(isFullscreen);
-
-    // Hide fullscreen recommendation banner when in fullscreen
-    if (elements.fullscreenRecommendation) {
-        if (isFullscreen) {
-            elements.fullscreenRecommendation.classList.remove('show');
-            elements.fullscreenRecommendation.classList.add('hide');
-        }
-    }
-}
-
+    setupEventListeners();
 
-/**
- * Handle screen orientation lock/unlock for mobile devices.
- * Locks to landscape when entering fullscreen, unlocks on exit.
- * 
- * @param {boolean} isFullscreen - Whether currently in fullscreen mode
- */
-async function handleScreenOrientation(isFullscreen) {
-    // Check if Screen Orientation API is available
-    if (!screen.orientation || !screen.orientation.lock) {
-        return;
+    // Service worker only in builds, so the dev server never serves stale files
+    if (import.meta.env.PROD) {
+        initOffline({ scenes: tour.scenes, floorPlan: getFloors().map(floor => floor.floorPlan) });
     }
 
-    // Only apply on mobile devices
-    const isMobile = window.innerWidth < 768 || 'ontouchstart' in window;
-    if (!isMobile) {
+    // Kiosk mode (?autoplay) skips the first-visit hints and starts playing
+    if (isAutoplayRequested()) {
+        startAutoplay();
         return;
     }
+    // The host page decides how an embedded tour is introduced
+    if (state.embedded) return;
 
-    try {
-        if (isFullscreen) {
-            // Lock to landscape when entering fullscreen
-            await screen.orientation.lock('landscape');
-            console.log('Screen locked to landscape mode');
-        } else {
-            // Unlock orientation when exiting fullscreen
-            screen.orientation.unlock();
-            console.log('Screen orientation unlocked');
-        }
-    } catch (error) {
-        // Orientation lock may fail on some devices or browsers
-        console.log('Screen orientation lock not supported:', error.message);
-    }
-}
-
-
-/**
- * Toggle fullscreen mode.
- */
-function toggleFullscreen() {
-    const doc = window.document;
-    const docEl = doc.documentElement;
-
-    const requestFullScreen = docEl.requestFullscreen || docEl.mozRequestFullScreen || docEl.webkitRequestFullScreen || docEl.msRequestFullscreen;
-    const cancelFullScreen = doc.exitFullscreen || doc.mozCancelFullScreen || doc.webkitExitFullscreen || doc.msExitFullscreen;
-
-    if (!doc.fullscreenElement && !doc.mozFullScreenElement && !doc.webkitFullscreenElement && !doc.msFullscreenElement) {
-        if (requestFullScreen) {
-            requestFullScreen.call(docEl);
-        }
-    } else {
-        if (cancelFullScreen) {
-            cancelFullScreen.call(doc);
-        }
-    }
-}
-
-
-/**
- * Handle window resize events.
- * Adjusts the viewer for responsive layouts.
- */
-function handleResize() {
-    // Pannellum handles resize automatically, but we can adjust settings
-    const isMobile = window.innerWidth < 768;
-
-    // Optionally adjust FOV for mobile
-    if (state.viewer && state.currentScene) {
-        const scene = SCENE_CONFIG[state.currentScene];
-        // Mobile might benefit from slightly narrower FOV
-        const targetHfov = isMobile ? Math.min(scene.initialView.hfov, 100) : scene.initialView.hfov;
-        // Only adjust if significantly different to avoid jarring changes
-        if (Math.abs(state.viewer.getHfov() - targetHfov) > 15) {
-            state.viewer.setHfov(targetHfov);
-        }
-    }
-}
-
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
-/**
- * Promisified delay function.
- * 
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} Resolves after the delay
- */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-
-/**
- * Debounce function to limit rapid calls.
- * 
- * @param {Function} func - Function to debounce
- * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
- */
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+    showMobileHint();
+    showFullscreenRecommendation();
 }
 
 
@@ -827,6 +311,33 @@ function debounce(func, wait) {
 window.HomeTour = {
     navigateToScene,
     getCurrentScene: () => state.currentScene,
-    getScenes: () => Object.keys(SCENE_CONFIG),
-    getSceneConfig: () => SCENE_CONFIG
+    getScenes: () => Object.keys(tour.scenes),
+    getSceneConfig: () => tour.scenes,
+    getView: getCurrentView,
+    setView,
+    getShareLink,
+    on,
+    off,
+    registerPlugin,
+    setAnalyticsConsent,
+    setLocale,
+    getLocale
 };
+
+// A newly added hotspot type shows up in the current room straight away
+initPlugins({
+    api: window.HomeTour,
+    onHotspotTypesChange: () => {
+        if (state.viewer) refreshHotspots();
+    }
+});
+
+// Plugins queued by scripts that ran before the tour; later pushes register directly
+(window.HomeTourPlugins || []).forEach(registerQueuedPlugin);
+window.HomeTourPlugins = { push: registerQueuedPlugin };
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1,395 @@
+/**
+ * UI Updates
+ *
+ * Room badge, counter, floor tabs and navigation buttons, the property
+ * switcher, the screen-reader room announcement, the loading screen and
+ * the first-visit touch hint.
+ *
+ * In a tour with floors (see floors.js) the room selector lists one floor
+ * at a time behind a row of tabs, and follows the visitor up and down
+ * the stairs.
+ */
+
+import { tour, state, elements } from './state.js';
+import { setMinimapScene } from './minimap.js';
+import { refreshEditor } from './editor.js';
+import { getFloors, getRoomOrder, getRoomPosition, hasFloors } from './floors.js';
+import { getPropertyManifestUrl, getPropertyLink } from './manifest.js';
+import { t, localize } from './i18n.js';
+import { escapeHtml } from './utils.js';
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const roomNav = {
+    selectedFloor: null,      // Floor ID whose rooms the selector lists
+    currentFloor: null        // Floor ID of the room on screen when the UI last updated
+};
+
+
+// ============================================================================
+// UI UPDATES
+// ============================================================================
+
+/**
+ * Update all UI elements to reflect the current state.
+ */
+export function updateUI() {
+    const title = localize(tour.scenes[state.currentScene].title);
+    const { floor, ...position } = getRoomPosition(state.currentScene);
+    const floorTitle = localize(floor.title);
+
+    // Update room name badge
+    elements.currentRoomName.textContent = title;
+
+    // Update room counter ("Room 3 of 7 · Upper floor" once the tour has floors)
+    elements.roomCounter.textContent = hasFloors()
+        ? t('rooms.counterFloor', { ...position, floor: floorTitle })
+        : t('rooms.counter', position);
+
+    // Tell screen readers where they are (a quality upgrade of the same room stays quiet)
+    const announcement = hasFloors()
+        ? t('rooms.announcementFloor', { room: title, floor: floorTitle, ...position })
+        : t('rooms.announcement', { room: title, ...position });
+    if (elements.roomAnnouncer.textContent !== announcement) {
+        elements.roomAnnouncer.textContent = announcement;
+    }
+    elements.panorama.setAttribute('aria-label', t('panorama.label', { room: title }));
+
+    // Take the selector along to a new floor, but leave it on whatever floor
+    // the visitor is browsing until they actually move
+    if (floor.id !== roomNav.currentFloor) {
+        roomNav.currentFloor = floor.id;
+        selectFloor(floor.id);
+    }
+
+    // Update room button active states
+    updateRoomButtonStates();
+
+    // Move the minimap's "you are here" pin
+    setMinimapScene(state.currentScene);
+
+    // Show the new room's hotspots in the editor (no-op unless ?edit)
+    refreshEditor();
+}
+
+
+/**
+ * Render the floor tabs and room navigation buttons (again after a locale
+ * change). Rooms are listed floor by floor; only the selected floor's show.
+ *
+ * @param {Function} onSelectScene - Called with a scene ID when a button is clicked
+ */
+export function renderRoomButtons(onSelectScene) {
+    const scenes = getRoomOrder().map(id => tour.scenes[id]);
+
+    renderFloorTabs();
+
+    // Titles and descriptions may come from a manifest, so everything is escaped
+    elements.roomButtons.innerHTML = scenes.map((scene) => `
+        <button 
+            id="room-btn-${escapeHtml(scene.id)}"
+            class="room-btn group relative rounded-xl border border-white/10 bg-white/5 px-3 py-3 md:px-4 md:py-3.5 
+                   text-start transition-all duration-200 hover:border-white/20 hover:bg-white/10 
+                   focus:outline-none focus:ring-2 focus:ring-tour-primary/50"
+            data-scene="${escapeHtml(scene.id)}"
+            data-floor="${escapeHtml(scene.floor ?? '')}"
+            aria-label="${escapeHtml(t('rooms.navigate', { room: localize(scene.title) }))}"
+        >
+            <div class="flex items-center gap-3">
+                <div class="room-dot bg-white/30 flex-shrink-0" data-scene="${escapeHtml(scene.id)}"></div>
+                <div class="min-w-0">
+                    <span class="block text-sm md:text-base font-medium text-white line-clamp-2 leading-tight">${escapeHtml(localize(scene.title))}</span>
+                    <span class="block text-xs text-gray-400 truncate hidden sm:block">${escapeHtml(localize(scene.description).slice(0, 35))}...</span>
+                </div>
+            </div>
+            <div class="absolute end-3 top-1/2 -translate-y-1/2 opacity-0 group-hover:opacity-100 transition-opacity">
+                <svg class="w-4 h-4 text-white/50 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+                </svg>
+            </div>
+        </button>
+    `).join('');
+
+    // Add click listeners to room buttons
+    scenes.forEach(scene => {
+        const btn = document.getElementById(`room-btn-${scene.id}`);
+        btn.addEventListener('click', () => onSelectScene(scene.id));
+    });
+
+    // Show the selected floor's rooms and set initial active state
+    selectFloor(roomNav.selectedFloor ?? getFloors()[0].id);
+    updateRoomButtonStates();
+}
+
+
+/**
+ * Update the active state of room buttons.
+ */
+export function updateRoomButtonStates() {
+    const buttons = elements.roomButtons.querySelectorAll('.room-btn');
+    const dots = elements.roomButtons.querySelectorAll('.room-dot');
+
+    buttons.forEach(btn => {
+        const room = localize(tour.scenes[btn.dataset.scene].title);
+        const isActive = btn.dataset.scene === state.currentScene;
+        const isUnavailable = state.unavailableScenes.has(btn.dataset.scene);
+
+        btn.classList.toggle('active', isActive);
+        btn.classList.toggle('unavailable', isUnavailable);
+        if (isActive) {
+            btn.setAttribute('aria-current', 'location');
+        } else {
+            btn.removeAttribute('aria-current');
+        }
+        // Still clickable: trying again is how a visitor retries the room
+        btn.setAttribute('aria-label', t(isUnavailable ? 'rooms.navigateUnavailable' : 'rooms.navigate', { room }));
+        btn.title = isUnavailable ? t('rooms.unavailableTitle', { room }) : '';
+    });
+
+    dots.forEach(dot => {
+        const isActive = dot.dataset.scene === state.currentScene;
+        dot.classList.toggle('active', isActive);
+    });
+}
+
+
+// ============================================================================
+// FLOOR TABS
+// ============================================================================
+
+/**
+ * Render a tab per floor above the room buttons. Hidden in single-floor
+ * tours, where the buttons are a plain list.
+ */
+function renderFloorTabs() {
+    const floors = getFloors();
+    const showTabs = floors.length > 1;
+
+    elements.floorTabs.innerHTML = '';
+    elements.floorTabs.hidden = !showTabs;
+
+    if (!showTabs) {
+        elements.roomButtons.removeAttribute('role');
+        elements.roomButtons.removeAttribute('aria-labelledby');
+        return;
+    }
+
+    elements.roomButtons.setAttribute('role', 'tabpanel');
+
+    floors.forEach(floor => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.id = `floor-tab-${floor.id}`;
+        tab.className = 'floor-tab';
+        tab.dataset.floor = floor.id;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', 'room-buttons');
+        tab.textContent = localize(floor.title);
+        tab.addEventListener('click', () => selectFloor(floor.id));
+        tab.addEventListener('keydown', handleFloorTabKey);
+        elements.floorTabs.appendChild(tab);
+    });
+}
+
+
+/**
+ * List a floor's rooms in the selector without leaving the current room.
+ *
+ * @param {string|null} floorId - Floor ID (null in a single-floor tour)
+ */
+function selectFloor(floorId) {
+    roomNav.selectedFloor = floorId;
+
+    elements.floorTabs.querySelectorAll('.floor-tab').forEach(tab => {
+        const isSelected = tab.dataset.floor === floorId;
+        tab.setAttribute('aria-selected', String(isSelected));
+        tab.tabIndex = isSelected ? 0 : -1;
+    });
+
+    if (elements.floorTabs.hidden) return;
+
+    elements.roomButtons.setAttribute('aria-labelledby', `floor-tab-${floorId}`);
+    elements.roomButtons.querySelectorAll('.room-btn').forEach(btn => {
+        btn.hidden = btn.dataset.floor !== floorId;
+    });
+    elements.roomButtons.scrollTop = 0;
+}
+
+
+/**
+ * Arrow keys, Home and End move between the floor tabs (the ARIA tabs
+ * pattern), selecting the floor they land on.
+ *
+ * @param {KeyboardEvent} event
+ */
+function handleFloorTabKey(event) {
+    const tabs = [...elements.floorTabs.querySelectorAll('.floor-tab')];
+    const index = tabs.indexOf(event.currentTarget);
+    // Tabs run right to left in RTL layouts
+    const forward = document.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const back = document.dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+
+    const targets = {
+        [forward]: tabs[(index + 1) % tabs.length],
+        [back]: tabs[(index - 1 + tabs.length) % tabs.length],
+        Home: tabs[0],
+        End: tabs[tabs.length - 1]
+    };
+    const target = targets[event.key];
+    if (!target) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    selectFloor(target.dataset.floor);
+    target.focus();
+}
+
+
+// ============================================================================
+// PROPERTY SWITCHER
+// ============================================================================
+
+/**
+ * Wire up the header's property switcher: picking another property opens
+ * its tour. Stays hidden unless the tour lists `properties`.
+ */
+export function initPropertySwitcher() {
+    elements.propertySwitcher?.addEventListener('change', () => {
+        const property = tour.properties?.[elements.propertySwitcher.value];
+        if (property) {
+            window.location.assign(getPropertyLink(property));
+        }
+    });
+
+    renderPropertySwitcher();
+}
+
+
+/**
+ * Fill the property switcher (again after a locale change), with the
+ * tour on screen selected.
+ */
+export function renderPropertySwitcher() {
+    const select = elements.propertySwitcher;
+    if (!select) return;
+
+    const properties = tour.properties || [];
+    select.closest('.property-switcher').hidden = properties.length === 0;
+    select.innerHTML = '';
+
+    const resolve = url => new URL(url, document.baseURI).href;
+    const currentIndex = properties.findIndex(property => resolve(getPropertyManifestUrl(property)) === resolve(tour.id));
+
+    // A tour that isn't in its own list gets a neutral first entry, so every property can be picked
+    if (currentIndex === -1) {
+        const placeholder = new Option(t('header.property'), '', true, true);
+        placeholder.disabled = true;
+        select.appendChild(placeholder);
+    }
+
+    properties.forEach((property, index) => {
+        select.appendChild(new Option(localize(property.title), String(index), false, index === currentIndex));
+    });
+}
+
+
+// ============================================================================
+// LOADING SCREEN
+// ============================================================================
+
+/**
+ * Show download progress for the first panorama on the loading screen.
+ *
+ * @param {Object} progress - { loaded, total } in bytes
+ */
+export function showLoadingProgress({ loaded, total }) {
+    const percent = Math.round((loaded / total) * 100);
+
+    elements.loadingProgress.hidden = false;
+    elements.loadingProgressBar.style.width = `${percent}%`;
+    elements.loadingMessage.textContent = t('loading.progress', { room: localize(tour.scenes[state.currentScene].title), percent });
+}
+
+
+/**
+ * Show how many of the rooms around the current one the background
+ * preloader has fetched, in the header once the loading screen is gone.
+ *
+ * @param {Object} progress - { loaded, total } in rooms
+ */
+export function showPreloadProgress({ loaded, total }) {
+    elements.preloadStatus.hidden = false;
+    elements.preloadProgressBar.style.width = `${Math.round((loaded / total) * 100)}%`;
+    elements.preloadStatusText.textContent = t('loading.preloading', { loaded, total });
+}
+
+
+/**
+ * Hide the preloading indicator once the preloader is done.
+ */
+export function hidePreloadProgress() {
+    elements.preloadStatus.hidden = true;
+    elements.preloadProgressBar.style.width = '0';
+}
+
+
+/**
+ * Hide the loading screen with a fade animation.
+ */
+export function hideLoadingScreen() {
+    elements.loadingScreen.classList.add('hidden');
+
+    // Remove from DOM after animation
+    setTimeout(() => {
+        elements.loadingScreen.style.display = 'none';
+    }, 500);
+}
+
+
+/**
+ * Replace the loading spinner with a readable error message.
+ *
+ * @param {Error} error - Error to report (ManifestError details are listed)
+ */
+export function showLoadingError(error) {
+    elements.loadingScreen.classList.add('error');
+    elements.loadingTitle.textContent = t('loading.failed');
+    elements.loadingMessage.textContent = error.message;
+
+    const details = error.details || [];
+    elements.loadingErrors.innerHTML = '';
+    details.forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        elements.loadingErrors.appendChild(item);
+    });
+    elements.loadingErrors.hidden = details.length === 0;
+}
+
+
+// ============================================================================
+// HINTS
+// ============================================================================
+
+/**
+ * Show mobile interaction hint briefly on first load.
+ */
+export function showMobileHint() {
+    if (!state.isFirstLoad) return;
+
+    // Only show on touch devices
+    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+    if (isTouchDevice && window.innerWidth < 768) {
+        setTimeout(() => {
+            elements.mobileHint.style.opacity = '1';
+
+            setTimeout(() => {
+                elements.mobileHint.style.opacity = '0';
+                state.isFirstLoad = false;
+            }, 3000);
+        }, 1500);
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Shared Helpers
+ *
+ * Small helpers used across the tour's modules: timing, the reduced-motion
+ * preference, keeping focus inside dialogs and escaping text for markup.
+ */
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Promisified delay function.
+ * 
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise} Resolves after the delay
+ */
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+/**
+ * Debounce function to limit rapid calls.
+ * 
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function} Debounced function
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+
+/**
+ * Keep Tab and Shift+Tab cycling inside a modal dialog.
+ *
+ * @param {HTMLElement} container - Dialog element
+ * @param {KeyboardEvent} event - keydown event from inside the dialog
+ */
+export function trapFocus(container, event) {
+    if (event.key !== 'Tab') return;
+
+    const focusable = [...container.querySelectorAll('a[href], button, input, select')]
+        .filter(el => !el.hidden && !el.disabled && el.offsetParent !== null);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+
+/**
+ * Whether the visitor asked the system for less motion.
+ *
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+
+/**
+ * Length for a fade or camera animation: cut straight to the end when the
+ * visitor prefers reduced motion.
+ *
+ * @param {number} ms - Normal duration in milliseconds
+ * @returns {number}
+ */
+export function motionDuration(ms) {
+    return prefersReducedMotion() ? 0 : ms;
+}
+
+
+/**
+ * Escape text for use in HTML markup, inside elements or quoted attributes.
+ * Tour text can come from a manifest, so it never goes into markup as is.
+ *
+ * @param {string} value - Plain text
+ * @returns {string} HTML-safe text
+ */
+export function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,374 @@
+/**
+ * Version Switcher & Comparison Slider
+ *
+ * In rooms with more than one version (see versions.js) a panel beside the
+ * viewer lists them - "Daylight", "Dusk" - and switches the room with a
+ * cross-fade, keeping the camera where it is.
+ *
+ * Its Compare button splits the view between two versions: a second
+ * viewer showing the other version is laid over the main one and clipped
+ * at a draggable divider, and follows the main viewer's camera every
+ * frame. The panorama underneath still takes the drags and zooms. The
+ * divider is a slider for keyboard and screen-reader users too.
+ */
+
+import { on } from './events.js';
+import { t, localize } from './i18n.js';
+import { hasVersions, getVersions, resolveVersion } from './versions.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * How far (percent of the width) the arrow keys move the divider.
+ */
+const KEY_STEP = 5;
+
+
+// ============================================================================
+// STATE & DOM REFERENCES
+// ============================================================================
+
+const switcher = {
+    compare: null,            // { versionId, viewer, position } while comparing
+    frame: null,
+    lastView: null,
+    scenes: {},
+    getCurrentScene: null,
+    getVersion: null,
+    getView: null,
+    showVersion: null,
+    createVersionViewer: null,
+    elements: {}
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set up the version panel and comparison slider.
+ *
+ * @param {Object} options
+ * @param {Object} options.scenes - All scenes, keyed by ID
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} options.getVersion - Returns the version the visitor picked (may not be in the current room)
+ * @param {Function} options.getView - Returns the main viewer's camera ({ yaw, pitch, hfov }), or null while it's between rooms
+ * @param {Function} options.showVersion - Switches the current room to a version; resolves to whether it worked
+ * @param {Function} options.createVersionViewer - Opens a standalone viewer on a version (container, sceneId, versionId, view)
+ */
+export function initVersionSwitcher({ scenes, getCurrentScene, getVersion, getView, showVersion, createVersionViewer }) {
+    Object.assign(switcher, { scenes, getCurrentScene, getVersion, getView, showVersion, createVersionViewer });
+
+    const el = switcher.elements = {
+        root: document.getElementById('version-switcher'),
+        options: document.getElementById('version-options'),
+        compareButton: document.getElementById('btn-version-compare'),
+        compareWith: document.getElementById('version-compare-with'),
+        compareWithLabel: document.getElementById('version-compare-with-label'),
+        overlay: document.getElementById('version-compare'),
+        panorama: document.getElementById('version-compare-panorama'),
+        handle: document.getElementById('version-compare-handle'),
+        leftLabel: document.getElementById('version-compare-left'),
+        rightLabel: document.getElementById('version-compare-right')
+    };
+    if (!el.root || !el.overlay) return;
+
+    el.compareButton.addEventListener('click', () => {
+        if (switcher.compare) {
+            stopCompare();
+        } else {
+            startCompare();
+        }
+    });
+    el.compareWith.addEventListener('change', () => startCompare(el.compareWith.value || null));
+    el.handle.addEventListener('pointerdown', handleDragStart);
+    el.handle.addEventListener('keydown', handleHandleKey);
+
+    on('sceneChange', () => {
+        stopCompare();
+        render();
+    });
+    on('localeChange', render);
+
+    render();
+}
+
+
+/**
+ * Split the view between the version on screen and another one.
+ *
+ * @param {string|null} [versionId] - Version to compare with (defaults to the first other one)
+ * @returns {Promise<boolean>} Whether the comparison is showing
+ */
+export async function startCompare(versionId) {
+    const sceneId = switcher.getCurrentScene();
+    const view = switcher.getView();
+    const others = getOtherVersions(sceneId);
+    if (!view || others.length === 0) return false;
+
+    const target = others.some(version => version.id === versionId) ? versionId : others[0].id;
+    const position = switcher.compare?.position ?? 50;
+    closeCompareViewer();
+
+    const compare = switcher.compare = { versionId: target, viewer: null, position };
+    const { overlay, panorama } = switcher.elements;
+    overlay.hidden = false;
+    panorama.hidden = true;
+    renderControls();
+
+    let viewer;
+    try {
+        viewer = await switcher.createVersionViewer(panorama, sceneId, target, view);
+    } catch (error) {
+        console.error('Comparison view failed:', error);
+        if (switcher.compare === compare) stopCompare();
+        return false;
+    }
+
+    // Stopped, or restarted with another version, while it loaded
+    if (switcher.compare !== compare) {
+        viewer.destroy();
+        return false;
+    }
+
+    compare.viewer = viewer;
+    panorama.hidden = false;
+    switcher.lastView = null;
+    startTracking();
+    return true;
+}
+
+
+/**
+ * Go back to the single, full-width view.
+ */
+export function stopCompare() {
+    if (!switcher.compare) return;
+
+    closeCompareViewer();
+    switcher.compare = null;
+    switcher.elements.overlay.hidden = true;
+    renderControls();
+}
+
+
+/**
+ * @returns {boolean} Whether the view is split between two versions
+ */
+export function isComparing() {
+    return switcher.compare !== null;
+}
+
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+/**
+ * Show the current room's versions, or hide the panel in single-version rooms.
+ */
+function render() {
+    const { root, options } = switcher.elements;
+    const scene = switcher.scenes[switcher.getCurrentScene()];
+
+    root.hidden = !hasVersions(scene);
+    options.innerHTML = '';
+    if (root.hidden) return;
+
+    getVersions(scene).forEach(version => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'autoplay-btn version-btn';
+        button.dataset.version = version.id ?? '';
+        button.textContent = getLabel(version);
+        button.addEventListener('click', () => selectVersion(version.id));
+        options.appendChild(button);
+    });
+
+    renderControls();
+}
+
+
+/**
+ * Mark the version on screen, and fill in the compare controls and the
+ * labels either side of the divider.
+ */
+function renderControls() {
+    const { options, compareButton, compareWith, compareWithLabel, leftLabel, rightLabel } = switcher.elements;
+    const sceneId = switcher.getCurrentScene();
+    const scene = switcher.scenes[sceneId];
+    const current = getCurrentVersion(sceneId);
+
+    options.querySelectorAll('.version-btn').forEach(button => {
+        const selected = (button.dataset.version || null) === current;
+        button.setAttribute('aria-pressed', String(selected));
+        button.classList.toggle('active', selected);
+    });
+
+    const compare = switcher.compare;
+    compareButton.setAttribute('aria-pressed', String(Boolean(compare)));
+    compareButton.classList.toggle('active', Boolean(compare));
+
+    // A choice only when there are several versions to compare with
+    const others = compare ? getOtherVersions(sceneId) : [];
+    compareWithLabel.hidden = others.length < 2;
+    compareWith.innerHTML = '';
+    others.forEach(version => {
+        compareWith.appendChild(new Option(getLabel(version), version.id ?? '', false, version.id === compare.versionId));
+    });
+
+    if (compare && hasVersions(scene)) {
+        const versions = getVersions(scene);
+        leftLabel.textContent = getLabel(versions.find(version => version.id === compare.versionId));
+        rightLabel.textContent = getLabel(versions.find(version => version.id === current));
+        setPosition(compare.position);
+    }
+}
+
+
+/**
+ * Switch the room to a version. While comparing, the other side moves off
+ * it if it was showing the same one.
+ */
+async function selectVersion(versionId) {
+    const sceneId = switcher.getCurrentScene();
+    if (versionId === getCurrentVersion(sceneId)) return;
+
+    const shown = await switcher.showVersion(versionId);
+    if (!shown) return;
+
+    if (switcher.compare?.versionId === versionId) {
+        startCompare();
+    } else {
+        renderControls();
+    }
+}
+
+
+// ============================================================================
+// COMPARISON SLIDER
+// ============================================================================
+
+/**
+ * Move the divider: the compared version shows left of it.
+ *
+ * @param {number} position - Percent of the width, 0-100
+ */
+function setPosition(position) {
+    const { overlay, panorama, handle } = switcher.elements;
+    const value = Math.round(Math.min(100, Math.max(0, position)));
+
+    switcher.compare.position = value;
+    panorama.style.clipPath = `inset(0 ${100 - value}% 0 0)`;
+    // The divider and the labels either side of it follow --position
+    overlay.style.setProperty('--position', `${value}%`);
+    handle.setAttribute('aria-valuenow', String(value));
+    handle.setAttribute('aria-valuetext', t('versions.dividerValue', {
+        left: switcher.elements.leftLabel.textContent,
+        leftShare: value,
+        right: switcher.elements.rightLabel.textContent,
+        rightShare: 100 - value
+    }));
+}
+
+
+function handleDragStart(event) {
+    if (!switcher.compare) return;
+
+    const { overlay, handle } = switcher.elements;
+    event.preventDefault();
+    handle.setPointerCapture?.(event.pointerId);
+
+    const move = (moveEvent) => {
+        const rect = overlay.getBoundingClientRect();
+        if (rect.width > 0) setPosition((moveEvent.clientX - rect.left) / rect.width * 100);
+    };
+    const end = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', end);
+        handle.removeEventListener('pointercancel', end);
+    };
+
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+}
+
+
+function handleHandleKey(event) {
+    if (!switcher.compare) return;
+
+    const position = switcher.compare.position;
+    const next = {
+        ArrowLeft: position - KEY_STEP,
+        ArrowDown: position - KEY_STEP,
+        ArrowRight: position + KEY_STEP,
+        ArrowUp: position + KEY_STEP,
+        Home: 0,
+        End: 100
+    }[event.key];
+    if (next === undefined) return;
+
+    event.preventDefault();
+    setPosition(next);
+}
+
+
+/**
+ * Keep the compared version looking where the main viewer looks, each
+ * animation frame while comparing.
+ */
+function startTracking() {
+    if (switcher.frame !== null) return;
+
+    const tick = () => {
+        switcher.frame = requestAnimationFrame(tick);
+
+        const view = switcher.getView();
+        const viewer = switcher.compare?.viewer;
+        if (!view || !viewer || document.hidden) return;
+
+        const key = `${view.yaw},${view.pitch},${view.hfov}`;
+        if (key === switcher.lastView) return;
+        switcher.lastView = key;
+        viewer.lookAt(view.pitch, view.yaw, view.hfov, false);
+    };
+    switcher.frame = requestAnimationFrame(tick);
+}
+
+
+function closeCompareViewer() {
+    if (switcher.frame !== null) {
+        cancelAnimationFrame(switcher.frame);
+        switcher.frame = null;
+    }
+
+    switcher.compare?.viewer?.destroy();
+    if (switcher.compare) switcher.compare.viewer = null;
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function getCurrentVersion(sceneId) {
+    return resolveVersion(switcher.scenes[sceneId], switcher.getVersion());
+}
+
+
+function getOtherVersions(sceneId) {
+    const scene = switcher.scenes[sceneId];
+    if (!hasVersions(scene)) return [];
+
+    const current = getCurrentVersion(sceneId);
+    return getVersions(scene).filter(version => version.id !== current);
+}
+
+
+function getLabel(version) {
+    return localize(version.label) || t('versions.original');
+}
@@ -0,0 +1,86 @@
+/**
+ * Room Versions
+ *
+ * A scene can show its room more than one way - in daylight and at dusk,
+ * empty and virtually staged - by listing named `versions`, each with its
+ * own panorama (`image`, resolution `variants`, `multiRes` or `cubeMap`,
+ * as for the scene itself). Versions share the scene's hotspots and
+ * initial view; the scene's own panorama is the first version, labelled
+ * with `versionLabel`.
+ *
+ * The visitor's choice is remembered by ID, so picking "Dusk" in one room
+ * shows dusk in every other room that has it.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Scene keys that make up a panorama source. A version replaces them all.
+ */
+const SOURCE_KEYS = ['image', 'variants', 'multiRes', 'cubeMap'];
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether a scene can be shown more than one way.
+ *
+ * @param {Object} scene - Scene definition
+ * @returns {boolean}
+ */
+export function hasVersions(scene) {
+    return Array.isArray(scene?.versions) && scene.versions.length > 0;
+}
+
+
+/**
+ * Every version of a scene, its own panorama first (ID null).
+ *
+ * @param {Object} scene - Scene definition
+ * @returns {Array<{ id: string|null, label: * }>} Label as written in the tour (text or translations; may be missing for the first)
+ */
+export function getVersions(scene) {
+    if (!hasVersions(scene)) return [{ id: null, label: scene.versionLabel }];
+
+    return [
+        { id: null, label: scene.versionLabel },
+        ...scene.versions.map(({ id, label }) => ({ id, label }))
+    ];
+}
+
+
+/**
+ * The version of a scene to show for the visitor's choice: the chosen one
+ * if the scene has it, otherwise the scene's own panorama.
+ *
+ * @param {Object} scene - Scene definition
+ * @param {string|null} versionId - Chosen version
+ * @returns {string|null} Version ID, null for the scene's own panorama
+ */
+export function resolveVersion(scene, versionId) {
+    return hasVersions(scene) && scene.versions.some(version => version.id === versionId) ? versionId : null;
+}
+
+
+/**
+ * A scene as it looks in one of its versions: the same scene with the
+ * version's panorama source.
+ *
+ * @param {Object} scene - Scene definition
+ * @param {string|null} versionId - Version ID (null or unknown gives the scene itself)
+ * @returns {Object} Scene definition
+ */
+export function applyVersion(scene, versionId) {
+    const version = hasVersions(scene) && scene.versions.find(entry => entry.id === versionId);
+    if (!version) return scene;
+
+    const shown = { ...scene };
+    SOURCE_KEYS.forEach(key => {
+        shown[key] = version[key];
+    });
+    return shown;
+}
@@ -0,0 +1,1016 @@
+/**
+ * Viewer & Scene Management
+ *
+ * Owns the Pannellum viewer: builds its multi-scene config, moves between
+ * rooms with a fade, swaps previews for sharper panoramas and room versions
+ * in place, creates the hotspots and keeps the URL in sync with the camera.
+ * Publishes the scene, version, view, hotspot and error events (see events.js).
+ * Also opens the standalone viewers shown over or beside it: a room version
+ * for the comparison slider, or a whole tour for the split view.
+ */
+
+import pannellum from './pannellum.js';
+import { tour, state, elements } from './state.js';
+import { parseViewHash, buildViewHash, buildShareLink } from './deep-link.js';
+import { loadPanorama, hasPanorama, preloadScenes } from './preloader.js';
+import { getSceneImages } from './quality.js';
+import { applyVersion, resolveVersion } from './versions.js';
+import { openInfoCard, closeInfoCard } from './info-card.js';
+import { classifyLoadError, classifyViewerError, showSceneError, hideSceneError, hideStaticView, getFailedSceneShown } from './scene-error.js';
+import { updateUI, updateRoomButtonStates, showLoadingProgress, showPreloadProgress, hidePreloadProgress, hideLoadingScreen } from './ui.js';
+import { emit, hasListeners, watchListeners } from './events.js';
+import { getHotspotType } from './plugins.js';
+import { delay, prefersReducedMotion, motionDuration } from './utils.js';
+import { t, localize } from './i18n.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Cross-fade duration in milliseconds when swapping a low-resolution
+ * preview for the sharper panorama variant.
+ */
+const UPGRADE_FADE_DURATION = 300;
+
+/**
+ * Cross-fade duration in milliseconds when switching a room to another
+ * of its versions (e.g. day to dusk).
+ */
+const VERSION_FADE_DURATION = 800;
+
+/**
+ * Cross-fade duration in milliseconds between rooms in a second viewer
+ * (see createTourViewer), which has no transition overlay of its own.
+ */
+const TOUR_VIEWER_FADE_DURATION = 400;
+
+/**
+ * Minimum time (ms) between 'viewChange' events while the camera moves.
+ */
+const VIEW_CHANGE_INTERVAL = 200;
+
+/**
+ * Icon paths for navigation hotspots that change floor, by their `via`.
+ */
+const FLOOR_HOTSPOT_ICONS = {
+    stairs: 'M4 19h4v-4h4v-4h4V7h4',
+    elevator: 'M8 10l4-4 4 4M8 14l4 4 4-4'
+};
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Bookkeeping for the events this module publishes.
+ */
+const published = {
+    scene: null,              // Last scene announced with 'sceneChange'
+    view: null,               // Last view announced with 'viewChange'
+    viewTime: 0,
+    viewFrame: null,          // Pending animation frame while 'viewChange' has listeners
+    missingTypes: new Set()   // Plugin hotspot types already warned about
+};
+
+/**
+ * Counts background preloads, so one overtaken by the next room's doesn't
+ * drive or hide the progress indicator.
+ */
+const preloading = { run: 0 };
+
+
+// ============================================================================
+// VIEWER
+// ============================================================================
+
+/**
+ * Initialize the Pannellum viewer with the scene from the URL hash,
+ * falling back to the default scene.
+ *
+ * A single viewer hosts every scene (Pannellum multi-scene config) and rooms
+ * are switched with loadScene(), so the WebGL context and event handlers
+ * survive for the whole session.
+ */
+export async function initializeViewer() {
+    const { sceneId, view } = resolveLinkedView(window.location.hash);
+    state.currentScene = sceneId;
+
+    // A missing first room still gets a viewer, so the other rooms stay reachable
+    let panorama = null;
+    let loadError = null;
+    try {
+        panorama = await resolveScenePanorama(getShownScene(sceneId), showLoadingProgress);
+    } catch (error) {
+        loadError = error;
+    }
+
+    state.viewer = pannellum.viewer(elements.panorama, buildViewerConfig(tour, sceneId, view, panorama, {
+        getScene: getShownScene
+    }));
+
+    // Event: Panorama loaded (fires for the first scene and every loadScene)
+    state.viewer.on('load', () => {
+        // Quality upgrades and version switches load the same room again
+        const isNewRoom = state.currentScene !== published.scene;
+
+        hideLoadingScreen();
+        endTransition();
+        markSceneAvailable(state.currentScene);
+        hideSceneError();
+        hideStaticView();
+        updateUI();
+        announceScene();
+
+        // Swap in the sharper variant, then fetch the rooms the user is likely to visit next
+        upgradePanorama();
+        if (isNewRoom) {
+            preloadAround(state.currentScene);
+        }
+    });
+
+    // Event: Camera came to rest - keep the URL in sync
+    state.viewer.on('animatefinished', syncViewToUrl);
+    watchListeners('viewChange', trackView);
+    trackView();
+
+    // Event: The viewer couldn't show the scene (bad file, no WebGL, texture too large)
+    state.viewer.on('error', (message) => {
+        console.error('Pannellum error:', message);
+        hideLoadingScreen();
+        endTransition();
+        updateUI();
+
+        // Already reported when the download failed, before the viewer tried
+        if (getFailedSceneShown() === state.currentScene) return;
+        handleSceneFailure(state.currentScene, classifyViewerError(message));
+    });
+
+    if (loadError) {
+        hideLoadingScreen();
+        updateUI();
+        handleSceneFailure(sceneId, classifyLoadError(loadError));
+    }
+}
+
+
+/**
+ * Build a Pannellum multi-scene config from a tour's scenes.
+ *
+ * @param {Object} source - Tour to show: the active one, or another ({ scenes, viewerSettings }; see state.js)
+ * @param {string} firstScene - Scene to open with
+ * @param {Object} firstView - Camera position for the first scene ({ yaw, pitch, hfov })
+ * @param {string} firstPanorama - Image URL for the first scene (may be a preloaded object URL)
+ * @param {Object} [options]
+ * @param {Function} [options.getScene] - Scene definition to show for an ID (e.g. in the visitor's room version)
+ * @param {Function} [options.getImage] - Image URL for the other scenes (the quick preview by default)
+ * @param {Function} [options.makeHotspots] - Builds a scene's Pannellum hotspots from its definitions
+ * @returns {Object} Pannellum viewer config
+ */
+function buildViewerConfig(source, firstScene, firstView, firstPanorama, {
+    getScene = id => source.scenes[id],
+    getImage = scene => getSceneImages(scene)?.preview,
+    makeHotspots = createHotspots
+} = {}) {
+    const scenes = {};
+
+    Object.keys(source.scenes).forEach(id => {
+        const scene = getScene(id);
+        scenes[id] = id === firstScene
+            ? buildSceneConfig(scene, firstView, firstPanorama, makeHotspots)
+            : buildSceneConfig(scene, scene.initialView, getImage(scene), makeHotspots);
+    });
+
+    return {
+        default: {
+            ...source.viewerSettings,
+            firstScene,
+            // Our own overlay handles the fade between rooms
+            sceneFadeDuration: 0,
+            autoRotate: prefersReducedMotion() ? 0 : source.viewerSettings.autoRotate
+        },
+        scenes
+    };
+}
+
+
+/**
+ * Build the Pannellum config for a single scene.
+ *
+ * @param {Object} scene - Scene definition
+ * @param {Object} view - Camera position ({ yaw, pitch, hfov })
+ * @param {string|null} panorama - Equirectangular image URL (unused for tiled sources)
+ * @param {Function} [makeHotspots] - Builds the Pannellum hotspots from the scene's definitions
+ * @returns {Object} Pannellum scene config
+ */
+function buildSceneConfig(scene, view, panorama, makeHotspots = createHotspots) {
+    const source = scene.multiRes
+        ? { type: 'multires', multiRes: scene.multiRes }
+        : scene.cubeMap
+            ? { type: 'cubemap', cubeMap: scene.cubeMap }
+            : { type: 'equirectangular', panorama };
+
+    return {
+        ...source,
+        yaw: view.yaw,
+        pitch: view.pitch,
+        hfov: view.hfov,
+        hotSpots: makeHotspots(scene.hotspots)
+    };
+}
+
+
+/**
+ * Get the first panorama to show for a scene: the full-quality variant if
+ * it's already preloaded, otherwise the quick low-resolution preview.
+ * Records the choice in state.currentImage for upgradePanorama().
+ *
+ * @param {Object} scene - Scene definition
+ * @param {Function} [onProgress] - Byte progress callback
+ * @returns {Promise<string|null>} Image URL, or null for tiled sources
+ */
+async function resolveScenePanorama(scene, onProgress) {
+    const images = getSceneImages(scene);
+    if (!images) {
+        state.currentImage = null;
+        return null;
+    }
+
+    const url = hasPanorama(images.full) ? images.full : images.preview;
+    state.currentImage = url;
+    return resolvePanorama(url, onProgress);
+}
+
+
+/**
+ * Replace the current scene's preview with its full-quality variant once
+ * downloaded, cross-fading in place without moving the camera.
+ */
+async function upgradePanorama() {
+    const sceneId = state.currentScene;
+    const version = state.version;
+    const scene = getShownScene(sceneId);
+    const images = getSceneImages(scene);
+
+    if (!images || state.currentImage === images.full) {
+        return;
+    }
+
+    let panorama;
+    try {
+        panorama = await loadPanorama(images.full);
+    } catch (error) {
+        console.warn('Panorama upgrade failed, keeping preview:', images.full, error.message);
+        return;
+    }
+
+    // The user may have moved on, or picked another version, while the sharper image downloaded
+    if (state.currentScene !== sceneId || state.version !== version || state.isTransitioning) {
+        return;
+    }
+
+    state.currentImage = images.full;
+    state.viewer.addScene(sceneId, buildSceneConfig(scene, getCurrentView(), panorama));
+
+    // Fade from the preview; loadScene re-merges the scene config afterwards,
+    // which restores the normal (zero) fade for room changes
+    state.viewer.getConfig().sceneFadeDuration = motionDuration(UPGRADE_FADE_DURATION);
+    state.viewer.loadScene(sceneId, 'same', 'same', 'same');
+}
+
+
+/**
+ * Show the current room in another of its versions (see versions.js),
+ * cross-fading in place without moving the camera. The choice carries over
+ * to the other rooms that have a version with the same ID.
+ *
+ * @param {string|null} versionId - Version ID, null for the room's own panorama
+ * @returns {Promise<boolean>} Whether the version is on screen (false if it failed or the visitor moved on)
+ */
+export async function showVersion(versionId) {
+    if (state.isTransitioning) return false;
+
+    const sceneId = state.currentScene;
+    const previous = state.version;
+    state.version = versionId;
+    const scene = getShownScene(sceneId);
+
+    let panorama;
+    try {
+        panorama = await resolveScenePanorama(scene);
+    } catch (error) {
+        console.warn('Room version failed to load, keeping the current one:', versionId, error.message);
+        state.version = previous;
+        return false;
+    }
+
+    if (state.currentScene !== sceneId || state.version !== versionId || state.isTransitioning) {
+        return false;
+    }
+
+    state.viewer.addScene(sceneId, buildSceneConfig(scene, getCurrentView(), panorama));
+    state.viewer.getConfig().sceneFadeDuration = motionDuration(VERSION_FADE_DURATION);
+    state.viewer.loadScene(sceneId, 'same', 'same', 'same');
+
+    emit('versionChange', { sceneId, version: resolveVersion(tour.scenes[sceneId], versionId) });
+    return true;
+}
+
+
+/**
+ * Open a second, standalone viewer on a version of a room - e.g. to lay
+ * it over the main viewer for a before/after comparison. It has no
+ * hotspots and takes no input; callers steer it with lookAt().
+ *
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} sceneId - Scene ID
+ * @param {string|null} versionId - Version ID, null for the room's own panorama
+ * @param {Object} view - Camera position to open at ({ yaw, pitch, hfov })
+ * @returns {Promise<Object>} Pannellum viewer, once its panorama has loaded
+ * @throws {Error} When the panorama can't be downloaded or shown
+ */
+export async function createVersionViewer(container, sceneId, versionId, view) {
+    const scene = applyVersion(tour.scenes[sceneId], versionId);
+    const images = getSceneImages(scene);
+    const panorama = images ? await resolvePanorama(images.full) : null;
+
+    return new Promise((resolve, reject) => {
+        const viewer = pannellum.viewer(container, {
+            ...tour.viewerSettings,
+            ...buildSceneConfig(scene, view, panorama),
+            hotSpots: [],
+            autoLoad: true,
+            autoRotate: 0,
+            showControls: false,
+            compass: false,
+            draggable: false,
+            mouseZoom: false,
+            keyboardZoom: false,
+            disableKeyboardCtrl: true
+        });
+        viewer.on('load', () => resolve(viewer));
+        viewer.on('error', (message) => {
+            viewer.destroy();
+            reject(new Error(message));
+        });
+    });
+}
+
+
+/**
+ * Open a second viewer on a whole tour - the active one or another
+ * property's - e.g. to show it beside the main viewer (see split-view.js).
+ * Its hotspots walk between that tour's rooms and open their info cards
+ * without touching the active tour's state, events or URL.
+ *
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} source - Tour to show ({ scenes, viewerSettings }; see loadTour in state.js)
+ * @param {string} sceneId - Scene to open with
+ * @returns {Promise<Object>} Pannellum viewer, once the first room has loaded; other rooms open with loadScene()
+ * @throws {Error} When the first room can't be downloaded or shown
+ */
+export async function createTourViewer(container, source, sceneId) {
+    const scene = source.scenes[sceneId];
+    const images = getSceneImages(scene);
+    const panorama = images ? await resolvePanorama(images.full) : null;
+
+    let viewer;
+    const config = buildViewerConfig(source, sceneId, scene.initialView, panorama, {
+        // Pannellum only downloads a room's image once it's opened
+        getImage: shown => getSceneImages(shown)?.full,
+        makeHotspots: hotspots => createTourHotspots(hotspots, () => viewer)
+    });
+
+    return new Promise((resolve, reject) => {
+        let loaded = false;
+
+        viewer = pannellum.viewer(container, {
+            ...config,
+            default: {
+                ...config.default,
+                autoRotate: 0,
+                sceneFadeDuration: motionDuration(TOUR_VIEWER_FADE_DURATION)
+            }
+        });
+        viewer.on('load', () => {
+            loaded = true;
+            resolve(viewer);
+        });
+        viewer.on('error', (message) => {
+            // Later rooms fail inside the viewer, which shows Pannellum's own message
+            if (loaded) {
+                console.error('Pannellum error:', message);
+                return;
+            }
+            viewer.destroy();
+            reject(new Error(message));
+        });
+    });
+}
+
+
+/**
+ * Get a panorama through the preloader. If the download fails without an
+ * HTTP answer (offline after retries, CORS, Cache Storage trouble), fall back
+ * to the original URL and so to Pannellum's own loading.
+ *
+ * @param {string} url - Panorama URL
+ * @param {Function} [onProgress] - Byte progress callback
+ * @returns {Promise<string>} Object URL or the original URL
+ * @throws {PanoramaError} When the server answered with an error (e.g. 404)
+ */
+async function resolvePanorama(url, onProgress) {
+    try {
+        return await loadPanorama(url, onProgress);
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        console.warn('Panorama preload failed, loading directly:', url, error.message);
+        return url;
+    }
+}
+
+
+// ============================================================================
+// SCENE MANAGEMENT
+// ============================================================================
+
+/**
+ * Navigate to a different scene with a smooth transition.
+ * 
+ * @param {string} sceneId - The ID of the target scene
+ * @param {Object} [options]
+ * @param {Object} [options.view] - Camera position ({ yaw, pitch, hfov }) overriding the scene's initialView
+ * @param {boolean} [options.updateHistory=true] - Push a browser history entry (false when replaying Back/Forward)
+ * @returns {Promise} Resolves once the new scene has loaded (or failed to)
+ */
+export async function navigateToScene(sceneId, { view, updateHistory = true } = {}) {
+    // Guard against invalid or redundant navigation
+    if (!tour.scenes[sceneId] || sceneId === state.currentScene) {
+        return;
+    }
+
+    // Prevent rapid clicking during transitions
+    if (state.isTransitioning) {
+        return;
+    }
+
+    const targetView = { ...tour.scenes[sceneId].initialView, ...view };
+
+    // Listeners may veto the move (e.g. a plugin asking to save changes first)
+    if (!emit('beforeSceneChange', { from: state.currentScene, to: sceneId, view: targetView })) {
+        return;
+    }
+
+    return transitionToScene(sceneId, targetView, updateHistory);
+}
+
+
+/**
+ * Fade out, download the scene's panorama and load it into the viewer.
+ * If the download fails the previous room stays on screen under the error panel.
+ *
+ * @param {string} sceneId - Scene to show (may be the current one, when retrying)
+ * @param {Object} targetView - Camera position ({ yaw, pitch, hfov })
+ * @param {boolean} updateHistory - Push a browser history entry
+ * @returns {Promise} Resolves once the scene has loaded (or failed to)
+ */
+async function transitionToScene(sceneId, targetView, updateHistory) {
+    state.isTransitioning = true;
+    closeInfoCard();
+    hideSceneError();
+
+    // The hotspot that was used goes away with the room; keep keyboard focus on the panorama
+    if (document.activeElement?.closest('.custom-hotspot')) {
+        elements.panorama.focus({ preventScroll: true });
+    }
+    const scene = getShownScene(sceneId);
+
+    // Start fade-out transition
+    elements.sceneTransition.classList.add('active');
+
+    // Wait for fade-out while the panorama downloads (instant if preloaded)
+    let panorama;
+    try {
+        [panorama] = await Promise.all([
+            resolveScenePanorama(scene),
+            delay(motionDuration(tour.transitionDuration))
+        ]);
+    } catch (error) {
+        endTransition();
+        handleSceneFailure(sceneId, classifyLoadError(error));
+        return;
+    }
+
+    // Load the new scene; the viewer's load/error handlers fade back in
+    state.currentScene = sceneId;
+
+    // An embedded tour mustn't add entries to the host page's Back button
+    if (updateHistory && !state.embedded) {
+        history.pushState(null, '', buildViewHash(sceneId, targetView));
+    } else if (updateHistory) {
+        history.replaceState(null, '', buildViewHash(sceneId, targetView));
+    }
+
+    const loaded = new Promise(resolve => {
+        state.resolveTransition = resolve;
+    });
+
+    state.viewer.addScene(sceneId, buildSceneConfig(scene, targetView, panorama));
+    state.viewer.loadScene(sceneId, targetView.pitch, targetView.yaw, targetView.hfov);
+
+    return loaded;
+}
+
+
+/**
+ * Try a failed scene again. A room that never replaced the current one is
+ * simply navigated to; the current room (whose panorama the viewer couldn't
+ * show) is reloaded in place.
+ *
+ * @param {string} sceneId - Scene ID from the error panel
+ */
+export function retryScene(sceneId) {
+    if (sceneId !== state.currentScene) {
+        navigateToScene(sceneId);
+        return;
+    }
+
+    if (!state.isTransitioning) {
+        transitionToScene(sceneId, tour.scenes[sceneId].initialView, false);
+    }
+}
+
+
+/**
+ * Show a scene's failure and mark its room button, unless the room is still
+ * viewable as a flat image.
+ *
+ * @param {string} sceneId - Scene that failed
+ * @param {string} kind - Failure kind (see scene-error.js)
+ */
+function handleSceneFailure(sceneId, kind) {
+    const viewable = showSceneError(tour.scenes[sceneId], kind);
+    emit('error', { sceneId, kind, message: `Couldn't load ${localize(tour.scenes[sceneId].title)} (${kind})` });
+
+    if (!viewable) {
+        state.unavailableScenes.add(sceneId);
+        updateRoomButtonStates();
+    }
+}
+
+
+/**
+ * Preload the rooms around a scene, showing progress in the header until
+ * it's done.
+ *
+ * @param {string} sceneId - Scene now on screen
+ */
+function preloadAround(sceneId) {
+    const run = ++preloading.run;
+    const isLatest = () => run === preloading.run;
+
+    preloadScenes(sceneId, tour.scenes, (progress) => {
+        if (isLatest()) showPreloadProgress(progress);
+    }, handlePreloadError).then(() => {
+        if (isLatest()) hidePreloadProgress();
+    });
+}
+
+
+/**
+ * Mark rooms whose panorama is missing as soon as the background preloader
+ * finds out, before anyone clicks them. Transient failures are ignored.
+ *
+ * @param {string} url - Panorama URL that failed
+ * @param {Error} error
+ */
+function handlePreloadError(url, error) {
+    if (classifyLoadError(error) !== 'missing') return;
+
+    Object.values(tour.scenes)
+        .filter(scene => getSceneImages(scene)?.full === url)
+        .forEach(scene => state.unavailableScenes.add(scene.id));
+    updateRoomButtonStates();
+}
+
+
+/**
+ * A scene as it's shown: in the version the visitor picked, if it has one.
+ *
+ * @param {string} sceneId - Scene ID
+ * @returns {Object} Scene definition
+ */
+function getShownScene(sceneId) {
+    return applyVersion(tour.scenes[sceneId], state.version);
+}
+
+
+function markSceneAvailable(sceneId) {
+    if (state.unavailableScenes.delete(sceneId)) {
+        updateRoomButtonStates();
+    }
+}
+
+
+/**
+ * Finish a scene transition: fade the overlay back out, accept input again
+ * and settle the pending navigateToScene() promise.
+ */
+function endTransition() {
+    elements.sceneTransition.classList.remove('active');
+    state.isTransitioning = false;
+
+    state.resolveTransition?.();
+    state.resolveTransition = null;
+}
+
+
+// ============================================================================
+// HOTSPOTS
+// ============================================================================
+
+/**
+ * Create Pannellum hotspot configurations from scene data.
+ * 
+ * @param {Array} hotspots - Array of hotspot definitions
+ * @returns {Array} - Pannellum-formatted hotspot configurations
+ */
+function createHotspots(hotspots) {
+    return hotspots
+        .map((hotspot, index) => {
+            const config = createHotspot(hotspot, index);
+            // The ID lets refreshHotspots() remove them again
+            return config && { ...config, id: `hotspot-${index}` };
+        })
+        .filter(Boolean);
+}
+
+
+/**
+ * Create the Pannellum hotspot for a built-in or plugin hotspot type.
+ *
+ * @param {Object} hotspot - Hotspot definition
+ * @param {number} index - Position in the scene's hotspot list
+ * @returns {Object|null} Pannellum hotspot configuration, or null for an unregistered type
+ */
+function createHotspot(hotspot, index) {
+    if (hotspot.type === 'info') {
+        return createInfoHotspot(hotspot, index);
+    }
+    if (hotspot.type === undefined || hotspot.type === 'scene') {
+        return createNavigationHotspot(hotspot, index);
+    }
+    return createPluginHotspot(hotspot, index);
+}
+
+
+/**
+ * Create the hotspots for a room in a second viewer (see createTourViewer):
+ * they look like the main viewer's, but walk within that viewer. Plugin
+ * hotspots belong to the active tour and are left out.
+ *
+ * @param {Object[]} hotspots - The room's hotspot definitions
+ * @param {Function} getViewer - Returns the viewer they're shown in
+ * @returns {Object[]} Pannellum hotspot configurations
+ */
+function createTourHotspots(hotspots, getViewer) {
+    return hotspots
+        .map((hotspot, index) => {
+            if (hotspot.type === 'info') {
+                return {
+                    ...createInfoHotspot(hotspot, index),
+                    clickHandlerFunc: (event) => openInfoCard(hotspot, event.currentTarget)
+                };
+            }
+            if (hotspot.type === undefined || hotspot.type === 'scene') {
+                return {
+                    ...createNavigationHotspot(hotspot, index),
+                    clickHandlerFunc: (event, args) => {
+                        getViewer().loadScene(args.targetScene, undefined, args.keepYaw ? 'same' : undefined);
+                    }
+                };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+
+/**
+ * Rebuild the current scene's hotspots from tour.scenes without reloading
+ * the panorama (used by the editor to preview changes live, and to relabel
+ * them after a locale change).
+ */
+export function refreshHotspots() {
+    const hotSpots = state.viewer.getConfig().hotSpots || [];
+
+    hotSpots.map(hs => hs.id).forEach(id => state.viewer.removeHotSpot(id));
+    createHotspots(tour.scenes[state.currentScene].hotspots)
+        .forEach(hs => state.viewer.addHotSpot(hs));
+}
+
+
+/**
+ * Create a Pannellum hotspot that walks to another scene.
+ *
+ * @param {Object} hotspot - Navigation hotspot definition
+ * @param {number} index - Position in the scene's hotspot list
+ * @returns {Object} Pannellum hotspot configuration
+ */
+function createNavigationHotspot(hotspot, index) {
+    return {
+        pitch: hotspot.pitch,
+        yaw: hotspot.yaw,
+        type: 'custom',
+        createTooltipFunc: createCustomHotspot,
+        // Labels are localized when Pannellum draws the hotspot, so rooms
+        // entered after a locale change show the new language
+        createTooltipArgs: {
+            label: hotspot.label,
+            targetScene: hotspot.targetScene,
+            via: hotspot.via,
+            index
+        },
+        clickHandlerFunc: (event, args) => {
+            emit('hotspotClick', { sceneId: state.currentScene, hotspot });
+            // Walking through a doorway keeps the current heading
+            const view = args.keepYaw ? { yaw: state.viewer.getYaw() } : undefined;
+            navigateToScene(args.targetScene, { view });
+        },
+        clickHandlerArgs: {
+            targetScene: hotspot.targetScene,
+            keepYaw: Boolean(hotspot.keepYaw)
+        }
+    };
+}
+
+
+/**
+ * Create a Pannellum hotspot that opens an information card.
+ *
+ * @param {Object} hotspot - Info hotspot definition
+ * @param {number} index - Position in the scene's hotspot list
+ * @returns {Object} Pannellum hotspot configuration
+ */
+function createInfoHotspot(hotspot, index) {
+    return {
+        pitch: hotspot.pitch,
+        yaw: hotspot.yaw,
+        type: 'custom',
+        createTooltipFunc: createCustomInfoHotspot,
+        createTooltipArgs: {
+            label: hotspot.title,
+            index
+        },
+        clickHandlerFunc: (event) => {
+            emit('hotspotClick', { sceneId: state.currentScene, hotspot });
+            openInfoCard(hotspot, event.currentTarget);
+        }
+    };
+}
+
+
+/**
+ * Create a hotspot whose look and behaviour come from a plugin
+ * (see plugins.js).
+ *
+ * @param {Object} hotspot - Hotspot definition with a plugin `type`
+ * @param {number} index - Position in the scene's hotspot list
+ * @returns {Object|null} Pannellum hotspot configuration, or null if the type isn't registered
+ */
+function createPluginHotspot(hotspot, index) {
+    const definition = getHotspotType(hotspot.type);
+    if (!definition) {
+        if (!published.missingTypes.has(hotspot.type)) {
+            published.missingTypes.add(hotspot.type);
+            console.warn(`No plugin provides hotspot type "${hotspot.type}"; skipping those hotspots`);
+        }
+        return null;
+    }
+
+    return {
+        pitch: hotspot.pitch,
+        yaw: hotspot.yaw,
+        type: 'custom',
+        createTooltipFunc: (hotSpotDiv) => {
+            hotSpotDiv.classList.add('custom-hotspot', 'plugin-hotspot');
+            hotSpotDiv.dataset.hotspotIndex = index;
+            // render() may replace the name with a better one
+            makeHotspotButton(hotSpotDiv, localize(hotspot.label || hotspot.title) || t('hotspot.plugin', { type: hotspot.type }));
+            definition.render(hotSpotDiv, hotspot);
+        },
+        clickHandlerFunc: (event) => {
+            emit('hotspotClick', { sceneId: state.currentScene, hotspot });
+            definition.onClick?.(hotspot, event);
+        }
+    };
+}
+
+
+/**
+ * Create a custom hotspot element with styling and tooltip.
+ * 
+ * @param {HTMLElement} hotSpotDiv - The container element from Pannellum
+ * @param {Object} args - Custom arguments (label, targetScene, via, index)
+ */
+function createCustomHotspot(hotSpotDiv, args) {
+    // Clear default content
+    hotSpotDiv.classList.add('custom-hotspot');
+    hotSpotDiv.dataset.hotspotIndex = args.index;
+    const label = localize(args.label);
+    makeHotspotButton(hotSpotDiv, t(args.via ? `hotspot.${args.via}` : 'hotspot.goTo', { room: label }));
+
+    // Stairs and lifts get their own icon, doorways the navigation arrow
+    if (args.via) {
+        hotSpotDiv.classList.add('floor-hotspot');
+    }
+
+    hotSpotDiv.innerHTML = `
+        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" 
+                  d="${FLOOR_HOTSPOT_ICONS[args.via] || 'M9 5l7 7-7 7'}"></path>
+        </svg>
+        <span class="hotspot-tooltip" aria-hidden="true"></span>
+    `;
+    hotSpotDiv.querySelector('.hotspot-tooltip').textContent = label;
+}
+
+
+/**
+ * Create a custom info hotspot element - same look as navigation hotspots
+ * with an "i" icon.
+ *
+ * @param {HTMLElement} hotSpotDiv - The container element from Pannellum
+ * @param {Object} args - Custom arguments (label, index)
+ */
+function createCustomInfoHotspot(hotSpotDiv, args) {
+    hotSpotDiv.classList.add('custom-hotspot', 'info-hotspot');
+    hotSpotDiv.dataset.hotspotIndex = args.index;
+    const label = localize(args.label);
+    makeHotspotButton(hotSpotDiv, t('hotspot.about', { title: label }));
+    hotSpotDiv.setAttribute('aria-haspopup', 'dialog');
+
+    hotSpotDiv.innerHTML = `
+        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5"
+                  d="M12 16v-5m0-3h.01"></path>
+        </svg>
+        <span class="hotspot-tooltip" aria-hidden="true"></span>
+    `;
+    hotSpotDiv.querySelector('.hotspot-tooltip').textContent = label;
+}
+
+
+/**
+ * Make a hotspot element behave as a button for keyboard and screen-reader
+ * users. Pannellum creates a plain div and listens for clicks on it, so
+ * Enter and Space are turned into clicks.
+ *
+ * @param {HTMLElement} hotSpotDiv - The container element from Pannellum
+ * @param {string} name - Accessible name
+ */
+function makeHotspotButton(hotSpotDiv, name) {
+    hotSpotDiv.setAttribute('role', 'button');
+    hotSpotDiv.setAttribute('aria-label', name);
+    hotSpotDiv.tabIndex = 0;
+
+    hotSpotDiv.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        hotSpotDiv.click();
+    });
+}
+
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Publish 'sceneChange' when a different room is on screen (the 'load'
+ * after a quality upgrade is the same room).
+ */
+function announceScene() {
+    const sceneId = state.currentScene;
+    if (sceneId === published.scene) return;
+
+    const previousScene = published.scene;
+    published.scene = sceneId;
+    emit('sceneChange', { sceneId, previousScene, title: localize(tour.scenes[sceneId].title) });
+}
+
+
+/**
+ * Publish 'viewChange' while the camera moves, at most every
+ * VIEW_CHANGE_INTERVAL. Pannellum has no continuous view event, so poll
+ * each frame - only while someone is listening.
+ */
+function trackView() {
+    if (published.viewFrame !== null || !hasListeners('viewChange')) return;
+
+    const tick = (time) => {
+        // The last listener left: stop until watchListeners() reports a new one
+        if (!hasListeners('viewChange')) {
+            published.viewFrame = null;
+            return;
+        }
+        published.viewFrame = requestAnimationFrame(tick);
+        if (!state.viewer || state.isTransitioning || document.hidden) return;
+        if (time - published.viewTime < VIEW_CHANGE_INTERVAL) return;
+
+        const view = getCurrentView();
+        const last = published.view;
+        if (last && last.yaw === view.yaw && last.pitch === view.pitch && last.hfov === view.hfov) return;
+
+        published.view = view;
+        published.viewTime = time;
+        emit('viewChange', { sceneId: state.currentScene, ...view });
+    };
+    published.viewFrame = requestAnimationFrame(tick);
+}
+
+
+// ============================================================================
+// DEEP LINKS & HISTORY
+// ============================================================================
+
+/**
+ * Resolve the scene and camera position described by a URL hash.
+ * Unknown or missing scenes fall back to the default scene.
+ *
+ * @param {string} hash - URL hash
+ * @returns {Object} { sceneId, view } with view merged over the scene's initialView
+ */
+function resolveLinkedView(hash) {
+    const link = parseViewHash(hash);
+    const sceneId = link && tour.scenes[link.scene] ? link.scene : tour.defaultScene;
+    const linkedView = link && link.scene === sceneId ? link.view : {};
+
+    return {
+        sceneId,
+        view: { ...tour.scenes[sceneId].initialView, ...linkedView }
+    };
+}
+
+
+/**
+ * Get the viewer's current camera position.
+ *
+ * @returns {Object} { yaw, pitch, hfov }
+ */
+export function getCurrentView() {
+    return {
+        yaw: state.viewer.getYaw(),
+        pitch: state.viewer.getPitch(),
+        hfov: state.viewer.getHfov()
+    };
+}
+
+
+/**
+ * Turn the camera to a position, optionally animated.
+ *
+ * @param {Object} view - { yaw, pitch, hfov }; missing values keep the current ones
+ * @param {number} [duration=0] - Animation length in milliseconds (a cut with reduced motion)
+ */
+export function setView(view, duration = 0) {
+    const target = { ...getCurrentView(), ...view };
+    state.viewer.lookAt(target.pitch, target.yaw, target.hfov, motionDuration(duration));
+}
+
+
+/**
+ * Record the current camera position in the URL without adding a history entry.
+ */
+function syncViewToUrl() {
+    if (state.isTransitioning) return;
+
+    history.replaceState(null, '', buildViewHash(state.currentScene, getCurrentView()));
+}
+
+
+/**
+ * Restore the scene and view for the history entry the user moved to.
+ */
+export function handlePopState() {
+    const { sceneId, view } = resolveLinkedView(window.location.hash);
+
+    if (sceneId === state.currentScene) {
+        state.viewer.lookAt(view.pitch, view.yaw, view.hfov);
+    } else {
+        navigateToScene(sceneId, { view, updateHistory: false });
+    }
+}
+
+
+/**
+ * Build a shareable link to the current scene and camera position.
+ *
+ * @returns {string} Absolute URL
+ */
+export function getShareLink() {
+    return buildShareLink(state.currentScene, getCurrentView());
+}
@@ -0,0 +1,417 @@
+/**
+ * VR Panorama Renderer
+ *
+ * A small WebGL renderer for vr.js. Pannellum draws one view into its own
+ * canvas; a headset needs each eye drawn with the projection and pose it
+ * hands us. Every pixel casts a ray from the eye and looks up the
+ * equirectangular panorama, so one full-screen triangle draws the whole
+ * sphere. Doorway markers and the pointer reticle are drawn in the same pass.
+ *
+ * Directions use WebXR's axes (x right, y up, -z ahead), turned so that -z
+ * is the panorama's yaw 0. Matrices are column-major Float32Arrays, as
+ * WebGL and WebXR use them.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Most doorway markers drawn at once (the shader's uniform array size).
+ */
+export const MAX_MARKERS = 16;
+
+/**
+ * Angular radius (degrees) of a doorway marker's ring.
+ */
+export const MARKER_RADIUS = 4;
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+uniform mat4 u_unproject;
+varying vec3 v_direction;
+
+void main() {
+    // Point on the near plane under this corner, seen from the eye at the origin
+    vec4 near = u_unproject * vec4(a_position, -1.0, 1.0);
+    v_direction = near.xyz / near.w;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+const float PI = 3.14159265;
+const int MAX_MARKERS = ${MAX_MARKERS};
+const float MARKER_RADIUS = ${(MARKER_RADIUS * Math.PI / 180).toFixed(5)};
+const float EDGE = 0.004;
+const vec3 ACCENT = vec3(0.39, 0.40, 0.95);
+
+uniform sampler2D u_panorama;
+uniform bool u_hasPanorama;
+uniform vec3 u_markers[MAX_MARKERS];
+uniform int u_markerCount;
+uniform int u_target;
+uniform float u_progress;
+uniform vec3 u_pointer;
+varying vec3 v_direction;
+
+float angleTo(vec3 direction, vec3 other) {
+    return acos(clamp(dot(direction, other), -1.0, 1.0));
+}
+
+void main() {
+    vec3 direction = normalize(v_direction);
+    float yaw = atan(direction.x, -direction.z);
+    float pitch = asin(clamp(direction.y, -1.0, 1.0));
+    vec2 uv = vec2(fract(0.5 + yaw / (2.0 * PI)), 0.5 - pitch / PI);
+
+    vec3 color = u_hasPanorama ? texture2D(u_panorama, uv).rgb : vec3(0.06, 0.09, 0.16);
+
+    for (int i = 0; i < MAX_MARKERS; i++) {
+        if (i >= u_markerCount) break;
+
+        float angle = angleTo(direction, u_markers[i]);
+        bool isTarget = i == u_target;
+
+        // Darkened disc, then the gaze timer filling it from the centre, then the ring
+        color = mix(color, color * 0.6, 1.0 - smoothstep(MARKER_RADIUS - EDGE, MARKER_RADIUS, angle));
+        if (isTarget) {
+            float fill = 1.0 - smoothstep(u_progress * MARKER_RADIUS - EDGE, u_progress * MARKER_RADIUS, angle);
+            color = mix(color, ACCENT, fill * 0.7);
+        }
+        float ring = 1.0 - smoothstep(EDGE, EDGE * 2.0, abs(angle - MARKER_RADIUS));
+        color = mix(color, isTarget ? ACCENT : vec3(1.0), ring);
+    }
+
+    // Reticle where the user is pointing
+    float reticle = angleTo(direction, u_pointer);
+    color = mix(color, vec3(0.0), 1.0 - smoothstep(EDGE * 2.0, EDGE * 2.5, reticle));
+    color = mix(color, vec3(1.0), 1.0 - smoothstep(EDGE * 1.2, EDGE * 1.7, reticle));
+
+    gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+/**
+ * Set up the panorama shader on a WebGL context.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @returns {Object} Renderer: setPanorama(image), draw(options), dispose()
+ * @throws {Error} When the shaders don't compile
+ */
+export function createPanoramaRenderer(gl) {
+    const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    const uniforms = {};
+    ['u_unproject', 'u_panorama', 'u_hasPanorama', 'u_markers', 'u_markerCount', 'u_target', 'u_progress', 'u_pointer']
+        .forEach(name => { uniforms[name] = gl.getUniformLocation(program, name); });
+
+    // One triangle that covers the whole viewport
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'a_position');
+
+    const texture = gl.createTexture();
+    let hasPanorama = false;
+
+    return {
+        /**
+         * Show an equirectangular image, scaled down first if it's bigger
+         * than the GPU takes.
+         *
+         * @param {HTMLImageElement|HTMLCanvasElement|null} image
+         */
+        setPanorama(image) {
+            hasPanorama = Boolean(image);
+            if (!image) return;
+
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, fitTexture(image, gl.getParameter(gl.MAX_TEXTURE_SIZE)));
+            // Panoramas are rarely a power of two, which WebGL 1 can only clamp and not mipmap
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        },
+
+        /**
+         * Draw one eye (or the whole screen) into the bound framebuffer.
+         *
+         * @param {Object} options
+         * @param {{x: number, y: number, width: number, height: number}} options.viewport
+         * @param {Float32Array} options.unproject - Eye rotation times the inverse projection (see unprojectMatrix)
+         * @param {number[][]} [options.markers] - Doorway directions
+         * @param {number} [options.target=-1] - Marker being pointed at
+         * @param {number} [options.progress=0] - Gaze timer for the target, 0-1
+         * @param {number[]} [options.pointer] - Direction of the reticle
+         */
+        draw({ viewport, unproject, markers = [], target = -1, progress = 0, pointer = [0, 0, -1] }) {
+            gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+            gl.useProgram(program);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.enableVertexAttribArray(position);
+            gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(uniforms.u_panorama, 0);
+            gl.uniform1i(uniforms.u_hasPanorama, hasPanorama ? 1 : 0);
+            gl.uniformMatrix4fv(uniforms.u_unproject, false, unproject);
+
+            const shown = markers.slice(0, MAX_MARKERS);
+            if (shown.length > 0) {
+                gl.uniform3fv(uniforms.u_markers, new Float32Array(shown.flat()));
+            }
+            gl.uniform1i(uniforms.u_markerCount, shown.length);
+            gl.uniform1i(uniforms.u_target, target);
+            gl.uniform1f(uniforms.u_progress, progress);
+            gl.uniform3fv(uniforms.u_pointer, new Float32Array(pointer));
+
+            gl.drawArrays(gl.TRIANGLES, 0, 3);
+        },
+
+        dispose() {
+            gl.deleteTexture(texture);
+            gl.deleteBuffer(buffer);
+            gl.deleteProgram(program);
+        }
+    };
+}
+
+
+function createProgram(gl, vertexSource, fragmentSource) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`VR shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        gl.attachShader(program, shader);
+    });
+
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`VR shader failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+}
+
+
+/**
+ * Scale an image down to the GPU's texture limit, keeping its 2:1 shape.
+ */
+function fitTexture(image, maxSize) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.min(1, maxSize / width, maxSize / height);
+    if (scale === 1) return image;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(width * scale);
+    canvas.height = Math.floor(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+
+// ============================================================================
+// MATRICES AND DIRECTIONS
+// ============================================================================
+
+/**
+ * Unit vector for a panorama position.
+ *
+ * @param {number} yaw - Degrees, positive to the right
+ * @param {number} pitch - Degrees, positive up
+ * @returns {number[]} [x, y, z]
+ */
+export function directionFromView(yaw, pitch) {
+    const y = yaw * Math.PI / 180;
+    const p = pitch * Math.PI / 180;
+    return [Math.cos(p) * Math.sin(y), Math.sin(p), -Math.cos(p) * Math.cos(y)];
+}
+
+
+/**
+ * Panorama position a direction points at.
+ *
+ * @param {number[]} direction - [x, y, z], not necessarily unit length
+ * @returns {{ yaw: number, pitch: number }} Degrees
+ */
+export function viewFromDirection([x, y, z]) {
+    const length = Math.hypot(x, y, z) || 1;
+    return {
+        yaw: Math.atan2(x, -z) * 180 / Math.PI,
+        pitch: Math.asin(Math.max(-1, Math.min(1, y / length))) * 180 / Math.PI
+    };
+}
+
+
+/**
+ * Rotation that turns the eye to a panorama position (no roll).
+ *
+ * @param {number} yaw - Degrees, positive to the right
+ * @param {number} [pitch=0] - Degrees, positive up
+ * @returns {Float32Array}
+ */
+export function rotationMatrix(yaw, pitch = 0) {
+    const y = -yaw * Math.PI / 180;
+    const p = pitch * Math.PI / 180;
+    const turn = new Float32Array([
+        Math.cos(y), 0, -Math.sin(y), 0,
+        0, 1, 0, 0,
+        Math.sin(y), 0, Math.cos(y), 0,
+        0, 0, 0, 1
+    ]);
+    const tilt = new Float32Array([
+        1, 0, 0, 0,
+        0, Math.cos(p), Math.sin(p), 0,
+        0, -Math.sin(p), Math.cos(p), 0,
+        0, 0, 0, 1
+    ]);
+    return multiplyMatrices(turn, tilt);
+}
+
+
+/**
+ * Just the rotation of a pose matrix: the panorama is infinitely far away,
+ * so where the eye stands doesn't matter.
+ *
+ * @param {Float32Array} matrix
+ * @returns {Float32Array}
+ */
+export function rotationOnly(matrix) {
+    const rotation = Float32Array.from(matrix);
+    rotation[12] = rotation[13] = rotation[14] = 0;
+    return rotation;
+}
+
+
+/**
+ * Symmetric perspective projection (for the cardboard fallback; headsets
+ * supply their own).
+ *
+ * @param {number} fovY - Vertical field of view in degrees
+ * @param {number} aspect - Width / height
+ * @returns {Float32Array}
+ */
+export function perspectiveMatrix(fovY, aspect) {
+    const near = 0.1;
+    const far = 100;
+    const f = 1 / Math.tan(fovY * Math.PI / 360);
+    return new Float32Array([
+        f / aspect, 0, 0, 0,
+        0, f, 0, 0,
+        0, 0, (far + near) / (near - far), -1,
+        0, 0, 2 * far * near / (near - far), 0
+    ]);
+}
+
+
+/**
+ * Matrix the shader uses to turn screen positions into view directions.
+ *
+ * @param {Float32Array} rotation - Eye rotation (see rotationMatrix)
+ * @param {Float32Array} projection
+ * @returns {Float32Array}
+ */
+export function unprojectMatrix(rotation, projection) {
+    return multiplyMatrices(rotation, invertMatrix(projection));
+}
+
+
+/**
+ * Rotate a direction by a matrix.
+ *
+ * @param {Float32Array} matrix
+ * @param {number[]} direction - [x, y, z]
+ * @returns {number[]}
+ */
+export function transformDirection(matrix, [x, y, z]) {
+    return [
+        matrix[0] * x + matrix[4] * y + matrix[8] * z,
+        matrix[1] * x + matrix[5] * y + matrix[9] * z,
+        matrix[2] * x + matrix[6] * y + matrix[10] * z
+    ];
+}
+
+
+/**
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {Float32Array} a × b
+ */
+export function multiplyMatrices(a, b) {
+    const out = new Float32Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            out[column * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+
+/**
+ * General 4×4 inverse (headset projections are asymmetric).
+ *
+ * @param {Float32Array} m
+ * @returns {Float32Array}
+ */
+export function invertMatrix(m) {
+    const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+
+    const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    const inv = 1 / det;
+
+    return new Float32Array([
+        (a11 * b11 - a12 * b10 + a13 * b09) * inv,
+        (a02 * b10 - a01 * b11 - a03 * b09) * inv,
+        (a31 * b05 - a32 * b04 + a33 * b03) * inv,
+        (a22 * b04 - a21 * b05 - a23 * b03) * inv,
+        (a12 * b08 - a10 * b11 - a13 * b07) * inv,
+        (a00 * b11 - a02 * b08 + a03 * b07) * inv,
+        (a32 * b02 - a30 * b05 - a33 * b01) * inv,
+        (a20 * b05 - a22 * b02 + a23 * b01) * inv,
+        (a10 * b10 - a11 * b08 + a13 * b06) * inv,
+        (a01 * b08 - a00 * b10 - a03 * b06) * inv,
+        (a30 * b04 - a31 * b02 + a33 * b00) * inv,
+        (a21 * b02 - a20 * b04 - a23 * b00) * inv,
+        (a11 * b07 - a10 * b09 - a12 * b06) * inv,
+        (a00 * b09 - a01 * b07 + a02 * b06) * inv,
+        (a31 * b01 - a30 * b03 - a32 * b00) * inv,
+        (a20 * b03 - a21 * b01 + a22 * b00) * inv
+    ]);
+}
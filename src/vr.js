@@ -0,0 +1,612 @@
+/**
+ * VR Mode
+ *
+ * "View in VR" for buyers with a headset or a cardboard viewer:
+ *
+ * - Headsets, and phones whose browser offers WebXR, get an immersive-vr
+ *   session drawn by vr-renderer.js
+ * - Other phones get a split-screen cardboard view steered by the motion
+ *   sensor (the same readings gyroscope.js uses, without its smoothing: in
+ *   a viewer any lag behind the head is felt)
+ * - Rings mark the room's doorways (its navigation hotspots). Looking at
+ *   one for two seconds, pulling a controller trigger at it, or pressing
+ *   the cardboard button while looking at it walks through
+ * - Leaving VR (the headset's menu, the exit button or Esc) returns to the
+ *   normal viewer, in whichever room the user ended up, facing where they
+ *   last looked
+ *
+ * Testing on a desktop: a WebXR emulator such as the Immersive Web Emulator
+ * browser extension (or the webxr-polyfill) provides navigator.xr and an
+ * emulated headset, and the session is mirrored on the page. ?vr=cardboard
+ * forces the split-screen view, steered by dragging with the mouse.
+ */
+
+import { on, emit } from './events.js';
+import { getSceneImages } from './quality.js';
+import { resolveVersion, applyVersion } from './versions.js';
+import { getDeviceDirection, requestMotionAccess } from './gyroscope.js';
+import { isFullscreenSupported, isFullscreenActive, toggleFullscreen } from './fullscreen.js';
+import {
+    createPanoramaRenderer, MARKER_RADIUS,
+    directionFromView, viewFromDirection, rotationMatrix, rotationOnly,
+    perspectiveMatrix, unprojectMatrix, multiplyMatrices, transformDirection
+} from './vr-renderer.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * URL query parameter that forces a mode (?vr=cardboard on a desktop).
+ */
+const VR_PARAM = 'vr';
+
+/**
+ * How long (ms) looking at a doorway walks through it.
+ */
+const GAZE_DURATION = 2000;
+
+/**
+ * How far (degrees) from a doorway's centre still counts as looking at it.
+ */
+const SELECT_ANGLE = MARKER_RADIUS * 2;
+
+/**
+ * Vertical field of view (degrees) of each cardboard eye.
+ */
+const CARDBOARD_FOV = 90;
+
+/**
+ * Degrees turned per pixel dragged in the cardboard view.
+ */
+const DRAG_SPEED = 0.2;
+
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const vr = {
+    mode: null,               // 'immersive' | 'cardboard' | null (what this device can do)
+    active: false,
+    session: null,            // XRSession (immersive)
+    referenceSpace: null,
+    gl: null,
+    renderer: null,
+    frame: null,              // Pending animation frame (cardboard)
+    heading: null,            // Turn (degrees) from the device's frame to the panorama's; null recalibrates
+    anchorYaw: 0,             // Panorama yaw the user faces when recalibrated
+    look: { yaw: 0, pitch: 0 },
+    doorways: [],             // { hotspot, direction } for the current room
+    target: { index: -1, since: 0 },
+    navigating: false,
+    sceneId: null,
+    drag: null,
+    enteredFullscreen: false,
+    scenes: {},
+    getCurrentScene: null,
+    getVersion: () => null,
+    getView: null,
+    setView: null,
+    navigateToScene: null,
+    onStatusChange: null,
+    elements: {}
+};
+
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Set up the VR button and overlay, and show the button if this device can
+ * do either mode.
+ *
+ * @param {Object} options
+ * @param {Object} options.scenes - All scenes, keyed by ID
+ * @param {Function} options.getCurrentScene - Returns the current scene ID
+ * @param {Function} [options.getVersion] - Returns the room version the visitor chose (see versions.js)
+ * @param {Function} options.getView - Returns the viewer's { yaw, pitch, hfov }
+ * @param {Function} options.setView - Turns the viewer to a { yaw, pitch }
+ * @param {Function} options.navigateToScene - Moves to a scene; resolves once it has loaded
+ * @param {Function} [options.onStatusChange] - Called with true/false on entering and leaving VR
+ * @returns {Promise} Resolves once support has been checked
+ */
+export async function initVr(options) {
+    Object.assign(vr, options);
+
+    vr.elements = {
+        button: document.getElementById('btn-vr'),
+        overlay: document.getElementById('vr-overlay'),
+        canvas: document.getElementById('vr-canvas'),
+        exit: document.getElementById('btn-vr-exit')
+    };
+
+    const { button, canvas, exit } = vr.elements;
+    button?.addEventListener('click', enterVr);
+    exit?.addEventListener('click', exitVr);
+    canvas?.addEventListener('pointerdown', handlePointerDown);
+    canvas?.addEventListener('pointermove', handlePointerMove);
+    canvas?.addEventListener('pointerup', handlePointerUp);
+
+    on('sceneChange', ({ sceneId }) => {
+        if (vr.active) showScene(sceneId);
+    });
+
+    // An emulator or headset connected after load
+    navigator.xr?.addEventListener?.('devicechange', detectMode);
+
+    await detectMode();
+}
+
+
+/**
+ * Start VR in the mode this device supports. Call from a click or tap:
+ * browsers only open a headset session, go fullscreen or ask for motion
+ * access from a user gesture.
+ *
+ * @returns {Promise<boolean>} Whether VR started
+ */
+export async function enterVr() {
+    if (vr.active || !vr.mode) return vr.active;
+
+    try {
+        if (vr.mode === 'immersive') {
+            await startImmersive();
+        } else {
+            await startCardboard();
+        }
+    } catch (error) {
+        console.warn('Could not start VR:', error);
+        const { session } = vr;
+        finish();
+        session?.end().catch(() => {});
+        return false;
+    }
+    return true;
+}
+
+
+/**
+ * Leave VR and return to the normal viewer.
+ */
+export function exitVr() {
+    if (!vr.active) return;
+
+    if (vr.session) {
+        // The session's 'end' event finishes up
+        vr.session.end().catch(finish);
+    } else {
+        finish();
+    }
+}
+
+
+/**
+ * @returns {boolean} Whether VR is showing
+ */
+export function isVrActive() {
+    return vr.active;
+}
+
+
+/**
+ * @returns {string|null} 'immersive', 'cardboard', or null where VR isn't available
+ */
+export function getVrMode() {
+    return vr.mode;
+}
+
+
+/**
+ * Doorway the user is pointing at: the closest one within SELECT_ANGLE.
+ *
+ * @param {number[]} direction - Unit pointing direction in the panorama's frame
+ * @param {Array} doorways - { direction } for each doorway
+ * @returns {number} Index into doorways, or -1
+ */
+export function pickDoorway(direction, doorways) {
+    let best = -1;
+    let bestAngle = SELECT_ANGLE;
+
+    doorways.forEach((doorway, index) => {
+        const dot = direction.reduce((sum, value, axis) => sum + value * doorway.direction[axis], 0);
+        const angle = Math.acos(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI;
+        if (angle <= bestAngle) {
+            best = index;
+            bestAngle = angle;
+        }
+    });
+    return best;
+}
+
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Work out which mode this device gets and show or hide the button.
+ */
+async function detectMode() {
+    const forced = new URLSearchParams(window.location.search).get(VR_PARAM);
+    let immersive = false;
+    try {
+        immersive = await navigator.xr?.isSessionSupported('immersive-vr') ?? false;
+    } catch (error) {
+        console.warn('WebXR support check failed:', error);
+    }
+
+    if (forced === 'cardboard' || (!immersive && navigator.maxTouchPoints > 0)) {
+        vr.mode = typeof WebGLRenderingContext === 'undefined' ? null : 'cardboard';
+    } else {
+        vr.mode = immersive ? 'immersive' : null;
+    }
+
+    if (vr.elements.button) vr.elements.button.hidden = !vr.mode;
+}
+
+
+/**
+ * Open a WebXR session and draw into its layer each frame.
+ */
+async function startImmersive() {
+    // First, while the click still counts as a user gesture
+    const session = await navigator.xr.requestSession('immersive-vr');
+    vr.session = session;
+    session.addEventListener('end', finish);
+    session.addEventListener('select', handleSelect);
+
+    const gl = prepareRenderer({ xrCompatible: true });
+    await gl.makeXRCompatible?.();
+    session.updateRenderState({ baseLayer: new XRWebGLLayer(session, gl) });
+    vr.referenceSpace = await session.requestReferenceSpace('local');
+
+    begin('immersive');
+    session.requestAnimationFrame(renderImmersive);
+}
+
+
+/**
+ * Show the split-screen view, fullscreen where possible, and follow the
+ * motion sensor.
+ */
+async function startCardboard() {
+    if (!(await requestMotionAccess())) {
+        console.warn('Motion access denied; the cardboard view can only be dragged');
+    }
+
+    prepareRenderer({});
+    if (isFullscreenSupported() && !isFullscreenActive()) {
+        toggleFullscreen();
+        vr.enteredFullscreen = true;
+    }
+    window.addEventListener('deviceorientation', handleOrientation);
+
+    begin('cardboard');
+    vr.frame = requestAnimationFrame(renderCardboard);
+}
+
+
+/**
+ * Common start: show the overlay and the current room.
+ */
+function begin(mode) {
+    vr.active = true;
+    vr.look = { ...vr.getView() };
+
+    const { overlay, exit } = vr.elements;
+    overlay.dataset.mode = mode;
+    overlay.hidden = false;
+    exit?.focus();
+    document.addEventListener('keydown', handleKeydown);
+
+    showScene(vr.getCurrentScene());
+    vr.onStatusChange?.(true);
+}
+
+
+/**
+ * Tear down whichever mode was running and hand the view back to the
+ * normal viewer.
+ */
+function finish() {
+    const wasActive = vr.active;
+
+    cancelAnimationFrame(vr.frame);
+    vr.frame = null;
+    vr.session = null;
+    vr.referenceSpace = null;
+    vr.active = false;
+    vr.drag = null;
+    window.removeEventListener('deviceorientation', handleOrientation);
+    document.removeEventListener('keydown', handleKeydown);
+
+    if (vr.enteredFullscreen && isFullscreenActive()) toggleFullscreen();
+    vr.enteredFullscreen = false;
+    if (vr.elements.overlay) vr.elements.overlay.hidden = true;
+
+    if (!wasActive) return;
+
+    vr.setView({ yaw: vr.look.yaw, pitch: vr.look.pitch });
+    vr.elements.button?.focus();
+    vr.onStatusChange?.(false);
+}
+
+
+/**
+ * Create the WebGL context and renderer on first use. They're kept for the
+ * next visit: a canvas only ever has one context.
+ *
+ * @param {Object} attributes - Context attributes
+ * @returns {WebGLRenderingContext}
+ * @throws {Error} Without WebGL
+ */
+function prepareRenderer(attributes) {
+    if (!vr.gl) {
+        vr.gl = vr.elements.canvas.getContext('webgl', attributes);
+        if (!vr.gl) throw new Error('WebGL is not available');
+        vr.renderer = createPanoramaRenderer(vr.gl);
+    }
+    return vr.gl;
+}
+
+
+// ============================================================================
+// SCENES
+// ============================================================================
+
+/**
+ * Show a room: its doorways straight away, its panorama - in the version
+ * the visitor chose - once downloaded. Facing is recalibrated so the room
+ * opens at the same view the normal viewer would show.
+ *
+ * @param {string} sceneId
+ */
+async function showScene(sceneId) {
+    const scene = vr.scenes[sceneId];
+    vr.sceneId = sceneId;
+    vr.doorways = scene.hotspots
+        .filter(hotspot => hotspot.targetScene && (hotspot.type === undefined || hotspot.type === 'scene'))
+        .map(hotspot => ({ hotspot, direction: directionFromView(hotspot.yaw, hotspot.pitch) }));
+    vr.target = { index: -1, since: 0 };
+    vr.anchorYaw = vr.getView().yaw;
+    vr.look = { yaw: vr.anchorYaw, pitch: vr.look.pitch };
+    vr.heading = null;
+
+    // Dark until the new room arrives, rather than its doorways over the old one
+    vr.renderer.setPanorama(null);
+    const images = getSceneImages(applyVersion(scene, resolveVersion(scene, vr.getVersion())));
+    if (!images) return;
+
+    let image;
+    try {
+        image = await loadImage(images.full);
+    } catch (error) {
+        console.warn('VR panorama failed to load:', images.full, error);
+        return;
+    }
+    if (vr.active && vr.sceneId === sceneId) {
+        vr.renderer.setPanorama(image);
+    }
+}
+
+
+/**
+ * Walk through a doorway, as clicking its hotspot would.
+ *
+ * @param {number} index - Into vr.doorways
+ */
+async function walkThrough(index) {
+    const doorway = vr.doorways[index];
+    if (!doorway || vr.navigating) return;
+
+    const { hotspot } = doorway;
+    vr.navigating = true;
+    vr.target = { index: -1, since: 0 };
+    emit('hotspotClick', { sceneId: vr.sceneId, hotspot });
+
+    try {
+        await vr.navigateToScene(hotspot.targetScene, hotspot.keepYaw ? { view: { yaw: vr.look.yaw } } : undefined);
+    } finally {
+        vr.navigating = false;
+    }
+}
+
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Draw both eyes for a headset frame.
+ */
+function renderImmersive(time, frame) {
+    const { session } = frame;
+    session.requestAnimationFrame(renderImmersive);
+
+    const pose = frame.getViewerPose(vr.referenceSpace);
+    if (!pose) return;
+
+    // Recalibrate: whichever way the head faces now is the room's opening view
+    const head = transformDirection(rotationOnly(pose.transform.matrix), [0, 0, -1]);
+    if (vr.heading === null) {
+        vr.heading = vr.anchorYaw - viewFromDirection(head).yaw;
+    }
+    const turn = rotationMatrix(vr.heading);
+    const gaze = transformDirection(turn, head);
+    vr.look = viewFromDirection(gaze);
+
+    // A controller points for the user; without one, the head does
+    const controller = [...session.inputSources].find(source => source.targetRayMode === 'tracked-pointer');
+    const controllerPose = controller && frame.getPose(controller.targetRaySpace, vr.referenceSpace);
+    const pointer = controllerPose
+        ? transformDirection(turn, transformDirection(rotationOnly(controllerPose.transform.matrix), [0, 0, -1]))
+        : gaze;
+
+    const layer = session.renderState.baseLayer;
+    vr.gl.bindFramebuffer(vr.gl.FRAMEBUFFER, layer.framebuffer);
+    drawFrame(time, pointer, pose.views.map(view => ({
+        viewport: layer.getViewport(view),
+        unproject: unprojectMatrix(multiplyMatrices(turn, rotationOnly(view.transform.matrix)), view.projectionMatrix)
+    })));
+}
+
+
+/**
+ * Draw the same view side by side for the two lenses. The panorama is a
+ * single image at infinity, so both eyes see it alike.
+ */
+function renderCardboard(time) {
+    vr.frame = requestAnimationFrame(renderCardboard);
+
+    const { canvas } = vr.elements;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+
+    const half = canvas.width / 2;
+    const unproject = unprojectMatrix(
+        rotationMatrix(vr.look.yaw, vr.look.pitch),
+        perspectiveMatrix(CARDBOARD_FOV, half / canvas.height)
+    );
+
+    vr.gl.bindFramebuffer(vr.gl.FRAMEBUFFER, null);
+    drawFrame(time, directionFromView(vr.look.yaw, vr.look.pitch), [0, 1].map(eye => ({
+        viewport: { x: eye * half, y: 0, width: half, height: canvas.height },
+        unproject
+    })));
+}
+
+
+/**
+ * Advance the gaze timer and draw each eye.
+ *
+ * @param {number} time - Frame timestamp (ms)
+ * @param {number[]} pointer - Where the user points, in the panorama's frame
+ * @param {Array} eyes - { viewport, unproject } per eye
+ */
+function drawFrame(time, pointer, eyes) {
+    const progress = updateTarget(pointer, time);
+
+    vr.gl.clearColor(0, 0, 0, 1);
+    vr.gl.clear(vr.gl.COLOR_BUFFER_BIT);
+    const markers = vr.doorways.map(doorway => doorway.direction);
+    eyes.forEach(eye => vr.renderer.draw({ ...eye, markers, target: vr.target.index, progress, pointer }));
+}
+
+
+/**
+ * Track how long the same doorway has been pointed at; walk through it
+ * once that reaches GAZE_DURATION.
+ *
+ * @returns {number} Gaze progress, 0-1
+ */
+function updateTarget(pointer, time) {
+    const index = vr.navigating ? -1 : pickDoorway(pointer, vr.doorways);
+    if (index !== vr.target.index) {
+        vr.target = { index, since: time };
+    }
+    if (index === -1) return 0;
+
+    const progress = Math.min(1, (time - vr.target.since) / GAZE_DURATION);
+    if (progress === 1) walkThrough(index);
+    return progress;
+}
+
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Controller trigger, or the headset's own button in gaze-only viewers.
+ *
+ * @param {XRInputSourceEvent} event
+ */
+function handleSelect(event) {
+    const pose = event.frame.getPose(event.inputSource.targetRaySpace, vr.referenceSpace);
+    if (!pose || vr.heading === null) return;
+
+    const direction = transformDirection(rotationOnly(pose.transform.matrix), [0, 0, -1]);
+    const index = pickDoorway(transformDirection(rotationMatrix(vr.heading), direction), vr.doorways);
+    if (index !== -1) walkThrough(index);
+}
+
+
+/**
+ * Cardboard head tracking. The first reading after a recalibration only
+ * records which way the phone faces.
+ */
+function handleOrientation(event) {
+    if (event.alpha === null || event.beta === null) return;
+
+    const { heading, pitch } = getDeviceDirection(event);
+    if (vr.heading === null) {
+        vr.heading = heading - vr.anchorYaw;
+    }
+    vr.look = { yaw: normalizeYaw(heading - vr.heading), pitch };
+}
+
+
+function handlePointerDown(event) {
+    vr.drag = { x: event.clientX, y: event.clientY, look: { ...vr.look }, moved: false };
+}
+
+
+/**
+ * Dragging steers the cardboard view where there's no motion sensor.
+ */
+function handlePointerMove(event) {
+    if (!vr.drag || vr.session) return;
+
+    const dx = event.clientX - vr.drag.x;
+    const dy = event.clientY - vr.drag.y;
+    if (Math.hypot(dx, dy) > 5) vr.drag.moved = true;
+
+    vr.look = {
+        yaw: normalizeYaw(vr.drag.look.yaw - dx * DRAG_SPEED),
+        pitch: Math.max(-90, Math.min(90, vr.drag.look.pitch + dy * DRAG_SPEED))
+    };
+}
+
+
+/**
+ * A tap is the cardboard button: walk through the doorway in view.
+ */
+function handlePointerUp() {
+    const tapped = vr.drag && !vr.drag.moved;
+    vr.drag = null;
+    if (!tapped || vr.session) return;
+
+    const index = pickDoorway(directionFromView(vr.look.yaw, vr.look.pitch), vr.doorways);
+    if (index !== -1) walkThrough(index);
+}
+
+
+function handleKeydown(event) {
+    if (event.key === 'Escape') exitVr();
+}
+
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load ${url}`));
+        image.src = url;
+    });
+}
+
+
+/**
+ * Wrap an angle into -180..180.
+ */
+function normalizeYaw(yaw) {
+    return ((yaw % 360) + 540) % 360 - 180;
+}
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { createAnalyticsStore } from '../scripts/vite-analytics.js';
+
+let analytics;
+let events;
+let hidden;
+let view;
+
+/**
+ * Fresh analytics module recording the 'lounge' scene. Pass options to
+ * override the config.
+ */
+async function startAnalytics(options = {}) {
+    vi.resetModules();
+    events = await import('../src/events.js');
+    analytics = await import('../src/analytics.js');
+    analytics.initAnalytics({
+        endpoint: '/collect',
+        tourId: 'maple',
+        requireConsent: false,
+        batchInterval: 30000,
+        sampleInterval: 1000,
+        binSize: 15,
+        getCurrentScene: () => 'lounge',
+        getView: () => view,
+        describeHotspot: hotspot => ({ type: hotspot.type }),
+        ...options
+    });
+}
+
+function hidePage() {
+    hidden = true;
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+function sentBatches() {
+    return navigator.sendBeacon.mock.calls.map(([url, body]) => ({ url, ...JSON.parse(body) }));
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    localStorage.clear();
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date', 'performance'] });
+    hidden = false;
+    view = { yaw: 5, pitch: -10, hfov: 100 };
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    navigator.sendBeacon = vi.fn(() => true);
+});
+
+afterEach(() => {
+    // Detaches the module's document listeners before the next test's copy
+    analytics.setAnalyticsConsent(false);
+    vi.useRealTimers();
+    delete document.hidden;
+    delete navigator.sendBeacon;
+    delete navigator.doNotTrack;
+});
+
+
+describe('recording', () => {
+    it('sends the path, clicks, fullscreen use and gaze when the page is hidden', async () => {
+        await startAnalytics();
+
+        events.emit('hotspotClick', { sceneId: 'lounge', hotspot: { type: 'info' } });
+        events.emit('fullscreenChange', { fullscreen: true });
+        vi.advanceTimersByTime(3000);
+        hidePage();
+
+        const [batch] = sentBatches();
+        expect(batch).toMatchObject({ url: '/collect', tour: 'maple', seq: 0, binSize: 15 });
+        expect(batch.records.map(record => record.type)).toEqual(['enter', 'hotspot', 'fullscreen']);
+        expect(batch.records[1].hotspot).toEqual({ type: 'info' });
+        expect(batch.dwell).toEqual({ lounge: 3000 });
+        expect(batch.gaze).toEqual({ lounge: { '12,5': 3000 } });
+    });
+
+    it('credits time to the room it was spent in', async () => {
+        let scene = 'lounge';
+        await startAnalytics({ getCurrentScene: () => scene });
+
+        vi.advanceTimersByTime(2500);
+        scene = 'kitchen';
+        events.emit('sceneChange', { sceneId: 'kitchen', previousScene: 'lounge' });
+        vi.advanceTimersByTime(1000);
+        hidePage();
+
+        const [batch] = sentBatches();
+        expect(batch.records[1]).toMatchObject({ type: 'enter', sceneId: 'kitchen', from: 'lounge' });
+        expect(batch.dwell).toEqual({ lounge: 2500, kitchen: 1000 });
+    });
+
+    it('leaves out time spent in the background', async () => {
+        await startAnalytics();
+        vi.advanceTimersByTime(1000);
+        hidePage();
+
+        vi.advanceTimersByTime(60000);
+        hidden = false;
+        document.dispatchEvent(new Event('visibilitychange'));
+        vi.advanceTimersByTime(2000);
+        hidePage();
+
+        const batches = sentBatches();
+        expect(batches.map(batch => batch.seq)).toEqual([0, 1]);
+        expect(batches[1].dwell).toEqual({ lounge: 2000 });
+        expect(batches[1].records).toEqual([]);
+    });
+
+    it('keeps a batch the browser refused and sends it with the next one', async () => {
+        await startAnalytics();
+        navigator.sendBeacon.mockReturnValueOnce(false);
+
+        vi.advanceTimersByTime(30000);
+        events.emit('fullscreenChange', { fullscreen: false });
+        vi.advanceTimersByTime(30000);
+
+        const batches = sentBatches();
+        expect(batches).toHaveLength(2);
+        expect(batches[1].seq).toBe(0);
+        expect(batches[1].records.map(record => record.type)).toEqual(['enter', 'fullscreen']);
+        expect(batches[1].dwell).toEqual({ lounge: 60000 });
+    });
+});
+
+
+describe('privacy', () => {
+    it('records nothing when Do Not Track is on', async () => {
+        navigator.doNotTrack = '1';
+        await startAnalytics();
+
+        vi.advanceTimersByTime(60000);
+        hidePage();
+
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+    });
+
+    it('waits for consent, remembers it and stops when it is withdrawn', async () => {
+        await startAnalytics({ requireConsent: true });
+        vi.advanceTimersByTime(30000);
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+
+        analytics.setAnalyticsConsent(true);
+        vi.advanceTimersByTime(30000);
+        expect(sentBatches()[0].dwell).toEqual({ lounge: 30000 });
+        expect(localStorage.getItem('homeTourAnalyticsConsent')).toBe('granted');
+
+        analytics.setAnalyticsConsent(false);
+        vi.advanceTimersByTime(30000);
+        hidePage();
+
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+        expect(localStorage.getItem('homeTourAnalyticsConsent')).toBe('denied');
+    });
+
+    it('starts straight away when consent was given on an earlier visit', async () => {
+        localStorage.setItem('homeTourAnalyticsConsent', 'granted');
+        await startAnalytics({ requireConsent: true });
+
+        vi.advanceTimersByTime(1000);
+        hidePage();
+
+        expect(sentBatches()[0].dwell).toEqual({ lounge: 1000 });
+    });
+});
+
+
+describe('getGazeBin', () => {
+    it('wraps yaw and clamps pitch to the panorama', async () => {
+        await startAnalytics();
+
+        expect(analytics.getGazeBin(0, 0, 15)).toBe('12,6');
+        expect(analytics.getGazeBin(190, 0, 15)).toBe('0,6');
+        expect(analytics.getGazeBin(-180, -90, 15)).toBe('0,0');
+        expect(analytics.getGazeBin(179, 90, 15)).toBe('23,11');
+    });
+});
+
+
+describe('dev endpoint store', () => {
+    it('adds batches up per tour and scene', () => {
+        const store = createAnalyticsStore();
+        const batch = {
+            session: 'a', tour: 'maple', seq: 0, binSize: 15,
+            records: [{ type: 'enter', sceneId: 'lounge' }],
+            dwell: { lounge: 4000 },
+            gaze: { lounge: { '12,6': 4000 } }
+        };
+
+        store.add(batch);
+        store.add({ ...batch, session: 'b' });
+
+        expect(store.summarize('maple')).toEqual({
+            tour: 'maple',
+            binSize: 15,
+            sessions: 2,
+            scenes: { lounge: { visits: 2, dwell: 8000, gaze: { '12,6': 8000 } } }
+        });
+        expect(store.summarize('oak').sessions).toBe(0);
+        expect(() => store.add({ tour: 'maple' })).toThrow('Not an analytics batch');
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+
+const SCRIPT = [
+    { scene: 'kitchen', caption: 'Kitchen', keyframes: [{ yaw: 0, pitch: 0, hfov: 100, duration: 1000 }], dwell: 1000 },
+    { scene: 'lounge', caption: 'Lounge', keyframes: [{ yaw: 90, pitch: 0, hfov: 100, duration: 1000 }], dwell: 1000 }
+];
+
+let autoplay;
+let viewer;
+let currentScene;
+let navigateToScene;
+let onStatusChange;
+
+/**
+ * Fresh player in the garden, where every room it moves to loads unless a
+ * test says otherwise.
+ */
+async function startPlayer() {
+    vi.resetModules();
+    autoplay = await import('../src/autoplay.js');
+
+    viewer = new FakeViewer(document.getElementById('panorama'), {
+        default: { firstScene: 'garden' },
+        scenes: { garden: { yaw: 0, pitch: 0, hfov: 100 } }
+    });
+    currentScene = 'garden';
+    navigateToScene = vi.fn(async (sceneId) => {
+        currentScene = sceneId;
+    });
+    onStatusChange = vi.fn();
+
+    autoplay.initAutoplay({
+        script: SCRIPT,
+        getViewer: () => viewer,
+        getCurrentScene: () => currentScene,
+        navigateToScene,
+        onStatusChange
+    });
+}
+
+const visited = () => navigateToScene.mock.calls.map(([sceneId]) => sceneId);
+
+beforeEach(async () => {
+    loadIndexHtml();
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await startPlayer();
+});
+
+afterEach(() => {
+    autoplay.stopAutoplay();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+
+describe('autoplay', () => {
+    it('plays each stop in turn, looping at the end', async () => {
+        // Each stop arrives on its only keyframe, so it just holds for the dwell
+        autoplay.startAutoplay();
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(visited()).toEqual(['kitchen', 'lounge']);
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(visited()).toEqual(['kitchen', 'lounge', 'kitchen']);
+        expect(autoplay.getAutoplayStatus()).toBe('playing');
+    });
+
+    it('moves on when a room fails to load', async () => {
+        // A failed room leaves the tour where it was
+        navigateToScene.mockImplementationOnce(async () => {});
+
+        autoplay.startAutoplay();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(visited()).toEqual(['kitchen', 'lounge']);
+        expect(document.getElementById('autoplay-caption').textContent).toBe('Lounge');
+        expect(console.warn).toHaveBeenCalledWith('Autoplay skipped a room it couldn\'t show:', 'kitchen');
+        expect(autoplay.getAutoplayStatus()).toBe('playing');
+    });
+
+    it('stops once none of the rooms can be shown', async () => {
+        // Vetoed by a beforeSceneChange listener, every time
+        navigateToScene.mockImplementation(async () => {});
+
+        autoplay.startAutoplay();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(visited()).toEqual(['kitchen', 'lounge']);
+        expect(autoplay.getAutoplayStatus()).toBe('stopped');
+        expect(onStatusChange).toHaveBeenLastCalledWith('stopped');
+    });
+});
@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { navigateToScene } from '../src/viewer.js';
+import { toggleFullscreen } from '../src/fullscreen.js';
+import { tour, state, cacheElements } from '../src/state.js';
+import { initInfoCard, openInfoCard, closeInfoCard } from '../src/info-card.js';
+import { initKeyboardHelp, isKeyboardHelpOpen } from '../src/keyboard-help.js';
+import { handleKeyboardNavigation } from '../src/controls.js';
+
+vi.mock('../src/viewer.js', () => ({
+    navigateToScene: vi.fn(),
+    handlePopState: vi.fn()
+}));
+
+vi.mock('../src/fullscreen.js', () => ({
+    toggleFullscreen: vi.fn(),
+    handleFullscreenChange: vi.fn(),
+    isFullscreenSupported: vi.fn(() => true)
+}));
+
+function press(key, target = document.body, modifiers = {}) {
+    handleKeyboardNavigation({ key, target, ...modifiers });
+}
+
+beforeEach(() => {
+    vi.clearAllMocks();
+    loadIndexHtml();
+    cacheElements();
+    initInfoCard();
+    initKeyboardHelp();
+    state.currentScene = 'living-room';
+});
+
+
+describe('handleKeyboardNavigation', () => {
+    it('moves to the next room with n', () => {
+        press('n');
+        press('N');
+
+        expect(navigateToScene.mock.calls).toEqual([['open-living-kitchen'], ['open-living-kitchen']]);
+    });
+
+    it('wraps around to the last room with p', () => {
+        press('p');
+
+        expect(navigateToScene.mock.calls).toEqual([['music-room']]);
+    });
+
+    it('wraps around from the last room to the first', () => {
+        state.currentScene = 'music-room';
+        press('n');
+
+        expect(navigateToScene).toHaveBeenCalledWith('living-room');
+    });
+
+    it('leaves the arrow keys to the panorama and focused buttons', () => {
+        press('ArrowRight');
+        press('ArrowLeft');
+
+        expect(navigateToScene).not.toHaveBeenCalled();
+    });
+
+    it('leaves browser shortcuts alone', () => {
+        press('n', document.body, { ctrlKey: true });
+        press('p', document.body, { metaKey: true });
+        press('2', document.body, { altKey: true });
+
+        expect(navigateToScene).not.toHaveBeenCalled();
+    });
+
+    it('jumps to a room by number', () => {
+        press('3');
+
+        expect(navigateToScene).toHaveBeenCalledWith('lounge');
+    });
+
+    it('toggles fullscreen with f', () => {
+        press('f');
+
+        expect(toggleFullscreen).toHaveBeenCalledOnce();
+    });
+
+    it('ignores keys typed into form fields', () => {
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+
+        press('n', input);
+        press('2', input);
+
+        expect(navigateToScene).not.toHaveBeenCalled();
+    });
+
+    it('leaves keys to the info card while it is open', () => {
+        openInfoCard({ title: 'Piano' });
+        press('n');
+        closeInfoCard();
+        press('n');
+
+        expect(navigateToScene).toHaveBeenCalledOnce();
+    });
+});
+
+
+describe('room numbers in bigger tours', () => {
+    const originalScenes = tour.scenes;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        tour.scenes = Object.fromEntries(
+            Array.from({ length: 12 }, (_, index) => [`room-${index + 1}`, { id: `room-${index + 1}` }])
+        );
+        state.currentScene = 'room-1';
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        tour.scenes = originalScenes;
+    });
+
+    it('reads two quick digits as one room number', () => {
+        press('1');
+        press('2');
+
+        expect(navigateToScene.mock.calls).toEqual([['room-12']]);
+    });
+
+    it('waits briefly before going to a room whose number could continue', () => {
+        press('1');
+        expect(navigateToScene).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(700);
+        expect(navigateToScene).toHaveBeenCalledWith('room-1');
+    });
+
+    it('goes straight to rooms whose number can\'t continue', () => {
+        press('7');
+
+        expect(navigateToScene).toHaveBeenCalledWith('room-7');
+    });
+});
+
+
+describe('floors', () => {
+    const originalScenes = tour.scenes;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        tour.floors = [{ id: 'ground', title: 'Ground floor' }, { id: 'upper', title: 'Upper floor' }];
+        tour.scenes = {
+            hall: { id: 'hall', floor: 'ground' },
+            landing: { id: 'landing', floor: 'upper' },
+            kitchen: { id: 'kitchen', floor: 'ground' },
+            bedroom: { id: 'bedroom', floor: 'upper' }
+        };
+        state.currentScene = 'kitchen';
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        tour.scenes = originalScenes;
+        tour.floors = null;
+    });
+
+    it('walks the rooms floor by floor with n and p', () => {
+        press('n');
+        state.currentScene = 'bedroom';
+        press('n');
+
+        expect(navigateToScene.mock.calls).toEqual([['landing'], ['hall']]);
+    });
+
+    it('numbers rooms on the current floor', () => {
+        state.currentScene = 'bedroom';
+        press('1');
+
+        expect(navigateToScene).toHaveBeenCalledWith('landing');
+    });
+
+    it('goes up and down a floor with Page Up and Page Down', () => {
+        press('PageUp');
+        press('PageDown');
+        state.currentScene = 'bedroom';
+        press('PageDown');
+
+        expect(navigateToScene.mock.calls).toEqual([['landing'], ['hall']]);
+    });
+
+    it('lists the floor keys in the shortcuts dialog', () => {
+        press('?');
+
+        expect(document.getElementById('keyboard-help-floors').hidden).toBe(false);
+        expect(document.getElementById('keyboard-help-rooms').textContent).toBe('Go to a room on this floor by its number');
+    });
+});
+
+
+describe('keyboard help', () => {
+    it('opens with ? and hands focus back when closed with Escape', () => {
+        const button = document.getElementById('btn-keyboard-help');
+        button.focus();
+
+        press('?', button);
+
+        expect(isKeyboardHelpOpen()).toBe(true);
+        expect(document.activeElement.id).toBe('keyboard-help-close');
+        expect(document.getElementById('keyboard-help-last-room').textContent).toBe(String(Object.keys(tour.scenes).length));
+        expect(document.getElementById('keyboard-help-floors').hidden).toBe(true);
+
+        // Shortcuts are off while it's open
+        press('n', document.activeElement);
+        expect(navigateToScene).not.toHaveBeenCalled();
+
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expect(isKeyboardHelpOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+});
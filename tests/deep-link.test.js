@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { parseViewHash, buildViewHash } from '../src/deep-link.js';
+
+describe('deep links', () => {
+    it('round-trips a scene and camera position', () => {
+        const hash = buildViewHash('lounge', { yaw: 12.34, pitch: -5, hfov: 90 });
+
+        expect(hash).toBe('#scene=lounge&yaw=12.3&pitch=-5.0&hfov=90.0');
+        expect(parseViewHash(hash)).toEqual({ scene: 'lounge', view: { yaw: 12.3, pitch: -5, hfov: 90 } });
+    });
+
+    it('keeps only the view values that are numbers', () => {
+        expect(parseViewHash('scene=lounge&yaw=abc&hfov=80')).toEqual({ scene: 'lounge', view: { hfov: 80 } });
+    });
+
+    it('ignores hashes without a scene', () => {
+        expect(parseViewHash('')).toBeNull();
+        expect(parseViewHash('#yaw=10')).toBeNull();
+    });
+});
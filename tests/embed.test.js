@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isEmbedRequested, getHiddenParts } from '../src/embed.js';
+
+const LOADER = readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), '../public/embed.js'), 'utf8');
+const HOST_ORIGIN = window.location.origin;
+
+let embedModule;
+let api;
+let currentScene;
+
+/**
+ * Fresh embed module, initialised with a stub API. Replies go through
+ * window.parent, which is the window itself at the top level.
+ */
+async function startEmbed({ allowedOrigins = [] } = {}) {
+    vi.resetModules();
+    embedModule = await import('../src/embed.js');
+    currentScene = 'living-room';
+    api = {
+        navigateToScene: vi.fn(async () => {}),
+        getCurrentScene: () => currentScene,
+        getView: vi.fn(() => ({ yaw: 10, pitch: 0, hfov: 100 })),
+        startAutoplay: vi.fn(() => {
+            throw new Error('No script');
+        })
+    };
+    embedModule.initEmbed({
+        allowedOrigins,
+        api,
+        getSnapshot: () => ({ scene: 'living-room', scenes: [], view: null })
+    });
+}
+
+/**
+ * Post a host call and return the tour's reply.
+ */
+async function call(method, params, { origin = HOST_ORIGIN } = {}) {
+    const message = { source: 'home-tour-host', id: 7, method, params };
+    window.dispatchEvent(new MessageEvent('message', { data: message, origin, source: window }));
+    await vi.waitFor(() => expect(window.postMessage).toHaveBeenCalled());
+
+    const [reply, targetOrigin] = window.postMessage.mock.calls.at(-1);
+    expect(targetOrigin).toBe(origin);
+    window.postMessage.mockClear();
+    return reply;
+}
+
+beforeEach(() => {
+    document.body.innerHTML = '';
+    vi.spyOn(window, 'postMessage').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+
+describe('embed flags', () => {
+    it('detects embed mode', () => {
+        expect(isEmbedRequested('?embed')).toBe(true);
+        expect(isEmbedRequested('?tour=maple')).toBe(false);
+    });
+
+    it('hides the header by default, or the listed parts', () => {
+        expect(getHiddenParts('?embed')).toEqual(['header']);
+        expect(getHiddenParts('?embed&hide=nav,%20minimap,bogus')).toEqual(['nav', 'minimap']);
+        expect(getHiddenParts('?embed&hide=')).toEqual([]);
+    });
+});
+
+
+describe('tour side', () => {
+    it('marks the page as embedded', async () => {
+        await startEmbed();
+
+        expect(document.body.classList.contains('embedded')).toBe(true);
+        expect(document.body.dataset.embedHide).toBe('header');
+    });
+
+    it('answers connect and refuses calls until the tour has loaded', async () => {
+        await startEmbed();
+
+        expect(await call('connect')).toEqual({ source: 'home-tour', id: 7, result: { loaded: false } });
+        expect((await call('getView')).error).toBe('The tour is still loading');
+    });
+
+    it('sends events to the connected host once loaded', async () => {
+        await startEmbed();
+        await call('connect');
+
+        embedModule.reportSceneLoaded('living-room', 'Living Room');
+
+        expect(window.postMessage.mock.calls).toEqual([
+            [{ source: 'home-tour', event: 'loaded', data: { scene: 'living-room', error: null } }, HOST_ORIGIN],
+            [{ source: 'home-tour', event: 'sceneChanged', data: { scene: 'living-room', title: 'Living Room' } }, HOST_ORIGIN]
+        ]);
+    });
+
+    it('is ready even when the first room fails to load', async () => {
+        await startEmbed();
+        await call('connect');
+
+        embedModule.reportSceneFailed('living-room', 'network');
+
+        expect(window.postMessage.mock.calls).toEqual([
+            [{ source: 'home-tour', event: 'loaded', data: { scene: 'living-room', error: { scene: 'living-room', kind: 'network' } } }, HOST_ORIGIN],
+            [{ source: 'home-tour', event: 'sceneError', data: { scene: 'living-room', kind: 'network' } }, HOST_ORIGIN]
+        ]);
+        expect((await call('connect')).result.error).toEqual({ scene: 'living-room', kind: 'network' });
+        expect((await call('getView')).result).toEqual({ yaw: 10, pitch: 0, hfov: 100 });
+
+        // Moving on to a room that loads clears it
+        embedModule.reportSceneLoaded('kitchen', 'Kitchen');
+        expect((await call('connect')).result.error).toBeNull();
+    });
+
+    it('keeps reporting the room on screen when another fails to open', async () => {
+        await startEmbed();
+        embedModule.reportSceneLoaded('living-room', 'Living Room');
+        await call('connect');
+
+        // The viewer stays in the living room
+        embedModule.reportSceneFailed('kitchen', 'missing');
+
+        expect(window.postMessage.mock.calls).toEqual([
+            [{ source: 'home-tour', event: 'sceneError', data: { scene: 'kitchen', kind: 'missing' } }, HOST_ORIGIN]
+        ]);
+        expect((await call('connect')).result).toMatchObject({ scene: 'living-room', error: null });
+    });
+
+    it('runs API methods and returns their results or errors', async () => {
+        await startEmbed();
+        embedModule.reportSceneLoaded('living-room', 'Living Room');
+
+        expect((await call('connect')).result).toEqual({ loaded: true, scene: 'living-room', scenes: [], view: null, error: null });
+        expect((await call('getView')).result).toEqual({ yaw: 10, pitch: 0, hfov: 100 });
+        expect((await call('navigateToScene', ['lounge', { view: { yaw: 90 } }])).result).toBeNull();
+        expect(api.navigateToScene).toHaveBeenCalledWith('lounge', { view: { yaw: 90 } });
+        expect((await call('startAutoplay')).error).toBe('No script');
+        expect((await call('toString')).error).toBe('Unknown method "toString"');
+    });
+
+    it('ignores hosts that are not allowed', async () => {
+        await startEmbed({ allowedOrigins: ['https://listings.example.com'] });
+
+        const message = { source: 'home-tour-host', id: 1, method: 'connect' };
+        window.dispatchEvent(new MessageEvent('message', { data: message, origin: 'https://evil.example', source: window }));
+
+        expect(window.postMessage).not.toHaveBeenCalled();
+        expect(console.warn).toHaveBeenCalled();
+
+        expect((await call('connect', [], { origin: 'https://listings.example.com' })).result).toEqual({ loaded: false });
+    });
+});
+
+
+describe('loader', () => {
+    const TOUR_ORIGIN = 'https://tours.example.com';
+    let client;
+    let iframe;
+
+    function fromTour(data, origin = TOUR_ORIGIN) {
+        window.dispatchEvent(new MessageEvent('message', { data, origin, source: iframe.contentWindow }));
+    }
+
+    beforeEach(() => {
+        (0, eval)(LOADER);
+        document.body.innerHTML = '<div id="tour"></div>';
+        client = window.HomeTourEmbed.create('#tour', {
+            src: `${TOUR_ORIGIN}/?tour=maple`,
+            hide: ['header', 'nav']
+        });
+        iframe = client.iframe;
+        vi.spyOn(iframe.contentWindow, 'postMessage').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        client.destroy();
+    });
+
+    it('creates the iframe in embed mode', () => {
+        const src = new URL(iframe.src);
+
+        expect(iframe.parentElement.id).toBe('tour');
+        expect(src.searchParams.get('tour')).toBe('maple');
+        expect(src.searchParams.has('embed')).toBe(true);
+        expect(src.searchParams.get('hide')).toBe('header,nav');
+    });
+
+    it('connects on load, resolves ready and then forwards calls', async () => {
+        iframe.dispatchEvent(new Event('load'));
+        const [connect, origin] = iframe.contentWindow.postMessage.mock.calls[0];
+        expect(connect).toMatchObject({ source: 'home-tour-host', method: 'connect' });
+        expect(origin).toBe(TOUR_ORIGIN);
+
+        fromTour({ source: 'home-tour', id: connect.id, result: { loaded: true, scene: 'lounge', scenes: [], view: null } });
+        await expect(client.ready).resolves.toMatchObject({ scene: 'lounge' });
+
+        const navigation = client.navigateToScene('kitchen');
+        await vi.waitFor(() => expect(iframe.contentWindow.postMessage).toHaveBeenCalledTimes(2));
+        const [navigate] = iframe.contentWindow.postMessage.mock.calls[1];
+        expect(navigate).toMatchObject({ method: 'navigateToScene', params: ['kitchen'] });
+
+        fromTour({ source: 'home-tour', id: navigate.id, error: 'Unknown scene "kitchen"' });
+        await expect(navigation).rejects.toThrow('Unknown scene "kitchen"');
+    });
+
+    it('delivers events from the tour and ignores other origins', () => {
+        const listener = vi.fn();
+        client.on('sceneChanged', listener);
+
+        fromTour({ source: 'home-tour', event: 'sceneChanged', data: { scene: 'lounge' } }, 'https://evil.example');
+        fromTour({ source: 'home-tour', event: 'sceneChanged', data: { scene: 'lounge' } });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({ scene: 'lounge' });
+
+        client.off('sceneChanged', listener);
+        fromTour({ source: 'home-tour', event: 'sceneChanged', data: { scene: 'lounge' } });
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let events;
+
+beforeEach(async () => {
+    vi.resetModules();
+    events = await import('../src/events.js');
+});
+
+
+describe('event bus', () => {
+    it('calls listeners with the event fields and type', () => {
+        const listener = vi.fn();
+        events.on('sceneChange', listener);
+
+        events.emit('sceneChange', { sceneId: 'lounge' });
+
+        expect(listener.mock.calls[0][0]).toMatchObject({ type: 'sceneChange', sceneId: 'lounge' });
+    });
+
+    it('stops calling listeners that were removed', () => {
+        const first = vi.fn();
+        const second = vi.fn();
+        events.on('viewChange', first);
+        const unsubscribe = events.on('viewChange', second);
+
+        events.off('viewChange', first);
+        unsubscribe();
+        events.emit('viewChange');
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).not.toHaveBeenCalled();
+        expect(events.hasListeners('viewChange')).toBe(false);
+    });
+
+    it('tells watchers when an event gains its first listener and loses its last', () => {
+        const watcher = vi.fn();
+        events.watchListeners('viewChange', watcher);
+
+        const unsubscribe = events.on('viewChange', () => {});
+        const second = events.on('viewChange', () => {});
+        second();
+        expect(watcher.mock.calls).toEqual([[true]]);
+
+        unsubscribe();
+        expect(watcher.mock.calls).toEqual([[true], [false]]);
+    });
+
+    it('reports cancellation through the return value', () => {
+        expect(events.emit('beforeSceneChange')).toBe(true);
+
+        events.on('beforeSceneChange', event => event.preventDefault());
+
+        expect(events.emit('beforeSceneChange')).toBe(false);
+    });
+
+    it('keeps going when a listener throws', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const after = vi.fn();
+        events.on('error', () => {
+            throw new Error('broken plugin');
+        });
+        events.on('error', after);
+
+        events.emit('error', { kind: 'missing' });
+
+        expect(after).toHaveBeenCalled();
+        expect(error).toHaveBeenCalled();
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { tour } from '../src/state.js';
+import { hasFloors, getFloors, getFloorOf, getRoomOrder, getRoomPosition } from '../src/floors.js';
+
+const original = { scenes: tour.scenes, floors: tour.floors, floorPlan: tour.floorPlan };
+
+afterEach(() => {
+    Object.assign(tour, original);
+});
+
+
+describe('a tour without floors', () => {
+    it('is one floor holding every room, in order', () => {
+        const sceneIds = Object.keys(tour.scenes);
+
+        expect(hasFloors()).toBe(false);
+        expect(getFloors()).toEqual([{ id: null, title: null, floorPlan: tour.floorPlan, sceneIds }]);
+        expect(getRoomOrder()).toEqual(sceneIds);
+        expect(getRoomPosition('lounge')).toMatchObject({ current: 3, count: sceneIds.length });
+    });
+});
+
+
+describe('a two-storey tour', () => {
+    beforeEach(() => {
+        tour.floorPlan = { image: 'ground.svg' };
+        tour.floors = [
+            { id: 'ground', title: 'Ground floor' },
+            { id: 'upper', title: 'Upper floor', floorPlan: { image: 'upper.svg' } }
+        ];
+        // Declared out of floor order, as manifests often are
+        tour.scenes = {
+            hall: { id: 'hall', floor: 'ground' },
+            landing: { id: 'landing', floor: 'upper' },
+            kitchen: { id: 'kitchen', floor: 'ground' },
+            bedroom: { id: 'bedroom', floor: 'upper' },
+            bathroom: { id: 'bathroom', floor: 'upper' }
+        };
+    });
+
+    it('groups the rooms by floor, lowest first', () => {
+        expect(hasFloors()).toBe(true);
+        expect(getFloors().map(floor => floor.sceneIds)).toEqual([['hall', 'kitchen'], ['landing', 'bedroom', 'bathroom']]);
+        expect(getRoomOrder()).toEqual(['hall', 'kitchen', 'landing', 'bedroom', 'bathroom']);
+    });
+
+    it('uses the tour\'s floor plan for floors without their own', () => {
+        expect(getFloors().map(floor => floor.floorPlan.image)).toEqual(['ground.svg', 'upper.svg']);
+    });
+
+    it('numbers rooms from 1 on each floor', () => {
+        expect(getFloorOf('bedroom').id).toBe('upper');
+        expect(getRoomPosition('bedroom')).toMatchObject({ current: 2, count: 3, floor: { title: 'Upper floor' } });
+        expect(getRoomPosition('kitchen')).toMatchObject({ current: 2, count: 2, floor: { id: 'ground' } });
+    });
+});
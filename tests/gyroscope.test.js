@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+
+let gyroscope;
+let events;
+let viewer;
+let onStatusChange;
+
+/**
+ * Fresh gyroscope module steering a fake viewer that looks at yaw 10.
+ */
+async function startGyroscopeModule() {
+    vi.resetModules();
+    events = await import('../src/events.js');
+    gyroscope = await import('../src/gyroscope.js');
+
+    viewer = new FakeViewer(document.getElementById('panorama'), {
+        default: { firstScene: 'lounge' },
+        scenes: { lounge: { yaw: 10, pitch: 0, hfov: 100 } }
+    });
+    onStatusChange = vi.fn();
+    gyroscope.initGyroscope({ getViewer: () => viewer, minPitch: -50, maxPitch: 50, onStatusChange });
+}
+
+function tilt(alpha, beta, gamma = 0) {
+    window.dispatchEvent(Object.assign(new Event('deviceorientation'), { alpha, beta, gamma }));
+}
+
+function pointer(type, clientX, clientY) {
+    document.getElementById('panorama').dispatchEvent(new PointerEvent(type, { clientX, clientY, bubbles: true }));
+}
+
+const button = () => document.getElementById('btn-gyroscope');
+
+beforeEach(() => {
+    loadIndexHtml();
+    vi.stubGlobal('isSecureContext', true);
+});
+
+afterEach(() => {
+    gyroscope?.stopGyroscope();
+    vi.unstubAllGlobals();
+});
+
+
+describe('getDeviceDirection', () => {
+    it('follows the back of the phone in portrait and landscape', async () => {
+        await startGyroscopeModule();
+        const direction = (alpha, beta, gamma) => {
+            const { heading, pitch } = gyroscope.getDeviceDirection({ alpha, beta, gamma });
+            return [Math.round(heading) + 0, Math.round(pitch) + 0];   // + 0 turns -0 into 0
+        };
+
+        expect(direction(0, 90, 0)).toEqual([0, 0]);        // Upright, facing north
+        expect(direction(90, 90, 0)).toEqual([-90, 0]);     // Turned left
+        expect(direction(0, 120, 0)).toEqual([0, 30]);      // Tipped back to look up
+        expect(direction(0, 0, -90)).toEqual([90, 0]);      // Landscape, facing east
+        expect(direction(0, 0, 0)[1]).toBe(-90);            // Lying flat, camera down
+    });
+});
+
+
+describe('motion button', () => {
+    it('appears once the device sends a sensor reading', async () => {
+        await startGyroscopeModule();
+        expect(button().hidden).toBe(true);
+
+        tilt(null, null, null);
+        expect(button().hidden).toBe(true);
+
+        tilt(0, 90);
+        expect(button().hidden).toBe(false);
+    });
+
+    it('stays hidden outside a secure context', async () => {
+        vi.stubGlobal('isSecureContext', false);
+        await startGyroscopeModule();
+
+        tilt(0, 90);
+        expect(button().hidden).toBe(true);
+    });
+
+    it('asks for motion access on iOS before switching on', async () => {
+        const requestPermission = vi.fn(async () => 'granted');
+        vi.stubGlobal('DeviceOrientationEvent', class extends Event {
+            static requestPermission = requestPermission;
+        });
+        await startGyroscopeModule();
+        expect(button().hidden).toBe(false);
+
+        expect(await gyroscope.startGyroscope()).toBe(true);
+        expect(requestPermission).toHaveBeenCalled();
+        expect(button().getAttribute('aria-pressed')).toBe('true');
+        expect(onStatusChange).toHaveBeenCalledWith(true);
+    });
+
+    it('explains itself when motion access is refused', async () => {
+        vi.stubGlobal('DeviceOrientationEvent', class extends Event {
+            static requestPermission = vi.fn(async () => 'denied');
+        });
+        await startGyroscopeModule();
+
+        expect(await gyroscope.startGyroscope()).toBe(false);
+        expect(gyroscope.isGyroscopeActive()).toBe(false);
+        expect(button().disabled).toBe(true);
+        expect(button().getAttribute('aria-label')).toMatch(/Motion access is blocked/);
+    });
+});
+
+
+describe('steering', () => {
+    it('carries on from the current view and smooths the sensor', async () => {
+        await startGyroscopeModule();
+        await gyroscope.startGyroscope();
+
+        // First reading only calibrates: facing north is now yaw 10
+        tilt(0, 90);
+        expect(viewer.getYaw()).toBe(10);
+
+        // Turn 40° right: the camera eases towards yaw 50
+        tilt(-40, 90);
+        expect(viewer.getYaw()).toBeCloseTo(18);
+        for (let i = 0; i < 50; i++) tilt(-40, 90);
+        expect(viewer.getYaw()).toBeCloseTo(50);
+    });
+
+    it('keeps pitch within the tour limits', async () => {
+        await startGyroscopeModule();
+        await gyroscope.startGyroscope();
+
+        for (let i = 0; i < 50; i++) tilt(0, 170);      // Pointing almost straight up
+        expect(viewer.getPitch()).toBeCloseTo(50);
+    });
+
+    it('recalibrates when a new room loads', async () => {
+        await startGyroscopeModule();
+        await gyroscope.startGyroscope();
+        tilt(0, 90);
+        tilt(-40, 90);
+
+        viewer.view.yaw = -120;
+        events.emit('sceneChange', { sceneId: 'kitchen' });
+        tilt(-40, 90);
+        tilt(-40, 90);
+
+        expect(viewer.getYaw()).toBe(-120);
+    });
+
+    it('switches off when the panorama is dragged, but not on a tap', async () => {
+        await startGyroscopeModule();
+        await gyroscope.startGyroscope();
+
+        pointer('pointerdown', 100, 100);
+        pointer('pointermove', 104, 103);
+        pointer('pointerup', 104, 103);
+        expect(gyroscope.isGyroscopeActive()).toBe(true);
+
+        pointer('pointerdown', 100, 100);
+        pointer('pointermove', 140, 100);
+        expect(gyroscope.isGyroscopeActive()).toBe(false);
+        expect(button().getAttribute('aria-pressed')).toBe('false');
+        expect(onStatusChange).toHaveBeenLastCalledWith(false);
+
+        const yaw = viewer.getYaw();
+        tilt(-90, 90);
+        expect(viewer.getYaw()).toBe(yaw);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+
+const SUMMARY = {
+    tour: 'maple',
+    binSize: 90,
+    sessions: 3,
+    scenes: {
+        lounge: { visits: 4, dwell: 95000, gaze: { '2,1': 60000, '0,1': 15000 } }
+    }
+};
+
+let context;
+let scene;
+
+async function startHeatmap() {
+    vi.resetModules();
+    const events = await import('../src/events.js');
+    const { initHeatmap } = await import('../src/heatmap.js');
+    await initHeatmap({
+        endpoint: '/__analytics',
+        tourId: 'maple',
+        scenes: { lounge: { title: 'Lounge' }, kitchen: { title: 'Kitchen' } },
+        getCurrentScene: () => scene,
+        getImage: () => 'panos/lounge.jpg'
+    });
+    return events;
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    scene = 'lounge';
+    context = { clearRect: vi.fn(), fillRect: vi.fn() };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(SUMMARY))));
+});
+
+afterEach(() => {
+    localStorage.clear();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('heatmap', () => {
+    it('asks the endpoint for the tour and draws the current room', async () => {
+        await startHeatmap();
+
+        expect(new URL(fetch.mock.calls[0][0]).searchParams.get('tour')).toBe('maple');
+        expect(document.getElementById('heatmap').hidden).toBe(false);
+        expect(document.getElementById('heatmap-image').getAttribute('src')).toBe('panos/lounge.jpg');
+        expect(document.getElementById('heatmap-summary').textContent).toBe('Lounge: 4 visits in 3 sessions, 1m 35s in total.');
+
+        // 90° bins on a 360x180 canvas: yaw bin 2 starts at x=180, pitch bin 1 is the top half
+        expect(context.fillRect).toHaveBeenCalledWith(180, 0, 90, 90);
+        expect(context.fillRect).toHaveBeenCalledTimes(2);
+    });
+
+    it('follows the tour to rooms without data', async () => {
+        const events = await startHeatmap();
+
+        scene = 'kitchen';
+        events.emit('sceneChange', { sceneId: 'kitchen' });
+
+        expect(document.getElementById('heatmap-summary').textContent).toBe('Kitchen: no visits recorded yet.');
+    });
+
+    it('reports in the visitor\'s language', async () => {
+        await startHeatmap();
+        const { setLocale } = await import('../src/i18n.js');
+
+        setLocale('fr');
+
+        expect(document.getElementById('heatmap-summary').textContent).toBe('Lounge : 4 visites en 3 sessions, 1 min 35 s au total.');
+    });
+
+    it('says so when the endpoint has nothing to offer', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        fetch.mockResolvedValueOnce(new Response('', { status: 404 }));
+
+        await startHeatmap();
+
+        expect(document.getElementById('heatmap-summary').textContent).toBe('No analytics data available.');
+    });
+});
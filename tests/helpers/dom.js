@@ -0,0 +1,23 @@
+/**
+ * Test DOM
+ *
+ * Loads the real page markup into jsdom so modules find the elements they
+ * expect. Script tags are inert when set through innerHTML, so the app's
+ * entry point doesn't run.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Resolved as a path: under jsdom, `URL` is the browser's and can't open files
+const INDEX_HTML = readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), '../../index.html'), 'utf8');
+const BODY = INDEX_HTML.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+
+
+/**
+ * Replace the document body with index.html's.
+ */
+export function loadIndexHtml() {
+    document.body.innerHTML = BODY;
+}
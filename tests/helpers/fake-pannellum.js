@@ -0,0 +1,167 @@
+/**
+ * Fake Pannellum
+ *
+ * A stand-in for src/pannellum.js so the tour can run headless. It
+ * keeps just enough state to answer the viewer API the tour uses, records
+ * scene loads, camera moves and resizes, and never fires events on its own: tests
+ * call `viewer.emit('load')` or `viewer.emit('error', message)` to decide
+ * how each load ends.
+ */
+
+/**
+ * Create a fake `pannellum` module object. `viewers` lists every viewer it
+ * has created, in order.
+ *
+ * @returns {{ viewer: Function, viewers: FakeViewer[] }}
+ */
+export function createFakePannellum() {
+    const viewers = [];
+
+    return {
+        viewers,
+        viewer(container, config) {
+            const viewer = new FakeViewer(container, config);
+            viewers.push(viewer);
+            return viewer;
+        }
+    };
+}
+
+
+export class FakeViewer {
+    constructor(container, config) {
+        // A config without scenes is a single panorama
+        if (!config.scenes) {
+            config = { default: { firstScene: 'panorama' }, scenes: { panorama: config } };
+        }
+
+        this.container = container;
+        this.defaults = config.default;
+        this.scenes = { ...config.scenes };
+        this.listeners = {};
+        this.loadedScenes = [];
+        this.lookAtCalls = [];
+        this.resizes = 0;
+
+        this.showScene(config.default.firstScene, {});
+    }
+
+    // Events -----------------------------------------------------------------
+
+    on(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+        return this;
+    }
+
+    emit(type, ...args) {
+        (this.listeners[type] || []).forEach(listener => listener(...args));
+    }
+
+    // Scenes -----------------------------------------------------------------
+
+    addScene(sceneId, config) {
+        this.scenes[sceneId] = config;
+        return this;
+    }
+
+    loadScene(sceneId, pitch, yaw, hfov) {
+        this.showScene(sceneId, { pitch, yaw, hfov });
+        return this;
+    }
+
+    getScene() {
+        return this.sceneId;
+    }
+
+    getConfig() {
+        return this.config;
+    }
+
+    // Camera -----------------------------------------------------------------
+
+    getYaw() {
+        return this.view.yaw;
+    }
+
+    getPitch() {
+        return this.view.pitch;
+    }
+
+    getHfov() {
+        return this.view.hfov;
+    }
+
+    setPitch(pitch) {
+        this.view.pitch = pitch;
+        return this;
+    }
+
+    setYaw(yaw) {
+        this.view.yaw = yaw;
+        return this;
+    }
+
+    setHfov(hfov) {
+        this.view.hfov = hfov;
+        return this;
+    }
+
+    lookAt(pitch, yaw, hfov, duration) {
+        this.lookAtCalls.push({ pitch, yaw, hfov, duration });
+        this.view = {
+            pitch: pitch ?? this.view.pitch,
+            yaw: yaw ?? this.view.yaw,
+            hfov: hfov ?? this.view.hfov
+        };
+        return this;
+    }
+
+    stopMovement() {}
+
+    resize() {
+        this.resizes++;
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+
+    stopAutoRotate() {
+        return this;
+    }
+
+    mouseEventToCoords() {
+        return [this.view.pitch, this.view.yaw];
+    }
+
+    // Hotspots ---------------------------------------------------------------
+
+    addHotSpot(hotSpot) {
+        this.config.hotSpots.push(hotSpot);
+        return this;
+    }
+
+    removeHotSpot(id) {
+        const index = this.config.hotSpots.findIndex(hotSpot => hotSpot.id === id);
+        if (index === -1) return false;
+
+        this.config.hotSpots.splice(index, 1);
+        return true;
+    }
+
+    // Internals --------------------------------------------------------------
+
+    showScene(sceneId, { pitch, yaw, hfov }) {
+        const scene = this.scenes[sceneId];
+        const keep = (value, current, fallback) => value === 'same' ? current : value ?? fallback;
+
+        this.sceneId = sceneId;
+        this.view = {
+            pitch: keep(pitch, this.view?.pitch, scene.pitch),
+            yaw: keep(yaw, this.view?.yaw, scene.yaw),
+            hfov: keep(hfov, this.view?.hfov, scene.hfov)
+        };
+        this.config = { ...this.defaults, ...scene, hotSpots: [...(scene.hotSpots || [])] };
+        this.loadedScenes.push(sceneId);
+    }
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+
+let i18n;
+let events;
+
+/**
+ * Fresh i18n module started with the given browser languages and URL.
+ */
+async function startI18n({ languages = ['en-US'], search = '' } = {}) {
+    Object.defineProperty(navigator, 'languages', { configurable: true, get: () => languages });
+    window.history.replaceState(null, '', `/${search}`);
+
+    vi.resetModules();
+    events = await import('../src/events.js');
+    i18n = await import('../src/i18n.js');
+    i18n.initI18n();
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    localStorage.clear();
+});
+
+afterEach(() => {
+    delete navigator.languages;
+    window.history.replaceState(null, '', '/');
+});
+
+
+describe('locale detection', () => {
+    it('follows the browser, falling back from a regional tag to its language', async () => {
+        await startI18n({ languages: ['de-DE', 'es-MX', 'en'] });
+
+        expect(i18n.getLocale()).toBe('es');
+        expect(document.documentElement.lang).toBe('es');
+        expect(document.documentElement.dir).toBe('ltr');
+    });
+
+    it('prefers ?lang= over a remembered choice, and that over the browser', async () => {
+        localStorage.setItem('homeTourLocale', 'fr');
+        await startI18n({ languages: ['es'] });
+        expect(i18n.getLocale()).toBe('fr');
+
+        await startI18n({ languages: ['es'], search: '?lang=ar' });
+        expect(i18n.getLocale()).toBe('ar');
+        expect(document.documentElement.dir).toBe('rtl');
+    });
+
+    it('uses English when nothing matches', async () => {
+        await startI18n({ languages: ['ja-JP'], search: '?lang=xx' });
+
+        expect(i18n.getLocale()).toBe('en');
+    });
+});
+
+
+describe('switcher', () => {
+    it('lists the locales and switches the page live', async () => {
+        await startI18n();
+        const localeChange = vi.fn();
+        events.on('localeChange', localeChange);
+
+        const switcher = document.getElementById('locale-switcher');
+        expect([...switcher.options].map(option => option.value)).toEqual(['en', 'es', 'fr', 'ar']);
+        expect(switcher.value).toBe('en');
+
+        switcher.value = 'fr';
+        switcher.dispatchEvent(new Event('change'));
+
+        expect(document.getElementById('btn-zoom-in').getAttribute('aria-label')).toBe('Zoom avant');
+        expect(document.querySelector('[data-i18n="rooms.heading"]').textContent).toBe('Explorer les pièces');
+        expect(localStorage.getItem('homeTourLocale')).toBe('fr');
+        expect(localeChange).toHaveBeenCalledWith(expect.objectContaining({ locale: 'fr', previousLocale: 'en' }));
+    });
+
+    it('rejects locales it has no catalog for', async () => {
+        await startI18n();
+
+        expect(() => i18n.setLocale('de')).toThrow('Unsupported locale "de"');
+    });
+});
+
+
+describe('messages', () => {
+    it('fills in placeholders and picks plural forms', async () => {
+        await startI18n();
+
+        expect(i18n.t('rooms.counter', { current: 1, count: 1 })).toBe('1 of 1 room');
+        expect(i18n.t('rooms.counter', { current: 2, count: 4 })).toBe('2 of 4 rooms');
+        expect(i18n.t('hotspot.goTo', { room: 'Lounge' })).toBe('Go to Lounge');
+
+        i18n.setLocale('ar');
+        expect(i18n.t('rooms.counter', { current: 1, count: 2 })).toBe('1 من غرفتين');
+        expect(i18n.t('rooms.counter', { current: 1, count: 4 })).toBe('1 من 4 غرف');
+    });
+
+    it('falls back to English, then to the key', async () => {
+        await startI18n({ languages: ['fr'] });
+
+        expect(i18n.t('no.such.key')).toBe('no.such.key');
+        expect(i18n.t('controls.zoomIn')).toBe('Zoom avant');
+    });
+
+    it('formats numbers for the locale', async () => {
+        await startI18n({ languages: ['fr'] });
+
+        expect(i18n.formatNumber(1234.5)).toBe(new Intl.NumberFormat('fr').format(1234.5));
+    });
+});
+
+
+describe('content', () => {
+    it('localizes translated fields and passes plain text through', async () => {
+        await startI18n({ languages: ['fr-CA'] });
+
+        expect(i18n.localize({ en: 'Kitchen', fr: 'Cuisine' })).toBe('Cuisine');
+        expect(i18n.localize({ en: 'Kitchen', es: 'Cocina' })).toBe('Kitchen');
+        expect(i18n.localize({ es: 'Cocina' })).toBe('Cocina');
+        expect(i18n.localize('Kitchen')).toBe('Kitchen');
+        expect(i18n.localize(undefined)).toBe('');
+    });
+
+    it('writes edits into the current locale without losing other translations', async () => {
+        await startI18n({ languages: ['es'] });
+
+        expect(i18n.setLocalized({ en: 'Kitchen' }, 'Cocina')).toEqual({ en: 'Kitchen', es: 'Cocina' });
+        expect(i18n.setLocalized('Kitchen', 'Cocina')).toEqual({ en: 'Kitchen', es: 'Cocina' });
+        expect(i18n.setLocalized(undefined, 'Cocina')).toBe('Cocina');
+
+        i18n.setLocale('en');
+        expect(i18n.setLocalized('Kitchen', 'Galley')).toBe('Galley');
+    });
+
+    it('shows the room UI in the chosen language', async () => {
+        await startI18n({ languages: ['fr'] });
+        const { state, elements, cacheElements } = await import('../src/state.js');
+        const { updateUI, renderRoomButtons } = await import('../src/ui.js');
+        cacheElements();
+        state.currentScene = 'lounge';
+
+        renderRoomButtons(() => {});
+        updateUI();
+
+        expect(elements.currentRoomName.textContent).toBe('Espace détente');
+        expect(elements.roomCounter.textContent).toBe('3 sur 4 pièces');
+        expect(document.getElementById('room-btn-lounge').getAttribute('aria-label')).toBe('Aller à : Espace détente');
+    });
+});
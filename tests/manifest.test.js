@@ -0,0 +1,270 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateManifest, getManifestUrl, getPropertyLink, loadManifest, ManifestError } from '../src/manifest.js';
+import { SCENE_CONFIG, FLOOR_PLAN, DEFAULT_SCENE } from '../src/config.js';
+
+const SAMPLE_MANIFEST = JSON.parse(readFileSync(
+    resolve(dirname(fileURLToPath(import.meta.url)), '../public/tours/sample-home/tour.json'),
+    'utf8'
+));
+
+/**
+ * A valid two-room manifest to break in individual tests.
+ */
+function minimalManifest() {
+    return {
+        version: 1,
+        scenes: {
+            hall: {
+                title: 'Hall',
+                image: 'hall.jpg',
+                hotspots: [{ targetScene: 'kitchen', yaw: 90, pitch: 0, label: 'Kitchen' }]
+            },
+            kitchen: {
+                title: 'Kitchen',
+                image: 'kitchen.jpg',
+                hotspots: [{ type: 'info', yaw: 0, pitch: -10, title: 'Island', text: '<p>Quartz top</p>' }]
+            }
+        }
+    };
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+
+describe('validateManifest', () => {
+    it('accepts the built-in tour', () => {
+        const manifest = { version: 1, defaultScene: DEFAULT_SCENE, floorPlan: FLOOR_PLAN, scenes: SCENE_CONFIG };
+
+        expect(validateManifest(manifest)).toEqual([]);
+    });
+
+    it('accepts the published sample manifest', () => {
+        expect(validateManifest(SAMPLE_MANIFEST)).toEqual([]);
+    });
+
+    it('rejects unsupported versions and empty tours', () => {
+        expect(validateManifest({ version: 2, scenes: {} })).toEqual([
+            'version: expected one of 1, got 2',
+            'scenes: must be an object with at least one scene'
+        ]);
+    });
+
+    it('reports hotspots that lead nowhere', () => {
+        const manifest = minimalManifest();
+        manifest.scenes.hall.hotspots[0].targetScene = 'attic';
+
+        expect(validateManifest(manifest)).toEqual([
+            expect.stringContaining('scenes["hall"].hotspots[0].targetScene')
+        ]);
+    });
+
+    it('reports scenes without a title or panorama', () => {
+        const manifest = minimalManifest();
+        delete manifest.scenes.kitchen.title;
+        delete manifest.scenes.kitchen.image;
+
+        const errors = validateManifest(manifest);
+        expect(errors).toContain('scenes["kitchen"].title: is required');
+        expect(errors.some(error => error.startsWith('scenes["kitchen"]') && /image/.test(error))).toBe(true);
+    });
+
+    it('requires camera heights to be positive lengths', () => {
+        const manifest = minimalManifest();
+        manifest.scenes.hall.cameraHeight = 1.5;
+        manifest.scenes.kitchen.cameraHeight = -1;
+
+        expect(validateManifest(manifest)).toEqual(['scenes["kitchen"].cameraHeight: must be a positive number of metres']);
+    });
+
+    it('checks room versions and their panoramas', () => {
+        const manifest = minimalManifest();
+        manifest.scenes.hall.versionLabel = { en: 'Daylight', fr: 'Jour' };
+        manifest.scenes.hall.versions = [{ id: 'dusk', label: 'Dusk', image: 'hall-dusk.jpg' }];
+        expect(validateManifest(manifest)).toEqual([]);
+
+        manifest.scenes.hall.versions.push({ id: 'dusk', image: 'hall-dusk-2.jpg' }, { id: 'staged', label: 'Staged' });
+        manifest.scenes.kitchen.versions = [];
+
+        expect(validateManifest(manifest)).toEqual([
+            'scenes["hall"].versions[1].id: "dusk" is used twice',
+            'scenes["hall"].versions[1].label: is required',
+            'scenes["hall"].versions[2]: needs one of image, variants, multiRes or cubeMap',
+            'scenes["kitchen"].versions: must be a non-empty list'
+        ]);
+    });
+
+    it('accepts translated text and reports malformed translations', () => {
+        const manifest = minimalManifest();
+        manifest.scenes.hall.title = { en: 'Hall', 'pt-BR': 'Entrada' };
+        manifest.scenes.hall.hotspots[0].label = { en: 'Kitchen', fr: 'Cuisine' };
+        expect(validateManifest(manifest)).toEqual([]);
+
+        manifest.scenes.kitchen.title = {};
+        manifest.scenes.kitchen.hotspots[0].text = { 'not a locale': '<p>Quartz top</p>' };
+        manifest.scenes.hall.description = { fr: '' };
+
+        expect(validateManifest(manifest)).toEqual([
+            'scenes["hall"].description: must be text',
+            'scenes["kitchen"].title: is required',
+            'scenes["kitchen"].hotspots[0].text: must be text'
+        ]);
+    });
+
+    it('reports guided tour stops in unknown scenes', () => {
+        const manifest = minimalManifest();
+        manifest.guidedTour = [{ scene: 'garden', keyframes: [] }];
+
+        expect(validateManifest(manifest)).toEqual([
+            'guidedTour[0].scene: "garden" is not one of the defined scenes'
+        ]);
+    });
+
+    it('checks floors and the scenes placed on them', () => {
+        const manifest = minimalManifest();
+        manifest.floors = [{ id: 'ground', title: 'Ground floor' }, { id: 'upper', title: { en: 'Upper floor' } }];
+        manifest.scenes.hall.floor = 'ground';
+        manifest.scenes.kitchen.floor = 'upper';
+        manifest.scenes.hall.hotspots[0].via = 'stairs';
+        expect(validateManifest(manifest)).toEqual([]);
+
+        manifest.floors.push({ id: 'ground' });
+        manifest.scenes.kitchen.floor = 'attic';
+        manifest.scenes.hall.hotspots[0].via = 'ladder';
+
+        expect(validateManifest(manifest)).toEqual([
+            'floors[2].id: "ground" is used by another floor',
+            'floors[2].title: is required',
+            'scenes["hall"].hotspots[0].via: must be one of "stairs", "elevator"',
+            'scenes["kitchen"].floor: "attic" is not one of the declared floors'
+        ]);
+    });
+
+    it('requires every scene to have a floor once floors are declared', () => {
+        const manifest = { ...minimalManifest(), floors: [{ id: 'ground', title: 'Ground floor' }] };
+        manifest.scenes.hall.floor = 'ground';
+
+        expect(validateManifest(manifest)).toEqual(['scenes["kitchen"].floor: is required when the tour has floors']);
+    });
+
+    it('checks the property list', () => {
+        const manifest = minimalManifest();
+        manifest.properties = [{ title: 'Unit A', tour: 'unit-a' }, { title: 'Unit B', manifest: '../unit-b/tour.json' }];
+        expect(validateManifest(manifest)).toEqual([]);
+
+        manifest.properties.push({ title: 'Unit C' }, { title: 'Unit D', tour: '../admin' });
+
+        expect(validateManifest(manifest)).toEqual([
+            'properties[2]: needs either a "tour" slug or a "manifest" URL',
+            'properties[3].tour: may only contain letters, numbers, "-" and "_"'
+        ]);
+    });
+
+    it('rejects unknown viewer settings', () => {
+        const manifest = { ...minimalManifest(), viewerSettings: { hfovv: 100 } };
+
+        expect(validateManifest(manifest)).toEqual(['viewerSettings.hfovv: unknown setting']);
+    });
+});
+
+
+describe('getManifestUrl', () => {
+    it('maps a tour slug to its manifest', () => {
+        expect(getManifestUrl('?tour=sample-home')).toBe('tours/sample-home/tour.json');
+    });
+
+    it('prefers an explicit manifest URL', () => {
+        expect(getManifestUrl('?tour=a&manifest=tours/a/tour.json')).toBe('tours/a/tour.json');
+    });
+
+    it('loads manifests from other sites only when they\'re allowed', () => {
+        const search = '?manifest=https://cdn.example.com/t.json';
+
+        expect(() => getManifestUrl(search)).toThrow(ManifestError);
+        expect(getManifestUrl(search, ['https://cdn.example.com'])).toBe('https://cdn.example.com/t.json');
+    });
+
+    it('refuses slugs that could escape tours/', () => {
+        expect(() => getManifestUrl('?tour=../admin')).toThrow(ManifestError);
+    });
+
+    it('returns null when no manifest is requested', () => {
+        expect(getManifestUrl('')).toBeNull();
+    });
+});
+
+
+describe('getPropertyLink', () => {
+    it('swaps the tour and keeps the page\'s other options', () => {
+        const page = 'https://homes.example.com/?tour=unit-a&embed#scene=kitchen';
+
+        expect(getPropertyLink({ tour: 'unit-b' }, page)).toBe('https://homes.example.com/?embed=&tour=unit-b');
+        expect(getPropertyLink({ manifest: 'https://cdn.example.com/c.json' }, page))
+            .toBe('https://homes.example.com/?embed=&manifest=https%3A%2F%2Fcdn.example.com%2Fc.json');
+    });
+});
+
+
+describe('loadManifest', () => {
+    it('resolves panorama paths against the manifest URL', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json(minimalManifest())));
+
+        const tour = await loadManifest('https://tours.example.com/hall/tour.json');
+
+        expect(tour.scenes.hall.image).toBe('https://tours.example.com/hall/hall.jpg');
+        expect(tour.scenes.hall.versions).toBeUndefined();
+        expect(tour.scenes.hall.initialView).toEqual({ yaw: 0, pitch: 0, hfov: 110 });
+        expect(tour.defaultScene).toBe('hall');
+        expect(tour.floors).toBeNull();
+    });
+
+    it('resolves room version panoramas too', async () => {
+        const manifest = minimalManifest();
+        manifest.scenes.hall.versions = [{ id: 'dusk', label: 'Dusk', image: 'dusk/hall.jpg' }];
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json(manifest)));
+
+        const tour = await loadManifest('https://tours.example.com/hall/tour.json');
+
+        expect(tour.scenes.hall.versions).toEqual([
+            expect.objectContaining({ id: 'dusk', label: 'Dusk', image: 'https://tours.example.com/hall/dusk/hall.jpg' })
+        ]);
+    });
+
+    it('resolves floor plans and sibling properties against the manifest URL', async () => {
+        const manifest = {
+            ...minimalManifest(),
+            floors: [{ id: 'ground', title: 'Ground floor', floorPlan: { image: 'plans/ground.svg' } }],
+            properties: [{ title: 'Unit B', manifest: '../unit-b/tour.json' }, { title: 'Unit C', tour: 'unit-c' }]
+        };
+        manifest.scenes.hall.floor = 'ground';
+        manifest.scenes.kitchen.floor = 'ground';
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json(manifest)));
+
+        const tour = await loadManifest('https://tours.example.com/unit-a/tour.json');
+
+        expect(tour.floors[0].floorPlan.image).toBe('https://tours.example.com/unit-a/plans/ground.svg');
+        expect(tour.properties).toEqual([
+            { title: 'Unit B', manifest: 'https://tours.example.com/unit-b/tour.json' },
+            { title: 'Unit C', tour: 'unit-c' }
+        ]);
+    });
+
+    it('explains why an invalid manifest was rejected', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => Response.json({ version: 1 })));
+
+        await expect(loadManifest('/tours/broken/tour.json')).rejects.toMatchObject({
+            message: 'Tour manifest is invalid',
+            details: ['scenes: must be an object with at least one scene']
+        });
+    });
+
+    it('reports a missing tour', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+
+        await expect(loadManifest('/tours/nope/tour.json')).rejects.toThrow('Tour not found (HTTP 404)');
+    });
+});
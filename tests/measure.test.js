@@ -0,0 +1,241 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+
+const SCENES = {
+    lounge: { cameraHeight: 1.5 },
+    garden: {}
+};
+
+let measure;
+let events;
+let viewer;
+let currentScene;
+let onStatusChange;
+
+/**
+ * Fresh measure module in the lounge, with the camera 1.5 m above the floor.
+ */
+async function startMeasureModule() {
+    vi.resetModules();
+    events = await import('../src/events.js');
+    measure = await import('../src/measure.js');
+
+    viewer = new FakeViewer(document.getElementById('panorama'), {
+        default: { firstScene: 'lounge' },
+        scenes: { lounge: { yaw: 0, pitch: 0, hfov: 90 } }
+    });
+    currentScene = 'lounge';
+    onStatusChange = vi.fn();
+    measure.initMeasure({ scenes: SCENES, getViewer: () => viewer, getCurrentScene: () => currentScene, onStatusChange });
+}
+
+/**
+ * Click the panorama where the viewer sees `pitch`/`yaw`.
+ */
+function clickAt(pitch, yaw) {
+    vi.spyOn(viewer, 'mouseEventToCoords').mockReturnValueOnce([pitch, yaw]);
+    document.getElementById('panorama').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+}
+
+/**
+ * jsdom's Blob has no text(), so read it the old way.
+ */
+function readBlob(blob) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+}
+
+const button = () => document.getElementById('btn-measure');
+const status = () => document.getElementById('measure-status').textContent;
+
+beforeEach(() => {
+    loadIndexHtml();
+    localStorage.clear();
+    vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+});
+
+afterEach(() => {
+    document.body.classList.remove('measuring');
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('geometry', () => {
+    beforeEach(startMeasureModule);
+
+    it('finds clicked floor points from the camera height', () => {
+        const point = measure.getFloorPosition({ yaw: 90, pitch: -45 }, 1.5);
+
+        [1.5, -1.5, 0].forEach((value, axis) => expect(point[axis]).toBeCloseTo(value));
+        expect(measure.getFloorPosition({ yaw: 0, pitch: -1 }, 1.5)).toBeNull();
+    });
+
+    it('measures the distance between two floor points', () => {
+        const result = measure.measureBetween({ yaw: 0, pitch: -45 }, { yaw: 90, pitch: -45 }, 1.5);
+
+        expect(result.kind).toBe('distance');
+        expect(result.length).toBeCloseTo(1.5 * Math.SQRT2);
+    });
+
+    it('measures a height straight up from a floor point', () => {
+        const result = measure.measureBetween({ yaw: 30, pitch: -45 }, { yaw: 35, pitch: 45 }, 1.5);
+
+        expect(result.kind).toBe('height');
+        expect(result.length).toBeCloseTo(3);
+        expect(result.points[1].yaw).toBeCloseTo(30);
+        expect(result.points[1].pitch).toBeCloseTo(45);
+    });
+
+    it('projects room points onto the screen', () => {
+        const view = { yaw: 0, pitch: 0, hfov: 90 };
+
+        expect(measure.projectPoint([0, 0, -2], view, 800, 600)).toEqual({ x: 400, y: 300 });
+        expect(measure.projectPoint([2, 0, -2], view, 800, 600).x).toBeCloseTo(800);
+        expect(measure.projectPoint([0, 0, 2], view, 800, 600)).toBeNull();
+    });
+});
+
+
+describe('units', () => {
+    beforeEach(startMeasureModule);
+
+    it('shows metres or feet and inches', () => {
+        expect(measure.formatLength(2.1213, 'metric')).toBe('2.12 m');
+        expect(measure.formatLength(3, 'imperial')).toBe('9 ft 10 in');
+    });
+
+    it('defaults to the units of the visitor\'s region', () => {
+        // jsdom reports en-US
+        expect(document.getElementById('measure-units').value).toBe('imperial');
+    });
+
+    it('remembers the visitor\'s choice', async () => {
+        measure.setMeasureUnits('metric');
+        await startMeasureModule();
+
+        expect(document.getElementById('measure-units').value).toBe('metric');
+        expect(measure.formatLength(0.3048)).toBe('0.3 m');
+    });
+});
+
+
+describe('measure mode', () => {
+    beforeEach(async () => {
+        await startMeasureModule();
+        measure.setMeasureUnits('metric');
+    });
+
+    it('is offered only in rooms with a camera height', () => {
+        expect(button().hidden).toBe(false);
+
+        currentScene = 'garden';
+        events.emit('sceneChange', { sceneId: 'garden' });
+
+        expect(button().hidden).toBe(true);
+        expect(measure.startMeasure()).toBe(false);
+    });
+
+    it('measures between two clicked floor points', () => {
+        button().click();
+        expect(measure.isMeasureActive()).toBe(true);
+        expect(onStatusChange).toHaveBeenCalledWith(true);
+
+        clickAt(-45, 0);
+        clickAt(-45, 90);
+
+        expect(measure.getMeasurements()).toMatchObject([{ sceneId: 'lounge', kind: 'distance' }]);
+        expect(status()).toBe('Distance: 2.12 m');
+        expect(document.querySelectorAll('#measure-overlay .measure-shape')).toHaveLength(1);
+        expect(document.querySelector('#measure-overlay text').textContent).toBe('2.12 m');
+    });
+
+    it('refuses a first point above the floor', () => {
+        measure.startMeasure();
+        clickAt(10, 0);
+
+        expect(status()).toBe('Click lower - points on the floor must be below the horizon');
+        expect(measure.getMeasurements()).toEqual([]);
+    });
+
+    it('ignores clicks on hotspots and drags', () => {
+        measure.startMeasure();
+        const panorama = document.getElementById('panorama');
+        const hotspot = document.createElement('div');
+        hotspot.dataset.hotspotIndex = '0';
+        panorama.appendChild(hotspot);
+
+        hotspot.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        panorama.dispatchEvent(new PointerEvent('pointerdown', { clientX: 0, clientY: 0 }));
+        panorama.dispatchEvent(new MouseEvent('click', { clientX: 80, clientY: 0 }));
+
+        expect(status()).toBe('Click a point on the floor to start measuring');
+    });
+
+    it('drops a half-finished measurement on Escape, then stops', () => {
+        measure.startMeasure();
+        clickAt(-45, 0);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(measure.isMeasureActive()).toBe(true);
+        expect(status()).toBe('Click a point on the floor to start measuring');
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(measure.isMeasureActive()).toBe(false);
+        expect(document.getElementById('measure-panel').hidden).toBe(true);
+        expect(button().getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('keeps each room\'s measurements to itself', () => {
+        measure.startMeasure();
+        clickAt(-45, 0);
+        clickAt(-45, 90);
+
+        currentScene = 'garden';
+        events.emit('sceneChange', { sceneId: 'garden' });
+
+        expect(measure.isMeasureActive()).toBe(false);
+        expect(document.querySelectorAll('#measure-overlay .measure-shape')).toHaveLength(0);
+        expect(measure.getMeasurements()).toHaveLength(1);
+    });
+});
+
+
+describe('exportMeasurements', () => {
+    beforeEach(async () => {
+        await startMeasureModule();
+        measure.setMeasureUnits('metric');
+    });
+
+    it('downloads every measurement with its scene and yaw/pitch', async () => {
+        let blob;
+        URL.createObjectURL = vi.fn(value => {
+            blob = value;
+            return 'blob:measurements';
+        });
+        URL.revokeObjectURL = vi.fn();
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        measure.startMeasure();
+        clickAt(-45, 0);
+        clickAt(45, 0);
+        document.getElementById('btn-measure-export').click();
+
+        expect(click).toHaveBeenCalled();
+        expect(JSON.parse(await readBlob(blob))).toEqual({
+            units: 'metric',
+            measurements: [{
+                scene: 'lounge',
+                kind: 'height',
+                length: 3,
+                display: '3 m',
+                points: [{ yaw: 0, pitch: -45 }, { yaw: 0, pitch: 45 }]
+            }]
+        });
+    });
+});
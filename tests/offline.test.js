@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { SCENE_CONFIG, FLOOR_PLAN } from '../src/config.js';
+import { getTourAssetUrls } from '../src/offline.js';
+
+/**
+ * Minimal service worker container: registration, readiness and a worker
+ * that answers 'cache-urls' with the given failures.
+ */
+function installServiceWorker({ failed = [], waiting = null, controller = {} } = {}) {
+    const worker = {
+        postMessage: vi.fn((message, [port] = []) => port?.postMessage({ failed }))
+    };
+    const registration = Object.assign(new EventTarget(), {
+        waiting,
+        installing: null,
+        update: vi.fn(async () => {})
+    });
+    const container = Object.assign(new EventTarget(), {
+        controller,
+        register: vi.fn(async () => registration),
+        ready: Promise.resolve({ active: worker })
+    });
+
+    Object.defineProperty(navigator, 'serviceWorker', { value: container, configurable: true });
+    return { worker, registration, container };
+}
+
+class FakeMessageChannel {
+    constructor() {
+        this.port1 = {};
+        this.port2 = { postMessage: data => this.port1.onmessage({ data }) };
+    }
+}
+
+async function startOffline() {
+    vi.resetModules();
+    const { initOffline } = await import('../src/offline.js');
+    await initOffline({ scenes: SCENE_CONFIG, floorPlan: FLOOR_PLAN });
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    vi.stubGlobal('MessageChannel', FakeMessageChannel);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete navigator.serviceWorker;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('getTourAssetUrls', () => {
+    it('lists panoramas, info images and the floor plan once each', () => {
+        const scenes = {
+            hall: {
+                image: 'panos/hall.jpg',
+                hotspots: [
+                    { type: 'info', title: 'Stairs', image: 'images/stairs.jpg' },
+                    { targetScene: 'loft' }
+                ]
+            },
+            loft: {
+                cubeMap: ['f.jpg', 'r.jpg', 'b.jpg', 'l.jpg', 'u.jpg', 'd.jpg'],
+                hotspots: [{ type: 'info', title: 'Stairs', image: 'images/stairs.jpg' }]
+            },
+            attic: {
+                multiRes: { basePath: 'panos/attic-tiles' },
+                hotspots: []
+            }
+        };
+
+        expect(getTourAssetUrls(scenes, { image: 'images/plan.svg' })).toEqual([
+            'panos/hall.jpg',
+            'images/stairs.jpg',
+            'f.jpg', 'r.jpg', 'b.jpg', 'l.jpg', 'u.jpg', 'd.jpg',
+            'images/plan.svg'
+        ]);
+    });
+
+    it('uses the given picker for equirectangular images', () => {
+        const scenes = {
+            hall: {
+                variants: [{ width: 1024, image: 'hall-1024.jpg' }, { width: 4096, image: 'hall-4096.jpg' }],
+                hotspots: []
+            }
+        };
+        const pick = () => ({ preview: 'hall-1024.jpg', full: 'hall-4096.jpg' });
+
+        expect(getTourAssetUrls(scenes, null, pick)).toEqual(['hall-1024.jpg', 'hall-4096.jpg']);
+    });
+
+    it('includes every version of a room', () => {
+        const scenes = {
+            hall: {
+                image: 'panos/hall.jpg',
+                versions: [{ id: 'dusk', label: 'Dusk', image: 'panos/hall-dusk.jpg' }],
+                hotspots: []
+            }
+        };
+
+        expect(getTourAssetUrls(scenes, null)).toEqual(['panos/hall.jpg', 'panos/hall-dusk.jpg']);
+    });
+});
+
+
+describe('initOffline', () => {
+    it('does nothing without service worker support', async () => {
+        await startOffline();
+
+        expect(document.getElementById('offline-status').hidden).toBe(true);
+    });
+
+    it('saves the tour and reports it available offline', async () => {
+        const { worker, container } = installServiceWorker();
+        await startOffline();
+
+        expect(container.register).toHaveBeenCalledWith('sw.js');
+        const [message] = worker.postMessage.mock.calls[0];
+        expect(message.type).toBe('cache-urls');
+        expect(message.urls).toContain(new URL('panos/lounge.jpg', document.baseURI).href);
+
+        const status = document.getElementById('offline-status');
+        expect(status.hidden).toBe(false);
+        expect(status.dataset.state).toBe('ready');
+        expect(document.getElementById('offline-status-text').textContent).toBe('Available offline');
+    });
+
+    it('flags the tour when some files could not be saved', async () => {
+        installServiceWorker({ failed: ['http://localhost:3000/panos/lounge.jpg'] });
+        await startOffline();
+
+        expect(document.getElementById('offline-status').dataset.state).toBe('incomplete');
+        expect(document.getElementById('offline-status-text').textContent).toBe('Partly available offline');
+    });
+
+    it('prompts to reload when a new version is waiting, and activates it', async () => {
+        const waiting = { postMessage: vi.fn() };
+        installServiceWorker({ waiting });
+        await startOffline();
+
+        const prompt = document.getElementById('update-prompt');
+        expect(prompt.hidden).toBe(false);
+
+        document.getElementById('btn-update-reload').click();
+
+        expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'skip-waiting' });
+        expect(prompt.hidden).toBe(true);
+    });
+
+    it('does not prompt on the first install', async () => {
+        installServiceWorker({ waiting: { postMessage: vi.fn() }, controller: null });
+        await startOffline();
+
+        expect(document.getElementById('update-prompt').hidden).toBe(true);
+    });
+});
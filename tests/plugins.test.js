@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+
+let plugins;
+let onHotspotTypesChange;
+
+beforeEach(async () => {
+    vi.resetModules();
+    loadIndexHtml();
+    plugins = await import('../src/plugins.js');
+    onHotspotTypesChange = vi.fn();
+    plugins.initPlugins({ api: { getCurrentScene: () => 'lounge' }, onHotspotTypesChange });
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+
+describe('registerPlugin', () => {
+    it('runs setup with the tour API and extension points', () => {
+        const setup = vi.fn();
+
+        plugins.registerPlugin({ name: 'stats', setup });
+
+        const [api] = setup.mock.calls[0];
+        expect(api.getCurrentScene()).toBe('lounge');
+        expect(typeof api.registerHotspotType).toBe('function');
+        expect(typeof api.addPanel).toBe('function');
+    });
+
+    it('accepts a bare setup function', () => {
+        const setup = vi.fn();
+
+        plugins.registerPlugin(setup);
+
+        expect(setup).toHaveBeenCalled();
+    });
+
+    it('rejects malformed plugins and duplicate names', () => {
+        expect(() => plugins.registerPlugin({ name: 'broken' })).toThrow(/setup\(\)/);
+
+        plugins.registerPlugin({ name: 'stats', setup() {} });
+        expect(() => plugins.registerPlugin({ name: 'stats', setup() {} })).toThrow(/already registered/);
+    });
+
+    it('logs a plugin whose setup throws instead of passing the error on', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => plugins.registerPlugin({ name: 'crashy', setup() { throw new Error('boom'); } })).not.toThrow();
+        expect(error.mock.calls[0][0]).toMatch(/"crashy" failed to set up/);
+    });
+
+    it('logs broken queued plugins and registers the rest', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const setup = vi.fn();
+
+        [{ name: 'broken' }, { name: 'stats', setup }, { name: 'stats', setup }].forEach(plugins.registerQueuedPlugin);
+
+        expect(setup).toHaveBeenCalledTimes(1);
+        expect(error).toHaveBeenCalledTimes(2);
+    });
+});
+
+
+describe('registerHotspotType', () => {
+    it('stores the type and refreshes hotspots', () => {
+        const definition = { render() {} };
+
+        plugins.registerHotspotType('video', definition);
+
+        expect(plugins.getHotspotType('video')).toBe(definition);
+        expect(onHotspotTypesChange).toHaveBeenCalled();
+    });
+
+    it('refuses built-in names, duplicates and missing renderers', () => {
+        plugins.registerHotspotType('video', { render() {} });
+
+        expect(() => plugins.registerHotspotType('info', { render() {} })).toThrow(/already exists/);
+        expect(() => plugins.registerHotspotType('video', { render() {} })).toThrow(/already exists/);
+        expect(() => plugins.registerHotspotType('audio', {})).toThrow(/render/);
+    });
+});
+
+
+describe('addPanel', () => {
+    it('adds a titled panel and removes it again', () => {
+        const container = document.getElementById('plugin-panels');
+
+        const panel = plugins.addPanel({
+            id: 'mortgage',
+            title: 'Mortgage',
+            render: body => {
+                body.textContent = '$2,150 / month';
+            }
+        });
+
+        expect(container.hidden).toBe(false);
+        expect(panel.element.id).toBe('plugin-panel-mortgage');
+        expect(panel.element.querySelector('h2').textContent).toBe('Mortgage');
+        expect(panel.element.textContent).toContain('$2,150 / month');
+        expect(() => plugins.addPanel({ id: 'mortgage', title: 'Again', render() {} })).toThrow(/already exists/);
+
+        panel.remove();
+
+        expect(document.getElementById('plugin-panel-mortgage')).toBeNull();
+        expect(container.hidden).toBe(true);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const URL_A = 'https://tours.example.com/panos/kitchen.jpg';
+
+let preloader;
+let cached;
+
+/**
+ * Cache Storage holding whatever `cached` maps each URL to.
+ */
+function fakeCaches() {
+    const cache = {
+        match: vi.fn(async url => cached.get(url)?.clone()),
+        put: vi.fn(async (url, response) => {
+            cached.set(url, response);
+        })
+    };
+    return { open: vi.fn(async () => cache), cache };
+}
+
+const image = (body, headers = {}) => new Response(body, { headers: { 'Content-Type': 'image/jpeg', ...headers } });
+
+beforeEach(async () => {
+    vi.resetModules();
+    preloader = await import('../src/preloader.js');
+
+    cached = new Map();
+    vi.stubGlobal('caches', fakeCaches());
+    vi.stubGlobal('fetch', vi.fn());
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(blob => `blob:${blob.size}`);
+});
+
+afterEach(() => {
+    delete navigator.connection;
+    delete navigator.serviceWorker;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('panorama cache', () => {
+    it('downloads a panorama once and keeps a copy', async () => {
+        fetch.mockResolvedValue(image('new', { ETag: '"2"' }));
+
+        expect(await preloader.loadPanorama(URL_A)).toBe('blob:3');
+        expect(cached.has(URL_A)).toBe(true);
+    });
+
+    it('serves the cached copy, then checks it against the server', async () => {
+        cached.set(URL_A, image('old', { ETag: '"1"' }));
+        fetch.mockResolvedValue(image('newer', { ETag: '"2"' }));
+
+        expect(await preloader.loadPanorama(URL_A)).toBe('blob:3');
+
+        await vi.waitFor(() => expect(caches.cache.put).toHaveBeenCalled());
+        expect(fetch).toHaveBeenCalledWith(URL_A, { cache: 'no-cache' });
+        expect(await cached.get(URL_A).clone().text()).toBe('newer');
+    });
+
+    it('leaves an unchanged panorama alone', async () => {
+        cached.set(URL_A, image('old', { 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' }));
+        fetch.mockResolvedValue(image('old', { 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' }));
+
+        await preloader.loadPanorama(URL_A);
+
+        await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+        await new Promise(resolve => setTimeout(resolve));
+        expect(caches.cache.put).not.toHaveBeenCalled();
+    });
+
+    it('doesn\'t check cached panoramas with Save-Data on', async () => {
+        Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+        cached.set(URL_A, image('old', { ETag: '"1"' }));
+
+        expect(await preloader.loadPanorama(URL_A)).toBe('blob:3');
+
+        await new Promise(resolve => setTimeout(resolve));
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('leaves caching to the service worker when one controls the page', async () => {
+        Object.defineProperty(navigator, 'serviceWorker', { value: { controller: {} }, configurable: true });
+        fetch.mockResolvedValue(image('new', { ETag: '"2"' }));
+
+        expect(await preloader.loadPanorama(URL_A)).toBe('blob:3');
+        expect(caches.open).not.toHaveBeenCalled();
+        expect(cached.has(URL_A)).toBe(false);
+    });
+
+    it('keeps the cached copy when the server can\'t be reached', async () => {
+        cached.set(URL_A, image('old', { ETag: '"1"' }));
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        expect(await preloader.loadPanorama(URL_A)).toBe('blob:3');
+
+        await new Promise(resolve => setTimeout(resolve));
+        expect(caches.cache.put).not.toHaveBeenCalled();
+    });
+});
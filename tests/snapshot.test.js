@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Buffer } from 'node:buffer';
+import { crc32 } from 'node:zlib';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+
+const LINK = 'https://tour.example/?tour=sample-home#scene=lounge&yaw=10.0&pitch=0.0&hfov=100.0';
+
+/**
+ * The smallest PNG the metadata code has to understand: a header and an end.
+ */
+function createPng() {
+    const chunk = (type, data) => {
+        const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', Buffer.alloc(13)),
+        chunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+/**
+ * Split a PNG into its chunks, checking each one's CRC.
+ */
+function readPngChunks(bytes) {
+    const buffer = Buffer.from(bytes);
+    const chunks = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const body = buffer.subarray(offset + 4, offset + 8 + length);
+        expect(buffer.readUInt32BE(offset + 8 + length)).toBe(crc32(body));
+        chunks.push({ type: body.subarray(0, 4).toString('latin1'), data: body.subarray(4) });
+        offset += length + 12;
+    }
+    return chunks;
+}
+
+/**
+ * The keyword and text of an iTXt chunk.
+ */
+function readText({ data }) {
+    const keywordEnd = data.indexOf(0);
+    return [data.subarray(0, keywordEnd).toString('latin1'), data.subarray(keywordEnd + 5).toString('utf8')];
+}
+
+let snapshot;
+let viewer;
+let renderer;
+let context;
+
+/**
+ * Fresh snapshot module over a fake viewer whose renderer draws an 800×400 frame.
+ */
+async function startSnapshotModule() {
+    vi.resetModules();
+    snapshot = await import('../src/snapshot.js');
+
+    viewer = new FakeViewer(document.getElementById('panorama'), {
+        default: { firstScene: 'lounge' },
+        scenes: { lounge: { yaw: 10, pitch: 0, hfov: 100 } }
+    });
+    const gl = { drawingBufferWidth: 0, drawingBufferHeight: 0, viewport: vi.fn() };
+    renderer = {
+        canvas: { width: 800, height: 400, getContext: () => gl },
+        getCanvas: () => renderer.canvas,
+        render: vi.fn(() => 'data:image/png;base64,frame')
+    };
+    viewer.getRenderer = () => renderer;
+    viewer.resize = vi.fn(() => {
+        renderer.canvas.width = 800;
+        renderer.canvas.height = 400;
+    });
+
+    snapshot.initSnapshot({
+        getViewer: () => viewer,
+        getCurrentScene: () => 'lounge',
+        getRoomTitle: () => 'Lounge',
+        getShareLink: () => LINK
+    });
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    context = { canvas: null, drawImage: vi.fn(), fillText: vi.fn(), save: vi.fn(), restore: vi.fn() };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+        context.canvas = this;
+        return context;
+    });
+    vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(
+        () => `data:image/png;base64,${Buffer.from(createPng()).toString('base64')}`
+    );
+    vi.stubGlobal('Image', class {
+        width = 800;
+        height = 400;
+        set src(url) {
+            queueMicrotask(() => this.onload());
+        }
+    });
+    URL.createObjectURL = vi.fn(() => 'blob:snapshot');
+    URL.revokeObjectURL = vi.fn();
+});
+
+afterEach(() => {
+    delete navigator.share;
+    delete navigator.canShare;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('addSnapshotMetadata', () => {
+    beforeEach(startSnapshotModule);
+
+    it('adds the room title and view link to a PNG, after its header', () => {
+        const chunks = readPngChunks(snapshot.addSnapshotMetadata(createPng(), 'image/png', { title: 'Salón', link: LINK }));
+
+        expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'iTXt', 'iTXt', 'IEND']);
+        expect(readText(chunks[1])).toEqual(['Title', 'Salón']);
+        expect(readText(chunks[2])).toEqual(['URL', LINK]);
+    });
+
+    it('adds the view link to a JPEG as a comment, after its JFIF header', () => {
+        // SOI, a 16-byte APP0 (JFIF) segment, EOI
+        const jfif = [0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+        const bytes = snapshot.addSnapshotMetadata(new Uint8Array([0xFF, 0xD8, ...jfif, 0xFF, 0xD9]), 'image/jpeg', { link: LINK });
+
+        expect([...bytes.subarray(0, 4)]).toEqual([0xFF, 0xD8, 0xFF, 0xE0]);
+        expect([...bytes.subarray(20, 22)]).toEqual([0xFF, 0xFE]);
+        expect((bytes[22] << 8) | bytes[23]).toBe(LINK.length + 2);
+        expect(Buffer.from(bytes.subarray(24, -2)).toString()).toBe(LINK);
+        expect([...bytes.subarray(-2)]).toEqual([0xFF, 0xD9]);
+    });
+
+    it('leaves a JPEG alone when the link is too long for a comment', () => {
+        const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+
+        expect(snapshot.addSnapshotMetadata(jpeg, 'image/jpeg', { link: `${LINK}#${'x'.repeat(0xFFFF)}` })).toBe(jpeg);
+    });
+});
+
+
+describe('captureSnapshot', () => {
+    beforeEach(startSnapshotModule);
+
+    it('renders the current view with the room title and watermark', async () => {
+        const blob = await snapshot.captureSnapshot();
+
+        const [pitch, yaw, hfov, params] = renderer.render.mock.calls[0];
+        expect(yaw).toBeCloseTo(10 * Math.PI / 180);
+        expect(pitch).toBe(0);
+        expect(hfov).toBeCloseTo(100 * Math.PI / 180);
+        expect(params).toEqual({ returnImage: true });
+
+        expect(context.fillText.mock.calls.map(([text]) => text)).toEqual(['Lounge', 'WCFF Samples']);
+        expect(blob.type).toBe('image/png');
+    });
+
+    it('leaves the title and watermark off on request', async () => {
+        await snapshot.captureSnapshot({ title: false, watermark: false });
+
+        expect(context.fillText).not.toHaveBeenCalled();
+    });
+
+    it('renders high-resolution snapshots on a bigger canvas, then restores it', async () => {
+        let size;
+        renderer.render.mockImplementation(() => {
+            size = [renderer.canvas.width, renderer.canvas.height];
+            return 'data:image/png;base64,frame';
+        });
+
+        await snapshot.captureSnapshot({ scale: 2 });
+
+        expect(size).toEqual([1600, 800]);
+        expect(viewer.resize).toHaveBeenCalled();
+        expect(renderer.canvas.width).toBe(800);
+    });
+});
+
+
+describe('dialog', () => {
+    it('previews the view and downloads it named after the room', async () => {
+        await startSnapshotModule();
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        document.getElementById('btn-snapshot').click();
+        await vi.waitFor(() => expect(document.getElementById('snapshot-preview').hidden).toBe(false));
+        document.getElementById('btn-snapshot-download').click();
+
+        expect(snapshot.isSnapshotOpen()).toBe(true);
+        expect(document.getElementById('snapshot-preview').alt).toBe('Snapshot of Lounge');
+        expect(click.mock.contexts[0].download).toBe('lounge-snapshot.png');
+    });
+
+    it('closes on Escape and hands focus back', async () => {
+        await startSnapshotModule();
+        const button = document.getElementById('btn-snapshot');
+        button.focus();
+        button.click();
+
+        document.getElementById('snapshot-close').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expect(snapshot.isSnapshotOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    it('offers sharing only where files can be shared', async () => {
+        await startSnapshotModule();
+        expect(document.getElementById('btn-snapshot-share').hidden).toBe(true);
+
+        navigator.share = vi.fn(async () => {});
+        navigator.canShare = vi.fn(() => true);
+        await startSnapshotModule();
+        document.getElementById('btn-snapshot').click();
+        await vi.waitFor(() => expect(document.getElementById('btn-snapshot-share').disabled).toBe(false));
+        document.getElementById('btn-snapshot-share').click();
+
+        const [data] = navigator.share.mock.calls[0];
+        expect(data.files[0].name).toBe('lounge-snapshot.png');
+        expect(data).toMatchObject({ title: 'Lounge', url: LINK });
+    });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+
+const TOUR = {
+    id: 'tours/unit-a/tour.json',
+    defaultScene: 'kitchen',
+    scenes: {
+        kitchen: { title: 'Kitchen' },
+        lounge: { title: { en: 'Lounge', fr: 'Salon' } }
+    },
+    properties: [
+        { title: 'Unit A', tour: 'unit-a' },
+        { title: 'Unit B', tour: 'unit-b' }
+    ]
+};
+
+const UNIT_B = {
+    id: 'tours/unit-b/tour.json',
+    defaultScene: 'studio',
+    scenes: { studio: { title: 'Studio' } }
+};
+
+let split;
+let viewer;
+let currentScene;
+let loadTour;
+let createTourViewer;
+let onStatusChange;
+let frames;
+
+/**
+ * Fresh split view beside a fake tour viewer in the kitchen, looking at yaw 0.
+ */
+async function startSplitView(tour = TOUR) {
+    vi.resetModules();
+    split = await import('../src/split-view.js');
+
+    viewer = new FakeViewer(document.getElementById('panorama'), {
+        default: { firstScene: 'kitchen' },
+        scenes: { kitchen: { yaw: 0, pitch: 0, hfov: 100 } }
+    });
+    currentScene = 'kitchen';
+    loadTour = vi.fn(async () => UNIT_B);
+    createTourViewer = vi.fn(async (container, source, sceneId) => new FakeViewer(container, {
+        default: { firstScene: sceneId },
+        scenes: Object.fromEntries(Object.keys(source.scenes).map(id => [id, { yaw: 90, pitch: 0, hfov: 100 }]))
+    }));
+    onStatusChange = vi.fn();
+
+    split.initSplitView({
+        tour,
+        getViewer: () => viewer,
+        getCurrentScene: () => currentScene,
+        loadTour,
+        createTourViewer,
+        onStatusChange
+    });
+}
+
+/**
+ * The second viewer, once it has opened.
+ */
+async function secondViewer(call = 0) {
+    return createTourViewer.mock.results[call].value;
+}
+
+function nextFrame() {
+    frames.shift()?.();
+}
+
+const button = () => document.getElementById('btn-split-view');
+const roomPicker = () => document.getElementById('split-room');
+const propertyPicker = () => document.getElementById('split-property');
+const optionLabels = select => [...select.options].map(option => option.textContent);
+
+beforeEach(() => {
+    loadIndexHtml();
+    frames = [];
+    vi.stubGlobal('requestAnimationFrame', vi.fn(callback => frames.push(callback)));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn(() => frames.splice(0)));
+});
+
+afterEach(() => {
+    document.body.classList.remove('split-view');
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('split view', () => {
+    beforeEach(() => startSplitView());
+
+    it('opens another room of this home beside the tour', async () => {
+        currentScene = 'kitchen';
+        expect(await split.openSplitView()).toBe(true);
+
+        expect(createTourViewer).toHaveBeenCalledWith(document.getElementById('split-panorama'), TOUR, 'lounge');
+        expect(document.body.classList.contains('split-view')).toBe(true);
+        expect(document.getElementById('split-pane').hidden).toBe(false);
+        expect(button().getAttribute('aria-pressed')).toBe('true');
+        expect(onStatusChange).toHaveBeenCalledWith(true);
+        expect(optionLabels(roomPicker())).toEqual(['Kitchen', 'Lounge']);
+        expect(roomPicker().value).toBe('lounge');
+        expect(viewer.resizes).toBe(1);
+    });
+
+    it('switches rooms in the second view only', async () => {
+        await split.openSplitView();
+        const second = await secondViewer();
+
+        roomPicker().value = 'kitchen';
+        roomPicker().dispatchEvent(new Event('change'));
+        second.emit('load');
+
+        expect(second.getScene()).toBe('kitchen');
+        expect(viewer.loadedScenes).toEqual(['kitchen']);
+        expect(roomPicker().value).toBe('kitchen');
+    });
+
+    it('offers the other properties, and loads their tours', async () => {
+        await split.openSplitView();
+
+        expect(document.getElementById('split-property-label').hidden).toBe(false);
+        // Unit A is the tour on screen
+        expect(optionLabels(propertyPicker())).toEqual(['This home', 'Unit B']);
+
+        propertyPicker().value = '1';
+        propertyPicker().dispatchEvent(new Event('change'));
+
+        await vi.waitFor(() => expect(createTourViewer).toHaveBeenCalledTimes(2));
+        expect(loadTour).toHaveBeenCalledWith('tours/unit-b/tour.json');
+        expect(createTourViewer.mock.calls[1].slice(1)).toEqual([UNIT_B, 'studio']);
+        expect((await secondViewer(0)).destroyed).toBe(true);
+        await vi.waitFor(() => expect(optionLabels(roomPicker())).toEqual(['Studio']));
+    });
+
+    it('hides the home picker when the tour lists no other properties', async () => {
+        await startSplitView({ ...TOUR, properties: null });
+        await split.openSplitView();
+
+        expect(document.getElementById('split-property-label').hidden).toBe(true);
+    });
+
+    it('says so when the other home can\'t be shown', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        createTourViewer.mockRejectedValueOnce(new Error('404'));
+
+        expect(await split.openSplitView()).toBe(false);
+        expect(document.getElementById('split-status').textContent).toBe('This home couldn\'t be loaded');
+        expect(roomPicker().disabled).toBe(true);
+    });
+
+    it('closes the second viewer and gives the tour the whole screen', async () => {
+        await split.openSplitView();
+        const second = await secondViewer();
+
+        document.getElementById('btn-split-close').click();
+
+        expect(split.isSplitViewOpen()).toBe(false);
+        expect(second.destroyed).toBe(true);
+        expect(document.body.classList.contains('split-view')).toBe(false);
+        expect(document.getElementById('split-pane').hidden).toBe(true);
+        expect(onStatusChange).toHaveBeenLastCalledWith(false);
+        expect(viewer.resizes).toBe(2);
+        expect(document.activeElement).toBe(button());
+    });
+});
+
+
+describe('camera sync', () => {
+    beforeEach(async () => {
+        await startSplitView();
+        await split.openSplitView();
+        nextFrame();
+    });
+
+    it('turns the second view by as much as the tour moved', async () => {
+        const second = await secondViewer();
+
+        viewer.lookAt(-10, 30, 80);
+        nextFrame();
+
+        expect(second.lookAtCalls.at(-1)).toEqual({ pitch: -10, yaw: 120, hfov: 80, duration: false });
+    });
+
+    it('works the other way round too', async () => {
+        const second = await secondViewer();
+
+        second.lookAt(5, 45, 100);
+        nextFrame();
+
+        expect(viewer.lookAtCalls.at(-1)).toEqual({ pitch: 5, yaw: -45, hfov: 100, duration: false });
+    });
+
+    it('leaves the views alone once unlinked', async () => {
+        const second = await secondViewer();
+        const sync = document.getElementById('split-sync');
+        sync.checked = false;
+        sync.dispatchEvent(new Event('change'));
+
+        viewer.lookAt(0, 30, 100);
+        nextFrame();
+
+        expect(second.lookAtCalls).toEqual([]);
+    });
+
+    it('doesn\'t copy the jump to a new room\'s starting view', async () => {
+        const second = await secondViewer();
+        const tourViewer = viewer;
+
+        // Between rooms the tour has no viewer to read
+        viewer = null;
+        nextFrame();
+        viewer = tourViewer;
+        viewer.lookAt(0, 150, 100);
+        nextFrame();
+
+        expect(second.lookAtCalls).toEqual([]);
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { tour, state, elements, cacheElements } from '../src/state.js';
+import { updateUI, renderRoomButtons, renderPropertySwitcher, showLoadingError } from '../src/ui.js';
+import { ManifestError } from '../src/manifest.js';
+
+const original = { ...tour };
+
+/**
+ * A two-storey house: two rooms downstairs, three up.
+ */
+function useTwoFloors() {
+    tour.floors = [{ id: 'ground', title: 'Ground floor' }, { id: 'upper', title: 'Upper floor' }];
+    tour.scenes = Object.fromEntries([
+        ['hall', 'ground'], ['kitchen', 'ground'], ['landing', 'upper'], ['bedroom', 'upper'], ['study', 'upper']
+    ].map(([id, floor]) => [id, { id, floor, title: id[0].toUpperCase() + id.slice(1), description: '' }]));
+}
+
+const shownRooms = () => [...elements.roomButtons.querySelectorAll('.room-btn:not([hidden])')].map(button => button.dataset.scene);
+
+beforeEach(() => {
+    loadIndexHtml();
+    cacheElements();
+    state.unavailableScenes.clear();
+    state.currentScene = 'living-room';
+});
+
+afterEach(() => {
+    Object.assign(tour, original);
+});
+
+
+describe('updateUI', () => {
+    it('shows the current room name and its position in the tour', () => {
+        state.currentScene = 'lounge';
+        updateUI();
+
+        expect(elements.currentRoomName.textContent).toBe('Lounge');
+        expect(elements.roomCounter.textContent).toBe(`3 of ${Object.keys(tour.scenes).length} rooms`);
+    });
+
+    it('highlights only the current room button', () => {
+        renderRoomButtons(() => {});
+        state.currentScene = 'music-room';
+        updateUI();
+
+        const active = [...elements.roomButtons.querySelectorAll('.room-btn.active')];
+        expect(active.map(button => button.dataset.scene)).toEqual(['music-room']);
+    });
+});
+
+
+describe('renderRoomButtons', () => {
+    it('renders a button per scene that selects it', () => {
+        const onSelectScene = vi.fn();
+        renderRoomButtons(onSelectScene);
+
+        const buttons = elements.roomButtons.querySelectorAll('.room-btn');
+        expect(buttons).toHaveLength(Object.keys(tour.scenes).length);
+
+        document.getElementById('room-btn-lounge').click();
+        expect(onSelectScene).toHaveBeenCalledWith('lounge');
+    });
+
+    it('shows manifest text as text, never as markup', () => {
+        const title = '<img src=x onerror="alert(1)">';
+        tour.scenes = { hall: { id: 'hall', title, description: '"><script>alert(1)</script>' } };
+        state.currentScene = 'hall';
+
+        renderRoomButtons(() => {});
+
+        const button = elements.roomButtons.querySelector('.room-btn');
+        expect(elements.roomButtons.querySelector('img, script')).toBeNull();
+        expect(button.querySelector('span').textContent).toBe(title);
+        expect(button.getAttribute('aria-label')).toBe(`Navigate to ${title}`);
+    });
+
+    it('marks rooms that failed to load as unavailable', () => {
+        state.unavailableScenes.add('music-room');
+        renderRoomButtons(() => {});
+
+        const button = document.getElementById('room-btn-music-room');
+        expect(button.classList.contains('unavailable')).toBe(true);
+        expect(button.getAttribute('aria-label')).toMatch(/unavailable/);
+        expect(document.getElementById('room-btn-lounge').classList.contains('unavailable')).toBe(false);
+    });
+});
+
+
+describe('floors', () => {
+    beforeEach(useTwoFloors);
+
+    it('counts rooms on the current floor', () => {
+        state.currentScene = 'bedroom';
+        updateUI();
+
+        expect(elements.roomCounter.textContent).toBe('Room 2 of 3 · Upper floor');
+        expect(elements.roomAnnouncer.textContent).toBe('Bedroom, Upper floor, room 2 of 3');
+    });
+
+    it('lists one floor\'s rooms at a time behind a tab per floor', () => {
+        renderRoomButtons(() => {});
+        state.currentScene = 'hall';
+        updateUI();
+
+        const tabs = [...elements.floorTabs.querySelectorAll('[role="tab"]')];
+        expect(elements.floorTabs.hidden).toBe(false);
+        expect(tabs.map(tab => tab.textContent)).toEqual(['Ground floor', 'Upper floor']);
+        expect(tabs[0].getAttribute('aria-selected')).toBe('true');
+        expect(shownRooms()).toEqual(['hall', 'kitchen']);
+
+        tabs[1].click();
+        expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+        expect(elements.roomButtons.getAttribute('aria-labelledby')).toBe('floor-tab-upper');
+        expect(shownRooms()).toEqual(['landing', 'bedroom', 'study']);
+
+        // A quality upgrade of the same room leaves the visitor browsing upstairs
+        updateUI();
+        expect(shownRooms()).toEqual(['landing', 'bedroom', 'study']);
+    });
+
+    it('follows the visitor up the stairs', () => {
+        renderRoomButtons(() => {});
+        state.currentScene = 'kitchen';
+        updateUI();
+
+        state.currentScene = 'landing';
+        updateUI();
+
+        expect(elements.floorTabs.querySelector('[aria-selected="true"]').dataset.floor).toBe('upper');
+        expect(shownRooms()).toEqual(['landing', 'bedroom', 'study']);
+    });
+
+    it('moves between tabs with the arrow keys', () => {
+        renderRoomButtons(() => {});
+        state.currentScene = 'hall';
+        updateUI();
+
+        const tabs = elements.floorTabs.querySelectorAll('[role="tab"]');
+        tabs[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+        expect(document.activeElement).toBe(tabs[1]);
+        expect(shownRooms()).toEqual(['landing', 'bedroom', 'study']);
+    });
+
+    it('has no tabs in a single-floor tour', () => {
+        Object.assign(tour, original);
+        renderRoomButtons(() => {});
+
+        expect(elements.floorTabs.hidden).toBe(true);
+        expect(elements.roomButtons.hasAttribute('role')).toBe(false);
+        expect(shownRooms()).toHaveLength(Object.keys(tour.scenes).length);
+    });
+});
+
+
+describe('renderPropertySwitcher', () => {
+    const label = () => elements.propertySwitcher.closest('label');
+
+    it('offers the development\'s other units, with this one selected', () => {
+        tour.id = 'tours/unit-b/tour.json';
+        tour.properties = [{ title: 'Unit A', tour: 'unit-a' }, { title: { en: 'Unit B', fr: 'Lot B' }, tour: 'unit-b' }];
+        renderPropertySwitcher();
+
+        expect(label().hidden).toBe(false);
+        expect([...elements.propertySwitcher.options].map(option => option.textContent)).toEqual(['Unit A', 'Unit B']);
+        expect(elements.propertySwitcher.value).toBe('1');
+    });
+
+    it('stays hidden when the tour lists no other properties', () => {
+        renderPropertySwitcher();
+
+        expect(label().hidden).toBe(true);
+    });
+});
+
+
+describe('showLoadingError', () => {
+    it('lists manifest problems on the loading screen', () => {
+        showLoadingError(new ManifestError('Tour manifest is invalid', ['scenes: must be an object']));
+
+        expect(elements.loadingTitle.textContent).toBe('Unable to load this tour');
+        expect(elements.loadingMessage.textContent).toBe('Tour manifest is invalid');
+        expect(elements.loadingErrors.hidden).toBe(false);
+        expect(elements.loadingErrors.textContent).toBe('scenes: must be an object');
+    });
+});
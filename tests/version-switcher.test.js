@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import { FakeViewer } from './helpers/fake-pannellum.js';
+import { getVersions, resolveVersion, applyVersion } from '../src/versions.js';
+
+const SCENES = {
+    lounge: {
+        image: 'lounge.jpg',
+        versionLabel: 'Daylight',
+        versions: [
+            { id: 'dusk', label: 'Dusk', image: 'lounge-dusk.jpg' },
+            { id: 'staged', label: { en: 'Staged', fr: 'Meublé' }, image: 'lounge-staged.jpg' }
+        ]
+    },
+    kitchen: {
+        variants: [{ width: 1024, image: 'kitchen-1024.jpg' }],
+        versions: [{ id: 'dusk', label: 'Dusk', cubeMap: ['f.jpg', 'r.jpg', 'b.jpg', 'l.jpg', 'u.jpg', 'd.jpg'] }]
+    },
+    garden: { image: 'garden.jpg' }
+};
+
+let switcher;
+let events;
+let currentScene;
+let version;
+let view;
+let showVersion;
+let createVersionViewer;
+let frames;
+
+/**
+ * Fresh switcher in the lounge, with fakes for the viewer side.
+ */
+async function startSwitcher() {
+    vi.resetModules();
+    events = await import('../src/events.js');
+    switcher = await import('../src/version-switcher.js');
+
+    currentScene = 'lounge';
+    version = null;
+    view = { yaw: 10, pitch: 0, hfov: 100 };
+    showVersion = vi.fn(async (id) => {
+        version = id;
+        return true;
+    });
+    createVersionViewer = vi.fn(async (container, sceneId, versionId, { yaw, pitch, hfov }) => new FakeViewer(container, {
+        default: { firstScene: sceneId },
+        scenes: { [sceneId]: { yaw, pitch, hfov } }
+    }));
+
+    switcher.initVersionSwitcher({
+        scenes: SCENES,
+        getCurrentScene: () => currentScene,
+        getVersion: () => version,
+        getView: () => view,
+        showVersion,
+        createVersionViewer
+    });
+}
+
+/**
+ * Run the queued animation frame.
+ */
+function nextFrame() {
+    frames.shift()?.();
+}
+
+const panel = () => document.getElementById('version-switcher');
+const labels = () => [...document.querySelectorAll('.version-btn')].map(button => button.textContent);
+const pressed = () => document.querySelector('.version-btn[aria-pressed="true"]').textContent;
+const handle = () => document.getElementById('version-compare-handle');
+
+beforeEach(() => {
+    loadIndexHtml();
+    frames = [];
+    vi.stubGlobal('requestAnimationFrame', vi.fn(callback => frames.push(callback)));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn(() => frames.splice(0)));
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('versions', () => {
+    it('lists the room\'s own panorama first', () => {
+        expect(getVersions(SCENES.lounge).map(entry => entry.id)).toEqual([null, 'dusk', 'staged']);
+        expect(getVersions(SCENES.garden)).toEqual([{ id: null, label: undefined }]);
+    });
+
+    it('falls back to the room\'s own panorama for versions it lacks', () => {
+        expect(resolveVersion(SCENES.kitchen, 'dusk')).toBe('dusk');
+        expect(resolveVersion(SCENES.kitchen, 'staged')).toBeNull();
+        expect(resolveVersion(SCENES.garden, 'dusk')).toBeNull();
+    });
+
+    it('swaps the whole panorama source, nothing else', () => {
+        const shown = applyVersion(SCENES.kitchen, 'dusk');
+
+        expect(shown.cubeMap).toHaveLength(6);
+        expect(shown.variants).toBeUndefined();
+        expect(shown.versions).toBe(SCENES.kitchen.versions);
+        expect(applyVersion(SCENES.kitchen, 'staged')).toBe(SCENES.kitchen);
+    });
+});
+
+
+describe('version panel', () => {
+    beforeEach(startSwitcher);
+
+    it('lists the room\'s versions and marks the one on screen', () => {
+        expect(panel().hidden).toBe(false);
+        expect(labels()).toEqual(['Daylight', 'Dusk', 'Staged']);
+        expect(pressed()).toBe('Daylight');
+    });
+
+    it('is hidden in rooms shown only one way', () => {
+        currentScene = 'garden';
+        events.emit('sceneChange', { sceneId: 'garden' });
+
+        expect(panel().hidden).toBe(true);
+    });
+
+    it('switches versions and keeps the choice in the next room', async () => {
+        document.querySelector('.version-btn[data-version="dusk"]').click();
+        await vi.waitFor(() => expect(pressed()).toBe('Dusk'));
+        expect(showVersion).toHaveBeenCalledWith('dusk');
+
+        currentScene = 'kitchen';
+        events.emit('sceneChange', { sceneId: 'kitchen' });
+
+        // The kitchen's own panorama has no label of its own
+        expect(labels()).toEqual(['Original', 'Dusk']);
+        expect(pressed()).toBe('Dusk');
+    });
+});
+
+
+describe('comparison slider', () => {
+    beforeEach(startSwitcher);
+
+    it('lays another version over the view, following the camera', async () => {
+        expect(await switcher.startCompare()).toBe(true);
+
+        expect(createVersionViewer).toHaveBeenCalledWith(document.getElementById('version-compare-panorama'), 'lounge', 'dusk', view);
+        expect(document.getElementById('version-compare').hidden).toBe(false);
+        expect(document.getElementById('version-compare-left').textContent).toBe('Dusk');
+        expect(document.getElementById('version-compare-right').textContent).toBe('Daylight');
+        expect(document.getElementById('btn-version-compare').getAttribute('aria-pressed')).toBe('true');
+
+        const compared = createVersionViewer.mock.results[0].value;
+        view = { yaw: 40, pitch: -5, hfov: 90 };
+        nextFrame();
+
+        expect((await compared).lookAtCalls.at(-1)).toEqual({ pitch: -5, yaw: 40, hfov: 90, duration: false });
+    });
+
+    it('moves the divider from the keyboard', async () => {
+        await switcher.startCompare();
+
+        handle().dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+
+        expect(handle().getAttribute('aria-valuenow')).toBe('55');
+        expect(handle().getAttribute('aria-valuetext')).toBe('Dusk 55%, Daylight 45%');
+        expect(document.getElementById('version-compare-panorama').style.clipPath).toBe('inset(0 45% 0 0)');
+
+        handle().dispatchEvent(new KeyboardEvent('keydown', { key: 'Home' }));
+        expect(handle().getAttribute('aria-valuenow')).toBe('0');
+    });
+
+    it('offers a choice when there are several versions to compare with', async () => {
+        await switcher.startCompare();
+        const select = document.getElementById('version-compare-with');
+        expect(document.getElementById('version-compare-with-label').hidden).toBe(false);
+
+        select.value = 'staged';
+        select.dispatchEvent(new Event('change'));
+
+        await vi.waitFor(() => expect(createVersionViewer).toHaveBeenCalledTimes(2));
+        expect(createVersionViewer.mock.calls[1][2]).toBe('staged');
+        expect((await createVersionViewer.mock.results[0].value).destroyed).toBe(true);
+    });
+
+    it('ends when the visitor leaves the room', async () => {
+        await switcher.startCompare();
+        const compared = await createVersionViewer.mock.results[0].value;
+
+        currentScene = 'kitchen';
+        events.emit('sceneChange', { sceneId: 'kitchen' });
+
+        expect(switcher.isComparing()).toBe(false);
+        expect(compared.destroyed).toBe(true);
+        expect(document.getElementById('version-compare').hidden).toBe(true);
+    });
+
+    it('gives up when the other version can\'t be shown', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        createVersionViewer.mockRejectedValueOnce(new Error('404'));
+
+        expect(await switcher.startCompare()).toBe(false);
+        expect(switcher.isComparing()).toBe(false);
+    });
+});
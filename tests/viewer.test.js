@@ -0,0 +1,533 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+
+vi.mock('../src/pannellum.js', async () => {
+    const { createFakePannellum } = await import('./helpers/fake-pannellum.js');
+    return { default: createFakePannellum() };
+});
+
+let viewers;
+let tour;
+let state;
+let elements;
+let viewerModule;
+let events;
+
+/**
+ * Boot the viewer against fresh module state and the real page markup.
+ */
+async function startTour({ hash = '' } = {}) {
+    vi.resetModules();
+    loadIndexHtml();
+    history.replaceState(null, '', `/${hash}`);
+
+    ({ tour, state, elements } = await import('../src/state.js'));
+    const { cacheElements } = await import('../src/state.js');
+    const { renderRoomButtons } = await import('../src/ui.js');
+    const { initSceneError } = await import('../src/scene-error.js');
+    const { initInfoCard } = await import('../src/info-card.js');
+    viewerModule = await import('../src/viewer.js');
+    events = await import('../src/events.js');
+    // The mocked module outlives resetModules, so start its viewer list afresh
+    ({ viewers } = (await import('../src/pannellum.js')).default);
+    viewers.length = 0;
+
+    cacheElements();
+    initInfoCard();
+    initSceneError({ onRetry: viewerModule.retryScene });
+    tour.transitionDuration = 0;
+
+    await viewerModule.initializeViewer();
+    renderRoomButtons(viewerModule.navigateToScene);
+    return viewers[0];
+}
+
+function respondWith(status) {
+    fetch.mockImplementation(async () => new Response('jpeg', { status }));
+}
+
+beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn());
+    respondWith(200);
+    URL.createObjectURL = vi.fn(() => 'blob:panorama');
+    // Save-Data turns background preloading off, so only the tour's own fetches run
+    Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('initializeViewer', () => {
+    it('opens the default scene and updates the UI once it loads', async () => {
+        const viewer = await startTour();
+
+        expect(viewer.getScene()).toBe('living-room');
+        expect(viewer.getConfig().panorama).toBe('blob:panorama');
+
+        viewer.emit('load');
+
+        expect(elements.loadingScreen.classList.contains('hidden')).toBe(true);
+        expect(elements.currentRoomName.textContent).toBe('Living Room');
+        expect(elements.roomCounter.textContent).toBe('1 of 4 rooms');
+    });
+
+    it('opens the scene and camera from a deep link', async () => {
+        const viewer = await startTour({ hash: '#scene=lounge&yaw=45&pitch=-10&hfov=90' });
+
+        expect(viewer.getScene()).toBe('lounge');
+        expect(viewer.getYaw()).toBe(45);
+        expect(viewer.getPitch()).toBe(-10);
+        expect(viewer.getHfov()).toBe(90);
+    });
+
+    it('falls back to the default scene for an unknown deep link', async () => {
+        const viewer = await startTour({ hash: '#scene=attic' });
+
+        expect(viewer.getScene()).toBe('living-room');
+    });
+});
+
+
+describe('navigateToScene', () => {
+    it('fades out, loads the scene at its initial view and resolves on load', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        let settled = false;
+        const navigation = viewerModule.navigateToScene('music-room').then(() => {
+            settled = true;
+        });
+
+        expect(state.isTransitioning).toBe(true);
+        expect(elements.sceneTransition.classList.contains('active')).toBe(true);
+
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('music-room'));
+        expect(viewer.getYaw()).toBe(tour.scenes['music-room'].initialView.yaw);
+        expect(settled).toBe(false);
+
+        viewer.emit('load');
+        await navigation;
+
+        expect(settled).toBe(true);
+        expect(state.isTransitioning).toBe(false);
+        expect(elements.sceneTransition.classList.contains('active')).toBe(false);
+        expect(elements.currentRoomName.textContent).toBe('Music Room');
+        expect(elements.roomCounter.textContent).toBe('4 of 4 rooms');
+    });
+
+    it('ignores clicks while a transition is running', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        const first = viewerModule.navigateToScene('lounge');
+        viewerModule.navigateToScene('music-room');
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('load');
+        await first;
+
+        expect(viewer.loadedScenes).toEqual(['living-room', 'lounge']);
+    });
+
+    it('ignores the current scene and unknown scenes', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        await viewerModule.navigateToScene('living-room');
+        await viewerModule.navigateToScene('attic');
+
+        expect(state.isTransitioning).toBe(false);
+        expect(viewer.loadedScenes).toEqual(['living-room']);
+    });
+
+    it('applies a view override and records it in history', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        const navigation = viewerModule.navigateToScene('lounge', { view: { yaw: 120 } });
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('load');
+        await navigation;
+
+        expect(viewer.getYaw()).toBe(120);
+        expect(window.location.hash).toBe('#scene=lounge&yaw=120.0&pitch=-5.0&hfov=105.0');
+    });
+});
+
+
+describe('preloading', () => {
+    it('fetches the linked rooms once a room loads, showing progress in the header', async () => {
+        // 3G only preloads the rooms the hotspots lead to, without waiting for idle time
+        Object.defineProperty(navigator, 'connection', { value: { effectiveType: '3g' }, configurable: true });
+        const viewer = await startTour();
+        let finish;
+        fetch.mockClear();
+        fetch.mockImplementation(() => new Promise(resolve => {
+            finish = () => resolve(new Response('jpeg'));
+        }));
+
+        viewer.emit('load');
+
+        await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+        finish();
+        await vi.waitFor(() => expect(elements.preloadStatus.hidden).toBe(false));
+        expect(elements.header.contains(elements.preloadStatus)).toBe(true);
+        expect(elements.preloadStatusText.textContent).toMatch(/^Preparing rooms 1\/\d$/);
+
+        // Hidden again once every linked room is in
+        const total = Number(elements.preloadStatusText.textContent.split('/')[1]);
+        for (let index = 1; index < total; index++) {
+            await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(index + 1));
+            finish();
+        }
+        await vi.waitFor(() => expect(elements.preloadStatus.hidden).toBe(true));
+    });
+});
+
+
+describe('events', () => {
+    it('announces each new room once, even when its quality upgrades', async () => {
+        const viewer = await startTour();
+        const sceneChange = vi.fn();
+        events.on('sceneChange', sceneChange);
+
+        viewer.emit('load');
+        viewer.emit('load');
+        const navigation = viewerModule.navigateToScene('lounge');
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('load');
+        await navigation;
+
+        expect(sceneChange.mock.calls.map(([event]) => [event.sceneId, event.previousScene, event.title])).toEqual([
+            ['living-room', null, 'Living Room'],
+            ['lounge', 'living-room', 'Lounge']
+        ]);
+    });
+
+    it('lets beforeSceneChange listeners cancel a move', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        events.on('beforeSceneChange', event => {
+            expect(event).toMatchObject({ from: 'living-room', to: 'lounge' });
+            event.preventDefault();
+        });
+
+        await viewerModule.navigateToScene('lounge');
+
+        expect(state.isTransitioning).toBe(false);
+        expect(viewer.loadedScenes).toEqual(['living-room']);
+    });
+
+    it('reports hotspot clicks', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        const hotspotClick = vi.fn();
+        events.on('hotspotClick', hotspotClick);
+
+        const [hotspot] = viewer.getConfig().hotSpots;
+        hotspot.clickHandlerFunc(new Event('click'), hotspot.clickHandlerArgs);
+
+        expect(hotspotClick.mock.calls[0][0]).toMatchObject({
+            sceneId: 'living-room',
+            hotspot: tour.scenes['living-room'].hotspots[0]
+        });
+
+        // Let the walk through the hotspot finish before the next test
+        await vi.waitFor(() => expect(viewer.getScene()).toBe(hotspot.clickHandlerArgs.targetScene));
+        viewer.emit('load');
+    });
+
+    it('reports failed rooms', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        const error = vi.fn();
+        events.on('error', error);
+
+        respondWith(404);
+        await viewerModule.navigateToScene('lounge');
+
+        expect(error.mock.calls[0][0]).toMatchObject({ sceneId: 'lounge', kind: 'missing' });
+    });
+
+    it('reports camera moves', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        const viewChange = vi.fn();
+        const unsubscribe = events.on('viewChange', viewChange);
+
+        viewer.lookAt(-5, 30, 100);
+
+        await vi.waitFor(() => expect(viewChange).toHaveBeenCalled());
+        expect(viewChange.mock.calls.at(-1)[0]).toMatchObject({ sceneId: 'living-room', yaw: 30, pitch: -5, hfov: 100 });
+        // Lets the camera watch stop, so it doesn't outlive the test
+        unsubscribe();
+    });
+
+    it('only watches the camera while something listens for moves', async () => {
+        const frame = vi.spyOn(window, 'requestAnimationFrame');
+        const viewer = await startTour();
+        viewer.emit('load');
+        expect(frame).not.toHaveBeenCalled();
+
+        const unsubscribe = events.on('viewChange', () => {});
+        await vi.waitFor(() => expect(frame.mock.calls.length).toBeGreaterThan(1));
+
+        unsubscribe();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const calls = frame.mock.calls.length;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(frame.mock.calls.length).toBe(calls);
+    });
+});
+
+
+describe('room versions', () => {
+    const DUSK = { id: 'dusk', label: 'Dusk', image: '/panos/living-room-dusk.jpg' };
+
+    it('cross-fades to a version in place, keeping the camera and hotspots', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        tour.scenes['living-room'].versions = [DUSK];
+        viewer.lookAt(-5, 30, 100);
+        const versionChange = vi.fn();
+        events.on('versionChange', versionChange);
+
+        expect(await viewerModule.showVersion('dusk')).toBe(true);
+
+        expect(fetch.mock.calls.map(([url]) => url)).toContain(DUSK.image);
+        expect(viewer.loadedScenes).toEqual(['living-room', 'living-room']);
+        expect(viewer.getConfig()).toMatchObject({ yaw: 30, pitch: -5, hfov: 100 });
+        expect(viewer.getConfig().hotSpots).toHaveLength(tour.scenes['living-room'].hotspots.length);
+        expect(state.version).toBe('dusk');
+        expect(versionChange.mock.calls[0][0]).toMatchObject({ sceneId: 'living-room', version: 'dusk' });
+    });
+
+    it('keeps the current version when the other one fails to load', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        tour.scenes['living-room'].versions = [DUSK];
+
+        respondWith(404);
+
+        expect(await viewerModule.showVersion('dusk')).toBe(false);
+        expect(state.version).toBeNull();
+        expect(viewer.loadedScenes).toEqual(['living-room']);
+    });
+
+    it('opens a bare viewer on a version at the given view', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        tour.scenes['living-room'].versions = [DUSK];
+
+        const opening = viewerModule.createVersionViewer(document.createElement('div'), 'living-room', 'dusk', { yaw: 30, pitch: -5, hfov: 100 });
+        await vi.waitFor(() => expect(viewers).toHaveLength(2));
+        viewers[1].emit('load');
+
+        expect(await opening).toBe(viewers[1]);
+        expect(viewers[1].getConfig()).toMatchObject({ yaw: 30, pitch: -5, hfov: 100, hotSpots: [], draggable: false });
+    });
+});
+
+
+describe('createTourViewer', () => {
+    it('opens a whole tour whose hotspots walk within it', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        const opening = viewerModule.createTourViewer(document.getElementById('split-panorama'), tour, 'lounge');
+        await vi.waitFor(() => expect(viewers).toHaveLength(2));
+        const second = viewers[1];
+        second.emit('load');
+
+        expect(await opening).toBe(second);
+        expect(Object.keys(second.scenes)).toEqual(Object.keys(tour.scenes));
+        expect(second.defaults).toMatchObject({ firstScene: 'lounge', autoRotate: 0 });
+
+        const hotspot = second.getConfig().hotSpots.find(entry => entry.clickHandlerArgs?.targetScene);
+        hotspot.clickHandlerFunc(new Event('click'), hotspot.clickHandlerArgs);
+
+        expect(second.getScene()).toBe(hotspot.clickHandlerArgs.targetScene);
+        expect(viewer.getScene()).toBe('living-room');
+        expect(state.currentScene).toBe('living-room');
+    });
+});
+
+
+describe('plugin hotspots', () => {
+    it('renders registered types and skips unknown ones', async () => {
+        const viewer = await startTour();
+        const plugins = await import('../src/plugins.js');
+        const onClick = vi.fn();
+        plugins.registerHotspotType('video', {
+            render: element => {
+                element.textContent = 'Play';
+            },
+            onClick
+        });
+        tour.scenes['living-room'].hotspots.push(
+            { type: 'video', yaw: 10, pitch: 0 },
+            { type: 'floor-heating', yaw: 20, pitch: 0 }
+        );
+
+        viewerModule.refreshHotspots();
+
+        const hotSpots = viewer.getConfig().hotSpots;
+        const video = hotSpots.find(hotSpot => hotSpot.yaw === 10);
+        expect(hotSpots.some(hotSpot => hotSpot.yaw === 20)).toBe(false);
+
+        const element = document.createElement('div');
+        video.createTooltipFunc(element);
+        expect(element.textContent).toBe('Play');
+        expect(element.classList.contains('plugin-hotspot')).toBe(true);
+
+        video.clickHandlerFunc(new Event('click'));
+        expect(onClick).toHaveBeenCalledWith({ type: 'video', yaw: 10, pitch: 0 }, expect.any(Event));
+    });
+});
+
+
+describe('accessibility', () => {
+    it('makes hotspots named buttons that open with Enter or Space', async () => {
+        const viewer = await startTour({ hash: '#scene=lounge' });
+        viewer.emit('load');
+        const hotspotClick = vi.fn();
+        events.on('hotspotClick', hotspotClick);
+
+        // Stand in for Pannellum, which builds the element and listens for clicks
+        const info = viewer.getConfig().hotSpots.find(hotSpot => hotSpot.createTooltipArgs.label.en === 'Floor-to-Ceiling Glazing');
+        const element = document.createElement('div');
+        info.createTooltipFunc(element, info.createTooltipArgs);
+        element.addEventListener('click', event => info.clickHandlerFunc(event));
+        document.body.appendChild(element);
+
+        expect(element.getAttribute('role')).toBe('button');
+        expect(element.getAttribute('aria-label')).toBe('About Floor-to-Ceiling Glazing');
+        expect(element.tabIndex).toBe(0);
+
+        element.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+
+        expect(hotspotClick).toHaveBeenCalledOnce();
+        expect(document.getElementById('info-card').hidden).toBe(false);
+    });
+
+    it('names stairs and lifts to another floor for what they are', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+        tour.scenes['living-room'].hotspots[1].via = 'stairs';
+        viewerModule.refreshHotspots();
+
+        const stairs = viewer.getConfig().hotSpots.find(hotSpot => hotSpot.createTooltipArgs.targetScene === 'lounge');
+        const element = document.createElement('div');
+        stairs.createTooltipFunc(element, stairs.createTooltipArgs);
+
+        expect(element.classList.contains('floor-hotspot')).toBe(true);
+        expect(element.getAttribute('aria-label')).toBe('Take the stairs to Lounge');
+        expect(element.querySelector('.hotspot-tooltip').textContent).toBe('Lounge');
+    });
+
+    it('announces each room to screen readers', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        const announcer = document.getElementById('room-announcer');
+        expect(announcer.textContent).toBe('Living Room, room 1 of 4');
+        expect(elements.panorama.getAttribute('aria-label')).toBe('Living Room panorama');
+
+        const navigation = viewerModule.navigateToScene('lounge');
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('load');
+        await navigation;
+
+        expect(announcer.textContent).toBe('Lounge, room 3 of 4');
+    });
+});
+
+
+describe('setView', () => {
+    it('animates to the view, keeping values that are not given', async () => {
+        const viewer = await startTour({ hash: '#scene=lounge&yaw=45&pitch=-10&hfov=90' });
+
+        viewerModule.setView({ yaw: 120 }, 800);
+
+        expect(viewer.lookAtCalls.at(-1)).toEqual({ pitch: -10, yaw: 120, hfov: 90, duration: 800 });
+    });
+
+    it('cuts straight to the view when the visitor prefers reduced motion', async () => {
+        vi.stubGlobal('matchMedia', vi.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' })));
+        const viewer = await startTour({ hash: '#scene=lounge&yaw=45&pitch=-10&hfov=90' });
+
+        viewerModule.setView({ yaw: 120 }, 800);
+
+        expect(viewer.lookAtCalls.at(-1).duration).toBe(0);
+    });
+});
+
+
+describe('embedded', () => {
+    it('replaces the history entry instead of adding one', async () => {
+        const viewer = await startTour();
+        state.embedded = true;
+        viewer.emit('load');
+        const pushState = vi.spyOn(history, 'pushState');
+
+        const navigation = viewerModule.navigateToScene('lounge');
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('load');
+        await navigation;
+
+        expect(pushState).not.toHaveBeenCalled();
+        expect(window.location.hash).toMatch(/^#scene=lounge/);
+    });
+});
+
+
+describe('scene failures', () => {
+    it('shows the error panel and marks the room when the viewer fails', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        const navigation = viewerModule.navigateToScene('lounge');
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('lounge'));
+        viewer.emit('error', 'The file <a href="panos/lounge.jpg">lounge.jpg</a> could not be accessed.');
+        await navigation;
+
+        expect(state.isTransitioning).toBe(false);
+        expect(document.getElementById('scene-error').hidden).toBe(false);
+        expect(document.getElementById('scene-error-title').textContent).toBe('Couldn\'t load Lounge');
+        expect(document.getElementById('room-btn-lounge').classList.contains('unavailable')).toBe(true);
+    });
+
+    it('keeps the current room when a panorama is missing, and retries on request', async () => {
+        const viewer = await startTour();
+        viewer.emit('load');
+
+        respondWith(404);
+        await viewerModule.navigateToScene('music-room');
+
+        expect(state.currentScene).toBe('living-room');
+        expect(viewer.loadedScenes).toEqual(['living-room']);
+        expect(document.getElementById('scene-error-message').textContent).toMatch(/missing/);
+
+        respondWith(200);
+        document.getElementById('btn-scene-retry').click();
+        await vi.waitFor(() => expect(viewer.getScene()).toBe('music-room'));
+        viewer.emit('load');
+
+        expect(document.getElementById('scene-error').hidden).toBe(true);
+        expect(document.getElementById('room-btn-music-room').classList.contains('unavailable')).toBe(false);
+    });
+
+    it('shows a flat image when WebGL is unavailable', async () => {
+        const viewer = await startTour();
+        viewer.emit('error', 'Your browser does not have the necessary WebGL support to display this panorama.');
+
+        expect(document.getElementById('static-view').hidden).toBe(false);
+        expect(document.getElementById('static-view-image').getAttribute('src')).toBe('panos/living-room.jpg');
+        expect(document.getElementById('scene-error').hidden).toBe(true);
+        expect(document.getElementById('room-btn-living-room').classList.contains('unavailable')).toBe(false);
+    });
+});
@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadIndexHtml } from './helpers/dom.js';
+import {
+    directionFromView, viewFromDirection, rotationMatrix, perspectiveMatrix,
+    invertMatrix, multiplyMatrices, transformDirection
+} from '../src/vr-renderer.js';
+
+const SCENES = {
+    hall: {
+        image: 'panos/hall.jpg',
+        versions: [{ id: 'dusk', image: 'panos/hall-dusk.jpg' }],
+        hotspots: [
+            { targetScene: 'kitchen', yaw: 120, pitch: 0 },
+            { type: 'info', yaw: -60, pitch: 0, title: 'Mirror' }
+        ]
+    },
+    kitchen: {
+        image: 'panos/kitchen.jpg',
+        hotspots: [{ targetScene: 'hall', yaw: 0, pitch: -10 }]
+    }
+};
+
+let vr;
+let options;
+let session;
+let images;
+
+/**
+ * Fresh VR module for a tour standing in the hall, facing yaw 30.
+ *
+ * @param {Object} [overrides] - initVr options to use instead
+ */
+async function startVr(overrides = {}) {
+    vi.resetModules();
+    vr = await import('../src/vr.js');
+    options = {
+        scenes: SCENES,
+        getCurrentScene: () => 'hall',
+        getVersion: () => null,
+        getView: () => ({ yaw: 30, pitch: 0, hfov: 100 }),
+        setView: vi.fn(),
+        navigateToScene: vi.fn(async () => {}),
+        onStatusChange: vi.fn(),
+        ...overrides
+    };
+    await vr.initVr(options);
+}
+
+/**
+ * A WebXR runtime with one headset, like the emulator extension provides.
+ */
+function installFakeXr() {
+    const listeners = {};
+    session = {
+        inputSources: [],
+        renderState: {},
+        frameCallback: null,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        updateRenderState: (state) => { session.renderState = state; },
+        requestReferenceSpace: async () => ({}),
+        requestAnimationFrame: (callback) => { session.frameCallback = callback; },
+        end: vi.fn(async () => listeners.end()),
+        dispatch: (type, event) => listeners[type](event)
+    };
+
+    Object.defineProperty(navigator, 'xr', {
+        configurable: true,
+        value: {
+            isSessionSupported: vi.fn(async mode => mode === 'immersive-vr'),
+            requestSession: vi.fn(async () => session)
+        }
+    });
+    vi.stubGlobal('XRWebGLLayer', class {
+        framebuffer = null;
+        getViewport() {
+            return { x: 0, y: 0, width: 100, height: 100 };
+        }
+    });
+}
+
+/**
+ * Headset frame with the head turned to a yaw/pitch in the headset's own frame.
+ */
+function frameLookingAt(yaw, pitch = 0) {
+    const matrix = rotationMatrix(yaw, pitch);
+    return {
+        session,
+        getViewerPose: () => ({
+            transform: { matrix },
+            views: [{ transform: { matrix }, projectionMatrix: perspectiveMatrix(90, 1) }]
+        }),
+        getPose: space => ({ transform: { matrix: space.matrix } })
+    };
+}
+
+function renderFrame(time, yaw, pitch) {
+    session.frameCallback(time, frameLookingAt(yaw, pitch));
+}
+
+/**
+ * Just enough of a WebGL context for the renderer to set up and draw.
+ */
+function createFakeGl() {
+    const gl = { getShaderParameter: () => true, getProgramParameter: () => true, getParameter: () => 4096 };
+    return new Proxy(gl, {
+        get: (target, key) => key in target ? target[key] : /^[A-Z0-9_]+$/.test(key) ? 0 : () => ({})
+    });
+}
+
+beforeEach(() => {
+    loadIndexHtml();
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(createFakeGl());
+    images = [];
+    vi.stubGlobal('Image', class {
+        set src(url) {
+            images.push(url);
+            queueMicrotask(() => this.onload());
+        }
+    });
+});
+
+afterEach(() => {
+    delete navigator.xr;
+    delete navigator.maxTouchPoints;
+    window.history.replaceState(null, '', '/');
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+
+describe('matrices', () => {
+    it('turns panorama positions into directions and back', () => {
+        expect(directionFromView(0, 0).map(value => value + 0)).toEqual([0, 0, -1]);
+
+        const view = viewFromDirection(directionFromView(-150, 25));
+        expect(view.yaw).toBeCloseTo(-150);
+        expect(view.pitch).toBeCloseTo(25);
+    });
+
+    it('rotates the eye to look at a panorama position', () => {
+        const forward = transformDirection(rotationMatrix(90, 30), [0, 0, -1]);
+
+        directionFromView(90, 30).forEach((value, axis) => expect(forward[axis]).toBeCloseTo(value));
+    });
+
+    it('inverts projections', () => {
+        const projection = perspectiveMatrix(90, 1.5);
+        const identity = multiplyMatrices(projection, invertMatrix(projection));
+
+        identity.forEach((value, index) => expect(value).toBeCloseTo(index % 5 === 0 ? 1 : 0));
+    });
+});
+
+
+describe('pickDoorway', () => {
+    it('picks the closest doorway within reach of the pointer', async () => {
+        await startVr();
+        const doorways = [{ direction: directionFromView(0, 0) }, { direction: directionFromView(10, 0) }];
+
+        expect(vr.pickDoorway(directionFromView(6, 0), doorways)).toBe(1);
+        expect(vr.pickDoorway(directionFromView(-3, 2), doorways)).toBe(0);
+        expect(vr.pickDoorway(directionFromView(45, 0), doorways)).toBe(-1);
+    });
+});
+
+
+describe('availability', () => {
+    it('offers an immersive session where WebXR has a headset', async () => {
+        installFakeXr();
+        await startVr();
+
+        expect(vr.getVrMode()).toBe('immersive');
+        expect(document.getElementById('btn-vr').hidden).toBe(false);
+    });
+
+    it('falls back to cardboard on touch devices with WebGL', async () => {
+        Object.defineProperty(navigator, 'maxTouchPoints', { configurable: true, value: 5 });
+        vi.stubGlobal('WebGLRenderingContext', class {});
+        await startVr();
+
+        expect(vr.getVrMode()).toBe('cardboard');
+    });
+
+    it('can be forced to cardboard for desktop testing', async () => {
+        installFakeXr();
+        vi.stubGlobal('WebGLRenderingContext', class {});
+        window.history.replaceState(null, '', '/?vr=cardboard');
+        await startVr();
+
+        expect(vr.getVrMode()).toBe('cardboard');
+    });
+
+    it('hides the button on desktops without WebXR', async () => {
+        await startVr();
+
+        expect(vr.getVrMode()).toBeNull();
+        expect(document.getElementById('btn-vr').hidden).toBe(true);
+    });
+});
+
+
+describe('immersive session', () => {
+    beforeEach(async () => {
+        installFakeXr();
+        await startVr();
+        await vr.enterVr();
+    });
+
+    it('opens a headset session over the current room', () => {
+        expect(navigator.xr.requestSession).toHaveBeenCalledWith('immersive-vr');
+        expect(images).toEqual(['panos/hall.jpg']);
+        expect(document.getElementById('vr-overlay').hidden).toBe(false);
+        expect(vr.isVrActive()).toBe(true);
+        expect(options.onStatusChange).toHaveBeenCalledWith(true);
+    });
+
+    it('walks through a doorway after looking at it for two seconds', () => {
+        // The head's starting direction becomes the viewer's yaw 30, so the doorway at 120 is 90° right
+        renderFrame(0, 0);
+        renderFrame(100, 90);
+        renderFrame(1500, 90);
+        expect(options.navigateToScene).not.toHaveBeenCalled();
+
+        renderFrame(2100, 90);
+        expect(options.navigateToScene).toHaveBeenCalledWith('kitchen', undefined);
+    });
+
+    it('starts the timer over when the gaze wanders off', () => {
+        renderFrame(0, 0);
+        renderFrame(100, 90);
+        renderFrame(1500, 40);
+        renderFrame(1600, 90);
+        renderFrame(2500, 90);
+
+        expect(options.navigateToScene).not.toHaveBeenCalled();
+    });
+
+    it('walks through the doorway a controller selects', () => {
+        renderFrame(0, 0);
+        const inputSource = { targetRayMode: 'tracked-pointer', targetRaySpace: { matrix: rotationMatrix(90) } };
+
+        session.dispatch('select', { frame: frameLookingAt(0), inputSource });
+
+        expect(options.navigateToScene).toHaveBeenCalledWith('kitchen', undefined);
+    });
+
+    it('shows the room version chosen in the viewer', async () => {
+        await vr.exitVr();
+        await startVr({ getVersion: () => 'dusk' });
+        await vr.enterVr();
+
+        expect(images.at(-1)).toBe('panos/hall-dusk.jpg');
+    });
+
+    it('ignores info hotspots', () => {
+        renderFrame(0, 0);
+        const inputSource = { targetRayMode: 'tracked-pointer', targetRaySpace: { matrix: rotationMatrix(-90) } };
+
+        session.dispatch('select', { frame: frameLookingAt(0), inputSource });
+
+        expect(options.navigateToScene).not.toHaveBeenCalled();
+    });
+
+    it('returns to the viewer facing where the user last looked', async () => {
+        renderFrame(0, 0);
+        renderFrame(100, -45, 10);
+
+        document.getElementById('btn-vr-exit').click();
+        await session.end.mock.results[0].value;
+
+        expect(document.getElementById('vr-overlay').hidden).toBe(true);
+        expect(vr.isVrActive()).toBe(false);
+        const [view] = options.setView.mock.calls[0];
+        expect(view.yaw).toBeCloseTo(-15);
+        expect(view.pitch).toBeCloseTo(10);
+        expect(options.onStatusChange).toHaveBeenLastCalledWith(false);
+    });
+});
@@ -1,13 +1,24 @@
+/// <reference types="vitest/config" />
 import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
+import serviceWorker from './scripts/vite-service-worker.js'
+import analyticsEndpoint from './scripts/vite-analytics.js'
 
 export default defineConfig({
+    // Relative asset URLs, so the build runs from any folder on any static host
+    base: './',
     plugins: [
         tailwindcss(),
+        serviceWorker(),
+        analyticsEndpoint(),
     ],
     server: {
         allowedHosts: true,
         host: '0.0.0.0',
         port: 5173,
     },
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.js'],
+    },
 })
\ No newline at end of file